@@ -1,4 +1,6 @@
 const http = require('http');
+const https = require('https');
+const fs = require('fs');
 const cluster = require('cluster');
 const crypto = require('crypto');
 
@@ -6,357 +8,343 @@ const config = require('./config');
 const { redis, connect: connectRedis, isConnected } = require('./services/redis');
 const storage = require('./services/storage');
 const auth = require('./services/auth');
+const accounts = require('./services/accounts');
+const usernames = require('./services/usernames');
+const profiles = require('./services/profiles');
 const assets = require('./services/assets');
+const metrics = require('./services/metrics');
+const alerts = require('./services/alerts');
+const requestLogger = require('./services/requestLogger');
 const middleware = require('./middleware');
 const { sendJson } = require('./utils/response');
+const { createRouter } = require('./utils/router');
+const logger = require('./utils/logger');
 
 // Route handlers
 const routes = require('./routes');
 
-/**
- * Main request handler
- */
-async function handleRequest(req, res) {
-  const timestamp = new Date().toISOString();
-
-  // Skip logging for telemetry endpoints (too noisy)
-  if (!req.url.includes('/telemetry')) {
-    console.log(`${timestamp} ${req.method} ${req.url}`);
-  }
-
-  // CORS headers
-  middleware.corsHeaders(res);
-
-  // Handle OPTIONS preflight
-  if (req.method === 'OPTIONS') {
-    middleware.handleOptions(req, res);
-    return;
-  }
+const log = logger.createLogger('app');
 
-  // Parse URL
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const urlPath = url.pathname;
+// Route middleware for the admin API
+const adminOnly = [middleware.requireAdmin];
 
-  // Handle binary uploads (like head-cache) before consuming body as string
-  const headCacheMatch = urlPath.match(/^\/avatar\/([^/]+)\/head-cache$/);
-  if (headCacheMatch && req.method === 'POST') {
-    routes.avatar.handleAvatarRoutes(req, res, urlPath, {});
-    return;
-  }
+// Route middleware rate limiting each group in config.rateLimits
+const limited = Object.fromEntries(Object.keys(config.rateLimits).map(group => [group, [middleware.rateLimit(group)]]));
 
-  // Parse JSON body
-  const body = await middleware.parseBody(req);
+const CERT_BINDING_MODES = ['off', 'enforce'];
 
-  // Extract user context
-  const { uuid, name, tokenScope } = middleware.extractUserContext(body, req.headers);
-
-  // Route the request
-  await routeRequest(req, res, url, urlPath, body, uuid, name, tokenScope);
-}
+const ADMIN_PAGES = ['servers', 'server', 'players', 'player', 'entitlements', 'logs', 'metrics', 'alerts', 'settings'];
 
 /**
- * Route request to appropriate handler
+ * Build the route table
+ *
+ * Handlers get a ctx of { req, res, url, path, params, body, headers, uuid,
+ * name, tokenScope }. Routes with a `banner` label are listed at startup.
  */
-async function routeRequest(req, res, url, urlPath, body, uuid, name, tokenScope) {
-  const headers = req.headers;
+function buildRouter() {
+  const router = createRouter();
 
-  // Avatar viewer routes
-  if (urlPath.startsWith('/avatar/')) {
-    await routes.avatar.handleAvatarRoutes(req, res, urlPath, body);
-    return;
-  }
+  // ====== Avatar viewer, cosmetics and assets ======
 
-  // Customizer route
-  if (urlPath.startsWith('/customizer')) {
-    routes.avatar.handleCustomizerRoute(req, res, urlPath);
-    return;
-  }
+  // Binary upload: the handler reads the body itself
+  router.post('/avatar/:uuid/head-cache', ({ req, res, path }) => routes.avatar.handleAvatarRoutes(req, res, path, {}), { raw: true });
+  router.any('/avatar/:uuid', ({ req, res, path, body }) => routes.avatar.handleAvatarRoutes(req, res, path, body), { banner: 'Avatar viewer' });
+  router.any('/avatar/:uuid/*', ({ req, res, path, body }) => routes.avatar.handleAvatarRoutes(req, res, path, body));
 
-  // Cosmetics list API
-  if (urlPath === '/cosmetics/list') {
-    routes.assets.handleCosmeticsList(req, res);
-    return;
-  }
+  router.get('/customizer/:uuid', ({ req, res, path }) => routes.avatar.handleCustomizerRoute(req, res, path), { banner: 'Avatar customizer' });
+  router.get(['/customizer', '/customizer/*'], ({ req, res, path }) => routes.avatar.handleCustomizerRoute(req, res, path));
 
-  // Single cosmetic item data API
-  if (urlPath.startsWith('/cosmetics/item/')) {
-    routes.assets.handleCosmeticItem(req, res, urlPath);
-    return;
-  }
+  router.get('/cosmetics/list', ({ req, res }) => routes.assets.handleCosmeticsList(req, res), { banner: 'Cosmetics list' });
+  router.get('/cosmetics/item/*', ({ req, res, path }) => routes.assets.handleCosmeticItem(req, res, path));
+  router.get('/assets/*', ({ req, res, path }) => routes.assets.handleStaticAssets(req, res, path));
+  router.get('/asset/*', ({ req, res, path }) => routes.assets.handleAssetRoute(req, res, path), { banner: 'Asset extraction', middleware: limited.assets });
+  // Downloads (HytaleServer.jar, etc.)
+  router.get('/download/*', ({ req, res, path }) => routes.assets.handleDownload(req, res, path));
 
-  // Static assets route
-  if (urlPath.startsWith('/assets/')) {
-    routes.assets.handleStaticAssets(req, res, urlPath);
-    return;
-  }
+  // ====== Health, keys and revocations ======
 
-  // Asset extraction route
-  if (urlPath.startsWith('/asset/')) {
-    routes.assets.handleAssetRoute(req, res, urlPath);
-    return;
-  }
-
-  // Download route (for HytaleServer.jar, etc.)
-  if (urlPath.startsWith('/download/')) {
-    routes.assets.handleDownload(req, res, urlPath);
-    return;
-  }
-
-  // Health check
-  if (urlPath === '/health' || urlPath === '/') {
-    routes.health.handleHealth(req, res);
-    return;
-  }
-
-  // Ignore favicon requests
-  if (urlPath === '/favicon.ico') {
+  router.get(['/health', '/'], ({ req, res }) => routes.health.handleHealth(req, res));
+  router.get('/favicon.ico', ({ res }) => {
     res.writeHead(204);
     res.end();
-    return;
-  }
-
-  // JWKS endpoint
-  if (urlPath === '/.well-known/jwks.json' || urlPath === '/jwks.json') {
-    routes.health.handleJwks(req, res);
-    return;
-  }
+  });
+  router.get(['/.well-known/jwks.json', '/jwks.json'], ({ req, res }) => routes.health.handleJwks(req, res), { banner: 'JWKS' });
+  // Polled by game servers
+  router.get(['/.well-known/revocations.json', '/revocations'], ({ req, res }) => routes.health.handleRevocationList(req, res), { banner: 'Revocation list' });
 
   // ====== Server Auto-Auth and OAuth endpoints (for F2P game servers) ======
 
-  // Server auto-auth (instant token for F2P servers)
-  if (urlPath === '/server/auto-auth') {
-    routes.server.handleServerAutoAuth(req, res, body);
-    return;
-  }
-
-  // Server game profiles (after OAuth)
-  if (urlPath === '/server/game-profiles' || urlPath === '/game-profiles') {
-    routes.server.handleServerGameProfiles(req, res, headers);
-    return;
-  }
-
-  // OAuth device authorization endpoint
-  if (urlPath === '/oauth2/device/auth') {
-    routes.server.handleOAuthDeviceAuth(req, res, body);
-    return;
-  }
-
-  // OAuth device verification page (user visits this)
-  if (urlPath === '/oauth2/device/verify') {
-    const query = Object.fromEntries(url.searchParams);
-    routes.server.handleOAuthDeviceVerify(req, res, query);
-    return;
-  }
-
-  // OAuth token endpoint (device code exchange, refresh)
-  if (urlPath === '/oauth2/token') {
-    routes.server.handleOAuthToken(req, res, body);
-    return;
-  }
+  router.any('/server/auto-auth', ({ req, res, body }) => routes.server.handleServerAutoAuth(req, res, body), { banner: 'Server auto-auth', middleware: limited.oauth });
+  router.any(['/server/game-profiles', '/game-profiles'], ({ req, res, headers }) => routes.server.handleServerGameProfiles(req, res, headers));
+  router.any('/oauth2/device/auth', ({ req, res, body }) => routes.server.handleOAuthDeviceAuth(req, res, body), { banner: 'OAuth device flow', middleware: limited.oauth });
+  // Device verification page (user visits this)
+  router.any('/oauth2/device/verify', ({ req, res, url }) => routes.server.handleOAuthDeviceVerify(req, res, Object.fromEntries(url.searchParams)));
+  // Device code exchange, refresh
+  router.any('/oauth2/token', ({ req, res, body }) => routes.server.handleOAuthToken(req, res, body), { banner: 'OAuth device flow', middleware: limited.oauth });
+  // RFC 7662 introspection; /validate and /verify are legacy aliases
+  router.any('/oauth2/introspect', ({ req, res, body, headers }) => routes.server.handleOAuthIntrospect(req, res, body, headers), { banner: 'Token introspection' });
+  router.any(['/validate', '/verify'], ({ req, res, body, headers }) => routes.server.handleOAuthIntrospect(req, res, body, headers));
 
   // ====== Game session endpoints ======
 
-  // Game session endpoints
-  if (urlPath === '/game-session/new') {
-    routes.session.handleGameSessionNew(req, res, body, uuid, name);
-    return;
-  }
-
-  if (urlPath === '/game-session/refresh') {
-    await routes.session.handleGameSessionRefresh(req, res, body, uuid, name, headers);
-    return;
-  }
+  router.any('/game-session/new', ({ req, res, body, uuid, name }) => routes.session.handleGameSessionNew(req, res, body, uuid, name), { banner: 'Game sessions', middleware: limited.session });
+  router.any('/game-session/refresh', ({ req, res, body, uuid, name, headers }) => routes.session.handleGameSessionRefresh(req, res, body, uuid, name, headers), { banner: 'Game sessions', middleware: limited.session });
+  router.any(['/game-session/child', '/game-session/child/*'], ({ req, res, body, uuid, name }) => routes.session.handleGameSessionChild(req, res, body, uuid, name), { middleware: limited.session });
+  router.any(['/game-session/authorize', '/server-join/auth-grant'], ({ req, res, body, uuid, name, headers }) => routes.session.handleAuthorizationGrant(req, res, body, uuid, name, headers), { middleware: limited.authGrant });
+  router.any(['/server-join/auth-token', '/game-session/exchange'], ({ req, res, body, uuid, name, headers }) => routes.session.handleTokenExchange(req, res, body, uuid, name, headers), { middleware: limited.tokenExchange });
+  // Logout/cleanup
+  router.delete('/game-session', ({ req, res, headers, url }) => routes.session.handleGameSessionDelete(req, res, headers, url));
+
+  // ====== Account data endpoints ======
+
+  router.post('/my-account/change-username', ({ req, res, body }) => routes.account.handleChangeUsername(req, res, body));
+  router.any('/my-account/game-profile', ({ req, res, body, uuid, name }) => routes.account.handleGameProfile(req, res, body, uuid, name));
+  router.any('/my-account/skin', ({ req, res, body, uuid, name }) => routes.account.handleSkin(req, res, body, uuid, name, routes.avatar.invalidateHeadCache));
+  // Used by the customizer
+  router.any('/account-data/skin/:uuid', ({ req, res, body, params, name }) => routes.account.handleSkin(req, res, body, params.uuid, name, routes.avatar.invalidateHeadCache));
+  router.any(['/my-account/cosmetics', '/my-account/cosmetics/*'], ({ req, res, body, uuid, name }) => routes.account.handleCosmetics(req, res, body, uuid, name));
+  router.any('/my-account/get-launcher-data', ({ req, res, body, uuid, name }) => routes.account.handleLauncherData(req, res, body, uuid, name));
+  router.any('/my-account/get-profiles', ({ req, res, body, uuid, name }) => routes.account.handleGetProfiles(req, res, body, uuid, name));
+  router.post('/my-account/profiles', ({ req, res, body }) => routes.account.handleCreateProfile(req, res, body));
+
+  router.get('/profile/uuid/:uuid/names', ({ req, res, params }) => routes.account.handleUsernameHistory(req, res, params.uuid));
+  router.get('/profile/uuid/:uuid', ({ req, res, params, headers }) => routes.account.handleProfileLookupByUuid(req, res, params.uuid, headers));
+  router.get('/profile/username/:username', ({ req, res, params, headers }) => routes.account.handleProfileLookupByUsername(req, res, params.username, headers));
+
+  // Bug reports and feedback are accepted and dropped
+  router.any(['/bugs/create', '/feedback/create'], ({ res }) => {
+    res.writeHead(204);
+    res.end();
+  });
 
-  if (urlPath === '/game-session/child' || urlPath.includes('/game-session/child')) {
-    routes.session.handleGameSessionChild(req, res, body, uuid, name);
-    return;
-  }
+  // Client telemetry (heartbeat, session_start, session_end, event)
+  router.post('/telemetry/batch', ({ req, res, body, headers }) => routes.telemetry.handleTelemetryBatch(req, res, body, headers), { banner: 'Telemetry', middleware: limited.telemetry });
+  router.post(['/telemetry', '/telemetry/*'], ({ req, res, body, headers }) => routes.telemetry.handleTelemetry(req, res, body, headers), { banner: 'Telemetry', middleware: limited.telemetry });
 
-  // Authorization grant endpoint
-  if (urlPath === '/game-session/authorize' || urlPath.includes('/authorize') || urlPath.includes('/auth-grant')) {
-    routes.session.handleAuthorizationGrant(req, res, body, uuid, name, headers);
-    return;
-  }
+  // ====== Admin ======
 
-  // Token exchange endpoint
-  if (urlPath === '/server-join/auth-token' || urlPath === '/game-session/exchange' || urlPath.includes('/auth-token')) {
-    routes.session.handleTokenExchange(req, res, body, uuid, name, headers);
-    return;
+  // Login happens client-side, so the dashboard and pages need no token
+  router.get(['/admin', '/admin/'], ({ req, res }) => routes.admin.handleAdminDashboard(req, res), { banner: 'Admin dashboard' });
+  for (const page of ADMIN_PAGES) {
+    router.get(`/admin/page/${page}`, ({ req, res }) => routes.adminPages.handlePage(req, res, page));
   }
+  router.post('/admin/login', ({ req, res, body }) => routes.admin.handleAdminLogin(req, res, body), { middleware: limited.adminLogin });
+  router.get('/admin/verify', ({ req, res, headers, url }) => routes.admin.handleAdminVerify(req, res, headers['x-admin-token'] || url.searchParams.get('token')));
+  // Test page for head embed
+  router.get('/test/head', ({ req, res }) => routes.avatar.handleTestHeadPage(req, res));
+
+  const admin = { middleware: adminOnly, banner: 'Admin API' };
+  router.get(['/admin/sessions', '/sessions/active'], ({ req, res }) => routes.admin.handleActiveSessions(req, res), admin);
+  router.get('/admin/stats', ({ req, res }) => routes.admin.handleAdminStats(req, res), admin);
+  router.get('/admin/servers', ({ req, res, url }) => routes.admin.handleAdminServers(req, res, url), admin);
+  router.get('/admin/search', ({ req, res, url }) => routes.admin.handlePlayerSearch(req, res, url), admin);
+  router.get('/admin/prerender-queue', ({ req, res }) => routes.admin.handlePrerenderQueue(req, res), admin);
+  // Token revocation (by jti, user or server audience)
+  router.post('/admin/revoke', ({ req, res, body }) => routes.admin.handleAdminRevoke(req, res, body), admin);
+  router.any('/admin/entitlements', ({ req, res, body, url }) => routes.admin.handleAdminEntitlements(req, res, body, url), admin);
+  // Per-player telemetry history
+  router.get('/admin/api/players/:uuid/sessions', ({ req, res, params, url }) => routes.admin.handleAdminPlayerHistory(req, res, params.uuid, 'sessions', url), { middleware: adminOnly });
+  router.get('/admin/api/players/:uuid/events', ({ req, res, params, url }) => routes.admin.handleAdminPlayerHistory(req, res, params.uuid, 'events', url), { middleware: adminOnly });
+  router.get('/admin/api/metrics/timeseries', ({ req, res, url }) => routes.admin.handleAdminMetricsTimeseries(req, res, url), admin);
+  // Request logs (current and rotated files)
+  router.get('/admin/logs', ({ req, res, url }) => routes.admin.handleAdminLogs(req, res, url), admin);
+  router.get('/admin/logs/stats', ({ req, res }) => routes.admin.handleAdminLogStats(req, res), admin);
+  router.get('/admin/api/server-metrics', ({ req, res, url }) => routes.admin.handleAdminServerMetrics(req, res, url), admin);
+  router.get('/admin/api/server-metrics/:audience', ({ req, res, url, params }) => routes.admin.handleAdminServerMetrics(req, res, url, params.audience), admin);
+  router.get('/admin/api/alerts', ({ req, res, body }) => routes.admin.handleAdminAlerts(req, res, body), admin);
+  router.post('/admin/api/alerts', ({ req, res, body }) => routes.admin.handleAdminAlerts(req, res, body), { middleware: adminOnly });
+  router.delete('/admin/api/alerts/:id', ({ req, res, body, params }) => routes.admin.handleAdminAlerts(req, res, body, params.id), admin);
+  // Username registry (reservations, blocklist, release)
+  const usernamesHandler = ({ req, res, path, body }) => routes.admin.handleAdminUsernames(req, res, path, body);
+  router.get('/admin/usernames', usernamesHandler, admin);
+  router.add(['POST', 'DELETE'], ['/admin/usernames/reserve', '/admin/usernames/block'], usernamesHandler, { middleware: adminOnly });
+  router.post('/admin/usernames/release', usernamesHandler, { middleware: adminOnly });
+  // Password accounts and launcher keys
+  const accountsHandler = ({ req, res, path, body }) => routes.admin.handleAdminAccounts(req, res, path, body);
+  router.post('/admin/accounts', accountsHandler, admin);
+  router.post('/admin/accounts/password', accountsHandler, { middleware: adminOnly });
+  router.add(['POST', 'DELETE'], '/admin/accounts/launcher-key', accountsHandler, { middleware: adminOnly });
+  // Signing key ring (list / rotate)
+  const keysHandler = ({ req, res, path, url }) => routes.admin.handleAdminKeys(req, res, path, url);
+  router.get('/admin/keys', keysHandler, admin);
+  router.post('/admin/keys/rotate', keysHandler, { middleware: adminOnly });
+  return router;
+}
 
-  // Session/Auth endpoints (exclude admin paths)
-  if ((urlPath.includes('/session') || urlPath.includes('/child')) && !urlPath.startsWith('/admin')) {
-    routes.session.handleSession(req, res, body, uuid, name);
-    return;
-  }
+const router = buildRouter();
 
-  if (urlPath.includes('/auth')) {
-    routes.session.handleAuth(req, res, body, uuid, name);
-    return;
-  }
+/**
+ * Main request handler
+ *
+ * Every request gets an ID, returned in X-Request-Id, written to the request
+ * log and attached to every line logged while handling it.
+ */
+function handleRequest(req, res) {
+  const requestId = crypto.randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+  return logger.withRequestId(requestId, async () => {
+    try {
+      await dispatchRequest(req, res, requestId);
+    } catch (e) {
+      // One bad request must not take the worker down
+      log.error(`Unhandled error for ${req.method} ${req.url.split('?')[0]}`, { error: e.message, stack: e.stack });
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'server_error', error_description: 'Internal server error' });
+      } else {
+        res.end();
+      }
+    }
+  });
+}
 
-  if (urlPath.includes('/token')) {
-    routes.session.handleToken(req, res, body, uuid, name);
-    return;
-  }
+/**
+ * Route a request to its handler
+ */
+async function dispatchRequest(req, res, requestId) {
+  const startTime = Date.now();
 
-  if (urlPath.includes('/validate') || urlPath.includes('/verify')) {
-    routes.session.handleValidate(req, res, body, uuid, name);
-    return;
-  }
+  // Written to the request log once the response is sent
+  const logContext = { requestId, uuid: null };
+  let loggedBody = null;
+  res.on('finish', () => requestLogger.log(req, res, loggedBody, startTime, logContext));
 
-  if (urlPath.includes('/refresh')) {
-    routes.session.handleRefresh(req, res, body, uuid, name);
-    return;
+  // Skip logging for telemetry endpoints (too noisy); the query string may hold credentials
+  if (!req.url.includes('/telemetry')) {
+    log.info(`${req.method} ${req.url.split('?')[0]}`);
   }
 
-  // Account data endpoints
-  if (urlPath === '/my-account/game-profile' || urlPath.includes('/game-profile')) {
-    await routes.account.handleGameProfile(req, res, body, uuid, name);
-    return;
-  }
+  // CORS headers
+  middleware.corsHeaders(res);
 
-  if (urlPath === '/my-account/skin') {
-    await routes.account.handleSkin(req, res, body, uuid, name, routes.avatar.invalidateHeadCache);
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    middleware.handleOptions(req, res);
     return;
   }
 
-  // Account-data skin endpoint (used by customizer) - extracts UUID from path
-  if (urlPath.startsWith('/account-data/skin/')) {
-    const skinUuid = urlPath.replace('/account-data/skin/', '');
-    await routes.account.handleSkin(req, res, body, skinUuid, name, routes.avatar.invalidateHeadCache);
-    return;
-  }
+  // Parse URL
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const urlPath = url.pathname;
 
-  if (urlPath === '/my-account/cosmetics' || urlPath.includes('/my-account/cosmetics')) {
-    routes.account.handleCosmetics(req, res, body, uuid, name);
+  const { route, params, allowed } = router.match(req.method, urlPath);
+  if (!route && allowed.length > 0) {
+    res.setHeader('Allow', allowed.join(', '));
+    sendJson(res, 405, { error: 'method_not_allowed', error_description: `${req.method} is not allowed for ${urlPath}` });
     return;
   }
 
-  if (urlPath === '/my-account/get-launcher-data') {
-    routes.account.handleLauncherData(req, res, body, uuid, name);
+  const compat = !route && config.compatCatchAll && !urlPath.startsWith('/admin');
+  if (!route && !compat) {
+    log.info(`Unknown endpoint: ${req.method} ${urlPath}`);
+    sendJson(res, 404, { error: 'not_found', error_description: `Unknown endpoint: ${urlPath}` });
     return;
   }
 
-  if (urlPath === '/my-account/get-profiles') {
-    routes.account.handleGetProfiles(req, res, body, uuid, name);
-    return;
-  }
+  const ctx = { req, res, url, path: urlPath, params: params || {}, body: {}, headers: req.headers };
+  logContext.uuid = ctx.params.uuid || null;
 
-  // Bug reports and feedback
-  if (urlPath === '/bugs/create' || urlPath === '/feedback/create') {
-    res.writeHead(204);
-    res.end();
-    return;
-  }
+  if (!route || !route.options.raw) {
+    // Parse JSON body
+    try {
+      ctx.body = await middleware.parseBody(req);
+    } catch (e) {
+      if (!(e instanceof middleware.BodyError)) throw e;
+      sendJson(res, e.status, { error: e.code, error_description: e.message });
+      return;
+    }
 
-  // Game session delete (logout/cleanup)
-  if (urlPath === '/game-session' && req.method === 'DELETE') {
-    await routes.session.handleGameSessionDelete(req, res, headers);
-    return;
-  }
+    // Reject certificate-bound tokens presented without their certificate
+    if (!middleware.enforceCertBinding(req, res)) {
+      return;
+    }
 
-  // Admin login endpoint (no auth required)
-  if (urlPath === '/admin/login' && req.method === 'POST') {
-    await routes.admin.handleAdminLogin(req, res, body);
-    return;
-  }
+    // Extract user context
+    Object.assign(ctx, await middleware.extractUserContext(ctx.body, req.headers));
 
-  // Admin verify endpoint
-  if (urlPath === '/admin/verify') {
-    const token = headers['x-admin-token'] || url.searchParams.get('token');
-    await routes.admin.handleAdminVerify(req, res, token);
-    return;
+    // Only log the player when they were identified (the context falls back to a random UUID)
+    loggedBody = ctx.body;
+    if (!logContext.uuid && (ctx.tokenScope || (ctx.body.uuid && ctx.body.uuid === ctx.uuid))) {
+      logContext.uuid = ctx.uuid;
+    }
   }
 
-  // Admin dashboard HTML page (no auth - login happens client-side)
-  if (urlPath === '/admin' || urlPath === '/admin/') {
-    routes.admin.handleAdminDashboard(req, res);
+  if (compat) {
+    await handleCompatRequest(ctx);
     return;
   }
 
-  // Test page for head embed
-  if (urlPath === '/test/head') {
-    routes.avatar.handleTestHeadPage(req, res);
-    return;
+  for (const fn of route.options.middleware || []) {
+    if (!await fn(ctx)) return;
   }
+  await route.handler(ctx);
+}
 
-  // Protected admin API routes - require token
-  if (urlPath.startsWith('/admin/')) {
-    const validToken = await middleware.verifyAdminAuth(headers);
-    if (!validToken) {
-      sendJson(res, 401, { error: 'Unauthorized. Please login at /admin' });
-      return;
-    }
-  }
+/**
+ * Answer an unknown path the way the original substring-based dispatch did
+ * (only with config.compatCatchAll)
+ */
+async function handleCompatRequest({ req, res, path: urlPath, body, uuid, name }) {
+  log.info(`Unknown endpoint (compat catch-all): ${req.method} ${urlPath}`);
 
-  // Active sessions API
-  if (urlPath === '/admin/sessions' || urlPath === '/sessions/active') {
-    await routes.admin.handleActiveSessions(req, res);
+  if (urlPath.includes('/authorize') || urlPath.includes('/auth-grant')) {
+    await routes.session.handleAuthorizationGrant(req, res, body, uuid, name, req.headers);
     return;
   }
 
-  // Admin stats API
-  if (urlPath === '/admin/stats') {
-    await routes.admin.handleAdminStats(req, res);
+  if (urlPath.includes('/auth-token')) {
+    await routes.session.handleTokenExchange(req, res, body, uuid, name, req.headers);
     return;
   }
 
-  // Admin servers API
-  if (urlPath.startsWith('/admin/servers')) {
-    await routes.admin.handleAdminServers(req, res, url);
+  if (urlPath.includes('/session') || urlPath.includes('/child')) {
+    await routes.session.handleSession(req, res, body, uuid, name);
     return;
   }
 
-  // Player search API
-  if (urlPath === '/admin/search') {
-    await routes.admin.handlePlayerSearch(req, res, url);
+  if (urlPath.includes('/auth')) {
+    await routes.session.handleAuth(req, res, body, uuid, name);
     return;
   }
 
-  // Pre-render queue
-  if (urlPath === '/admin/prerender-queue') {
-    await routes.admin.handlePrerenderQueue(req, res);
+  if (urlPath.includes('/token')) {
+    await routes.session.handleToken(req, res, body, uuid, name);
     return;
   }
 
-  // Profile lookup by UUID
-  if (urlPath.startsWith('/profile/uuid/')) {
-    const lookupUuid = urlPath.replace('/profile/uuid/', '');
-    await routes.account.handleProfileLookupByUuid(req, res, lookupUuid, headers);
+  if (urlPath.includes('/refresh')) {
+    await routes.session.handleRefresh(req, res, body, uuid, name);
     return;
   }
 
-  // Profile lookup by username
-  if (urlPath.startsWith('/profile/username/')) {
-    const lookupUsername = decodeURIComponent(urlPath.replace('/profile/username/', ''));
-    await routes.account.handleProfileLookupByUsername(req, res, lookupUsername, headers);
+  if (urlPath.includes('/game-profile')) {
+    await routes.account.handleGameProfile(req, res, body, uuid, name);
     return;
   }
 
-  // Profile endpoint
   if (urlPath.includes('/profile') || urlPath.includes('/user') || urlPath.includes('/me')) {
     routes.account.handleProfile(req, res, body, uuid, name);
     return;
   }
 
-  // Cosmetics endpoint
   if (urlPath.includes('/cosmetic') || urlPath.includes('/unlocked') || urlPath.includes('/inventory')) {
     routes.account.handleCosmetics(req, res, body, uuid, name);
     return;
   }
 
-  // Telemetry endpoint
-  if (urlPath.includes('/telemetry') || urlPath.includes('/analytics') || urlPath.includes('/event')) {
+  if (urlPath.includes('/analytics') || urlPath.includes('/event')) {
     sendJson(res, 200, { success: true, received: true });
     return;
   }
 
-  // Catch-all - return comprehensive response that might satisfy various requests
-  console.log(`Unknown endpoint: ${urlPath}`);
+  // Anything else: a response that might satisfy various requests
+  if (!accounts.isOpen()) {
+    // Only the open provider hands out tokens without credentials
+    sendJson(res, 404, { error: 'not_found', error_description: `Unknown endpoint: ${urlPath}` });
+    return;
+  }
   const requestHost = req.headers.host;
   const authGrant = auth.generateAuthorizationGrant(uuid, name, crypto.randomUUID(), null, requestHost);
-  const accessToken = auth.generateIdentityToken(uuid, name, null, ['game.base'], requestHost);
+  const accessToken = auth.generateIdentityToken(uuid, name, null, await profiles.getProfileEntitlements(uuid), requestHost);
   sendJson(res, 200, {
     success: true,
     identityToken: accessToken,
@@ -368,14 +356,40 @@ async function routeRequest(req, res, url, urlPath, body, uuid, name, tokenScope
   });
 }
 
+/**
+ * Refuse to start with settings that would silently weaken security
+ * @throws {Error} Describing the first invalid setting
+ */
+function validateConfig() {
+  if (!CERT_BINDING_MODES.includes(config.certBindingMode)) {
+    throw new Error(`Invalid CERT_BINDING_MODE '${config.certBindingMode}' (expected ${CERT_BINDING_MODES.join(' or ')})`);
+  }
+  // Resolved on every request: an unknown provider would fail them all
+  const providers = accounts.getProviderNames();
+  if (!providers.includes(config.accountAuthProvider)) {
+    throw new Error(`Invalid ACCOUNT_AUTH_PROVIDER '${config.accountAuthProvider}' (expected one of: ${providers.join(', ')})`);
+  }
+}
+
+/**
+ * Start the periodic jobs one process runs for the whole cluster
+ */
+function scheduleMaintenance() {
+  usernames.scheduleUsernameRelease();
+  metrics.scheduleTimeseriesSampling();
+  metrics.scheduleServerMetricsPruning();
+}
+
 /**
  * Initialize and start the server
  */
 async function startServer() {
-  console.log('=== Hytale Auth Server ===');
-  console.log(`Domain: ${config.domain}`);
-  console.log(`Data directory: ${config.dataDir}`);
-  console.log(`Assets path: ${config.assetsPath}`);
+  validateConfig();
+
+  log.info('=== Hytale Auth Server ===');
+  log.info(`Domain: ${config.domain}`);
+  log.info(`Data directory: ${config.dataDir}`);
+  log.info(`Assets path: ${config.assetsPath}`);
 
   // Pre-load cosmetics
   assets.preloadCosmetics();
@@ -383,32 +397,62 @@ async function startServer() {
   // Connect to Redis
   await connectRedis();
 
-  // Create HTTP server
-  const server = http.createServer(handleRequest);
+  // Pick up signing key rotations made by other processes
+  auth.watchKeyFile();
+  if (!cluster.isWorker) {
+    auth.scheduleKeyRotation();
+  }
+
+  // Alert rules (with workers, the primary evaluates them)
+  if (!cluster.isWorker) {
+    alerts.scheduleAlertEvaluation();
+  }
+
+  // Username registry maintenance, metrics history sampling and pruning
+  // (with workers, the primary runs them)
+  if (!cluster.isWorker) {
+    scheduleMaintenance();
+  }
+
+  // Create HTTP server, or HTTPS with optional client certificates when TLS is configured
+  let server;
+  if (config.tlsKeyFile && config.tlsCertFile) {
+    server = https.createServer({
+      key: fs.readFileSync(config.tlsKeyFile),
+      cert: fs.readFileSync(config.tlsCertFile),
+      ca: config.tlsCaFile ? fs.readFileSync(config.tlsCaFile) : undefined,
+      requestCert: true,
+      // Certificates are only used for token binding, not to authenticate the connection
+      rejectUnauthorized: false
+    }, handleRequest);
+    log.info('TLS enabled (client certificates requested)');
+  } else {
+    server = http.createServer(handleRequest);
+  }
+  log.info(`Certificate binding: ${config.certBindingMode}`);
+  log.info(`Account auth provider: ${config.accountAuthProvider}`);
   server.listen(config.port, '0.0.0.0', () => {
     const workerId = cluster.isWorker ? `Worker ${cluster.worker.id}` : 'Main';
-    console.log(`[${workerId}] Server running on port ${config.port}`);
-    console.log(`[${workerId}] Redis: ${isConnected() ? 'connected' : 'NOT CONNECTED'}`);
+    log.info(`[${workerId}] Server running on port ${config.port}`);
+    log.info(`[${workerId}] Redis: ${isConnected() ? 'connected' : 'NOT CONNECTED'}`);
 
     // Only show endpoints once (first worker or single process)
     if (!cluster.isWorker || cluster.worker.id === 1) {
-      console.log(`Endpoints:`);
+      log.info(`Endpoints:`);
       // For domains > 10 chars, use unified endpoint; otherwise show subdomains
       if (config.domain.length > 10) {
-        console.log(`  - ${config.domain} (unified endpoint)`);
+        log.info(`  - ${config.domain} (unified endpoint)`);
       } else {
-        console.log(`  - sessions.${config.domain}`);
-        console.log(`  - account-data.${config.domain}`);
-        console.log(`  - telemetry.${config.domain}`);
+        log.info(`  - sessions.${config.domain}`);
+        log.info(`  - account-data.${config.domain}`);
+        log.info(`  - telemetry.${config.domain}`);
+      }
+      for (const { label, patterns } of router.describe()) {
+        log.info(`  - ${label}: ${patterns.join(', ')}`);
+      }
+      if (config.compatCatchAll) {
+        log.info(`  - Compat catch-all: enabled (unknown paths are not 404)`);
       }
-      console.log(`  - Avatar viewer: /avatar/{uuid}`);
-      console.log(`  - Avatar customizer: /customizer/{uuid}`);
-      console.log(`  - Cosmetics list: /cosmetics/list`);
-      console.log(`  - Asset extraction: /asset/{path}`);
-      console.log(`  - Admin dashboard: /admin`);
-      console.log(`  - Admin API: /admin/sessions, /admin/stats`);
-      console.log(`  - Server auto-auth: /server/auto-auth`);
-      console.log(`  - OAuth device flow: /oauth2/device/auth, /oauth2/token`);
     }
   });
 }
@@ -418,24 +462,41 @@ async function startServer() {
  */
 function run() {
   if (cluster.isPrimary && config.workers > 1) {
-    console.log(`Primary ${process.pid} starting ${config.workers} workers...`);
+    try {
+      validateConfig();
+    } catch (err) {
+      log.error('Failed to start server', { error: err.message });
+      process.exit(1);
+    }
+
+    log.info(`Primary ${process.pid} starting ${config.workers} workers...`);
+
+    // Key rotation runs in the primary only; workers reload the key file
+    auth.scheduleKeyRotation();
+
+    // Alert rules and maintenance jobs run in the primary only, so each alert
+    // is sent once and restarted workers cannot lose the jobs
+    connectRedis().then(() => {
+      alerts.scheduleAlertEvaluation();
+      scheduleMaintenance();
+    });
 
     for (let i = 0; i < config.workers; i++) {
       cluster.fork();
     }
 
     cluster.on('exit', (worker, code, signal) => {
-      console.log(`Worker ${worker.process.pid} died (${signal || code}). Restarting...`);
+      log.warn(`Worker ${worker.process.pid} died (${signal || code}). Restarting...`);
       cluster.fork();
     });
 
     cluster.on('online', (worker) => {
-      console.log(`Worker ${worker.process.pid} is online`);
+      log.info(`Worker ${worker.process.pid} is online`);
     });
   } else {
     // Worker process or single-process mode
     startServer().catch(err => {
-      console.error('Failed to start server:', err);
+      log.error('Failed to start server', { error: err.stack || err.message });
       process.exit(1);
     });
   }
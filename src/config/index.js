@@ -8,6 +8,14 @@ const config = {
   domain: process.env.DOMAIN || 'nostep.xyz',
   workers: parseInt(process.env.WORKERS) || Math.min(os.cpus().length, 4),
 
+  // Logging: default level (debug, info, warn, error), per-module overrides
+  // ("assets=warn,session=debug") and output format ('text' or 'json' lines)
+  logLevel: process.env.LOG_LEVEL || 'info',
+  logLevels: Object.fromEntries((process.env.LOG_LEVELS || '').split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([module, level]) => module && level)),
+  logFormat: process.env.LOG_FORMAT === 'json' ? 'json' : 'text',
+
   // Paths
   dataDir: process.env.DATA_DIR || '/app/data',
   assetsPath: process.env.ASSETS_PATH || '/app/assets/Assets.zip',
@@ -19,11 +27,106 @@ const config = {
   adminPassword: process.env.ADMIN_PASSWORD || 'test',
   adminTokenTtl: 86400, // 24 hours in seconds
 
-  // Session
-  sessionTtl: 36000, // 10 hours in seconds
+  // Token lifetimes in seconds, per token type
+  tokenTtl: {
+    identity: parseInt(process.env.IDENTITY_TOKEN_TTL ?? '36000'), // 10 hours
+    session: parseInt(process.env.SESSION_TOKEN_TTL ?? '36000'), // 10 hours
+    authGrant: parseInt(process.env.AUTH_GRANT_TTL ?? '300'), // 5 minutes
+    access: parseInt(process.env.ACCESS_TOKEN_TTL ?? '36000'), // 10 hours
+    server: parseInt(process.env.SERVER_TOKEN_TTL ?? '36000') // 10 hours
+  },
+  refreshTokenTtl: 2592000, // 30 days in seconds
+
+  // Usernames are released after this many days without activity (0 keeps them forever)
+  usernameReleaseDays: parseInt(process.env.USERNAME_RELEASE_DAYS ?? '90'),
+  usernameReleaseCheckInterval: 3600000, // 1 hour in milliseconds
+  // Name changes: days between changes, and days an old name stays held for its owner
+  usernameChangeCooldownDays: parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS ?? '30'),
+  usernameGraceDays: parseInt(process.env.USERNAME_GRACE_DAYS ?? '14'),
+
+  // Game profiles an account may own (including its default profile)
+  maxProfilesPerAccount: parseInt(process.env.MAX_PROFILES_PER_ACCOUNT ?? '3'),
+
+  // Entitlements every player account / game server has without a stored grant
+  defaultEntitlements: (process.env.DEFAULT_ENTITLEMENTS ?? 'game.base').split(',').map(e => e.trim()).filter(Boolean),
+  serverEntitlements: (process.env.SERVER_ENTITLEMENTS ?? 'game.base,server.host').split(',').map(e => e.trim()).filter(Boolean),
+
+  // Largest request body accepted, in bytes (after decompression)
+  maxBodySize: parseInt(process.env.MAX_BODY_SIZE ?? '1048576'),
+
+  // Telemetry: seconds a heartbeat keeps a player active, and per-player history limits
+  activePlayerTtl: parseInt(process.env.ACTIVE_PLAYER_TTL ?? '300'),
+  telemetryRetentionDays: parseInt(process.env.TELEMETRY_RETENTION_DAYS ?? '30'),
+  telemetryMaxSessions: parseInt(process.env.TELEMETRY_MAX_SESSIONS ?? '100'),
+  telemetryMaxEvents: parseInt(process.env.TELEMETRY_MAX_EVENTS ?? '1000'),
+  telemetryBatchMaxRecords: parseInt(process.env.TELEMETRY_BATCH_MAX_RECORDS ?? '500'),
+  telemetryDedupTtl: 86400, // seconds a player's (session_id, sequence) pair is remembered
+
+  // Metrics history for the admin charts: 'victoriametrics', 'embedded' (Redis,
+  // for single-box setups) or 'auto' (VictoriaMetrics, falling back to the
+  // embedded store for series it has no data for)
+  metricsBackend: process.env.METRICS_BACKEND || 'auto',
+  // Embedded store resolutions, finest first: seconds per sample, seconds kept
+  timeseriesResolutions: [
+    { step: 15, retention: parseInt(process.env.TIMESERIES_RAW_RETENTION ?? '86400') }, // 1 day
+    { step: 300, retention: parseInt(process.env.TIMESERIES_ROLLUP_RETENTION ?? '2592000') } // 30 days
+  ],
+  // Servers with their own series in per-server metrics; the rest are summed as 'other'
+  serverMetricsTopN: parseInt(process.env.SERVER_METRICS_TOP_N ?? '10'),
+
+  // Alerting: milliseconds between rule evaluations, notifiers used by rules
+  // that name none, and where the webhook notifier POSTs
+  alertEvaluationInterval: parseInt(process.env.ALERT_EVALUATION_INTERVAL ?? '15') * 1000,
+  alertNotifiers: (process.env.ALERT_NOTIFIERS ?? (process.env.ALERT_WEBHOOK_URL ? 'log,banner,webhook' : 'log,banner'))
+    .split(',').map(n => n.trim()).filter(Boolean),
+  alertWebhookUrl: process.env.ALERT_WEBHOOK_URL || null,
 
   // JWT
-  keyId: '2025-10-01-fable',
+  keyId: '2025-10-01-fable', // kid of the original single key (pre key ring)
+  keyRotationInterval: parseInt(process.env.KEY_ROTATION_DAYS ?? '30') * 86400, // seconds, 0 disables
+  keyRotationCheckInterval: 3600000, // 1 hour in milliseconds
+  tokenClockSkew: 60, // seconds of leeway for exp/nbf/iat checks
+
+  // Certificate-bound access tokens (cnf x5t#S256)
+  // 'off' ignores bindings, 'enforce' rejects bound tokens without the matching client cert
+  certBindingMode: process.env.CERT_BINDING_MODE || 'off',
+  // Proxies allowed to forward the client cert fingerprint in clientCertHeader
+  trustedProxies: (process.env.TRUSTED_PROXIES || '').split(',').map(ip => ip.trim()).filter(Boolean),
+  clientCertHeader: (process.env.CLIENT_CERT_HEADER || 'x-client-cert-fingerprint').toLowerCase(),
+
+  // Rate limits: a token bucket per route group and key, shared by all workers
+  // through Redis. Each bucket holds `burst` requests and refills `perMinute`
+  // of them a minute. Keys are the client IP, the verified player uuid or the
+  // verified server audience (both fall back to the IP). burst 0 turns a group off.
+  rateLimitEnabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  rateLimits: {
+    adminLogin: { burst: 5, perMinute: 5, key: 'ip' }, // /admin/login
+    session: { burst: 20, perMinute: 20, key: 'ip' }, // game session creation, refresh and child sessions
+    oauth: { burst: 30, perMinute: 30, key: 'ip' }, // server auto-auth and the device flow
+    authGrant: { burst: 30, perMinute: 30, key: 'uuid' }, // players asking to join servers
+    tokenExchange: { burst: 120, perMinute: 120, key: 'audience' }, // servers redeeming auth grants
+    assets: { burst: 60, perMinute: 60, key: 'ip' }, // /asset/* extraction
+    telemetry: { burst: 60, perMinute: 60, key: 'uuid' }, // client telemetry, single records and batches
+  },
+  // Client IPs (or IPv4 CIDR ranges) never rate limited, e.g. trusted game servers
+  rateLimitAllowlist: (process.env.RATE_LIMIT_ALLOWLIST || '').split(',').map(ip => ip.trim()).filter(Boolean),
+
+  // Account authentication for session creation: open, password, launcher-key or oidc
+  // 'open' keeps F2P behavior (clients choose their own uuid/name)
+  accountAuthProvider: process.env.ACCOUNT_AUTH_PROVIDER || 'open',
+  oidcIssuer: process.env.OIDC_ISSUER || null,
+  oidcClientId: process.env.OIDC_CLIENT_ID || null,
+  oidcUsernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+
+  // Answer unknown paths the way the original catch-all did (guess the handler
+  // from the path, and with the open provider mint tokens for anything else).
+  // Off by default: unknown paths get 404.
+  compatCatchAll: process.env.COMPAT_CATCH_ALL === 'true',
+
+  // TLS (optional - serve HTTPS directly and request client certificates)
+  tlsKeyFile: process.env.TLS_KEY_FILE || null,
+  tlsCertFile: process.env.TLS_CERT_FILE || null,
+  tlsCaFile: process.env.TLS_CA_FILE || null,
 
   // Cache
   headCacheTtl: 3600000, // 1 hour in milliseconds
@@ -32,17 +135,66 @@ const config = {
   redisKeys: {
     SESSION: 'session:',
     AUTH_GRANT: 'authgrant:',
+    AUTH_GRANT_USED: 'authgrantused:',
     USER: 'user:',
     SERVER_PLAYERS: 'server:',
     PLAYER_SERVER: 'player:',
     USERNAME: 'username:',
     SERVER_NAME: 'servername:',
     ADMIN_TOKEN: 'admintoken:',
+    REVOKED_JTI: 'revoked:jti:',
+    REVOKED_USER: 'revoked:user:',
+    REVOKED_AUDIENCE: 'revoked:aud:',
+    REVOCATION_INDEX: 'revocations:',
+    REFRESH_TOKEN: 'refresh:',
+    REFRESH_USED: 'refreshused:',
+    TOKEN_FAMILY: 'tokenfamily:',
+    TOKEN_FAMILY_OF: 'tokenfamilyof:',
+    USERNAME_OWNER: 'nameowner:',
+    USERNAME_ACTIVITY: 'nameactivity',
+    USERNAME_RESERVED: 'namereserved:',
+    USERNAME_BLOCKED: 'nameblocklist',
+    USERNAME_BACKFILLED: 'nameregistry:backfilled',
+    USERNAME_HELD: 'nameheld',
+    USERNAME_HISTORY: 'namehistory:',
+    ACCOUNT: 'account:',
+    ACCOUNT_LOGIN: 'accountlogin:',
+    LAUNCHER_KEY: 'launcherkey:',
+    PROFILE: 'profile:',
+    ACCOUNT_PROFILES: 'accountprofiles:',
+    ENTITLEMENTS: 'entitlements:',
+    ACTIVE_PLAYERS: 'active:players',
+    PLAYERS_WITH_HARDWARE: 'players:with_hardware',
+    PLAYER_STATE: 'playerstate:',
+    PLAYER_SESSIONS: 'playersessions:',
+    PLAYER_EVENTS: 'playerevents:',
+    TELEMETRY_SEEN: 'telemetryseen:',
+    TIMESERIES: 'metrics:ts:',
+    ALERT_RULES: 'alertrules',
+    ALERT_STATE: 'alertstate',
+    ALERT_BANNER: 'alertbanner',
+    RATE_LIMIT: 'ratelimit:',
   },
 };
 
+// Rate limit overrides: RATE_LIMITS="assets=120/60,authGrant=10/10/ip" (burst/perMinute[/key])
+for (const entry of (process.env.RATE_LIMITS || '').split(',')) {
+  const [group, spec] = entry.split('=').map(part => part.trim());
+  if (!group || !spec) continue;
+  const [burst, perMinute, key] = spec.split('/').map(part => part.trim());
+  const limit = config.rateLimits[group] || { burst: 0, perMinute: 0, key: 'ip' };
+  config.rateLimits[group] = {
+    burst: parseInt(burst) || 0,
+    perMinute: parseFloat(perMinute) || limit.perMinute,
+    key: key || limit.key
+  };
+}
+
 // Derived paths
 config.keyFile = path.join(config.dataDir, 'jwt_keys.json');
+config.tenantsFile = process.env.TENANTS_FILE || path.join(config.dataDir, 'tenants.json');
+config.alertRulesFile = process.env.ALERT_RULES_FILE || path.join(config.dataDir, 'alert-rules.json');
+config.profanityFile = process.env.PROFANITY_FILE || path.join(config.dataDir, 'profanity.txt');
 config.headCacheDir = path.join(config.dataDir, 'head-cache');
 config.downloadsDir = process.env.DOWNLOADS_DIR || path.join(config.dataDir, 'downloads');
 
@@ -1,6 +1,16 @@
 const crypto = require('crypto');
+const zlib = require('zlib');
+const config = require('../config');
 const storage = require('../services/storage');
 const auth = require('../services/auth');
+const tenants = require('../services/tenants');
+const accounts = require('../services/accounts');
+const metrics = require('../services/metrics');
+const rateLimits = require('../services/rateLimit');
+const { sendJson } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('middleware');
 
 /**
  * Apply CORS headers to response
@@ -9,6 +19,7 @@ function corsHeaders(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining');
 }
 
 /**
@@ -21,39 +32,111 @@ function handleOptions(req, res) {
 }
 
 /**
- * Parse JSON body from request
+ * Error raised when a request body cannot be read
+ */
+class BodyError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'BodyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Decompress a body according to its Content-Encoding
+ * @throws {BodyError}
  */
-function parseBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
+function decodeBody(buffer, encoding, limit) {
+  const options = { maxOutputLength: limit };
+  try {
+    if (encoding === 'gzip' || encoding === 'x-gzip') return zlib.gunzipSync(buffer, options);
+    if (encoding === 'deflate') return zlib.inflateSync(buffer, options);
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new BodyError(413, 'payload_too_large', `Decompressed body exceeds ${limit} bytes`);
+    }
+    throw new BodyError(400, 'invalid_body', `Body is not valid ${encoding} data`);
+  }
+  throw new BodyError(415, 'unsupported_encoding', `Content-Encoding ${encoding} is not supported`);
+}
+
+/**
+ * Parse JSON (or form-encoded, for OAuth endpoints) body from request
+ *
+ * gzip and deflate Content-Encoding are decompressed. Malformed JSON, and
+ * JSON that is not an object or array, parses as an empty body, but bodies over the size limit (before or after
+ * decompression) or with an unknown encoding reject with a BodyError.
+ *
+ * @param {Object} [options] - { limit } in bytes (config.maxBodySize by default)
+ */
+function parseBody(req, { limit = config.maxBodySize } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      // Keep draining so the response can still be sent, but stop buffering
+      if (size <= limit) chunks.push(chunk);
+    });
     req.on('end', () => {
+      if (size > limit) {
+        return reject(new BodyError(413, 'payload_too_large', `Body exceeds ${limit} bytes`));
+      }
+
+      let buffer = Buffer.concat(chunks);
+      const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+      if (buffer.length > 0 && encoding !== 'identity') {
+        try {
+          buffer = decodeBody(buffer, encoding, limit);
+        } catch (e) {
+          return reject(e);
+        }
+      }
+
+      const body = buffer.toString('utf8');
       try {
-        resolve(body ? JSON.parse(body) : {});
+        if (!body) {
+          resolve({});
+        } else if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+          resolve(Object.fromEntries(new URLSearchParams(body)));
+        } else {
+          // Handlers expect an object (or an array, for batches); anything else is an empty body
+          const parsed = JSON.parse(body);
+          resolve(parsed !== null && typeof parsed === 'object' ? parsed : {});
+        }
       } catch (e) {
         resolve({});
       }
     });
+    req.on('error', reject);
   });
 }
 
 /**
  * Extract user context from request (UUID, name from body or token)
+ *
+ * The body's uuid/name are only trusted with the open account provider;
+ * otherwise identity comes from a verified token (or account credentials,
+ * checked by the session handlers).
  */
-function extractUserContext(body, headers) {
-  let uuid = body.uuid || crypto.randomUUID();
-  let name = body.name || null;
+async function extractUserContext(body, headers) {
+  const trustBody = accounts.isOpen();
+  let uuid = (trustBody && typeof body.uuid === 'string' && body.uuid) || crypto.randomUUID();
+  let name = (trustBody && typeof body.name === 'string' && body.name) || null;
   let tokenScope = null;
 
   // If we have a valid name from body (not 'Player'), cache it immediately
   if (uuid && name && name !== 'Player') {
     storage.setCachedUsername(uuid, name);
-    console.log(`Cached username from body for UUID ${uuid}: ${name}`);
+    log.debug(`Cached username from body for UUID ${uuid}: ${name}`);
   }
 
-  // Extract UUID and name from Authorization header
+  // Extract UUID and name from Authorization header (only if the token verifies)
   if (headers && headers.authorization) {
-    const tokenData = auth.parseToken(headers.authorization.replace('Bearer ', ''));
+    const tokenData = await auth.parseVerifiedToken(headers.authorization.replace('Bearer ', ''), {
+      tenant: tenants.resolveTenant(headers.host)
+    });
     if (tokenData) {
       if (tokenData.uuid) uuid = tokenData.uuid;
       tokenScope = tokenData.scope;
@@ -61,10 +144,9 @@ function extractUserContext(body, headers) {
       // Cache token name if it's valid and from a player token
       if (uuid && tokenData.name && tokenData.name !== 'Player' && tokenScope &&
           (tokenScope.includes('hytale:client') || tokenScope.includes('hytale:editor'))) {
-        storage.setCachedUsername(uuid, tokenData.name);
-        console.log(`Cached username from token for UUID ${uuid}: ${tokenData.name}`);
+        log.debug(`Using username from token for UUID ${uuid}: ${tokenData.name}`);
         name = tokenData.name;
-        // Persist to storage
+        // Persist to storage (caches it unless the player has since changed names)
         storage.persistUsername(uuid, tokenData.name);
       }
     }
@@ -75,7 +157,7 @@ function extractUserContext(body, headers) {
     const cachedName = storage.getCachedUsername(uuid);
     if (cachedName) {
       name = cachedName;
-      console.log(`Using cached username for UUID ${uuid}: ${name}`);
+      log.debug(`Using cached username for UUID ${uuid}: ${name}`);
     }
   }
 
@@ -90,6 +172,90 @@ function extractUserContext(body, headers) {
   return { uuid, name, tokenScope };
 }
 
+/**
+ * Normalize a certificate SHA-256 fingerprint to base64url (x5t#S256 form)
+ * Accepts base64url/base64 or hex with optional colons.
+ */
+function normalizeCertFingerprint(fingerprint) {
+  if (!fingerprint || typeof fingerprint !== 'string') return null;
+
+  const value = fingerprint.trim();
+  const hex = value.replace(/:/g, '');
+  if (/^[0-9a-fA-F]{64}$/.test(hex)) {
+    return Buffer.from(hex, 'hex').toString('base64url');
+  }
+
+  const bytes = Buffer.from(value.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''), 'base64url');
+  return bytes.length === 32 ? bytes.toString('base64url') : null;
+}
+
+/**
+ * Get the client certificate fingerprint for a request
+ *
+ * Uses the TLS peer certificate when we terminate TLS ourselves, otherwise
+ * the fingerprint header - but only from a trusted proxy.
+ */
+function getClientCertFingerprint(req) {
+  const socket = req.socket;
+
+  if (socket && typeof socket.getPeerCertificate === 'function') {
+    const cert = socket.getPeerCertificate();
+    if (cert && cert.raw) {
+      return crypto.createHash('sha256').update(cert.raw).digest('base64url');
+    }
+  }
+
+  const remoteAddress = (socket?.remoteAddress || '').replace(/^::ffff:/, '');
+  if (config.trustedProxies.includes(remoteAddress)) {
+    return normalizeCertFingerprint(req.headers[config.clientCertHeader]);
+  }
+
+  return null;
+}
+
+/**
+ * Enforce certificate binding for bound access tokens
+ *
+ * When CERT_BINDING_MODE=enforce, a Bearer token carrying cnf['x5t#S256']
+ * is only accepted together with the matching client certificate.
+ * Sends a 401 and returns false when the request must be rejected.
+ */
+function enforceCertBinding(req, res) {
+  if (config.certBindingMode !== 'enforce') return true;
+
+  const authorization = req.headers.authorization;
+  if (!authorization) return true;
+
+  let payload;
+  try {
+    payload = auth.verifyToken(authorization.replace('Bearer ', ''));
+  } catch (e) {
+    return true; // Not a valid token of ours - routes deal with that
+  }
+
+  const boundFingerprint = normalizeCertFingerprint(payload.cnf?.['x5t#S256']);
+  if (!boundFingerprint) return true;
+
+  const presented = getClientCertFingerprint(req);
+  if (presented === boundFingerprint) {
+    metrics.incCounter('cert_binding', { result: 'match' });
+    return true;
+  }
+
+  const result = presented ? 'mismatch' : 'missing';
+  metrics.incCounter('cert_binding', { result });
+  log.info(`Certificate binding ${result} for ${payload.sub} on ${req.url}`);
+
+  res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token", error_description="certificate binding mismatch"');
+  sendJson(res, 401, {
+    error: 'invalid_token',
+    error_description: presented
+      ? 'Client certificate does not match the token binding'
+      : 'Token is certificate-bound; present the bound client certificate'
+  });
+  return false;
+}
+
 /**
  * Verify admin token from headers
  */
@@ -99,10 +265,96 @@ async function verifyAdminAuth(headers) {
   return await storage.verifyAdminToken(token);
 }
 
+/**
+ * Route middleware: reject requests without a valid admin token
+ * @returns {Promise<boolean>} False if a 401 was sent
+ */
+async function requireAdmin(ctx) {
+  if (await verifyAdminAuth(ctx.headers)) return true;
+  sendJson(ctx.res, 401, { error: 'Unauthorized. Please login at /admin' });
+  return false;
+}
+
+/**
+ * Get the client IP for rate limiting
+ *
+ * Forwarding headers are only believed from a trusted proxy - anyone else
+ * could pick a fresh X-Forwarded-For for every request.
+ */
+function getTrustedClientIp(req) {
+  const remoteAddress = (req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+  if (config.trustedProxies.includes(remoteAddress)) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (forwardedFor) return forwardedFor.split(',')[0].trim();
+    if (req.headers['x-real-ip']) return req.headers['x-real-ip'];
+  }
+  return remoteAddress || 'unknown';
+}
+
+/**
+ * Resolve the bucket key of a rate-limited request
+ * Player uuids and server audiences only count when a token verified them;
+ * anything else is limited by IP.
+ */
+async function getRateLimitKey(kind, ctx, ip) {
+  if (kind === 'uuid' && ctx.tokenScope && ctx.uuid) {
+    return `uuid:${ctx.uuid}`;
+  }
+  if (kind === 'audience') {
+    const audience = await auth.extractServerAudienceFromHeaders(ctx.headers);
+    if (audience) return `aud:${audience}`;
+  }
+  return `ip:${ip}`;
+}
+
+/**
+ * Route middleware factory: limit a route group to config.rateLimits[group]
+ * Sends a 429 with Retry-After and returns false once the bucket is empty.
+ * @param {string} group - Route group in config.rateLimits
+ * @returns {function(Object): Promise<boolean>}
+ */
+function rateLimit(group) {
+  return async (ctx) => {
+    const limit = config.rateLimits[group];
+    if (!config.rateLimitEnabled || !limit || !(limit.burst > 0)) return true;
+
+    const ip = getTrustedClientIp(ctx.req);
+    if (rateLimits.isAllowlisted(ip)) return true;
+
+    const key = await getRateLimitKey(limit.key, ctx, ip);
+    const result = await rateLimits.take(group, key);
+    if (result.limit) {
+      ctx.res.setHeader('X-RateLimit-Limit', result.limit);
+      ctx.res.setHeader('X-RateLimit-Remaining', result.remaining);
+    }
+    if (result.allowed) {
+      metrics.incCounter('rate_limit', { group, result: 'allowed' });
+      return true;
+    }
+
+    metrics.incCounter('rate_limit', { group, result: 'limited' });
+    log.warn(`Rate limited ${group} for ${key}`, { path: ctx.path, retryAfter: result.retryAfter });
+
+    ctx.res.setHeader('Retry-After', String(result.retryAfter));
+    sendJson(ctx.res, 429, {
+      error: 'rate_limited',
+      error_description: `Too many requests, retry in ${result.retryAfter}s`
+    });
+    return false;
+  };
+}
+
 module.exports = {
+  BodyError,
   corsHeaders,
   handleOptions,
   parseBody,
   extractUserContext,
+  normalizeCertFingerprint,
+  getClientCertFingerprint,
+  enforceCertBinding,
   verifyAdminAuth,
+  requireAdmin,
+  getTrustedClientIp,
+  rateLimit,
 };
@@ -1,6 +1,13 @@
 const storage = require('../services/storage');
 const assets = require('../services/assets');
+const auth = require('../services/auth');
+const tenants = require('../services/tenants');
+const usernames = require('../services/usernames');
+const profiles = require('../services/profiles');
 const { sendJson, sendNoContent } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('account');
 
 /**
  * Profile endpoint
@@ -22,8 +29,8 @@ function handleProfile(req, res, body, uuid, name) {
  */
 async function handleProfileLookupByUuid(req, res, lookupUuid, headers) {
   const { extractServerAudienceFromHeaders } = require('../services/auth');
-  const serverAudience = extractServerAudienceFromHeaders(headers);
-  console.log('Profile lookup by UUID:', lookupUuid, serverAudience ? `(server: ${serverAudience})` : '(no server context)');
+  const serverAudience = await extractServerAudienceFromHeaders(headers);
+  log.debug(`Profile lookup by UUID: ${lookupUuid}`, { server: serverAudience || null });
 
   let username = null;
 
@@ -33,7 +40,7 @@ async function handleProfileLookupByUuid(req, res, lookupUuid, headers) {
     const activePlayer = players.find(p => p.uuid === lookupUuid);
     if (activePlayer) {
       username = activePlayer.username;
-      console.log(`Found active player on server: ${username}`);
+      log.debug(`Found active player on server: ${username}`);
     }
   }
 
@@ -50,7 +57,7 @@ async function handleProfileLookupByUuid(req, res, lookupUuid, headers) {
   // If not found, return a generic name based on UUID
   if (!username) {
     username = `Player_${lookupUuid.substring(0, 8)}`;
-    console.log(`UUID ${lookupUuid} not found in records, returning generic name`);
+    log.debug(`UUID ${lookupUuid} not found in records, returning generic name`);
   }
 
   sendJson(res, 200, {
@@ -61,81 +68,109 @@ async function handleProfileLookupByUuid(req, res, lookupUuid, headers) {
 
 /**
  * Profile lookup by username - used by ProfileServiceClient.getProfileByUsername()
+ *
+ * Answered from the username registry: each name is owned case-insensitively
+ * by exactly one UUID, so the answer no longer depends on which server asks
+ * or who was seen most recently.
  */
 async function handleProfileLookupByUsername(req, res, lookupUsername, headers) {
-  const { extractServerAudienceFromHeaders } = require('../services/auth');
-  const serverAudience = extractServerAudienceFromHeaders(headers);
-  console.log('Profile lookup by username:', lookupUsername, serverAudience ? `(server: ${serverAudience})` : '(no server context)');
+  log.debug(`Profile lookup by username: ${lookupUsername}`);
 
-  // PRIORITY 1: Check active players on this specific server
-  if (serverAudience) {
-    const serverMatches = await storage.findPlayerOnServer(serverAudience, lookupUsername);
-    if (serverMatches.length === 1) {
-      console.log(`Found unique player "${lookupUsername}" on server ${serverAudience}: ${serverMatches[0].uuid}`);
-      sendJson(res, 200, {
-        uuid: serverMatches[0].uuid,
-        username: serverMatches[0].username
-      });
-      return;
-    } else if (serverMatches.length > 1) {
-      console.log(`Multiple players with username "${lookupUsername}" on server ${serverAudience}, returning first: ${serverMatches[0].uuid}`);
-      sendJson(res, 200, {
-        uuid: serverMatches[0].uuid,
-        username: serverMatches[0].username
-      });
-      return;
-    }
-    console.log(`Player "${lookupUsername}" not found on server ${serverAudience}, searching globally`);
+  const ownerUuid = await storage.getUsernameOwner(lookupUsername);
+  if (!ownerUuid) {
+    log.debug(`Username not found: ${lookupUsername}`);
+    sendJson(res, 404, {
+      error: 'Profile not found',
+      message: `No profile found for username: ${lookupUsername}`
+    });
+    return;
   }
 
-  // PRIORITY 2: Global search
-  const matches = [];
-
-  // Get all active sessions and search
-  const { sessions } = await storage.getAllActiveSessions();
-  for (const session of sessions) {
-    if (session.username && session.username.toLowerCase() === lookupUsername.toLowerCase()) {
-      if (!matches.find(m => m.uuid === session.uuid)) {
-        matches.push({
-          uuid: session.uuid,
-          username: session.username,
-          lastSeen: session.createdAt || new Date().toISOString()
-        });
-      }
-    }
-  }
+  const username = await storage.getUsername(ownerUuid) || lookupUsername;
+  sendJson(res, 200, {
+    uuid: ownerUuid,
+    username: username
+  });
+}
+
+/**
+ * Name history by UUID - GET /profile/uuid/{uuid}/names
+ */
+async function handleUsernameHistory(req, res, lookupUuid) {
+  const history = await storage.getUsernameHistory(lookupUuid);
+  const username = await storage.getUsername(lookupUuid);
 
-  if (matches.length === 0) {
-    console.log('Username not found:', lookupUsername);
+  if (history.length === 0 && !username) {
     sendJson(res, 404, {
       error: 'Profile not found',
-      message: `No profile found for username: ${lookupUsername}`
+      message: `No profile found for UUID: ${lookupUuid}`
     });
     return;
   }
 
-  if (matches.length > 1) {
-    console.log(`Multiple players with username "${lookupUsername}" globally: ${matches.map(m => m.uuid).join(', ')}`);
-    matches.sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+  sendJson(res, 200, {
+    uuid: lookupUuid,
+    username: username,
+    // Names seen before the history was recorded have no change date
+    names: history.length > 0 ? history : [{ name: username, changedAt: null }]
+  });
+}
+
+/**
+ * Require the player's own verified identity or session token for account changes
+ *
+ * Access tokens and auth grants (which carry a server audience) are refused,
+ * so a server a player joined cannot change that player's account.
+ *
+ * @returns {Promise<Object|null>} Token data, or null after sending a 401
+ */
+async function requireToken(req, res) {
+  const authorization = req.headers.authorization;
+  const tokenData = authorization
+    ? await auth.parseVerifiedToken(authorization.replace('Bearer ', ''), {
+      tenant: tenants.resolveTenant(req.headers.host),
+      rejectAudience: true
+    })
+    : null;
+  if (!tokenData || !tokenData.uuid) {
+    sendJson(res, 401, {
+      error: 'invalid_token',
+      error_description: 'A valid session token is required'
+    });
+    return null;
   }
+  return tokenData;
+}
 
-  const bestMatch = matches[0];
-  console.log(`Returning profile for "${lookupUsername}": ${bestMatch.uuid} (${matches.length} total global matches)`);
+/**
+ * Change username - POST /my-account/change-username { username }
+ *
+ * Requires a verified Bearer token. Tokens issued before the change keep the
+ * old name until the session is refreshed or recreated.
+ */
+async function handleChangeUsername(req, res, body) {
+  const tokenData = await requireToken(req, res);
+  if (!tokenData) return;
+
+  const result = await usernames.changeUsername(tokenData.uuid, body.username);
+  if (result.error) {
+    const { status, ...error } = result;
+    sendJson(res, status, error);
+    return;
+  }
 
-  sendJson(res, 200, {
-    uuid: bestMatch.uuid,
-    username: bestMatch.username
-  });
+  storage.setCachedUsername(tokenData.uuid, result.username);
+  sendJson(res, 200, { uuid: tokenData.uuid, ...result });
 }
 
 /**
  * Game profile endpoint
  */
 async function handleGameProfile(req, res, body, uuid, name) {
-  const nextNameChange = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-
   let skin = null;
   const userDataObj = await storage.getUserData(uuid);
+  const nextNameChange = usernames.getNextNameChangeAt(userDataObj).toISOString();
+  const profileEntitlements = await profiles.getProfileEntitlements(uuid);
   if (userDataObj && userDataObj.skin) {
     skin = JSON.stringify(userDataObj.skin);
   }
@@ -147,7 +182,7 @@ async function handleGameProfile(req, res, body, uuid, name) {
 
   sendJson(res, 200, {
     uuid, username: name,
-    entitlements: ["game.base"],
+    entitlements: profileEntitlements,
     createdAt: "2024-01-01T00:00:00Z",
     nextNameChangeAt: nextNameChange,
     skin: skin
@@ -162,7 +197,7 @@ async function handleGameProfile(req, res, body, uuid, name) {
  * Required fields: face, ears, mouth, bodyCharacteristic, underwear, eyes
  */
 async function handleSkin(req, res, body, uuid, name, invalidateHeadCache) {
-  console.log('skin update:', uuid, 'fields:', Object.keys(body).join(', '));
+  log.debug(`Skin update for ${uuid}`, { fields: Object.keys(body) });
 
   const existingData = await storage.getUserData(uuid);
 
@@ -175,7 +210,7 @@ async function handleSkin(req, res, body, uuid, name, invalidateHeadCache) {
   existingData.lastUpdated = new Date().toISOString();
 
   // Log the merge result for debugging
-  console.log('skin merge result:', uuid, 'total fields:', Object.keys(existingData.skin).length);
+  log.debug(`Skin merged for ${uuid}`, { totalFields: Object.keys(existingData.skin).length });
 
   await storage.saveUserData(uuid, existingData);
 
@@ -190,37 +225,63 @@ async function handleSkin(req, res, body, uuid, name, invalidateHeadCache) {
 /**
  * Launcher data endpoint
  */
-function handleLauncherData(req, res, body, uuid, name) {
+async function handleLauncherData(req, res, body, uuid, name) {
+  const accountId = await profiles.getAccountId(uuid);
+  const accountProfiles = await profiles.listProfiles(accountId, uuid === accountId ? name : null);
+
   sendJson(res, 200, {
     EulaAcceptedAt: "2024-01-01T00:00:00Z",
-    Owner: uuid,
+    Owner: accountId,
     Patchlines: {
       PreRelease: { BuildVersion: "1.0.0", Newest: 1 },
       Release: { BuildVersion: "1.0.0", Newest: 1 }
     },
-    Profiles: [{
-      UUID: uuid,
-      Username: name,
-      Entitlements: ["game.base"]
-    }]
+    Profiles: accountProfiles.map(profile => ({
+      UUID: profile.uuid,
+      Username: profile.username,
+      Entitlements: profile.entitlements
+    }))
   });
 }
 
 /**
- * Get profiles endpoint
+ * Get profiles endpoint - lists every profile of the caller's account
  */
-function handleGetProfiles(req, res, body, uuid, name) {
-  console.log('get-profiles:', uuid, name);
+async function handleGetProfiles(req, res, body, uuid, name) {
+  log.debug(`get-profiles: ${uuid} ${name}`);
+
+  const accountId = await profiles.getAccountId(uuid);
+  const accountProfiles = await profiles.listProfiles(accountId, uuid === accountId ? name : null);
 
   sendJson(res, 200, {
-    profiles: [{
-      uuid: uuid,
-      username: name,
-      entitlements: ["game.base"]
-    }]
+    profiles: accountProfiles.map(profile => ({
+      uuid: profile.uuid,
+      username: profile.username,
+      entitlements: profile.entitlements
+    }))
   });
 }
 
+/**
+ * Create profile - POST /my-account/profiles { username }
+ *
+ * Adds a profile to the account of the verified Bearer token's profile.
+ */
+async function handleCreateProfile(req, res, body) {
+  const tokenData = await requireToken(req, res);
+  if (!tokenData) return;
+
+  const accountId = await profiles.getAccountId(tokenData.uuid);
+  const result = await profiles.createProfile(accountId, body.username);
+  if (result.error) {
+    const { status, ...error } = result;
+    sendJson(res, status, error);
+    return;
+  }
+
+  sendJson(res, 201, result.profile);
+}
+
 /**
  * Cosmetics endpoint
  */
@@ -228,12 +289,12 @@ function handleCosmetics(req, res, body, uuid, name) {
   const assetsCosmetics = assets.loadCosmeticsFromAssets();
 
   if (assetsCosmetics && Object.keys(assetsCosmetics).length > 0) {
-    console.log('Returning cosmetics from Assets.zip');
+    log.debug('Returning cosmetics from Assets.zip');
     sendJson(res, 200, assetsCosmetics);
     return;
   }
 
-  console.log('Using fallback cosmetics');
+  log.info('Using fallback cosmetics');
   sendJson(res, 200, assets.getFallbackCosmetics());
 }
 
@@ -241,9 +302,12 @@ module.exports = {
   handleProfile,
   handleProfileLookupByUuid,
   handleProfileLookupByUsername,
+  handleUsernameHistory,
   handleGameProfile,
+  handleChangeUsername,
   handleSkin,
   handleLauncherData,
   handleGetProfiles,
+  handleCreateProfile,
   handleCosmetics,
 };
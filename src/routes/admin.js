@@ -3,7 +3,18 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const storage = require('../services/storage');
+const auth = require('../services/auth');
+const accounts = require('../services/accounts');
+const profiles = require('../services/profiles');
+const usernames = require('../services/usernames');
+const entitlements = require('../services/entitlements');
+const metrics = require('../services/metrics');
+const alerts = require('../services/alerts');
+const requestLogger = require('../services/requestLogger');
 const { sendJson, sendHtml } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('admin');
 
 // Head cache directory for prerender queue check
 const HEAD_CACHE_DIR = config.headCacheDir;
@@ -32,7 +43,7 @@ async function handleAdminLogin(req, res, body) {
     return;
   }
 
-  console.log(`Admin login successful, token: ${token.substring(0, 8)}...`);
+  log.info('Admin login successful');
   sendJson(res, 200, { token });
 }
 
@@ -71,6 +82,7 @@ async function handleAdminStats(req, res) {
     activeSessions: keyCounts.sessions,
     activeServers: keyCounts.servers,
     activePlayers: keyCounts.activePlayers || 0,
+    alerts: await storage.getBannerAlerts(),
     timestamp: new Date().toISOString()
   });
 }
@@ -135,11 +147,476 @@ async function handlePrerenderQueue(req, res) {
       uncached  // Dashboard expects this field name
     });
   } catch (e) {
-    console.error('Error getting prerender queue:', e.message);
+    log.error('Error getting prerender queue', { error: e.message });
     sendJson(res, 500, { error: e.message });
   }
 }
 
+/**
+ * Revoke tokens by jti, user UUID ("sign out everywhere") or server audience
+ * Body: { type: 'jti' | 'user' | 'audience', value, exp? }
+ */
+async function handleAdminRevoke(req, res, body) {
+  const { type, value } = body;
+
+  if (!value || !['jti', 'user', 'audience'].includes(type)) {
+    sendJson(res, 400, { error: "type must be 'jti', 'user' or 'audience' and value is required" });
+    return;
+  }
+
+  let success;
+  if (type === 'jti') {
+    // Without a known expiry, keep the jti revoked for the longest token lifetime
+    const exp = parseInt(body.exp) || Math.floor(Date.now() / 1000) + auth.getMaxTokenLifetime();
+    success = await storage.revokeTokenId(value, exp);
+  } else if (type === 'user') {
+    success = await auth.revokeUserTokens(value);
+  } else {
+    success = await auth.revokeAudienceTokens(value);
+  }
+
+  if (!success) {
+    sendJson(res, 500, { error: 'Failed to store revocation' });
+    return;
+  }
+
+  log.info(`Admin revoked tokens: ${type} ${value}`);
+  sendJson(res, 200, { success: true, type, value });
+}
+
+/**
+ * Metrics history for the admin charts
+ *
+ * GET /admin/api/metrics/timeseries?metric=players&range=1h
+ *
+ * Points come from VictoriaMetrics or the embedded store; `source` says which.
+ */
+async function handleAdminMetricsTimeseries(req, res, url) {
+  const metric = url.searchParams.get('metric');
+  if (!metric) {
+    sendJson(res, 400, { error: 'metric is required' });
+    return;
+  }
+
+  sendJson(res, 200, await metrics.getMetricsFromVM(metric, url.searchParams.get('range') || '1h'));
+}
+
+/**
+ * Request log query
+ *
+ * GET /admin/logs?lines=100&from=&to=&status=&path=&method=&ip=&uuid=&requestId=&filter=
+ *
+ * from/to are ISO dates or epoch ms, status an exact code (404) or a class (4xx),
+ * path a path prefix and filter a substring of the raw entry. Newest first.
+ */
+async function handleAdminLogs(req, res, url) {
+  const { range, error } = parseTimeRange(url);
+  if (error) {
+    sendJson(res, 400, { error });
+    return;
+  }
+
+  const status = url.searchParams.get('status');
+  if (status && !/^[1-5](\d\d|xx)$/i.test(status)) {
+    sendJson(res, 400, { error: 'status must be a status code or class such as 404 or 4xx' });
+    return;
+  }
+
+  const filters = { ...range, status };
+  for (const param of ['path', 'method', 'ip', 'uuid', 'requestId', 'filter']) {
+    filters[param] = url.searchParams.get(param) || undefined;
+  }
+
+  const limit = parseInt(url.searchParams.get('lines')) || 100;
+  const { logs, filesScanned } = await requestLogger.queryLogs(filters, limit);
+  sendJson(res, 200, { logs, count: logs.length, filesScanned });
+}
+
+/**
+ * Request log file sizes
+ *
+ * GET /admin/logs/stats
+ */
+async function handleAdminLogStats(req, res) {
+  sendJson(res, 200, await requestLogger.getLogStats());
+}
+
+/**
+ * Per-server metrics
+ *
+ * GET /admin/api/server-metrics                    - scorecards of the busiest servers plus 'other'
+ * GET /admin/api/server-metrics/{audience}?range=  - one server's scorecard with player and latency history
+ */
+async function handleAdminServerMetrics(req, res, url, audience = null) {
+  if (!audience) {
+    sendJson(res, 200, { ...await metrics.getServerScorecards(), topN: config.serverMetricsTopN });
+    return;
+  }
+
+  const scorecard = await metrics.getServerScorecard(audience);
+  if (!scorecard) {
+    sendJson(res, 404, { error: 'No metrics for this server' });
+    return;
+  }
+
+  const history = await metrics.getServerTimeseries(audience, url.searchParams.get('range') || '1h');
+  sendJson(res, 200, { scorecard, history });
+}
+
+/**
+ * Alert rules API
+ *
+ * GET    /admin/api/alerts      - rules (config and admin-created) with their state
+ * POST   /admin/api/alerts      - create a rule { name, condition, severity?, notify? }
+ * DELETE /admin/api/alerts/{id} - delete an admin-created rule
+ */
+async function handleAdminAlerts(req, res, body, id = null) {
+  if (req.method === 'GET') {
+    sendJson(res, 200, {
+      rules: await alerts.listRules(),
+      notifiers: alerts.getNotifiers(),
+      defaultNotifiers: config.alertNotifiers,
+      severities: alerts.SEVERITIES
+    });
+    return;
+  }
+
+  if (req.method === 'POST') {
+    const def = {
+      name: body.name,
+      condition: body.condition,
+      severity: body.severity || 'warning',
+      notify: body.notify && body.notify.length ? body.notify : null
+    };
+    const invalid = alerts.validateRule(def);
+    if (invalid) {
+      sendJson(res, 400, { error: invalid });
+      return;
+    }
+    const rule = await alerts.createRule(def);
+    if (!rule) {
+      sendJson(res, 500, { error: 'Failed to store alert rule' });
+      return;
+    }
+    sendJson(res, 201, rule);
+    return;
+  }
+
+  // DELETE
+  const rules = await alerts.getRules();
+  const rule = rules.find(r => r.id === id);
+  if (rule && rule.source === 'config') {
+    sendJson(res, 400, { error: 'Rule is defined in the alert rules file' });
+    return;
+  }
+  if (!await alerts.deleteRule(id)) {
+    sendJson(res, 404, { error: 'Alert rule not found' });
+    return;
+  }
+  sendJson(res, 200, { success: true });
+}
+
+/**
+ * Read the `from` and `to` query parameters (ISO date or epoch ms)
+ * @returns {{range: Object, error: string|null}} range holds the times given, in ms
+ */
+function parseTimeRange(url) {
+  const range = {};
+  for (const param of ['from', 'to']) {
+    const value = url.searchParams.get(param);
+    if (!value) continue;
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : new Date(value).getTime();
+    if (isNaN(time)) {
+      return { range, error: `${param} must be a date or epoch milliseconds` };
+    }
+    range[param] = time;
+  }
+  return { range, error: null };
+}
+
+/**
+ * Player telemetry history API
+ *
+ * GET /admin/api/players/{uuid}/sessions - finished client sessions (duration, exit reason, fps, disconnects)
+ * GET /admin/api/players/{uuid}/events   - client events
+ *
+ * Query: page, limit (max 100), from, to (ISO date or epoch ms). Newest first.
+ */
+async function handleAdminPlayerHistory(req, res, uuid, kind, url) {
+  const page = Math.max(parseInt(url.searchParams.get('page')) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 20, 1), 100);
+
+  const { range, error } = parseTimeRange(url);
+  if (error) {
+    sendJson(res, 400, { error });
+    return;
+  }
+
+  const getHistory = kind === 'sessions' ? storage.getSessionHistory : storage.getEventHistory;
+  const { entries, total } = await getHistory(uuid, { ...range, offset: (page - 1) * limit, limit });
+  const totalPages = Math.ceil(total / limit);
+
+  sendJson(res, 200, {
+    uuid,
+    username: await storage.getUsername(uuid),
+    [kind]: entries,
+    pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+  });
+}
+
+/**
+ * Entitlements API
+ *
+ * GET /admin/entitlements                - default policy and accounts with grants
+ * GET /admin/entitlements?uuid=          - an account's entitlements and where they come from
+ * POST /admin/entitlements               { uuid, entitlement, source?, reference?, expiresAt?, expiresIn? } - grant
+ * DELETE /admin/entitlements             { uuid, entitlement } - revoke a grant
+ *
+ * `uuid` may be any profile of the account; expiresIn is in seconds.
+ */
+async function handleAdminEntitlements(req, res, body, url) {
+  if (req.method === 'GET') {
+    const uuid = url.searchParams.get('uuid');
+    if (uuid) {
+      const accountId = await profiles.getAccountId(uuid);
+      sendJson(res, 200, {
+        accountId,
+        username: await storage.getUsername(accountId),
+        entitlements: await entitlements.getEntitlements(accountId),
+        grants: await entitlements.listEntitlements(accountId)
+      });
+      return;
+    }
+
+    const accountIds = await storage.getEntitlementAccounts();
+    const accountsWithGrants = await Promise.all(accountIds.map(async (accountId) => ({
+      accountId,
+      username: await storage.getUsername(accountId),
+      grants: (await entitlements.listEntitlements(accountId)).filter(grant => grant.source !== 'default')
+    })));
+    sendJson(res, 200, {
+      defaults: entitlements.getDefaultEntitlements(),
+      server: entitlements.getServerEntitlements(),
+      accounts: accountsWithGrants.filter(account => account.grants.length > 0)
+    });
+    return;
+  }
+
+  const { uuid, entitlement } = body;
+  if (!uuid || !entitlement) {
+    sendJson(res, 400, { error: 'uuid and entitlement are required' });
+    return;
+  }
+  const accountId = await profiles.getAccountId(uuid);
+
+  if (req.method === 'POST') {
+    const expiresIn = body.expiresIn ? parseInt(body.expiresIn, 10) : null;
+    if (expiresIn !== null && !(expiresIn > 0)) {
+      sendJson(res, 400, { error: 'expiresIn must be a positive number of seconds' });
+      return;
+    }
+    const expiresAt = expiresIn
+      ? new Date(Date.now() + expiresIn * 1000).toISOString()
+      : (body.expiresAt || null);
+    const options = { source: body.source || 'admin', reference: body.reference || null, expiresAt };
+
+    const invalid = entitlements.validateGrant(entitlement, options);
+    if (invalid) {
+      sendJson(res, 400, { error: invalid });
+      return;
+    }
+    const grant = await entitlements.grantEntitlement(accountId, entitlement, options);
+    if (!grant) {
+      sendJson(res, 500, { error: 'Failed to store entitlement grant' });
+      return;
+    }
+    log.info(`Admin granted ${entitlement} to account ${accountId}`);
+    sendJson(res, 201, { accountId, ...grant });
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    const revoked = await entitlements.revokeEntitlement(accountId, entitlement);
+    if (!revoked) {
+      sendJson(res, 404, { error: `Account has no ${entitlement} grant` });
+      return;
+    }
+    log.info(`Admin revoked ${entitlement} from account ${accountId}`);
+    sendJson(res, 200, { success: true, accountId, entitlement });
+    return;
+  }
+
+  sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Username registry API
+ *
+ * GET /admin/usernames                   - list reservations and blocklist
+ * POST|DELETE /admin/usernames/reserve   { name, uuid?, reason? } - reserve (optionally for a UUID) / unreserve
+ * POST|DELETE /admin/usernames/block     { name }               - blocklist (releases the name) / unblock
+ * POST /admin/usernames/release          { name }               - free a name from its owner
+ */
+async function handleAdminUsernames(req, res, urlPath, body) {
+  if (urlPath === '/admin/usernames' && req.method === 'GET') {
+    const [reserved, blocked] = await Promise.all([
+      storage.getReservedUsernames(),
+      storage.getBlockedUsernames()
+    ]);
+    sendJson(res, 200, { reserved, blocked });
+    return;
+  }
+
+  const { name } = body;
+  if (!name) {
+    sendJson(res, 400, { error: 'name is required' });
+    return;
+  }
+  if (typeof name !== 'string') {
+    sendJson(res, 400, { error: 'name must be a string' });
+    return;
+  }
+
+  if (urlPath === '/admin/usernames/reserve' && (req.method === 'POST' || req.method === 'DELETE')) {
+    const success = req.method === 'POST'
+      ? await storage.reserveUsername(name, body.uuid || null, body.reason || null)
+      : await storage.unreserveUsername(name);
+    log.info(`Admin ${req.method === 'POST' ? 'reserved' : 'unreserved'} username ${name}`);
+    sendJson(res, 200, { success, name });
+    return;
+  }
+
+  if (urlPath === '/admin/usernames/block' && (req.method === 'POST' || req.method === 'DELETE')) {
+    const success = req.method === 'POST'
+      ? await storage.blockUsername(name)
+      : await storage.unblockUsername(name);
+    log.info(`Admin ${req.method === 'POST' ? 'blocked' : 'unblocked'} username ${name}`);
+    sendJson(res, 200, { success, name });
+    return;
+  }
+
+  if (urlPath === '/admin/usernames/release' && req.method === 'POST') {
+    const released = await storage.releaseUsername(name);
+    log.info(`Admin released username ${name}`);
+    sendJson(res, 200, { success: released, name });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Account management API
+ *
+ * POST /admin/accounts               { username, password } - create a password account
+ * POST /admin/accounts/password      { uuid, password }     - set a new password
+ * POST /admin/accounts/launcher-key  { uuid, name? }        - issue a launcher key
+ * DELETE /admin/accounts/launcher-key { uuid }              - revoke a player's launcher keys
+ */
+async function handleAdminAccounts(req, res, urlPath, body) {
+  if (urlPath === '/admin/accounts' && req.method === 'POST') {
+    const { username, password } = body;
+    if (!username || !password) {
+      sendJson(res, 400, { error: 'username and password are required' });
+      return;
+    }
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      sendJson(res, 400, { error: 'username and password must be strings' });
+      return;
+    }
+    // Same naming rules as a player's own name change
+    const invalid = usernames.validateUsername(username);
+    if (invalid) {
+      sendJson(res, 400, { error: invalid });
+      return;
+    }
+    const account = await accounts.createPasswordAccount(username, password);
+    if (!account) {
+      sendJson(res, 409, { error: `Username ${username} is already taken` });
+      return;
+    }
+    sendJson(res, 201, account);
+    return;
+  }
+
+  if (urlPath === '/admin/accounts/password' && req.method === 'POST') {
+    const { uuid, password } = body;
+    if (!uuid || !password) {
+      sendJson(res, 400, { error: 'uuid and password are required' });
+      return;
+    }
+    if (typeof uuid !== 'string' || typeof password !== 'string') {
+      sendJson(res, 400, { error: 'uuid and password must be strings' });
+      return;
+    }
+    if (!await accounts.setAccountPassword(uuid, password)) {
+      sendJson(res, 404, { error: 'Account not found' });
+      return;
+    }
+    log.info(`Admin reset password for account ${uuid}`);
+    sendJson(res, 200, { success: true });
+    return;
+  }
+
+  if (urlPath === '/admin/accounts/launcher-key') {
+    const { uuid } = body;
+    if (!uuid) {
+      sendJson(res, 400, { error: 'uuid is required' });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      const revoked = await storage.revokeLauncherKeys(uuid);
+      log.info(`Admin revoked ${revoked} launcher key(s) for ${uuid}`);
+      sendJson(res, 200, { success: true, revoked });
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const name = body.name || await storage.getUsername(uuid);
+      if (!name) {
+        sendJson(res, 400, { error: 'name is required for players without a known username' });
+        return;
+      }
+      const launcherKey = await accounts.issueLauncherKey(uuid, name);
+      if (!launcherKey) {
+        sendJson(res, 500, { error: 'Failed to store launcher key' });
+        return;
+      }
+      log.info(`Admin issued launcher key for ${uuid} (${name})`);
+      sendJson(res, 201, { uuid, name, launcherKey });
+      return;
+    }
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Signing key ring API
+ * GET lists key metadata, POST /admin/keys/rotate rotates the signing key.
+ * `?keySet=` selects a tenant key set (defaults to 'default').
+ */
+async function handleAdminKeys(req, res, urlPath, url) {
+  const keySet = url.searchParams.get('keySet') || 'default';
+  if (!auth.getKeySets().includes(keySet)) {
+    sendJson(res, 404, { error: `Unknown key set: ${keySet}` });
+    return;
+  }
+
+  if (urlPath === '/admin/keys/rotate') {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const rotated = auth.rotateSigningKey(keySet);
+    sendJson(res, 200, { rotated, keySet, keys: auth.listKeys(keySet) });
+    return;
+  }
+
+  sendJson(res, 200, { keySet, keySets: auth.getKeySets(), keys: auth.listKeys(keySet) });
+}
+
 /**
  * Admin dashboard HTML page - full featured version from server.js
  */
@@ -998,5 +1475,16 @@ module.exports = {
   handleAdminServers,
   handlePlayerSearch,
   handlePrerenderQueue,
+  handleAdminRevoke,
+  handleAdminKeys,
+  handleAdminAccounts,
+  handleAdminUsernames,
+  handleAdminEntitlements,
+  handleAdminPlayerHistory,
+  handleAdminMetricsTimeseries,
+  handleAdminServerMetrics,
+  handleAdminLogs,
+  handleAdminLogStats,
+  handleAdminAlerts,
   handleAdminDashboard,
 };
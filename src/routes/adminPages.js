@@ -121,6 +121,14 @@ const sharedStyles = `
   .status-badge.loading { background: rgba(0,212,255,0.2); color: #0df; }
   .status-badge.disconnected { background: rgba(136,136,136,0.2); color: #888; }
   .status-badge.server { background: rgba(179,136,255,0.2); color: #b388ff; }
+  .status-badge.healthy { background: rgba(0,255,136,0.2); color: #0f8; }
+  .status-badge.degraded { background: rgba(255,170,0,0.2); color: #fa0; }
+  .status-badge.failing { background: rgba(255,68,68,0.2); color: #ff6b6b; }
+  .status-badge.unknown { background: rgba(136,136,136,0.2); color: #888; }
+  .scorecard-row { display: flex; align-items: center; gap: 15px; padding: 10px 0; border-bottom: 1px solid rgba(255,255,255,0.05); flex-wrap: wrap; font-size: 0.85em; }
+  .scorecard-row a { color: #00d4ff; text-decoration: none; }
+  .scorecard-name { color: #fff; font-weight: 500; min-width: 200px; }
+  .scorecard-meta { color: #aaa; flex: 1; }
 
   /* Pagination */
   .pagination { display: flex; justify-content: center; align-items: center; gap: 15px; margin-top: 20px; padding: 15px; }
@@ -214,6 +222,14 @@ const sharedStyles = `
   .no-data { color: #666; font-style: italic; padding: 40px; text-align: center; }
   .hidden { display: none !important; }
 
+  /* Firing alerts */
+  .alert-banner { padding: 8px 20px; display: flex; flex-direction: column; gap: 4px; }
+  .alert-item { padding: 8px 12px; border-radius: 5px; font-size: 0.85em; }
+  .alert-item a { color: inherit; }
+  .alert-item.critical { background: rgba(255,68,68,0.2); border: 1px solid rgba(255,68,68,0.4); color: #ff6b6b; }
+  .alert-item.warning { background: rgba(255,170,0,0.15); border: 1px solid rgba(255,170,0,0.4); color: #fa0; }
+  .alert-item.info { background: rgba(0,212,255,0.15); border: 1px solid rgba(0,212,255,0.4); color: #0df; }
+
   /* Player tooltips */
   .player-tag { position: relative; }
   .player-tag[data-tooltip]:hover::after {
@@ -341,8 +357,25 @@ const sharedScripts = `
       });
       const dot = document.getElementById('redisDot');
       if (dot) dot.className = 'status-dot ' + (s.redis?.connected ? 'online' : 'offline');
+      renderAlertBanner(s.alerts || []);
     } catch (e) {}
   }
+
+  function renderAlertBanner(alerts) {
+    const banner = document.getElementById('alertBanner');
+    if (!banner) return;
+    banner.replaceChildren(...alerts.map(a => {
+      const item = document.createElement('div');
+      item.className = 'alert-item ' + a.severity;
+      item.textContent = a.name + ': ' + a.condition + ' (value ' + (a.value ?? 'n/a') + ', since ' + new Date(a.firedAt).toLocaleString() + ') ';
+      const link = document.createElement('a');
+      link.href = '/admin/page/alerts';
+      link.textContent = 'Alerts';
+      item.appendChild(link);
+      return item;
+    }));
+    banner.classList.toggle('hidden', !alerts.length);
+  }
 `;
 
 const navHtml = (activePage) => `
@@ -351,8 +384,10 @@ const navHtml = (activePage) => `
     <div class="nav-links">
       <a href="/admin/page/servers" class="nav-link ${activePage === 'servers' ? 'active' : ''}">Servers</a>
       <a href="/admin/page/players" class="nav-link ${activePage === 'players' ? 'active' : ''}">Players</a>
+      <a href="/admin/page/entitlements" class="nav-link ${activePage === 'entitlements' ? 'active' : ''}">Entitlements</a>
       <a href="/admin/page/logs" class="nav-link ${activePage === 'logs' ? 'active' : ''}">Logs</a>
       <a href="/admin/page/metrics" class="nav-link ${activePage === 'metrics' ? 'active' : ''}">Metrics</a>
+      <a href="/admin/page/alerts" class="nav-link ${activePage === 'alerts' ? 'active' : ''}">Alerts</a>
       <a href="/admin/page/settings" class="nav-link ${activePage === 'settings' ? 'active' : ''}">Settings</a>
     </div>
     <div class="nav-right">
@@ -362,6 +397,7 @@ const navHtml = (activePage) => `
       <button class="logout-btn" onclick="logout()">Logout</button>
     </div>
   </nav>
+  <div class="alert-banner hidden" id="alertBanner"></div>
 `;
 
 /**
@@ -391,6 +427,15 @@ function handleServersPage(req, res) {
   <div id="mainContent" class="hidden">
     ${navHtml('servers')}
     <div class="container">
+      <div class="card">
+        <div class="card-header">
+          <span class="card-title">Server Health</span>
+          <div>
+            <button class="btn btn-secondary" onclick="loadScorecards()">Refresh</button>
+          </div>
+        </div>
+        <div id="scorecardsList">Loading...</div>
+      </div>
       <div class="card">
         <div class="card-header">
           <span class="card-title">Active Servers</span>
@@ -408,6 +453,44 @@ function handleServersPage(req, res) {
 
     let currentPage = 1;
 
+    function esc(value) {
+      return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function scorecardRow(card, link) {
+      const rate = card.successRate != null ? Math.round(card.successRate * 1000) / 10 + '%' : '-';
+      const latency = card.latencyAvg != null ? Math.round(card.latencyAvg) + 'ms' : '-';
+      const topReason = card.disconnects[0] ? esc(card.disconnects[0].reason) + ' (' + card.disconnects[0].count + ')' : '-';
+      const title = link
+        ? '<a href="/admin/page/server?audience=' + encodeURIComponent(card.audience) + '">' + esc(card.name || card.audience) + '</a>'
+        : esc(card.serverCount + ' other servers');
+      return '<div class="scorecard-row">' +
+        '<span class="scorecard-name">' + title + '</span>' +
+        '<span class="status-badge ' + esc(card.health) + '">' + esc(card.health) + '</span>' +
+        '<span class="scorecard-meta">' + [
+          card.players + ' players',
+          'connect success ' + rate + ' (' + card.recentConnects.total + ' in the last hour)',
+          'latency ' + latency,
+          card.disconnectsTotal + ' disconnects, top: ' + topReason
+        ].join(' &middot; ') + '</span></div>';
+    }
+
+    async function loadScorecards() {
+      const list = document.getElementById('scorecardsList');
+      try {
+        const res = await authFetch('/admin/api/server-metrics');
+        const d = await res.json();
+        if (!d.servers.length) {
+          list.innerHTML = '<div class="no-data">No server metrics yet</div>';
+          return;
+        }
+        list.innerHTML = d.servers.map(card => scorecardRow(card, true)).join('') +
+          (d.other ? scorecardRow(d.other, false) : '');
+      } catch (e) {
+        list.innerHTML = '<div class="no-data">Error: ' + esc(e.message) + '</div>';
+      }
+    }
+
     async function loadServers(page) {
       const list = document.getElementById('serversList');
       list.innerHTML = '<div class="no-data">Loading...</div>';
@@ -425,7 +508,10 @@ function handleServersPage(req, res) {
                 \${srv.name || srv.audience}
                 \${srv.version ? '<span class="server-version">v' + srv.version + '</span>' : ''}
               </span>
-              <span class="player-count">\${srv.playerCount} players</span>
+              <span>
+                <span class="player-count">\${srv.playerCount} players</span>
+                <a class="btn btn-secondary" href="/admin/page/server?audience=\${encodeURIComponent(srv.audience)}">Details</a>
+              </span>
             </div>
             <div class="server-meta">
               ID: \${srv.audience}
@@ -461,13 +547,720 @@ function handleServersPage(req, res) {
           '<button onclick="loadServers(' + (d.page + 1) + ')" ' + (d.page >= d.totalPages ? 'disabled' : '') + '>Next</button>' +
           '</div>';
 
-        list.innerHTML = html;
-        currentPage = page;
+        list.innerHTML = html;
+        currentPage = page;
+      } catch (e) {
+        list.innerHTML = '<div class="no-data">Error: ' + e.message + '</div>';
+      }
+    }
+
+    document.getElementById('loginForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const password = document.getElementById('loginPassword').value;
+      try {
+        const res = await fetch('/admin/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password })
+        });
+        const data = await res.json();
+        if (res.ok && data.token) {
+          adminToken = data.token;
+          savedPassword = password;
+          localStorage.setItem('adminToken', adminToken);
+          localStorage.setItem('adminPassword', password);
+          init();
+        } else {
+          document.getElementById('loginError').textContent = data.error || 'Failed';
+        }
+      } catch (e) {
+        document.getElementById('loginError').textContent = 'Connection error';
+      }
+    });
+
+    async function init() {
+      document.getElementById('loginOverlay').classList.add('hidden');
+      document.getElementById('mainContent').classList.remove('hidden');
+      loadStats();
+      loadScorecards();
+      loadServers(1);
+      setInterval(loadStats, 30000);
+    }
+
+    (async () => {
+      if (await checkAuth()) init();
+    })();
+  </script>
+</body>
+</html>`;
+    sendHtml(res, 200, html);
+}
+
+/**
+ * Server detail page - scorecard, disconnect reasons, players and latency over time
+ */
+function handleServerPage(req, res) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Server - Hytale Admin</title>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+  <style>${sharedStyles}</style>
+</head>
+<body>
+  <div class="login-overlay" id="loginOverlay">
+    <div class="login-box">
+      <h2>Admin Login</h2>
+      <form id="loginForm">
+        <input type="password" id="loginPassword" placeholder="Password" required>
+        <button type="submit" class="btn">Login</button>
+      </form>
+      <div class="login-error" id="loginError"></div>
+    </div>
+  </div>
+
+  <div id="mainContent" class="hidden">
+    ${navHtml('servers')}
+    <div class="container">
+      <div class="card">
+        <div class="card-header">
+          <div class="player-info" id="serverHeader">
+            <span class="player-name">Loading...</span>
+          </div>
+          <a href="/admin/page/servers" class="btn btn-secondary">Back to servers</a>
+        </div>
+        <div class="stats-bar" id="scorecard"></div>
+        <div class="controls">
+          <span style="color:#888">Time Range:</span>
+          <button class="btn btn-secondary range-btn" data-range="1h">1h</button>
+          <button class="btn btn-secondary range-btn" data-range="6h">6h</button>
+          <button class="btn btn-secondary range-btn active" data-range="24h">24h</button>
+          <button class="btn btn-secondary range-btn" data-range="7d">7d</button>
+        </div>
+      </div>
+
+      <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(400px,1fr));gap:20px">
+        <div class="chart-container">
+          <div class="chart-header"><span class="chart-title">Players</span></div>
+          <div class="chart-wrapper"><canvas id="playersChart"></canvas></div>
+        </div>
+        <div class="chart-container">
+          <div class="chart-header"><span class="chart-title">Average Latency (ms)</span></div>
+          <div class="chart-wrapper"><canvas id="latencyChart"></canvas></div>
+        </div>
+      </div>
+
+      <div class="card">
+        <div class="card-header"><span class="card-title">Disconnect Reasons</span></div>
+        <div id="disconnectsList">Loading...</div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    ${sharedScripts}
+
+    const audience = new URLSearchParams(location.search).get('audience') || '';
+    let currentRange = '24h';
+    let charts = {};
+
+    function esc(value) {
+      return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    const chartConfig = {
+      responsive: true,
+      maintainAspectRatio: false,
+      resizeDelay: 100,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { grid: { color: 'rgba(255,255,255,0.1)' }, ticks: { color: '#888', maxRotation: 45 } },
+        y: { grid: { color: 'rgba(255,255,255,0.1)' }, ticks: { color: '#888' }, beginAtZero: true }
+      }
+    };
+
+    function initCharts() {
+      charts.players = new Chart(document.getElementById('playersChart').getContext('2d'), {
+        type: 'line',
+        data: { labels: [], datasets: [{ data: [], borderColor: '#00d4ff', backgroundColor: '#00d4ff33', fill: true, tension: 0.3, pointRadius: 0 }] },
+        options: chartConfig
+      });
+      charts.latency = new Chart(document.getElementById('latencyChart').getContext('2d'), {
+        type: 'line',
+        data: { labels: [], datasets: [{ data: [], borderColor: '#ffaa00', backgroundColor: '#ffaa0033', fill: true, tension: 0.3, pointRadius: 0 }] },
+        options: chartConfig
+      });
+    }
+
+    function updateChart(chart, points) {
+      chart.data.labels = points.map(p => new Date(p.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+      chart.data.datasets[0].data = points.map(p => p.value);
+      chart.update();
+    }
+
+    function stat(value, label) {
+      return '<div class="stat-item"><div class="stat-value">' + value + '</div><div class="stat-label">' + label + '</div></div>';
+    }
+
+    function renderScorecard(card) {
+      document.getElementById('serverHeader').innerHTML =
+        '<span class="player-name" style="font-size:1.2em">' + esc(card.name || card.audience) + '</span>' +
+        '<span class="player-uuid">' + esc(card.audience) + '</span>' +
+        '<span class="status-badge ' + esc(card.health) + '">' + esc(card.health) + '</span>';
+      document.getElementById('scorecard').innerHTML = [
+        stat(card.players, 'Players'),
+        stat(card.successRate != null ? Math.round(card.successRate * 1000) / 10 + '%' : '-', 'Connect success (last hour)'),
+        stat(card.connects.success + ' / ' + card.connects.total, 'Connects ok / total'),
+        stat(card.latencyAvg != null ? Math.round(card.latencyAvg) + 'ms' : '-', 'Avg latency (last hour)'),
+        stat(card.disconnectsTotal, 'Disconnects')
+      ].join('');
+
+      const list = document.getElementById('disconnectsList');
+      if (!card.disconnects.length) {
+        list.innerHTML = '<div class="no-data">No disconnects recorded</div>';
+        return;
+      }
+      list.innerHTML = card.disconnects.map(d =>
+        '<div class="scorecard-row">' +
+        '<span class="scorecard-name">' + esc(d.reason) + '</span>' +
+        '<span class="scorecard-meta">' + d.count + ' (' + Math.round(d.count / card.disconnectsTotal * 100) + '%)</span></div>'
+      ).join('');
+    }
+
+    async function loadServer() {
+      try {
+        const res = await authFetch('/admin/api/server-metrics/' + encodeURIComponent(audience) + '?range=' + currentRange);
+        const d = await res.json();
+        if (!res.ok) {
+          document.getElementById('serverHeader').innerHTML = '<span class="player-name">' + esc(d.error || 'Failed to load server') + '</span>';
+          document.getElementById('disconnectsList').innerHTML = '';
+          return;
+        }
+        renderScorecard(d.scorecard);
+        updateChart(charts.players, d.history.players);
+        updateChart(charts.latency, d.history.latency);
+      } catch (e) {
+        document.getElementById('disconnectsList').innerHTML = '<div class="no-data">Error: ' + esc(e.message) + '</div>';
+      }
+    }
+
+    document.querySelectorAll('.range-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        currentRange = btn.dataset.range;
+        loadServer();
+      });
+    });
+
+    document.getElementById('loginForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const password = document.getElementById('loginPassword').value;
+      try {
+        const res = await fetch('/admin/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password })
+        });
+        const data = await res.json();
+        if (res.ok && data.token) {
+          adminToken = data.token;
+          savedPassword = password;
+          localStorage.setItem('adminToken', adminToken);
+          localStorage.setItem('adminPassword', password);
+          init();
+        } else {
+          document.getElementById('loginError').textContent = data.error || 'Failed';
+        }
+      } catch (e) {
+        document.getElementById('loginError').textContent = 'Connection error';
+      }
+    });
+
+    async function init() {
+      document.getElementById('loginOverlay').classList.add('hidden');
+      document.getElementById('mainContent').classList.remove('hidden');
+      loadStats();
+      initCharts();
+      loadServer();
+      setInterval(loadStats, 30000);
+    }
+
+    (async () => {
+      if (await checkAuth()) init();
+    })();
+  </script>
+</body>
+</html>`;
+    sendHtml(res, 200, html);
+}
+
+/**
+ * Players page
+ */
+function handlePlayersPage(req, res) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Players - Hytale Admin</title>
+  <style>${sharedStyles}</style>
+</head>
+<body>
+  <div class="login-overlay" id="loginOverlay">
+    <div class="login-box">
+      <h2>Admin Login</h2>
+      <form id="loginForm">
+        <input type="password" id="loginPassword" placeholder="Password" required>
+        <button type="submit" class="btn">Login</button>
+      </form>
+      <div class="login-error" id="loginError"></div>
+    </div>
+  </div>
+
+  <div id="mainContent" class="hidden">
+    ${navHtml('players')}
+    <div class="container">
+      <div class="card">
+        <div class="card-header">
+          <span class="card-title">Active Players</span>
+          <button class="btn btn-secondary" onclick="loadPlayers(1)">Refresh</button>
+        </div>
+        <div class="controls">
+          <input type="text" id="searchInput" placeholder="Search by username or UUID..." onkeyup="if(event.key==='Enter')searchPlayers()">
+          <button class="btn" onclick="searchPlayers()">Search</button>
+          <button class="btn btn-secondary" onclick="clearSearch()">Clear</button>
+        </div>
+        <div id="playersList">Loading...</div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    ${sharedScripts}
+
+    let currentPage = 1;
+    let searchMode = false;
+
+    async function loadPlayers(page) {
+      const list = document.getElementById('playersList');
+      list.innerHTML = '<div class="no-data">Loading...</div>';
+      searchMode = false;
+      try {
+        const res = await authFetch('/admin/api/players?page=' + page + '&limit=50');
+        const d = await res.json();
+        if (!d.players?.length) {
+          list.innerHTML = '<div class="no-data">No active players</div>';
+          return;
+        }
+        renderPlayers(d.players, d.page, d.totalPages, d.total);
+        currentPage = page;
+      } catch (e) {
+        list.innerHTML = '<div class="no-data">Error: ' + e.message + '</div>';
+      }
+    }
+
+    async function searchPlayers() {
+      const q = document.getElementById('searchInput').value.trim();
+      if (q.length < 2) { loadPlayers(1); return; }
+
+      const list = document.getElementById('playersList');
+      list.innerHTML = '<div class="no-data">Searching...</div>';
+      searchMode = true;
+
+      try {
+        const res = await authFetch('/admin/search?q=' + encodeURIComponent(q) + '&limit=100');
+        const d = await res.json();
+        if (!d.results?.length) {
+          list.innerHTML = '<div class="no-data">No players found</div>';
+          return;
+        }
+        renderPlayers(d.results.map(p => ({
+          uuid: p.uuid,
+          username: p.username,
+          server: p.servers?.[0]?.audience,
+          state: p.state
+        })), 1, 1, d.results.length);
+      } catch (e) {
+        list.innerHTML = '<div class="no-data">Error: ' + e.message + '</div>';
+      }
+    }
+
+    function clearSearch() {
+      document.getElementById('searchInput').value = '';
+      loadPlayers(1);
+    }
+
+    function esc(value) {
+      return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function getStatusBadge(state, server, connected) {
+      // Determine player status from telemetry state
+      const currentState = state?.current_state || '';
+      const isConnected = connected === true || state?.connected === true;
+
+      if (currentState.includes('InGame') || currentState.includes('Playing')) {
+        return '<span class="status-badge in-game">In Game</span>';
+      } else if (currentState === 'MainMenu' || currentState.includes('Menu')) {
+        return '<span class="status-badge main-menu">Main Menu</span>';
+      } else if (currentState.includes('Loading') || currentState.includes('Connecting')) {
+        return '<span class="status-badge loading">Loading</span>';
+      } else if (!isConnected && !server) {
+        return '<span class="status-badge disconnected">Offline</span>';
+      }
+      return '';
+    }
+
+    function renderPlayers(players, page, totalPages, total) {
+      const list = document.getElementById('playersList');
+      let html = '<div class="players-list" style="gap:15px">';
+      html += players.map(p => {
+        const st = p.state || {};
+        const hw = p.hardware || {};
+        const fc = st.fps > 50 ? 'good' : st.fps > 30 ? 'warn' : st.fps ? 'bad' : '';
+        const lc = st.latency < 50 ? 'good' : st.latency < 100 ? 'warn' : st.latency ? 'bad' : '';
+        // Build tooltip
+        const tt = [];
+        if (st.current_state) tt.push('State: ' + st.current_state);
+        if (st.fps) tt.push('FPS: ' + Math.round(st.fps));
+        if (st.latency) tt.push('Latency: ' + Math.round(st.latency) + 'ms');
+        if (st.activity_state) tt.push('Activity: ' + st.activity_state);
+        if (hw.os) tt.push('OS: ' + hw.os);
+        if (hw.gpu) tt.push('GPU: ' + hw.gpu);
+        if (hw.resolution) tt.push('Resolution: ' + hw.resolution);
+        if (hw.memory_mb) tt.push('RAM: ' + Math.round(hw.memory_mb/1024) + 'GB');
+        if (hw.cpu_cores) tt.push('CPU: ' + hw.cpu_cores + ' cores');
+        const tooltip = tt.length ? tt.join('\\n') : '';
+        const statusBadge = getStatusBadge(st, p.server, st.connected);
+        const serverBadge = p.server ? '<span class="status-badge server">' + esc(String(p.server).substring(0,8)) + '</span>' : '';
+        return \`
+        <div class="player-tag" style="padding:12px" \${tooltip ? 'data-tooltip="' + esc(tooltip) + '"' : ''}>
+          <iframe class="player-avatar" style="width:50px;height:50px" src="/avatar/\${encodeURIComponent(p.uuid)}/head?bg=black" loading="lazy"></iframe>
+          <div class="player-info">
+            <a class="player-name" style="font-size:1em" href="/admin/page/player?uuid=\${encodeURIComponent(p.uuid)}">\${esc(p.username)}</a>
+            <span class="player-uuid">\${esc(p.uuid)}</span>
+            <div class="player-state">
+              \${statusBadge}
+              \${serverBadge}
+              \${st.fps ? '<span class="state-item ' + fc + '">' + Math.round(st.fps) + ' FPS</span>' : ''}
+              \${st.latency ? '<span class="state-item ' + lc + '">' + Math.round(st.latency) + 'ms</span>' : ''}
+            </div>
+            <button class="btn btn-danger" style="margin-top:6px;padding:4px 8px;font-size:0.75em" data-uuid="\${esc(p.uuid)}" onclick="signOutEverywhere(this.dataset.uuid, this)">Sign out everywhere</button>
+          </div>
+        </div>\`;
+      }).join('');
+      html += '</div>';
+
+      if (!searchMode) {
+        html += '<div class="pagination">' +
+          '<button onclick="loadPlayers(' + (page - 1) + ')" ' + (page <= 1 ? 'disabled' : '') + '>Prev</button>' +
+          '<span>Page ' + page + ' / ' + totalPages + ' (' + total + ' players)</span>' +
+          '<button onclick="loadPlayers(' + (page + 1) + ')" ' + (page >= totalPages ? 'disabled' : '') + '>Next</button>' +
+          '</div>';
+      }
+
+      list.innerHTML = html;
+    }
+
+    async function signOutEverywhere(uuid, btn) {
+      if (!confirm('Revoke every token issued to ' + uuid + '?')) return;
+      btn.disabled = true;
+      try {
+        const res = await authFetch('/admin/revoke', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ type: 'user', value: uuid })
+        });
+        const d = await res.json();
+        btn.textContent = res.ok ? 'Signed out' : (d.error || 'Failed');
+      } catch (e) {
+        btn.textContent = 'Error';
+        btn.disabled = false;
+      }
+    }
+
+    document.getElementById('loginForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const password = document.getElementById('loginPassword').value;
+      try {
+        const res = await fetch('/admin/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password })
+        });
+        const data = await res.json();
+        if (res.ok && data.token) {
+          adminToken = data.token;
+          savedPassword = password;
+          localStorage.setItem('adminToken', adminToken);
+          localStorage.setItem('adminPassword', password);
+          init();
+        } else {
+          document.getElementById('loginError').textContent = data.error || 'Failed';
+        }
+      } catch (e) {
+        document.getElementById('loginError').textContent = 'Connection error';
+      }
+    });
+
+    async function init() {
+      document.getElementById('loginOverlay').classList.add('hidden');
+      document.getElementById('mainContent').classList.remove('hidden');
+      loadStats();
+      loadPlayers(1);
+      setInterval(loadStats, 30000);
+    }
+
+    (async () => {
+      if (await checkAuth()) init();
+    })();
+  </script>
+</body>
+</html>`;
+    sendHtml(res, 200, html);
+}
+
+/**
+ * Player detail page - session history and events from telemetry
+ */
+function handlePlayerPage(req, res) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Player - Hytale Admin</title>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+  <style>${sharedStyles}
+  .history-row { display: flex; align-items: center; gap: 10px; padding: 8px 0; border-bottom: 1px solid rgba(255,255,255,0.05); flex-wrap: wrap; font-size: 0.85em; }
+  .history-time { color: #888; min-width: 160px; }
+  .history-name { color: #fff; font-family: monospace; min-width: 140px; }
+  .history-meta { color: #aaa; flex: 1; }
+  </style>
+</head>
+<body>
+  <div class="login-overlay" id="loginOverlay">
+    <div class="login-box">
+      <h2>Admin Login</h2>
+      <form id="loginForm">
+        <input type="password" id="loginPassword" placeholder="Password" required>
+        <button type="submit" class="btn">Login</button>
+      </form>
+      <div class="login-error" id="loginError"></div>
+    </div>
+  </div>
+
+  <div id="mainContent" class="hidden">
+    ${navHtml('players')}
+    <div class="container">
+      <div class="card">
+        <div class="card-header">
+          <div class="player-info" id="playerHeader">
+            <span class="player-name">Loading...</span>
+          </div>
+          <a href="/admin/page/players" class="btn btn-secondary">Back to players</a>
+        </div>
+        <div class="controls">
+          <span style="color:#888">Time Range:</span>
+          <button class="btn btn-secondary range-btn" data-range="24h">24h</button>
+          <button class="btn btn-secondary range-btn active" data-range="7d">7d</button>
+          <button class="btn btn-secondary range-btn" data-range="30d">30d</button>
+          <button class="btn btn-secondary range-btn" data-range="all">All</button>
+        </div>
+      </div>
+
+      <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(400px,1fr));gap:20px">
+        <div class="chart-container">
+          <div class="chart-header"><span class="chart-title">FPS per Session (Avg / Min / Max)</span></div>
+          <div class="chart-wrapper"><canvas id="fpsChart"></canvas></div>
+        </div>
+        <div class="chart-container">
+          <div class="chart-header"><span class="chart-title">Session Duration (min) / Disconnects</span></div>
+          <div class="chart-wrapper"><canvas id="durationChart"></canvas></div>
+        </div>
+      </div>
+
+      <div class="card">
+        <div class="card-header"><span class="card-title">Sessions</span></div>
+        <div id="sessionsList">Loading...</div>
+      </div>
+
+      <div class="card">
+        <div class="card-header"><span class="card-title">Events</span></div>
+        <div id="eventsList">Loading...</div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    ${sharedScripts}
+
+    const uuid = new URLSearchParams(location.search).get('uuid') || '';
+    const ranges = { '24h': 86400000, '7d': 7 * 86400000, '30d': 30 * 86400000, all: null };
+    // Charts show up to this many of the most recent sessions in the range
+    const CHART_SESSIONS = 100;
+    let currentRange = '7d';
+    let charts = {};
+
+    function esc(value) {
+      return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function formatTime(entry) {
+      return new Date(entry.recordedAt).toLocaleString();
+    }
+
+    function formatDuration(seconds) {
+      if (seconds == null) return '-';
+      const h = Math.floor(seconds / 3600), m = Math.floor((seconds % 3600) / 60), s = Math.round(seconds % 60);
+      return h ? h + 'h ' + m + 'm' : m ? m + 'm ' + s + 's' : s + 's';
+    }
+
+    function historyUrl(kind, page, limit) {
+      let url = '/admin/api/players/' + encodeURIComponent(uuid) + '/' + kind + '?page=' + page + '&limit=' + limit;
+      if (ranges[currentRange]) url += '&from=' + (Date.now() - ranges[currentRange]);
+      return url;
+    }
+
+    function pagination(fn, p, noun) {
+      return '<div class="pagination">' +
+        '<button onclick="' + fn + '(' + (p.page - 1) + ')" ' + (p.hasPrev ? '' : 'disabled') + '>Prev</button>' +
+        '<span>Page ' + p.page + ' / ' + Math.max(p.totalPages, 1) + ' (' + p.total + ' ' + noun + ')</span>' +
+        '<button onclick="' + fn + '(' + (p.page + 1) + ')" ' + (p.hasNext ? '' : 'disabled') + '>Next</button>' +
+        '</div>';
+    }
+
+    const chartConfig = {
+      responsive: true,
+      maintainAspectRatio: false,
+      resizeDelay: 100,
+      plugins: { legend: { display: true, labels: { color: '#888' } } },
+      scales: {
+        x: { grid: { color: 'rgba(255,255,255,0.1)' }, ticks: { color: '#888', maxRotation: 45 } },
+        y: { grid: { color: 'rgba(255,255,255,0.1)' }, ticks: { color: '#888' }, beginAtZero: true }
+      }
+    };
+
+    function initCharts() {
+      charts.fps = new Chart(document.getElementById('fpsChart').getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: [],
+          datasets: [
+            { label: 'Avg', data: [], borderColor: '#00d4ff', backgroundColor: '#00d4ff33', tension: 0.3, pointRadius: 2 },
+            { label: 'Min', data: [], borderColor: '#ff6b6b', backgroundColor: '#ff6b6b33', tension: 0.3, pointRadius: 2 },
+            { label: 'Max', data: [], borderColor: '#00ff88', backgroundColor: '#00ff8833', tension: 0.3, pointRadius: 2 }
+          ]
+        },
+        options: chartConfig
+      });
+      charts.duration = new Chart(document.getElementById('durationChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: [],
+          datasets: [
+            { label: 'Duration (min)', data: [], backgroundColor: '#b388ff88', borderColor: '#b388ff', borderWidth: 1 },
+            { label: 'Disconnects', data: [], backgroundColor: '#ffaa0088', borderColor: '#ffaa00', borderWidth: 1 }
+          ]
+        },
+        options: chartConfig
+      });
+    }
+
+    async function loadCharts() {
+      try {
+        const res = await authFetch(historyUrl('sessions', 1, CHART_SESSIONS));
+        const d = await res.json();
+        renderHeader(d);
+        // API returns newest first; charts read left to right
+        const sessions = d.sessions.slice().reverse();
+        const labels = sessions.map(s => new Date(s.recordedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+        charts.fps.data.labels = labels;
+        charts.fps.data.datasets[0].data = sessions.map(s => s.avg_fps ?? null);
+        charts.fps.data.datasets[1].data = sessions.map(s => s.min_fps ?? null);
+        charts.fps.data.datasets[2].data = sessions.map(s => s.max_fps ?? null);
+        charts.fps.update();
+        charts.duration.data.labels = labels;
+        charts.duration.data.datasets[0].data = sessions.map(s => s.total_duration_seconds != null ? Math.round(s.total_duration_seconds / 6) / 10 : null);
+        charts.duration.data.datasets[1].data = sessions.map(s => s.disconnect_count ?? 0);
+        charts.duration.update();
+      } catch (e) {}
+    }
+
+    function renderHeader(d) {
+      document.getElementById('playerHeader').innerHTML =
+        '<span class="player-name" style="font-size:1.2em">' + esc(d.username || 'Unknown player') + '</span>' +
+        '<span class="player-uuid">' + esc(d.uuid) + '</span>';
+    }
+
+    async function loadSessions(page) {
+      const list = document.getElementById('sessionsList');
+      try {
+        const res = await authFetch(historyUrl('sessions', page, 20));
+        const d = await res.json();
+        if (!d.sessions.length) {
+          list.innerHTML = '<div class="no-data">No sessions in this range</div>';
+          return;
+        }
+        list.innerHTML = d.sessions.map(s => {
+          const fps = s.avg_fps != null
+            ? Math.round(s.avg_fps) + ' FPS (' + Math.round(s.min_fps ?? 0) + '-' + Math.round(s.max_fps ?? 0) + ')'
+            : 'no FPS data';
+          return '<div class="history-row">' +
+            '<span class="history-time">' + formatTime(s) + '</span>' +
+            '<span class="history-name">' + formatDuration(s.total_duration_seconds) + '</span>' +
+            '<span class="history-meta">' + [
+              esc(s.exit_reason || 'unknown exit'),
+              fps,
+              (s.disconnect_count || 0) + ' disconnects',
+              s.final_state ? 'ended in ' + esc(s.final_state) : ''
+            ].filter(Boolean).join(' &middot; ') + '</span></div>';
+        }).join('') + pagination('loadSessions', d.pagination, 'sessions');
+      } catch (e) {
+        list.innerHTML = '<div class="no-data">Error: ' + esc(e.message) + '</div>';
+      }
+    }
+
+    async function loadEvents(page) {
+      const list = document.getElementById('eventsList');
+      try {
+        const res = await authFetch(historyUrl('events', page, 50));
+        const d = await res.json();
+        if (!d.events.length) {
+          list.innerHTML = '<div class="no-data">No events in this range</div>';
+          return;
+        }
+        list.innerHTML = d.events.map(ev =>
+          '<div class="history-row">' +
+          '<span class="history-time">' + formatTime(ev) + '</span>' +
+          '<span class="history-name">' + esc(ev.event_name) + '</span>' +
+          '<span class="history-meta">' + Object.entries(ev.event_data || {})
+            .map(([k, v]) => esc(k) + '=' + esc(v)).join(' &middot; ') + '</span></div>'
+        ).join('') + pagination('loadEvents', d.pagination, 'events');
       } catch (e) {
-        list.innerHTML = '<div class="no-data">Error: ' + e.message + '</div>';
+        list.innerHTML = '<div class="no-data">Error: ' + esc(e.message) + '</div>';
       }
     }
 
+    function refresh() {
+      loadCharts();
+      loadSessions(1);
+      loadEvents(1);
+    }
+
+    document.querySelectorAll('.range-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        currentRange = btn.dataset.range;
+        refresh();
+      });
+    });
+
     document.getElementById('loginForm').addEventListener('submit', async (e) => {
       e.preventDefault();
       const password = document.getElementById('loginPassword').value;
@@ -496,7 +1289,8 @@ function handleServersPage(req, res) {
       document.getElementById('loginOverlay').classList.add('hidden');
       document.getElementById('mainContent').classList.remove('hidden');
       loadStats();
-      loadServers(1);
+      initCharts();
+      refresh();
       setInterval(loadStats, 30000);
     }
 
@@ -510,16 +1304,21 @@ function handleServersPage(req, res) {
 }
 
 /**
- * Players page
+ * Entitlements page
  */
-function handlePlayersPage(req, res) {
+function handleEntitlementsPage(req, res) {
     const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Players - Hytale Admin</title>
-  <style>${sharedStyles}</style>
+  <title>Entitlements - Hytale Admin</title>
+  <style>${sharedStyles}
+  .grant-row { display: flex; align-items: center; gap: 10px; padding: 8px 0; border-bottom: 1px solid rgba(255,255,255,0.05); flex-wrap: wrap; }
+  .grant-name { color: #fff; font-family: monospace; min-width: 160px; }
+  .grant-meta { color: #888; font-size: 0.8em; flex: 1; }
+  .grant-inactive { opacity: 0.5; }
+  </style>
 </head>
 <body>
   <div class="login-overlay" id="loginOverlay">
@@ -534,19 +1333,37 @@ function handlePlayersPage(req, res) {
   </div>
 
   <div id="mainContent" class="hidden">
-    ${navHtml('players')}
+    ${navHtml('entitlements')}
     <div class="container">
       <div class="card">
         <div class="card-header">
-          <span class="card-title">Active Players</span>
-          <button class="btn btn-secondary" onclick="loadPlayers(1)">Refresh</button>
+          <span class="card-title">Account Entitlements</span>
         </div>
         <div class="controls">
-          <input type="text" id="searchInput" placeholder="Search by username or UUID..." onkeyup="if(event.key==='Enter')searchPlayers()">
-          <button class="btn" onclick="searchPlayers()">Search</button>
-          <button class="btn btn-secondary" onclick="clearSearch()">Clear</button>
+          <input type="text" id="uuidInput" placeholder="Account or profile UUID..." onkeyup="if(event.key==='Enter')lookupAccount()">
+          <button class="btn" onclick="lookupAccount()">Look up</button>
         </div>
-        <div id="playersList">Loading...</div>
+        <div id="accountDetails"></div>
+        <div class="controls">
+          <input type="text" id="grantEntitlement" placeholder="Entitlement (e.g. game.deluxe)">
+          <select id="grantSource">
+            <option value="admin" selected>admin</option>
+            <option value="promo">promo</option>
+          </select>
+          <input type="text" id="grantReference" placeholder="Reference (promo code, note)">
+          <input type="number" id="grantDays" placeholder="Expires in days (blank = never)" min="1">
+          <button class="btn" onclick="grant()">Grant</button>
+        </div>
+        <div class="login-error" id="grantError"></div>
+      </div>
+
+      <div class="card">
+        <div class="card-header">
+          <span class="card-title">Accounts With Grants</span>
+          <button class="btn btn-secondary" onclick="loadAccounts()">Refresh</button>
+        </div>
+        <div id="policy" class="grant-meta"></div>
+        <div id="accountsList">Loading...</div>
       </div>
     </div>
   </div>
@@ -554,123 +1371,99 @@ function handlePlayersPage(req, res) {
   <script>
     ${sharedScripts}
 
-    let currentPage = 1;
-    let searchMode = false;
+    function esc(value) {
+      return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
 
-    async function loadPlayers(page) {
-      const list = document.getElementById('playersList');
-      list.innerHTML = '<div class="no-data">Loading...</div>';
-      searchMode = false;
+    function renderGrant(accountId, g) {
+      const meta = [g.source];
+      if (g.reference) meta.push(esc(g.reference));
+      if (g.grantedAt) meta.push('granted ' + new Date(g.grantedAt).toLocaleString());
+      if (g.expiresAt) meta.push((g.active ? 'expires ' : 'expired ') + new Date(g.expiresAt).toLocaleString());
+      const revoke = g.source === 'default' ? '' :
+        '<button class="btn btn-danger" style="padding:4px 8px;font-size:0.75em" onclick="revoke(\\'' + esc(accountId) + '\\', \\'' + esc(g.entitlement) + '\\')">Revoke</button>';
+      return '<div class="grant-row' + (g.active ? '' : ' grant-inactive') + '">' +
+        '<span class="grant-name">' + esc(g.entitlement) + '</span>' +
+        '<span class="grant-meta">' + meta.join(' &middot; ') + '</span>' + revoke + '</div>';
+    }
+
+    async function lookupAccount(uuid) {
+      uuid = uuid || document.getElementById('uuidInput').value.trim();
+      if (!uuid) return;
+      document.getElementById('uuidInput').value = uuid;
+      const details = document.getElementById('accountDetails');
       try {
-        const res = await authFetch('/admin/api/players?page=' + page + '&limit=50');
+        const res = await authFetch('/admin/entitlements?uuid=' + encodeURIComponent(uuid));
         const d = await res.json();
-        if (!d.players?.length) {
-          list.innerHTML = '<div class="no-data">No active players</div>';
-          return;
-        }
-        renderPlayers(d.players, d.page, d.totalPages, d.total);
-        currentPage = page;
+        details.innerHTML = '<div class="player-info" style="margin-bottom:10px">' +
+          '<span class="player-name">' + esc(d.username || 'Unknown player') + '</span>' +
+          '<span class="player-uuid">Account ' + esc(d.accountId) + '</span>' +
+          '<span class="grant-meta">Effective: ' + d.entitlements.map(esc).join(', ') + '</span></div>' +
+          d.grants.map(g => renderGrant(d.accountId, g)).join('');
       } catch (e) {
-        list.innerHTML = '<div class="no-data">Error: ' + e.message + '</div>';
+        details.innerHTML = '<div class="no-data">Error: ' + esc(e.message) + '</div>';
       }
     }
 
-    async function searchPlayers() {
-      const q = document.getElementById('searchInput').value.trim();
-      if (q.length < 2) { loadPlayers(1); return; }
-
-      const list = document.getElementById('playersList');
-      list.innerHTML = '<div class="no-data">Searching...</div>';
-      searchMode = true;
-
+    async function grant() {
+      const uuid = document.getElementById('uuidInput').value.trim();
+      const entitlement = document.getElementById('grantEntitlement').value.trim();
+      const days = parseInt(document.getElementById('grantDays').value, 10);
+      const error = document.getElementById('grantError');
+      error.textContent = '';
+      if (!uuid || !entitlement) { error.textContent = 'UUID and entitlement are required'; return; }
       try {
-        const res = await authFetch('/admin/search?q=' + encodeURIComponent(q) + '&limit=100');
+        const res = await authFetch('/admin/entitlements', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            uuid,
+            entitlement,
+            source: document.getElementById('grantSource').value,
+            reference: document.getElementById('grantReference').value.trim() || null,
+            expiresIn: days > 0 ? days * 86400 : null
+          })
+        });
         const d = await res.json();
-        if (!d.results?.length) {
-          list.innerHTML = '<div class="no-data">No players found</div>';
-          return;
-        }
-        renderPlayers(d.results.map(p => ({
-          uuid: p.uuid,
-          username: p.username,
-          server: p.servers?.[0]?.audience,
-          state: p.state
-        })), 1, 1, d.results.length);
+        if (!res.ok) { error.textContent = d.error || 'Failed'; return; }
+        document.getElementById('grantEntitlement').value = '';
+        lookupAccount(uuid);
+        loadAccounts();
       } catch (e) {
-        list.innerHTML = '<div class="no-data">Error: ' + e.message + '</div>';
+        error.textContent = e.message;
       }
     }
 
-    function clearSearch() {
-      document.getElementById('searchInput').value = '';
-      loadPlayers(1);
-    }
-
-    function getStatusBadge(state, server, connected) {
-      // Determine player status from telemetry state
-      const currentState = state?.current_state || '';
-      const isConnected = connected === true || state?.connected === true;
-
-      if (currentState.includes('InGame') || currentState.includes('Playing')) {
-        return '<span class="status-badge in-game">In Game</span>';
-      } else if (currentState === 'MainMenu' || currentState.includes('Menu')) {
-        return '<span class="status-badge main-menu">Main Menu</span>';
-      } else if (currentState.includes('Loading') || currentState.includes('Connecting')) {
-        return '<span class="status-badge loading">Loading</span>';
-      } else if (!isConnected && !server) {
-        return '<span class="status-badge disconnected">Offline</span>';
-      }
-      return '';
+    async function revoke(accountId, entitlement) {
+      if (!confirm('Revoke ' + entitlement + ' from ' + accountId + '?')) return;
+      await authFetch('/admin/entitlements', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ uuid: accountId, entitlement })
+      });
+      lookupAccount(accountId);
+      loadAccounts();
     }
 
-    function renderPlayers(players, page, totalPages, total) {
-      const list = document.getElementById('playersList');
-      let html = '<div class="players-list" style="gap:15px">';
-      html += players.map(p => {
-        const st = p.state || {};
-        const hw = p.hardware || {};
-        const fc = st.fps > 50 ? 'good' : st.fps > 30 ? 'warn' : st.fps ? 'bad' : '';
-        const lc = st.latency < 50 ? 'good' : st.latency < 100 ? 'warn' : st.latency ? 'bad' : '';
-        // Build tooltip
-        const tt = [];
-        if (st.current_state) tt.push('State: ' + st.current_state);
-        if (st.fps) tt.push('FPS: ' + Math.round(st.fps));
-        if (st.latency) tt.push('Latency: ' + Math.round(st.latency) + 'ms');
-        if (st.activity_state) tt.push('Activity: ' + st.activity_state);
-        if (hw.os) tt.push('OS: ' + hw.os);
-        if (hw.gpu) tt.push('GPU: ' + hw.gpu);
-        if (hw.resolution) tt.push('Resolution: ' + hw.resolution);
-        if (hw.memory_mb) tt.push('RAM: ' + Math.round(hw.memory_mb/1024) + 'GB');
-        if (hw.cpu_cores) tt.push('CPU: ' + hw.cpu_cores + ' cores');
-        const tooltip = tt.length ? tt.join('\\n') : '';
-        const statusBadge = getStatusBadge(st, p.server, st.connected);
-        const serverBadge = p.server ? '<span class="status-badge server">' + p.server.substring(0,8) + '</span>' : '';
-        return \`
-        <div class="player-tag" style="padding:12px" \${tooltip ? 'data-tooltip="' + tooltip + '"' : ''}>
-          <iframe class="player-avatar" style="width:50px;height:50px" src="/avatar/\${p.uuid}/head?bg=black" loading="lazy"></iframe>
-          <div class="player-info">
-            <span class="player-name" style="font-size:1em">\${p.username}</span>
-            <span class="player-uuid">\${p.uuid}</span>
-            <div class="player-state">
-              \${statusBadge}
-              \${serverBadge}
-              \${st.fps ? '<span class="state-item ' + fc + '">' + Math.round(st.fps) + ' FPS</span>' : ''}
-              \${st.latency ? '<span class="state-item ' + lc + '">' + Math.round(st.latency) + 'ms</span>' : ''}
-            </div>
-          </div>
-        </div>\`;
-      }).join('');
-      html += '</div>';
-
-      if (!searchMode) {
-        html += '<div class="pagination">' +
-          '<button onclick="loadPlayers(' + (page - 1) + ')" ' + (page <= 1 ? 'disabled' : '') + '>Prev</button>' +
-          '<span>Page ' + page + ' / ' + totalPages + ' (' + total + ' players)</span>' +
-          '<button onclick="loadPlayers(' + (page + 1) + ')" ' + (page >= totalPages ? 'disabled' : '') + '>Next</button>' +
-          '</div>';
+    async function loadAccounts() {
+      const list = document.getElementById('accountsList');
+      try {
+        const res = await authFetch('/admin/entitlements');
+        const d = await res.json();
+        document.getElementById('policy').textContent =
+          'Default: ' + d.defaults.join(', ') + ' | Servers: ' + d.server.join(', ');
+        if (!d.accounts.length) {
+          list.innerHTML = '<div class="no-data">No accounts have grants</div>';
+          return;
+        }
+        list.innerHTML = d.accounts.map(a =>
+          '<div style="margin-top:12px"><a href="#" class="player-name" onclick="lookupAccount(\\'' + esc(a.accountId) + '\\');return false">' +
+          esc(a.username || a.accountId) + '</a> <span class="player-uuid">' + esc(a.accountId) + '</span>' +
+          a.grants.map(g => renderGrant(a.accountId, g)).join('') + '</div>'
+        ).join('');
+      } catch (e) {
+        list.innerHTML = '<div class="no-data">Error: ' + esc(e.message) + '</div>';
       }
-
-      list.innerHTML = html;
     }
 
     document.getElementById('loginForm').addEventListener('submit', async (e) => {
@@ -701,7 +1494,7 @@ function handlePlayersPage(req, res) {
       document.getElementById('loginOverlay').classList.add('hidden');
       document.getElementById('mainContent').classList.remove('hidden');
       loadStats();
-      loadPlayers(1);
+      loadAccounts();
       setInterval(loadStats, 30000);
     }
 
@@ -760,6 +1553,13 @@ function handleLogsPage(req, res) {
             <option value="POST">POST</option>
             <option value="DELETE">DELETE</option>
           </select>
+          <select id="logStatus">
+            <option value="">All statuses</option>
+            <option value="2xx">2xx</option>
+            <option value="3xx">3xx</option>
+            <option value="4xx">4xx</option>
+            <option value="5xx">5xx</option>
+          </select>
           <button class="btn" onclick="loadLogs()">Load</button>
           <label style="color:#888;font-size:0.85em;display:flex;align-items:center;gap:5px">
             <input type="checkbox" id="autoRefresh" onchange="toggleAuto()"> Auto
@@ -795,16 +1595,17 @@ function handleLogsPage(req, res) {
       const filter = document.getElementById('logFilter').value;
       const lines = document.getElementById('logLines').value;
       const method = document.getElementById('logMethod').value;
+      const status = document.getElementById('logStatus').value;
 
       try {
         let url = '/admin/logs?lines=' + lines;
         if (filter) url += '&filter=' + encodeURIComponent(filter);
+        if (method) url += '&method=' + method;
+        if (status) url += '&status=' + status;
 
         const res = await authFetch(url);
         const d = await res.json();
-        let logs = d.logs || [];
-
-        if (method) logs = logs.filter(l => l.method === method);
+        const logs = d.logs || [];
 
         if (!logs.length) {
           container.innerHTML = '<div class="no-data">No logs found</div>';
@@ -847,7 +1648,8 @@ function handleLogsPage(req, res) {
       el.classList.add('expanded');
       const d = document.createElement('div');
       d.className = 'log-details';
-      d.textContent = 'URL: ' + l.url + '\\nIP: ' + l.ip + '\\nUA: ' + l.userAgent + '\\nHost: ' + l.host +
+      d.textContent = 'URL: ' + l.url + '\\nRequest ID: ' + (l.requestId || '-') + (l.uuid ? '\\nUUID: ' + l.uuid : '') +
+        '\\nIP: ' + l.ip + '\\nUA: ' + l.userAgent + '\\nHost: ' + l.host +
         (l.body ? '\\nBody: ' + JSON.stringify(l.body, null, 2) : '');
       el.appendChild(d);
     }
@@ -1626,6 +2428,187 @@ function handleMetricsPage(req, res) {
     sendHtml(res, 200, html);
 }
 
+/**
+ * Alerts page
+ */
+function handleAlertsPage(req, res) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Alerts - Hytale Admin</title>
+  <style>${sharedStyles}
+  .rule-row { display: flex; align-items: center; gap: 10px; padding: 10px 0; border-bottom: 1px solid rgba(255,255,255,0.05); flex-wrap: wrap; }
+  .rule-name { color: #fff; min-width: 180px; }
+  .rule-condition { color: #aaa; font-family: monospace; font-size: 0.85em; flex: 1; }
+  .rule-meta { color: #888; font-size: 0.8em; }
+  .status-badge.firing { background: rgba(255,68,68,0.2); color: #ff6b6b; }
+  .status-badge.pending { background: rgba(255,170,0,0.2); color: #fa0; }
+  .status-badge.inactive { background: rgba(0,255,136,0.2); color: #0f8; }
+  </style>
+</head>
+<body>
+  <div class="login-overlay" id="loginOverlay">
+    <div class="login-box">
+      <h2>Admin Login</h2>
+      <form id="loginForm">
+        <input type="password" id="loginPassword" placeholder="Password" required>
+        <button type="submit" class="btn">Login</button>
+      </form>
+      <div class="login-error" id="loginError"></div>
+    </div>
+  </div>
+
+  <div id="mainContent" class="hidden">
+    ${navHtml('alerts')}
+    <div class="container">
+      <div class="card">
+        <div class="card-header">
+          <span class="card-title">Alert Rules</span>
+          <button class="btn btn-secondary" onclick="loadRules()">Refresh</button>
+        </div>
+        <div id="rulesList">Loading...</div>
+      </div>
+
+      <div class="card">
+        <div class="card-header"><span class="card-title">New Rule</span></div>
+        <div class="controls">
+          <input type="text" id="ruleName" placeholder="Name (e.g. Redis down)">
+          <select id="ruleSeverity"></select>
+        </div>
+        <div class="controls">
+          <input type="text" id="ruleCondition" placeholder="Condition (e.g. redis_connected == 0 for 1m)">
+          <button class="btn" onclick="createRule()">Create</button>
+        </div>
+        <div class="controls" id="ruleNotify"></div>
+        <div class="login-error" id="ruleError"></div>
+        <div class="rule-meta">
+          Conditions compare an expression of metric gauges and counters with a number, e.g.
+          <code>frame_time_p99 &gt; 33 for 5m</code> or
+          <code>server_connect_success / (server_connect_success + server_connect_failure) &lt; 0.9 over 5m</code>.
+          With <code>over</code>, counters are their increase during that window; <code>for</code> is how long the condition must hold.
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    ${sharedScripts}
+
+    function esc(value) {
+      return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function renderRule(r, defaultNotifiers) {
+      const st = r.state || {};
+      const meta = [r.severity, r.source, 'notify: ' + (r.notify || defaultNotifiers).join(', ')];
+      if (st.value != null) meta.push('value ' + st.value);
+      if (st.state === 'firing' && st.firedAt) meta.push('firing since ' + new Date(st.firedAt).toLocaleString());
+      else if (st.state === 'pending' && st.since) meta.push('pending since ' + new Date(st.since).toLocaleString());
+      else if (st.resolvedAt) meta.push('last resolved ' + new Date(st.resolvedAt).toLocaleString());
+      const remove = r.source === 'config' ? '' :
+        '<button class="btn btn-danger" style="padding:4px 8px;font-size:0.75em" onclick="deleteRule(\\'' + esc(r.id) + '\\', \\'' + esc(r.name) + '\\')">Delete</button>';
+      return '<div class="rule-row">' +
+        '<span class="status-badge ' + esc(st.state || 'inactive') + '">' + esc(st.state || 'inactive') + '</span>' +
+        '<span class="rule-name">' + esc(r.name) + '</span>' +
+        '<span class="rule-condition">' + esc(r.condition) + '</span>' +
+        '<span class="rule-meta">' + meta.map(esc).join(' &middot; ') + '</span>' + remove + '</div>';
+    }
+
+    async function loadRules() {
+      const list = document.getElementById('rulesList');
+      try {
+        const res = await authFetch('/admin/api/alerts');
+        const d = await res.json();
+        const severity = document.getElementById('ruleSeverity');
+        if (!severity.options.length) {
+          severity.innerHTML = d.severities.map(s => '<option value="' + s + '"' + (s === 'warning' ? ' selected' : '') + '>' + s + '</option>').join('');
+          document.getElementById('ruleNotify').innerHTML = '<span style="color:#888">Notify:</span>' + d.notifiers.map(n =>
+            '<label style="color:#888;font-size:0.85em"><input type="checkbox" class="notify-box" value="' + esc(n) + '"' +
+            (d.defaultNotifiers.includes(n) ? ' checked' : '') + '> ' + esc(n) + '</label>').join('');
+        }
+        list.innerHTML = d.rules.length
+          ? d.rules.map(r => renderRule(r, d.defaultNotifiers)).join('')
+          : '<div class="no-data">No alert rules</div>';
+      } catch (e) {
+        list.innerHTML = '<div class="no-data">Error: ' + esc(e.message) + '</div>';
+      }
+    }
+
+    async function createRule() {
+      const error = document.getElementById('ruleError');
+      error.textContent = '';
+      try {
+        const res = await authFetch('/admin/api/alerts', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: document.getElementById('ruleName').value.trim(),
+            condition: document.getElementById('ruleCondition').value.trim(),
+            severity: document.getElementById('ruleSeverity').value,
+            notify: [...document.querySelectorAll('.notify-box:checked')].map(b => b.value)
+          })
+        });
+        const d = await res.json();
+        if (!res.ok) { error.textContent = d.error || 'Failed'; return; }
+        document.getElementById('ruleName').value = '';
+        document.getElementById('ruleCondition').value = '';
+        loadRules();
+      } catch (e) {
+        error.textContent = e.message;
+      }
+    }
+
+    async function deleteRule(id, name) {
+      if (!confirm('Delete alert rule ' + name + '?')) return;
+      await authFetch('/admin/api/alerts/' + encodeURIComponent(id), { method: 'DELETE' });
+      loadRules();
+      loadStats();
+    }
+
+    document.getElementById('loginForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const password = document.getElementById('loginPassword').value;
+      try {
+        const res = await fetch('/admin/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password })
+        });
+        const data = await res.json();
+        if (res.ok && data.token) {
+          adminToken = data.token;
+          savedPassword = password;
+          localStorage.setItem('adminToken', adminToken);
+          localStorage.setItem('adminPassword', password);
+          init();
+        } else {
+          document.getElementById('loginError').textContent = data.error || 'Failed';
+        }
+      } catch (e) {
+        document.getElementById('loginError').textContent = 'Connection error';
+      }
+    });
+
+    async function init() {
+      document.getElementById('loginOverlay').classList.add('hidden');
+      document.getElementById('mainContent').classList.remove('hidden');
+      loadStats();
+      loadRules();
+      setInterval(loadStats, 30000);
+      setInterval(loadRules, 30000);
+    }
+
+    (async () => {
+      if (await checkAuth()) init();
+    })();
+  </script>
+</body>
+</html>`;
+    sendHtml(res, 200, html);
+}
+
 /**
  * Settings page - CDN download links and download stats
  */
@@ -2167,10 +3150,33 @@ function handleSettingsPage(req, res) {
     sendHtml(res, 200, html);
 }
 
+/**
+ * Dispatch /admin/page/{name} to the matching page handler
+ */
+function handlePage(req, res, name) {
+    const pages = {
+        servers: handleServersPage,
+        server: handleServerPage,
+        players: handlePlayersPage,
+        player: handlePlayerPage,
+        entitlements: handleEntitlementsPage,
+        logs: handleLogsPage,
+        metrics: handleMetricsPage,
+        alerts: handleAlertsPage,
+        settings: handleSettingsPage
+    };
+    pages[name](req, res);
+}
+
 module.exports = {
+    handlePage,
     handleServersPage,
+    handleServerPage,
     handlePlayersPage,
+    handlePlayerPage,
+    handleEntitlementsPage,
     handleLogsPage,
     handleMetricsPage,
+    handleAlertsPage,
     handleSettingsPage
 };
@@ -1,6 +1,9 @@
 const assets = require('../services/assets');
 const config = require('../config');
 const { sendJson, sendBinary } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('assetRoutes');
 
 /**
  * Category to gradient set mapping
@@ -417,7 +420,7 @@ function handleDownload(req, res, urlPath) {
     });
     res.end(content);
   } catch (e) {
-    console.error('Download error:', e.message);
+    log.error('Download error', { error: e.message });
     sendJson(res, 500, { error: 'Failed to serve file' });
   }
 }
@@ -4,6 +4,9 @@ const config = require('../config');
 const storage = require('../services/storage');
 const assets = require('../services/assets');
 const { sendJson, sendHtml, sendBinary } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('avatar');
 
 // Head image cache directory
 const HEAD_CACHE_DIR = config.headCacheDir;
@@ -15,10 +18,10 @@ function initHeadCache() {
   try {
     if (!fs.existsSync(HEAD_CACHE_DIR)) {
       fs.mkdirSync(HEAD_CACHE_DIR, { recursive: true });
-      console.log(`Created head cache directory: ${HEAD_CACHE_DIR}`);
+      log.info(`Created head cache directory: ${HEAD_CACHE_DIR}`);
     }
   } catch (err) {
-    console.error('Error initializing head cache:', err.message);
+    log.error('Error initializing head cache', { error: err.message });
   }
 }
 
@@ -55,7 +58,7 @@ function saveHeadCacheToDisk(cacheKey, data) {
     const filePath = path.join(HEAD_CACHE_DIR, `${cacheKey}.png`);
     fs.writeFileSync(filePath, data);
   } catch (err) {
-    console.error('Error saving head cache to disk:', err.message);
+    log.error('Error saving head cache to disk', { error: err.message });
   }
 }
 
@@ -71,7 +74,7 @@ function deleteHeadCacheFromDisk(uuid) {
       }
     }
   } catch (err) {
-    console.error('Error deleting head cache from disk:', err.message);
+    log.error('Error deleting head cache from disk', { error: err.message });
   }
 }
 
@@ -345,7 +348,7 @@ function handleHeadImageCache(req, res, uuid, url) {
 
     if (data.length > 0) {
       saveHeadCacheToDisk(cacheKey, data);
-      console.log(`Cached head image for ${uuid} (${bgParam}): ${data.length} bytes`);
+      log.info(`Cached head image for ${uuid} (${bgParam}): ${data.length} bytes`);
     }
 
     res.writeHead(204);
@@ -5,6 +5,9 @@
 const storage = require('../services/storage');
 const nativeRenderer = require('../services/nativeRenderer');
 const { sendJson, sendHtml, sendBinary } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('debug');
 
 // Test UUIDs for demo purposes
 const TEST_PLAYERS = [
@@ -17,13 +20,13 @@ const TEST_PLAYERS = [
  * Handle SSR debug page
  */
 async function handleDebugSSR(req, res) {
-  console.log('[Debug SSR] Rendering debug page...');
+  log.debug('Rendering debug page');
 
   let status = { available: false, error: 'Unknown', dependencies: {} };
   try {
     status = nativeRenderer.getStatus();
   } catch (err) {
-    console.error('[Debug SSR] Error getting status:', err);
+    log.error('Error getting renderer status', { error: err.message });
     status.error = err.message;
   }
 
@@ -33,7 +36,7 @@ async function handleDebugSSR(req, res) {
     hasSkin: true
   }));
 
-  console.log('[Debug SSR] Status:', status.available, 'Players:', playersWithSkins.length);
+  log.debug('Renderer status', { available: status.available, players: playersWithSkins.length });
 
   const html = `<!DOCTYPE html>
 <html lang="en">
@@ -436,7 +439,7 @@ async function handleDebugSSRRender(req, res, uuid) {
       'X-Render-Time': result.timings.total + 'ms'
     });
   } catch (err) {
-    console.error('[Debug SSR] Render error:', err);
+    log.error('Render error', { error: err.message });
     sendJson(res, 500, {
       error: err.message,
       stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
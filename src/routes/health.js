@@ -1,5 +1,7 @@
 const config = require('../config');
 const auth = require('../services/auth');
+const tenants = require('../services/tenants');
+const storage = require('../services/storage');
 const { sendJson } = require('../utils/response');
 
 /**
@@ -11,22 +13,37 @@ function handleHealth(req, res) {
 
 /**
  * JWKS endpoint for JWT signature verification
+ *
+ * Publishes the key set of the tenant serving this host: the active signing
+ * key plus any retired keys whose tokens may still be live, so game servers
+ * keep accepting them across rotations.
  */
 function handleJwks(req, res) {
-  const publicKeyJwk = auth.getPublicKeyJwk();
+  const tenant = tenants.resolveTenant(req.headers.host);
   sendJson(res, 200, {
-    keys: [{
-      kty: publicKeyJwk.kty,
-      crv: publicKeyJwk.crv,
-      x: publicKeyJwk.x,
-      kid: config.keyId,
-      use: 'sig',
-      alg: 'EdDSA'
-    }]
+    keys: auth.getPublicKeyJwks(tenant.keySet)
   });
 }
 
+/**
+ * Token revocation list for game servers to poll
+ *
+ * `jti` entries revoke single tokens; `users` and `audiences` entries revoke
+ * every token for that subject/audience with `iat < revokedBefore` (both in
+ * seconds with milliseconds as fractions).
+ * Entries drop off once no token they cover can still be valid.
+ */
+async function handleRevocationList(req, res) {
+  const list = await storage.getRevocationList();
+  res.setHeader('Cache-Control', 'public, max-age=30');
+  sendJson(res, 200, {
+    ...list,
+    generatedAt: Math.floor(Date.now() / 1000)
+  }, req);
+}
+
 module.exports = {
   handleHealth,
   handleJwks,
+  handleRevocationList,
 };
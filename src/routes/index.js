@@ -3,7 +3,9 @@ module.exports = {
   session: require('./session'),
   account: require('./account'),
   admin: require('./admin'),
+  adminPages: require('./adminPages'),
   assets: require('./assets'),
   avatar: require('./avatar'),
   server: require('./server'),
+  telemetry: require('./telemetry'),
 };
@@ -1,8 +1,13 @@
 const crypto = require('crypto');
-const config = require('../config');
 const auth = require('../services/auth');
 const storage = require('../services/storage');
+const tenants = require('../services/tenants');
+const profiles = require('../services/profiles');
+const entitlements = require('../services/entitlements');
 const { sendJson } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('server');
 
 /**
  * Server auto-authentication for F2P mode
@@ -16,7 +21,7 @@ const { sendJson } = require('../utils/response');
  * and receives session + identity tokens immediately.
  */
 function handleServerAutoAuth(req, res, body) {
-  console.log('server/auto-auth request:', JSON.stringify(body));
+  log.debug('server/auto-auth request', { body });
 
   // Server can provide its own ID or we generate one
   const serverId = body.server_id || body.serverId || crypto.randomUUID();
@@ -31,28 +36,28 @@ function handleServerAutoAuth(req, res, body) {
   const requestHost = req.headers.host;
 
   // Generate tokens with server scope (issuer based on request host)
-  const identityToken = auth.generateIdentityToken(
+  const identityToken = auth.generateServerToken(
     serverUuid,
     serverName,
     'hytale:server',  // Server scope only
-    ['game.base', 'server.host'],  // Server entitlements
+    entitlements.getServerEntitlements(),
     requestHost
   );
 
   const sessionToken = auth.generateSessionToken(serverUuid, requestHost);
 
   // Register the server session
-  storage.registerSession(sessionToken, serverUuid, serverName, serverId);
+  storage.registerSession(sessionToken, serverUuid, serverName, serverId, tenants.resolveTenant(requestHost).tokenTtl);
 
-  // Calculate expiresAt for Java client compatibility
-  const expiresAt = new Date(Date.now() + config.sessionTtl * 1000).toISOString();
+  // expiresAt for Java client compatibility (earliest exp of the two tokens)
+  const { expiresIn, expiresAt } = auth.getTokenExpiry(identityToken, sessionToken);
 
-  console.log('server/auto-auth success:', serverUuid, serverName);
+  log.info(`server/auto-auth success: ${serverUuid} ${serverName}`);
 
   sendJson(res, 200, {
     identityToken: identityToken,
     sessionToken: sessionToken,
-    expiresIn: config.sessionTtl,
+    expiresIn: expiresIn,
     expiresAt: expiresAt,
     tokenType: 'Bearer',
     serverId: serverId,
@@ -64,13 +69,14 @@ function handleServerAutoAuth(req, res, body) {
 /**
  * Server game profiles endpoint
  *
- * Returns a single profile for the server (used by ServerAuthManager
- * after OAuth flow to select which profile to use).
+ * Lists the profiles a server may run as (used by ServerAuthManager after
+ * OAuth flow to select which profile to use).
  *
- * For auto-auth, we just return the server's own profile.
+ * For auto-auth server tokens, that is just the server's own profile; for a
+ * player account's token, it is every profile of that account.
  */
-function handleServerGameProfiles(req, res, headers) {
-  console.log('server/game-profiles request');
+async function handleServerGameProfiles(req, res, headers) {
+  log.info('server/game-profiles request');
 
   // Extract server info from the bearer token
   let serverUuid = null;
@@ -78,11 +84,15 @@ function handleServerGameProfiles(req, res, headers) {
 
   if (headers && headers.authorization) {
     const token = headers.authorization.replace('Bearer ', '');
-    const tokenData = auth.parseToken(token);
-    if (tokenData) {
-      serverUuid = tokenData.uuid;
-      serverName = tokenData.name || 'Server';
+    const tokenData = await auth.parseVerifiedToken(token, { tenant: tenants.resolveTenant(req.headers.host) });
+    if (!tokenData) {
+      return sendJson(res, 401, {
+        error: 'invalid_token',
+        error_description: 'Bearer token is invalid or expired'
+      });
     }
+    serverUuid = tokenData.uuid;
+    serverName = tokenData.name || 'Server';
   }
 
   if (!serverUuid) {
@@ -90,14 +100,14 @@ function handleServerGameProfiles(req, res, headers) {
     serverUuid = crypto.randomUUID();
   }
 
-  // Return a single profile for the server
-  sendJson(res, 200, [
-    {
-      uuid: serverUuid,
-      username: serverName,
-      isDefault: true
-    }
-  ]);
+  // Servers have no profile records, so they get their own profile back
+  const accountId = await profiles.getAccountId(serverUuid);
+  const accountProfiles = await profiles.listProfiles(accountId, serverUuid === accountId ? serverName : null);
+  sendJson(res, 200, accountProfiles.map(profile => ({
+    uuid: profile.uuid,
+    username: profile.username,
+    isDefault: profile.isDefault
+  })));
 }
 
 /**
@@ -109,7 +119,7 @@ function handleServerGameProfiles(req, res, headers) {
  * Note: For official mode, this would redirect to hytale.com
  */
 function handleOAuthDeviceAuth(req, res, body) {
-  console.log('oauth2/device/auth request:', JSON.stringify(body));
+  log.debug('oauth2/device/auth request', { body });
 
   const clientId = body.client_id || 'hytale-server';
   const scope = body.scope || 'openid offline auth:server';
@@ -121,13 +131,14 @@ function handleOAuthDeviceAuth(req, res, body) {
   // Store the device code for later exchange (auto-approved for F2P)
   storage.registerDeviceCode(deviceCode, userCode, clientId, scope);
 
-  // Return verification URLs pointing to oauth.accounts subdomain (matches what patched server expects)
+  // Return verification URLs pointing to the tenant's oauth.accounts subdomain (matches what patched server expects)
   // Note: Traefik routes oauth.accounts.nostep.xyz -> this same auth server
+  const tenant = tenants.resolveTenant(req.headers.host);
   sendJson(res, 200, {
     device_code: deviceCode,
     user_code: userCode,
-    verification_uri: `https://oauth.accounts.${config.domain}/oauth2/device/verify`,
-    verification_uri_complete: `https://oauth.accounts.${config.domain}/oauth2/device/verify?user_code=${userCode}`,
+    verification_uri: `https://oauth.accounts.${tenant.domain}/oauth2/device/verify`,
+    verification_uri_complete: `https://oauth.accounts.${tenant.domain}/oauth2/device/verify?user_code=${userCode}`,
     expires_in: 600,
     interval: 1  // Fast polling for F2P (auto-approved)
   });
@@ -204,20 +215,20 @@ function handleOAuthDeviceVerify(req, res, query) {
  * OAuth token endpoint
  * Handles device code exchange and token refresh
  */
-function handleOAuthToken(req, res, body) {
-  console.log('oauth2/token request:', body.grant_type);
+async function handleOAuthToken(req, res, body) {
+  log.info(`oauth2/token request: ${body.grant_type}`);
 
   const grantType = body.grant_type;
 
   if (grantType === 'urn:ietf:params:oauth:grant-type:device_code') {
     // Device code exchange
-    return handleDeviceCodeExchange(req, res, body);
+    return await handleDeviceCodeExchange(req, res, body);
   } else if (grantType === 'refresh_token') {
     // Token refresh
-    return handleTokenRefresh(req, res, body);
+    return await handleTokenRefresh(req, res, body);
   } else if (grantType === 'authorization_code') {
     // Auth code exchange (browser flow)
-    return handleAuthCodeExchange(req, res, body);
+    return await handleAuthCodeExchange(req, res, body);
   }
 
   sendJson(res, 400, {
@@ -229,7 +240,7 @@ function handleOAuthToken(req, res, body) {
 /**
  * Handle device code exchange for tokens
  */
-function handleDeviceCodeExchange(req, res, body) {
+async function handleDeviceCodeExchange(req, res, body) {
   const deviceCode = body.device_code;
   const clientId = body.client_id || 'hytale-server';
 
@@ -261,16 +272,19 @@ function handleDeviceCodeExchange(req, res, body) {
   const serverName = `Server-${serverUuid.substring(0, 8)}`;
   const requestHost = req.headers.host;
 
-  const accessToken = auth.generateIdentityToken(
+  const accessToken = auth.generateServerToken(
     serverUuid,
     serverName,
     'hytale:server',
-    ['game.base', 'server.host'],
+    entitlements.getServerEntitlements(),
     requestHost
   );
 
-  const refreshToken = auth.generateSessionToken(serverUuid, requestHost);
-  const idToken = auth.generateIdentityToken(serverUuid, serverName, 'openid hytale:server', ['game.base'], requestHost);
+  const { refreshToken, familyId } = await auth.issueRefreshToken({
+    uuid: serverUuid, name: serverName, scope: 'hytale:server', kind: 'server'
+  });
+  const idToken = auth.generateServerToken(serverUuid, serverName, 'openid hytale:server', entitlements.getDefaultEntitlements(), requestHost);
+  await auth.trackFamilyTokens(familyId, accessToken, idToken);
 
   // Clean up device code
   storage.consumeDeviceCode(deviceCode);
@@ -280,15 +294,18 @@ function handleDeviceCodeExchange(req, res, body) {
     refresh_token: refreshToken,
     id_token: idToken,
     token_type: 'Bearer',
-    expires_in: config.sessionTtl,
+    expires_in: auth.getTokenExpiry(accessToken).expiresIn,
     scope: 'openid offline auth:server hytale:server'
   });
 }
 
 /**
  * Handle token refresh
+ *
+ * Refresh tokens are opaque and single-use: each refresh returns a new one
+ * in the same family, and replaying a used one revokes the whole family.
  */
-function handleTokenRefresh(req, res, body) {
+async function handleTokenRefresh(req, res, body) {
   const refreshToken = body.refresh_token;
 
   if (!refreshToken) {
@@ -298,34 +315,54 @@ function handleTokenRefresh(req, res, body) {
     });
   }
 
-  // Parse the refresh token to get server info
-  const tokenData = auth.parseToken(refreshToken);
-  const serverUuid = tokenData?.uuid || crypto.randomUUID();
-  const serverName = tokenData?.name || `Server-${serverUuid.substring(0, 8)}`;
+  // Redeem the refresh token to get server info
+  let refreshData;
+  try {
+    refreshData = await auth.redeemRefreshToken(refreshToken);
+  } catch (e) {
+    if (!(e instanceof auth.TokenVerificationError)) throw e;
+    return sendJson(res, 400, {
+      error: 'invalid_grant',
+      error_description: e.message
+    });
+  }
+
+  if (refreshData.kind !== 'server') {
+    return sendJson(res, 400, {
+      error: 'invalid_grant',
+      error_description: 'Refresh token was not issued to a server'
+    });
+  }
+
+  const serverUuid = refreshData.uuid;
+  const serverName = refreshData.name || `Server-${serverUuid.substring(0, 8)}`;
   const requestHost = req.headers.host;
 
-  const accessToken = auth.generateIdentityToken(
+  const accessToken = auth.generateServerToken(
     serverUuid,
     serverName,
     'hytale:server',
-    ['game.base', 'server.host'],
+    entitlements.getServerEntitlements(),
     requestHost
   );
 
-  const newRefreshToken = auth.generateSessionToken(serverUuid, requestHost);
+  const { refreshToken: newRefreshToken } = await auth.issueRefreshToken({
+    uuid: serverUuid, name: serverName, scope: refreshData.scope, kind: 'server'
+  }, refreshData.familyId);
+  await auth.trackFamilyTokens(refreshData.familyId, accessToken);
 
   sendJson(res, 200, {
     access_token: accessToken,
     refresh_token: newRefreshToken,
     token_type: 'Bearer',
-    expires_in: config.sessionTtl
+    expires_in: auth.getTokenExpiry(accessToken).expiresIn
   });
 }
 
 /**
  * Handle authorization code exchange (browser flow)
  */
-function handleAuthCodeExchange(req, res, body) {
+async function handleAuthCodeExchange(req, res, body) {
   const code = body.code;
   const clientId = body.client_id || 'hytale-server';
   const redirectUri = body.redirect_uri;
@@ -342,27 +379,78 @@ function handleAuthCodeExchange(req, res, body) {
   const serverName = `Server-${serverUuid.substring(0, 8)}`;
   const requestHost = req.headers.host;
 
-  const accessToken = auth.generateIdentityToken(
+  const accessToken = auth.generateServerToken(
     serverUuid,
     serverName,
     'hytale:server',
-    ['game.base', 'server.host'],
+    entitlements.getServerEntitlements(),
     requestHost
   );
 
-  const refreshToken = auth.generateSessionToken(serverUuid, requestHost);
-  const idToken = auth.generateIdentityToken(serverUuid, serverName, 'openid hytale:server', ['game.base'], requestHost);
+  const { refreshToken, familyId } = await auth.issueRefreshToken({
+    uuid: serverUuid, name: serverName, scope: 'hytale:server', kind: 'server'
+  });
+  const idToken = auth.generateServerToken(serverUuid, serverName, 'openid hytale:server', entitlements.getDefaultEntitlements(), requestHost);
+  await auth.trackFamilyTokens(familyId, accessToken, idToken);
 
   sendJson(res, 200, {
     access_token: accessToken,
     refresh_token: refreshToken,
     id_token: idToken,
     token_type: 'Bearer',
-    expires_in: config.sessionTtl,
+    expires_in: auth.getTokenExpiry(accessToken).expiresIn,
     scope: 'openid offline auth:server hytale:server'
   });
 }
 
+/**
+ * OAuth token introspection endpoint (RFC 7662)
+ *
+ * Lets game servers and plugins that cannot verify EdDSA themselves ask
+ * whether a token is good. Callers authenticate with their own server token
+ * (from /server/auto-auth or the device flow), which carries the
+ * `server.host` entitlement.
+ */
+async function handleOAuthIntrospect(req, res, body, headers) {
+  const credential = headers && headers.authorization
+    ? headers.authorization.replace('Bearer ', '')
+    : null;
+
+  let caller = null;
+  if (credential) {
+    try {
+      caller = await auth.verifyActiveToken(credential, { tenant: tenants.resolveTenant(req.headers.host) });
+    } catch (e) {
+      // Fall through to 401 below
+    }
+  }
+
+  if (!caller || !Array.isArray(caller.entitlements) || !caller.entitlements.includes('server.host')) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="introspect"');
+    return sendJson(res, 401, {
+      error: 'invalid_client',
+      error_description: 'A valid server token is required to introspect tokens'
+    });
+  }
+
+  if (!body.token) {
+    return sendJson(res, 400, {
+      error: 'invalid_request',
+      error_description: 'token is required'
+    });
+  }
+
+  // Servers only learn about tokens issued for them (or for any server)
+  const result = await auth.introspectToken(body.token, {
+    audience: caller.aud || caller.sub,
+    allowNoAudience: true
+  });
+  log.info(`oauth2/introspect by ${caller.sub}: active=${result.active}${result.revoked ? ' (revoked)' : ''}`);
+
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, result);
+}
+
 /**
  * Generate a deterministic UUID from server ID
  */
@@ -390,4 +478,5 @@ module.exports = {
   handleOAuthDeviceAuth,
   handleOAuthDeviceVerify,
   handleOAuthToken,
+  handleOAuthIntrospect,
 };
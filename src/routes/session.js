@@ -1,14 +1,128 @@
 const crypto = require('crypto');
-const config = require('../config');
 const auth = require('../services/auth');
 const storage = require('../services/storage');
+const tenants = require('../services/tenants');
+const metrics = require('../services/metrics');
+const accounts = require('../services/accounts');
+const usernames = require('../services/usernames');
+const profiles = require('../services/profiles');
 const { sendJson } = require('../utils/response');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('session');
+
+/**
+ * Send an OAuth invalid_grant error for a refresh token that could not be redeemed
+ */
+function sendRefreshError(res, err) {
+  sendJson(res, 400, {
+    error: 'invalid_grant',
+    error_description: err.message
+  });
+}
+
+/**
+ * Authenticate the account a new session is for
+ *
+ * The open provider keeps the request's uuid/name; other providers need
+ * their credentials in the body.
+ *
+ * @returns {Promise<Object|null>} { uuid, name }, or null after sending an error
+ */
+async function authenticateAccount(res, body, uuid, name) {
+  try {
+    return await accounts.authenticate(body, { uuid, name });
+  } catch (e) {
+    if (!(e instanceof accounts.AccountAuthError)) throw e;
+    log.warn(`Account authentication failed (${e.code}): ${e.message}`);
+    sendJson(res, e.code === 'unavailable' ? 503 : 401, {
+      error: e.code,
+      error_description: e.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Verify a player's own identity or session token for the request's tenant
+ *
+ * Access tokens and auth grants carry the audience of the server they were
+ * issued for and are rejected: a server holding one must not be able to act
+ * as the player here.
+ *
+ * @returns {Promise<Object|null>} Token data, or null if verification failed
+ */
+async function verifyPlayerToken(req, tokenString) {
+  return auth.parseVerifiedToken(tokenString, {
+    tenant: tenants.resolveTenant(req.headers.host),
+    rejectAudience: true
+  });
+}
+
+/**
+ * Require a verified session token unless the open provider is in use
+ * @returns {Promise<Object|null>} { uuid, name }, or null after sending a 401
+ */
+async function requireSession(req, res, uuid, name) {
+  if (accounts.isOpen()) return { uuid, name };
+
+  const authorization = req.headers.authorization;
+  const tokenData = authorization
+    ? await verifyPlayerToken(req, authorization.replace('Bearer ', ''))
+    : null;
+  if (!tokenData) {
+    sendJson(res, 401, {
+      error: 'invalid_token',
+      error_description: 'A valid session token is required'
+    });
+    return null;
+  }
+  return { uuid: tokenData.uuid, name: tokenData.name || name };
+}
+
+/**
+ * Resolve the game profile a session is for
+ *
+ * `profileUuid` in the body selects one of the account's profiles; without
+ * it the session is for `uuid` itself. Account players keep their registered
+ * name, open clients name themselves unless they switch profiles.
+ *
+ * @returns {Promise<Object|null>} { uuid, name, entitlements }, or null after sending a 403
+ */
+async function selectSessionProfile(res, body, uuid, name) {
+  const requested = body.profileUuid || body.profile_uuid || uuid;
+  const accountId = await profiles.getAccountId(uuid);
+  const profile = await profiles.selectProfile(accountId, requested, uuid === accountId ? name : null);
+  if (!profile) {
+    sendJson(res, 403, {
+      error: 'invalid_profile',
+      error_description: 'Profile does not belong to this account'
+    });
+    return null;
+  }
+
+  const keepName = accounts.isOpen() && profile.uuid === uuid;
+  return { uuid: profile.uuid, name: keepName ? name : profile.username, entitlements: profile.entitlements };
+}
 
 /**
  * Create new game session (used by official launcher and servers)
  */
-function handleGameSessionNew(req, res, body, uuid, name) {
-  console.log('game-session/new:', uuid, name, 'scopes:', body.scopes || body.scope);
+async function handleGameSessionNew(req, res, body, uuid, name) {
+  const account = await authenticateAccount(res, body, uuid, name);
+  if (!account) return;
+
+  const profile = await selectSessionProfile(res, body, account.uuid, account.name);
+  if (!profile) return;
+  ({ uuid, name } = profile);
+
+  // The name must be free or already owned by this player
+  const claimError = await usernames.claim(uuid, name);
+  if (claimError) {
+    return sendJson(res, 409, claimError);
+  }
+
+  log.info(`game-session/new: ${uuid} ${name}`, { scopes: body.scopes || body.scope });
 
   // Extract server audience from request
   const serverAudience = body.serverAudience || body.server_id || null;
@@ -16,22 +130,30 @@ function handleGameSessionNew(req, res, body, uuid, name) {
   // Extract requested scopes (array or space-separated string)
   const scopes = body.scopes || body.scope || null;
 
-  // Get request host for dynamic issuer
+  // Resolve issuer and token policy from the request host
   const requestHost = req.headers.host;
+  const tenant = tenants.resolveTenant(requestHost);
 
-  const identityToken = auth.generateIdentityToken(uuid, name, scopes, ['game.base'], requestHost);
+  const identityToken = auth.generateIdentityToken(uuid, name, scopes, profile.entitlements, requestHost);
   const sessionToken = auth.generateSessionToken(uuid, requestHost);
 
+  // Start a refresh token family for this session
+  const { refreshToken, familyId } = await auth.issueRefreshToken({
+    uuid, name, audience: serverAudience, scope: auth.normalizeScopes(scopes, tenant.defaultScopes), kind: 'game'
+  });
+  await auth.trackFamilyTokens(familyId, identityToken, sessionToken);
+
   // Register the session
-  storage.registerSession(sessionToken, uuid, name, serverAudience);
+  storage.registerSession(sessionToken, uuid, name, serverAudience, tenant.tokenTtl);
 
-  // Calculate expiresAt for Java client compatibility
-  const expiresAt = new Date(Date.now() + config.sessionTtl * 1000).toISOString();
+  // expiresAt for Java client compatibility (earliest exp of the two tokens)
+  const { expiresIn, expiresAt } = auth.getTokenExpiry(identityToken, sessionToken);
 
   sendJson(res, 200, {
     identityToken: identityToken,
     sessionToken: sessionToken,
-    expiresIn: config.sessionTtl,
+    refreshToken: refreshToken,
+    expiresIn: expiresIn,
     expiresAt: expiresAt,
     tokenType: 'Bearer'
   });
@@ -39,32 +161,84 @@ function handleGameSessionNew(req, res, body, uuid, name) {
 
 /**
  * Refresh game session
+ *
+ * Accepts either a single-use `refreshToken` in the body (rotated on every
+ * use, reuse revokes the family) or a valid session token as Bearer. A
+ * Bearer refresh stays in the token's refresh family, so revoking the family
+ * revokes what it issues, and gets no refresh token: only redeeming the
+ * family's current refresh token rotates it.
  */
 async function handleGameSessionRefresh(req, res, body, uuid, name, headers) {
-  console.log('game-session/refresh:', uuid, name, 'scopes:', body.scopes || body.scope);
-
-  // Extract server audience from token if present
-  const serverAudience = auth.extractServerAudienceFromHeaders(headers);
+  log.info(`game-session/refresh: ${uuid} ${name}`, { scopes: body.scopes || body.scope });
 
   // Extract requested scopes (array or space-separated string)
-  const scopes = body.scopes || body.scope || null;
+  let scopes = body.scopes || body.scope || null;
+  let serverAudience = null;
+  let familyId = null;
+  const rotate = Boolean(body.refreshToken);
+
+  if (rotate) {
+    let refreshData;
+    try {
+      refreshData = await auth.redeemRefreshToken(body.refreshToken);
+    } catch (e) {
+      if (e instanceof auth.TokenVerificationError) return sendRefreshError(res, e);
+      throw e;
+    }
+    if (refreshData.kind !== 'game') {
+      return sendRefreshError(res, new Error('Refresh token was not issued for a game session'));
+    }
+    uuid = refreshData.uuid;
+    // Pick up name changes made since the session started
+    name = await storage.getUsername(uuid) || refreshData.name || name;
+    serverAudience = refreshData.audience;
+    familyId = refreshData.familyId;
+    if (!scopes) scopes = refreshData.scope;
+  } else {
+    // Without a refresh token, a refresh must present a session we issued
+    const tokenData = headers && headers.authorization
+      ? await verifyPlayerToken(req, headers.authorization.replace('Bearer ', ''))
+      : null;
+    if (!tokenData) {
+      return sendJson(res, 401, {
+        error: 'invalid_token',
+        error_description: 'Session token or refresh token required'
+      });
+    }
+    // The session is the token's, whatever the request claims
+    uuid = tokenData.uuid;
+    name = await storage.getUsername(uuid) || tokenData.name || name;
+    serverAudience = await auth.extractServerAudienceFromHeaders(headers);
+    familyId = await storage.getTokenFamily(tokenData.jti);
+  }
 
-  // Get request host for dynamic issuer
+  // Resolve issuer and token policy from the request host
   const requestHost = req.headers.host;
+  const tenant = tenants.resolveTenant(requestHost);
 
-  const identityToken = auth.generateIdentityToken(uuid, name, scopes, ['game.base'], requestHost);
+  const identityToken = auth.generateIdentityToken(uuid, name, scopes, await profiles.getProfileEntitlements(uuid), requestHost);
   const sessionToken = auth.generateSessionToken(uuid, requestHost);
 
+  const issued = rotate
+    ? await auth.issueRefreshToken({
+      uuid, name, audience: serverAudience, scope: auth.normalizeScopes(scopes, tenant.defaultScopes), kind: 'game'
+    }, familyId)
+    : { refreshToken: null, familyId };
+  if (issued.familyId) {
+    await auth.trackFamilyTokens(issued.familyId, identityToken, sessionToken);
+  }
+
   // Update session
-  storage.registerSession(sessionToken, uuid, name, serverAudience);
+  storage.registerSession(sessionToken, uuid, name, serverAudience, tenant.tokenTtl);
 
-  // Calculate expiresAt for Java client compatibility
-  const expiresAt = new Date(Date.now() + config.sessionTtl * 1000).toISOString();
+  // expiresAt for Java client compatibility (earliest exp of the two tokens)
+  const { expiresIn, expiresAt } = auth.getTokenExpiry(identityToken, sessionToken);
 
   sendJson(res, 200, {
     identityToken: identityToken,
     sessionToken: sessionToken,
-    expiresIn: config.sessionTtl,
+    refreshToken: issued.refreshToken,
+    expiresIn: expiresIn,
     expiresAt: expiresAt,
     tokenType: 'Bearer'
   });
@@ -73,25 +247,33 @@ async function handleGameSessionRefresh(req, res, body, uuid, name, headers) {
 /**
  * Create child session
  */
-function handleGameSessionChild(req, res, body, uuid, name) {
-  console.log('game-session/child:', uuid, name, 'scopes:', body.scopes || body.scope);
+async function handleGameSessionChild(req, res, body, uuid, name) {
+  const account = await requireSession(req, res, uuid, name);
+  if (!account) return;
+
+  const profile = await selectSessionProfile(res, body, account.uuid, account.name);
+  if (!profile) return;
+  ({ uuid, name } = profile);
+
+  log.info(`game-session/child: ${uuid} ${name}`, { scopes: body.scopes || body.scope });
 
   // Extract requested scopes (array or space-separated string)
   const scopes = body.scopes || body.scope || null;
 
-  // Get request host for dynamic issuer
+  // Resolve issuer and token policy from the request host
   const requestHost = req.headers.host;
+  const tenant = tenants.resolveTenant(requestHost);
 
-  const childToken = auth.generateIdentityToken(uuid, name, scopes, ['game.base'], requestHost);
+  const childToken = auth.generateIdentityToken(uuid, name, scopes, profile.entitlements, requestHost);
   const sessionToken = auth.generateSessionToken(uuid, requestHost);
 
-  // Calculate expiresAt for Java client compatibility
-  const expiresAt = new Date(Date.now() + config.sessionTtl * 1000).toISOString();
+  // expiresAt for Java client compatibility (earliest exp of the two tokens)
+  const { expiresIn, expiresAt } = auth.getTokenExpiry(childToken, sessionToken);
 
   sendJson(res, 200, {
     identityToken: childToken,
     sessionToken: sessionToken,
-    expiresIn: config.sessionTtl,
+    expiresIn: expiresIn,
     expiresAt: expiresAt,
     tokenType: 'Bearer'
   });
@@ -99,12 +281,31 @@ function handleGameSessionChild(req, res, body, uuid, name) {
 
 /**
  * Delete game session (logout/cleanup)
+ *
+ * Revokes the presented token so it stops working immediately. With
+ * `?all=true` every token issued to the user so far is revoked as well.
  */
-async function handleGameSessionDelete(req, res, headers) {
-  console.log('game-session delete');
+async function handleGameSessionDelete(req, res, headers, url) {
+  const signOutEverywhere = url?.searchParams.get('all') === 'true';
+  log.info(`game-session delete${signOutEverywhere ? ' (all sessions)' : ''}`);
 
   if (headers && headers.authorization) {
     const token = headers.authorization.replace('Bearer ', '');
+
+    let payload = null;
+    try {
+      payload = auth.verifyToken(token);
+    } catch (e) {
+      // Expired or foreign tokens need no revocation
+    }
+
+    if (payload) {
+      await auth.revokeToken(payload);
+      if (signOutEverywhere && payload.sub) {
+        await auth.revokeUserTokens(payload.sub);
+      }
+    }
+
     await storage.removeSession(token);
   }
 
@@ -115,86 +316,154 @@ async function handleGameSessionDelete(req, res, headers) {
 /**
  * Authorization grant endpoint - server requests this to authorize a client connection
  */
-function handleAuthorizationGrant(req, res, body, uuid, name, headers) {
-  console.log('Authorization grant request:', uuid, name, 'body:', JSON.stringify(body));
+async function handleAuthorizationGrant(req, res, body, uuid, name, headers) {
+  log.info(`Authorization grant request: ${uuid} ${name}`);
+  log.debug('Authorization grant request body', { body });
 
   // Extract scopes from request or identity token
   let scopes = body.scopes || body.scope || null;
 
   // Extract user info from identity token if present in request
   if (body.identityToken) {
-    const tokenData = auth.parseToken(body.identityToken);
-    if (tokenData) {
-      if (tokenData.uuid) uuid = tokenData.uuid;
-      if (tokenData.name) name = tokenData.name;
-      // Preserve scopes from identity token if not explicitly specified in request
-      if (!scopes && tokenData.scope) scopes = tokenData.scope;
-      console.log('Extracted from identity token - uuid:', uuid, 'name:', name, 'scope:', tokenData.scope);
+    const tokenData = await verifyPlayerToken(req, body.identityToken);
+    if (!tokenData) {
+      return sendJson(res, 401, {
+        error: 'invalid_token',
+        error_description: 'Identity token is invalid or expired'
+      });
     }
+    if (tokenData.uuid) uuid = tokenData.uuid;
+    if (tokenData.name) name = tokenData.name;
+    // Preserve scopes from identity token if not explicitly specified in request
+    if (!scopes && tokenData.scope) scopes = tokenData.scope;
+    log.debug(`Extracted from identity token: ${uuid} ${name}`, { scope: tokenData.scope });
+  } else {
+    const account = await requireSession(req, res, uuid, name);
+    if (!account) return;
+    ({ uuid, name } = account);
   }
 
   // Extract audience from request (server's unique ID)
   const audience = body.aud || body.audience || body.server_id || crypto.randomUUID();
 
-  // Get request host for dynamic issuer
+  // Resolve issuer and token policy from the request host
   const requestHost = req.headers.host;
+  const tenant = tenants.resolveTenant(requestHost);
 
   const authGrant = auth.generateAuthorizationGrant(uuid, name, audience, scopes, requestHost);
-  const expiresAt = new Date(Date.now() + config.sessionTtl * 1000).toISOString();
+  const { expiresIn, expiresAt } = auth.getTokenExpiry(authGrant);
 
-  // Track this auth grant - player is joining this server
-  storage.registerAuthGrant(authGrant, uuid, name, audience);
+  // Track this auth grant - player is joining this server. The exchange
+  // only accepts grants registered here, so wait for the write to land.
+  await storage.registerAuthGrant(authGrant, uuid, name, audience, tenant.tokenTtl);
 
   sendJson(res, 200, {
     authorizationGrant: authGrant,
+    expiresIn: expiresIn,
     expiresAt: expiresAt
   });
 }
 
 /**
- * Token exchange endpoint - client exchanges auth grant for access token
+ * Reject an authorization grant exchange and count it by reason
+ */
+function sendGrantError(res, result, description) {
+  metrics.incCounter('auth_grant_exchange', { result });
+  sendJson(res, 400, {
+    error: 'invalid_grant',
+    error_description: description
+  });
+}
+
+/**
+ * Token exchange endpoint - the game server exchanges a player's auth grant
+ * for an access token
+ *
+ * Grants are one-time use: the calling server (identified by its Bearer
+ * token) must be the grant's audience, and the grant is consumed atomically
+ * on the first successful exchange.
  */
-function handleTokenExchange(req, res, body, uuid, name, headers) {
-  console.log('Token exchange request:', uuid, name);
+async function handleTokenExchange(req, res, body, uuid, name, headers) {
+  log.info(`Token exchange request: ${uuid} ${name}`);
+
+  if (!body.authorizationGrant) {
+    return sendJson(res, 400, {
+      error: 'invalid_request',
+      error_description: 'authorizationGrant is required'
+    });
+  }
+
+  const serverAudience = await auth.extractServerAudienceFromHeaders(headers);
+  if (!serverAudience) {
+    return sendJson(res, 401, {
+      error: 'invalid_client',
+      error_description: 'A valid server token is required to exchange authorization grants'
+    });
+  }
 
   // Extract scopes from request or auth grant
   let scopes = body.scopes || body.scope || null;
 
-  // Extract audience from the authorization grant JWT
-  let audience = null;
-  if (body.authorizationGrant) {
-    const tokenData = auth.parseToken(body.authorizationGrant);
-    if (tokenData) {
-      audience = tokenData.aud;
-      if (tokenData.uuid) uuid = tokenData.uuid;
-      if (tokenData.name) name = tokenData.name;
-      // Preserve scopes from auth grant if not explicitly specified in request
-      if (!scopes && tokenData.scope) scopes = tokenData.scope;
-      console.log('Extracted from auth grant - aud:', audience, 'sub:', uuid, 'name:', name, 'scope:', tokenData.scope);
+  // The audience is checked before consuming, so a wrong server cannot burn someone else's grant
+  let grant;
+  try {
+    grant = await auth.verifyActiveToken(body.authorizationGrant, {
+      tenant: tenants.resolveTenant(req.headers.host),
+      audience: serverAudience
+    });
+  } catch (e) {
+    if (!(e instanceof auth.TokenVerificationError)) throw e;
+    if (e.code === 'wrong_audience') {
+      log.info(`Auth grant presented by server ${serverAudience}: ${e.message}`);
+      return sendGrantError(res, 'wrong_audience', 'Authorization grant was issued for a different server');
     }
+    return sendGrantError(res, 'invalid', 'Authorization grant is invalid or expired');
+  }
+
+  const consumed = await storage.consumeAuthGrant(body.authorizationGrant, grant.jti);
+  if (consumed.status === 'reused') {
+    log.warn(`Auth grant replay rejected: ${grant.jti} (server ${serverAudience})`);
+    return sendGrantError(res, 'replay', 'Authorization grant has already been used');
   }
+  if (consumed.status !== 'ok') {
+    return sendGrantError(res, 'invalid', 'Authorization grant was not issued by this server or has expired');
+  }
+  metrics.incCounter('auth_grant_exchange', { result: 'ok' });
+
+  const audience = grant.aud;
+  uuid = grant.sub;
+  name = grant.username || grant.name || name;
+  // Preserve scopes from auth grant if not explicitly specified in request
+  if (!scopes && grant.scope) scopes = grant.scope;
+  log.debug(`Extracted from auth grant: ${uuid} ${name}`, { audience, scope: grant.scope });
 
   // Get certificate fingerprint from request (for mTLS binding)
   const certFingerprint = body.x509Fingerprint || body.certFingerprint || body.fingerprint;
-  console.log('Certificate fingerprint:', certFingerprint);
+  log.debug(certFingerprint ? 'Binding token to client certificate' : 'No certificate fingerprint in request');
 
-  // Get request host for dynamic issuer
+  // Resolve issuer and token policy from the request host
   const requestHost = req.headers.host;
+  const tenant = tenants.resolveTenant(requestHost);
 
-  const accessToken = auth.generateAccessToken(uuid, name, audience, certFingerprint, scopes, requestHost);
-  const refreshToken = auth.generateSessionToken(uuid, requestHost);
-  const expiresAt = new Date(Date.now() + config.sessionTtl * 1000).toISOString();
+  const accessToken = auth.generateAccessToken(
+    uuid, name, audience, certFingerprint, scopes, requestHost, await profiles.getProfileEntitlements(uuid)
+  );
+  const { refreshToken, familyId } = await auth.issueRefreshToken({
+    uuid, name, audience, scope: auth.normalizeScopes(scopes, tenant.defaultScopes), kind: 'game'
+  });
+  await auth.trackFamilyTokens(familyId, accessToken);
+  const { expiresIn, expiresAt } = auth.getTokenExpiry(accessToken);
 
   // Normalize scopes for response
-  const responseScope = auth.normalizeScopes(scopes);
+  const responseScope = auth.normalizeScopes(scopes, tenant.defaultScopes);
 
   // Register session with server audience so it persists across restarts
-  storage.registerSession(accessToken, uuid, name, audience);
+  storage.registerSession(accessToken, uuid, name, audience, tenant.tokenTtl);
 
   sendJson(res, 200, {
     accessToken: accessToken,
     tokenType: 'Bearer',
-    expiresIn: config.sessionTtl,
+    expiresIn: expiresIn,
     refreshToken: refreshToken,
     expiresAt: expiresAt,
     scope: responseScope
@@ -204,16 +473,23 @@ function handleTokenExchange(req, res, body, uuid, name, headers) {
 /**
  * Generic session handler
  */
-function handleSession(req, res, body, uuid, name) {
+async function handleSession(req, res, body, uuid, name) {
+  const account = await authenticateAccount(res, body, uuid, name);
+  if (!account) return;
+  ({ uuid, name } = account);
+
   const requestHost = req.headers.host;
+  const identityToken = auth.generateIdentityToken(uuid, name, null, await profiles.getProfileEntitlements(uuid), requestHost);
+  const sessionToken = auth.generateSessionToken(uuid, requestHost);
+  const { expiresIn } = auth.getTokenExpiry(identityToken, sessionToken);
   sendJson(res, 200, {
     success: true,
     session_id: crypto.randomUUID(),
-    identityToken: auth.generateIdentityToken(uuid, name, null, ['game.base'], requestHost),
-    identity_token: auth.generateIdentityToken(uuid, name, null, ['game.base'], requestHost),
-    sessionToken: auth.generateSessionToken(uuid, requestHost),
-    session_token: auth.generateSessionToken(uuid, requestHost),
-    expires_in: 86400,
+    identityToken: identityToken,
+    identity_token: identityToken,
+    sessionToken: sessionToken,
+    session_token: sessionToken,
+    expires_in: expiresIn,
     token_type: 'Bearer',
     user: { uuid, name, premium: true }
   });
@@ -222,15 +498,22 @@ function handleSession(req, res, body, uuid, name) {
 /**
  * Generic auth handler
  */
-function handleAuth(req, res, body, uuid, name) {
+async function handleAuth(req, res, body, uuid, name) {
+  const account = await authenticateAccount(res, body, uuid, name);
+  if (!account) return;
+  ({ uuid, name } = account);
+
   const requestHost = req.headers.host;
+  const identityToken = auth.generateIdentityToken(uuid, name, null, await profiles.getProfileEntitlements(uuid), requestHost);
+  const sessionToken = auth.generateSessionToken(uuid, requestHost);
+  const { expiresIn } = auth.getTokenExpiry(identityToken, sessionToken);
   sendJson(res, 200, {
     success: true,
     authenticated: true,
-    identity_token: auth.generateIdentityToken(uuid, name, null, ['game.base'], requestHost),
-    session_token: auth.generateSessionToken(uuid, requestHost),
+    identity_token: identityToken,
+    session_token: sessionToken,
     token_type: 'Bearer',
-    expires_in: 86400,
+    expires_in: expiresIn,
     user: { uuid, name, premium: true }
   });
 }
@@ -238,40 +521,44 @@ function handleAuth(req, res, body, uuid, name) {
 /**
  * Generic token handler
  */
-function handleToken(req, res, body, uuid, name) {
+async function handleToken(req, res, body, uuid, name) {
+  const account = await authenticateAccount(res, body, uuid, name);
+  if (!account) return;
+  ({ uuid, name } = account);
+
   const requestHost = req.headers.host;
+  const identityToken = auth.generateIdentityToken(uuid, name, null, await profiles.getProfileEntitlements(uuid), requestHost);
+  const sessionToken = auth.generateSessionToken(uuid, requestHost);
+  const { expiresIn } = auth.getTokenExpiry(identityToken, sessionToken);
+  const { refreshToken } = await auth.issueRefreshToken({ uuid, name, kind: 'game' });
   sendJson(res, 200, {
-    access_token: auth.generateIdentityToken(uuid, name, null, ['game.base'], requestHost),
-    identity_token: auth.generateIdentityToken(uuid, name, null, ['game.base'], requestHost),
-    session_token: auth.generateSessionToken(uuid, requestHost),
+    access_token: identityToken,
+    identity_token: identityToken,
+    session_token: sessionToken,
     token_type: 'Bearer',
-    expires_in: 86400,
-    refresh_token: auth.generateSessionToken(uuid, requestHost)
-  });
-}
-
-/**
- * Validate endpoint
- */
-function handleValidate(req, res, body, uuid, name) {
-  sendJson(res, 200, {
-    valid: true,
-    success: true,
-    user: { uuid, name, premium: true }
+    expires_in: expiresIn,
+    refresh_token: refreshToken
   });
 }
 
 /**
  * Refresh endpoint
  */
-function handleRefresh(req, res, body, uuid, name) {
+async function handleRefresh(req, res, body, uuid, name) {
+  const account = await requireSession(req, res, uuid, name);
+  if (!account) return;
+  ({ uuid, name } = account);
+
   const requestHost = req.headers.host;
+  const identityToken = auth.generateIdentityToken(uuid, name, null, await profiles.getProfileEntitlements(uuid), requestHost);
+  const sessionToken = auth.generateSessionToken(uuid, requestHost);
+  const { expiresIn } = auth.getTokenExpiry(identityToken, sessionToken);
   sendJson(res, 200, {
     success: true,
-    identity_token: auth.generateIdentityToken(uuid, name, null, ['game.base'], requestHost),
-    session_token: auth.generateSessionToken(uuid, requestHost),
+    identity_token: identityToken,
+    session_token: sessionToken,
     token_type: 'Bearer',
-    expires_in: 86400
+    expires_in: expiresIn
   });
 }
 
@@ -285,6 +572,5 @@ module.exports = {
   handleSession,
   handleAuth,
   handleToken,
-  handleValidate,
   handleRefresh,
 };
@@ -1,28 +1,53 @@
+const config = require('../config');
 const auth = require('../services/auth');
 const storage = require('../services/storage');
 const metrics = require('../services/metrics');
+const telemetrySchema = require('../services/telemetrySchema');
 const { sendJson } = require('../utils/response');
 
 /**
- * Handle telemetry requests from clients
- * Processes heartbeat, session_start, session_end, and event telemetry
+ * Get the player UUID from the request's bearer token (null if absent or invalid)
  */
-async function handleTelemetry(req, res, body, headers) {
-  // Extract player UUID from authorization token
-  let playerUuid = null;
-  if (headers && headers.authorization) {
-    const token = headers.authorization.replace('Bearer ', '');
-    const tokenData = auth.parseToken(token);
-    if (tokenData && tokenData.uuid) {
-      playerUuid = tokenData.uuid;
-    }
+async function getPlayerUuid(headers) {
+  if (!headers || !headers.authorization) return null;
+
+  const token = headers.authorization.replace('Bearer ', '');
+  const tokenData = await auth.parseVerifiedToken(token);
+  return tokenData && tokenData.uuid ? tokenData.uuid : null;
+}
+
+/**
+ * Validate and apply one telemetry record
+ *
+ * Records of an authenticated player with a session_id and sequence are
+ * applied once: a resend of the same pair is acknowledged as a duplicate
+ * without touching metrics or storage. Anonymous records are not deduplicated
+ * (nothing is stored for them to protect, and their keys would be unbounded).
+ *
+ * @returns {Promise<Object>} { status: 'accepted' | 'duplicate' }, or
+ *   { status: 'rejected', reason, message } if schema validation failed
+ */
+async function processTelemetry(record, playerUuid) {
+  // Validate against the payload schema (clamps and truncates out-of-range values)
+  const result = telemetrySchema.validate(record);
+  if (!result.valid) {
+    metrics.incCounter('telemetry_received_total');
+    metrics.incCounter('telemetry_rejected', { reason: result.reason });
+    return { status: 'rejected', reason: result.reason, message: result.message };
   }
 
-  const telemetryType = body.type;
+  const body = result.payload;
+  if (playerUuid && body.session_id && body.sequence !== undefined &&
+      !await storage.markTelemetrySeen(playerUuid, body.session_id, body.sequence)) {
+    metrics.incCounter('telemetry_duplicate');
+    return { status: 'duplicate' };
+  }
 
   // Track telemetry count
   metrics.incCounter('telemetry_received_total');
 
+  const telemetryType = body.type;
+
   // Process based on telemetry type
   if (telemetryType === 'heartbeat' && playerUuid) {
     // Track player as active (even if not on a server)
@@ -65,7 +90,8 @@ async function handleTelemetry(req, res, body, headers) {
       metrics.observeHistogram('frame_time', body.performance.frame_time_p99_ms);
     }
     if (body.network?.latency_ms) {
-      metrics.observeHistogram('latency', body.network.latency_ms);
+      const server = await storage.getPlayerServer(playerUuid);
+      metrics.observeHistogram('latency', body.network.latency_ms, { server });
     }
     if (body.memory?.working_set_mb) {
       metrics.observeHistogram('memory', body.memory.working_set_mb);
@@ -180,9 +206,16 @@ async function handleTelemetry(req, res, body, headers) {
       if (eventData.time_to_connect_ms) {
         metrics.observeHistogram('connect_time', eventData.time_to_connect_ms);
       }
-      metrics.incCounter('server_connect', { success: eventData.success ? 'true' : 'false' });
+      metrics.incCounter('server_connect', {
+        success: eventData.success ? 'true' : 'false',
+        server: await storage.getPlayerServer(playerUuid)
+      });
     } else if (eventName === 'server_disconnect') {
-      metrics.incCounter('server_disconnect', { reason: eventData.reason || 'unknown' });
+      // Attribute the disconnect before the player is untracked
+      metrics.incCounter('server_disconnect', {
+        reason: eventData.reason || 'unknown',
+        server: await storage.getPlayerServer(playerUuid)
+      });
       // Player disconnected from server - remove from tracking
       await storage.removePlayerFromAllServers(playerUuid);
     } else if (eventName === 'world_joined') {
@@ -201,10 +234,67 @@ async function handleTelemetry(req, res, body, headers) {
     }
   }
 
-  // Always acknowledge telemetry
-  sendJson(res, 200, { success: true, received: true });
+  return { status: 'accepted' };
+}
+
+/**
+ * Handle telemetry requests from clients
+ * Processes heartbeat, session_start, session_end, and event telemetry
+ * Payloads failing schema validation (see telemetrySchema) get a 400
+ */
+async function handleTelemetry(req, res, body, headers) {
+  const result = await processTelemetry(body, await getPlayerUuid(headers));
+  if (result.status === 'rejected') {
+    sendJson(res, 400, { error: 'invalid_telemetry', error_description: result.message });
+    return;
+  }
+
+  // Acknowledge duplicates too, so the client stops resending
+  sendJson(res, 200, { success: true, received: true, duplicate: result.status === 'duplicate' });
+}
+
+/**
+ * Handle a batch of telemetry records - POST /telemetry/batch
+ *
+ * The body is a JSON array of records (or { records: [...] }), each shaped
+ * like a single /telemetry payload; types may be mixed. Every record gets its
+ * own acknowledgement, so one bad record does not fail the batch.
+ */
+async function handleTelemetryBatch(req, res, body, headers) {
+  const records = Array.isArray(body) ? body : body.records;
+  if (!Array.isArray(records)) {
+    sendJson(res, 400, { error: 'invalid_telemetry', error_description: 'Batch must be a JSON array of telemetry records' });
+    return;
+  }
+  if (records.length > config.telemetryBatchMaxRecords) {
+    sendJson(res, 413, {
+      error: 'batch_too_large',
+      error_description: `Batches can hold at most ${config.telemetryBatchMaxRecords} records`
+    });
+    return;
+  }
+
+  const playerUuid = await getPlayerUuid(headers);
+  const counts = { accepted: 0, duplicate: 0, rejected: 0 };
+  const results = [];
+  for (let index = 0; index < records.length; index++) {
+    const result = await processTelemetry(records[index], playerUuid);
+    counts[result.status]++;
+    results.push(result.status === 'rejected'
+      ? { index, status: result.status, reason: result.reason, error_description: result.message }
+      : { index, status: result.status });
+  }
+
+  sendJson(res, 200, {
+    success: true,
+    accepted: counts.accepted,
+    duplicates: counts.duplicate,
+    rejected: counts.rejected,
+    results
+  });
 }
 
 module.exports = {
   handleTelemetry,
+  handleTelemetryBatch,
 };
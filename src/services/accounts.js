@@ -0,0 +1,426 @@
+/**
+ * Account authentication - decides who a new game session is issued to
+ *
+ * config.accountAuthProvider selects one provider:
+ *   open         - F2P behavior: the client's own uuid/name are trusted
+ *   password     - username + password against scrypt hashes in Redis
+ *   launcher-key - per-player key issued by an admin to a launcher
+ *   oidc         - ID token from an upstream OpenID Connect provider
+ *
+ * A provider is { name, authenticate(credentials, context) }. `credentials`
+ * is the request body; `context` holds the uuid/name extracted from the
+ * request. authenticate() resolves to { uuid, name } or throws an
+ * AccountAuthError. More providers can be added with registerProvider().
+ */
+const crypto = require('crypto');
+const https = require('https');
+const config = require('../config');
+const storage = require('./storage');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('accounts');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const OIDC_JWKS_TTL = 3600000; // 1 hour in milliseconds
+const OIDC_JWKS_REFETCH_INTERVAL = 60000; // unknown kids refetch at most once a minute
+
+/**
+ * Error raised when account authentication fails
+ *
+ * `code` is one of: missing_credentials, invalid_credentials, unavailable
+ */
+class AccountAuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AccountAuthError';
+    this.code = code;
+  }
+}
+
+// ============================================================================
+// PASSWORD HASHING
+// ============================================================================
+
+/**
+ * Hash a password with scrypt
+ * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$salt$hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p }, (err, derived) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against an encoded scrypt hash
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, hash] = (encoded || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return Promise.resolve(false);
+
+  const expected = Buffer.from(hash, 'base64');
+  const options = { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+  return new Promise((resolve) => {
+    crypto.scrypt(password, Buffer.from(salt, 'base64'), expected.length, options, (err, derived) => {
+      resolve(!err && crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+// Compared against when the login does not exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = `scrypt$16384$8$1$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEYLEN).toString('base64')}`;
+
+/**
+ * Hash a launcher key for storage
+ */
+function hashLauncherKey(launcherKey) {
+  return crypto.createHash('sha256').update(launcherKey).digest('base64url');
+}
+
+/**
+ * Derive a stable UUID from a hash input (same layout as server UUIDs)
+ */
+function uuidFromString(value) {
+  const hash = crypto.createHash('sha256').update(value).digest('hex');
+  return `${hash.substring(0, 8)}-${hash.substring(8, 12)}-4${hash.substring(13, 16)}-a${hash.substring(17, 20)}-${hash.substring(20, 32)}`;
+}
+
+// ============================================================================
+// PROVIDER REGISTRY
+// ============================================================================
+
+const providers = new Map();
+
+/**
+ * Register an account authentication provider
+ */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Names of the registered providers
+ */
+function getProviderNames() {
+  return [...providers.keys()];
+}
+
+/**
+ * Get the configured provider
+ */
+function getProvider() {
+  const provider = providers.get(config.accountAuthProvider);
+  if (!provider) {
+    throw new Error(`Unknown account auth provider: ${config.accountAuthProvider}`);
+  }
+  return provider;
+}
+
+/**
+ * Whether clients may pick their own identity (the open provider)
+ */
+function isOpen() {
+  return getProvider().name === 'open';
+}
+
+/**
+ * Authenticate the account a session is being created for
+ * @param {Object} credentials - Request body
+ * @param {Object} context - { uuid, name } extracted from the request
+ * @returns {Promise<{uuid: string, name: string}>}
+ * @throws {AccountAuthError}
+ */
+async function authenticate(credentials, context) {
+  const provider = getProvider();
+  let account;
+  try {
+    account = await provider.authenticate(credentials || {}, context);
+  } catch (e) {
+    if (e instanceof AccountAuthError) throw e;
+    // Credentials a provider choked on are still just bad credentials
+    log.warn(`Account provider ${provider.name} failed`, { error: e.message });
+    throw new AccountAuthError('invalid_credentials', 'Credentials could not be verified');
+  }
+  if (provider.name !== 'open') {
+    log.info(`Account authenticated via ${provider.name}: ${account.uuid} (${account.name})`);
+  }
+  return account;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+registerProvider({
+  name: 'open',
+  async authenticate(credentials, context) {
+    return { uuid: context.uuid, name: context.name };
+  }
+});
+
+registerProvider({
+  name: 'password',
+  async authenticate(credentials) {
+    const login = credentials.username || credentials.login;
+    const password = credentials.password;
+    if (!login || !password) {
+      throw new AccountAuthError('missing_credentials', 'username and password are required');
+    }
+    if (typeof login !== 'string' || typeof password !== 'string') {
+      throw new AccountAuthError('invalid_credentials', 'username and password must be strings');
+    }
+
+    const account = await storage.getAccountByLogin(login);
+    const valid = await verifyPassword(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!account || !valid) {
+      throw new AccountAuthError('invalid_credentials', 'Invalid username or password');
+    }
+    return { uuid: account.uuid, name: account.name };
+  }
+});
+
+registerProvider({
+  name: 'launcher-key',
+  async authenticate(credentials) {
+    const launcherKey = credentials.launcherKey || credentials.launcher_key;
+    if (!launcherKey) {
+      throw new AccountAuthError('missing_credentials', 'launcherKey is required');
+    }
+    if (typeof launcherKey !== 'string') {
+      throw new AccountAuthError('invalid_credentials', 'launcherKey must be a string');
+    }
+
+    const keyData = await storage.getLauncherKey(hashLauncherKey(launcherKey));
+    if (!keyData) {
+      throw new AccountAuthError('invalid_credentials', 'Unknown launcher key');
+    }
+    return { uuid: keyData.uuid, name: keyData.name };
+  }
+});
+
+// ---------------------------------------------------------------------------
+// OIDC: verifies an ID token issued by config.oidcIssuer to config.oidcClientId
+// ---------------------------------------------------------------------------
+
+let oidcJwks = { keys: [], fetchedAt: 0 };
+let oidcJwksFetch = null;
+
+/**
+ * GET a JSON document over HTTPS
+ */
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { timeout: 5000 }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          return reject(new Error(`${url} returned ${res.statusCode}`));
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`${url} did not return JSON`));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.on('timeout', () => { req.destroy(new Error(`${url} timed out`)); });
+  });
+}
+
+/**
+ * Fetch the upstream signing keys through OIDC discovery
+ */
+async function fetchOidcKeys() {
+  const discovery = await fetchJson(`${config.oidcIssuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  const jwks = await fetchJson(discovery.jwks_uri);
+  oidcJwks = { keys: jwks.keys || [], fetchedAt: Date.now() };
+  return oidcJwks.keys;
+}
+
+/**
+ * Get the upstream signing keys (cached, refetched early for unknown kids)
+ *
+ * An early refetch happens at most once per OIDC_JWKS_REFETCH_INTERVAL, so
+ * made-up kids cannot make every request call the IdP, and concurrent
+ * callers share one fetch.
+ *
+ * @param {boolean} [refetch] - A kid was not found in the cached keys
+ */
+async function getOidcKeys(refetch = false) {
+  const age = Date.now() - oidcJwks.fetchedAt;
+  if (age < OIDC_JWKS_TTL && !(refetch && age >= OIDC_JWKS_REFETCH_INTERVAL)) {
+    return oidcJwks.keys;
+  }
+
+  if (!oidcJwksFetch) {
+    oidcJwksFetch = fetchOidcKeys().finally(() => { oidcJwksFetch = null; });
+  }
+  return oidcJwksFetch;
+}
+
+/**
+ * Check a JWS signature for the algorithms upstream IdPs commonly use
+ * A key that does not fit the algorithm counts as an invalid signature.
+ */
+function verifyJwsSignature(alg, jwk, signingInput, signature) {
+  try {
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const data = Buffer.from(signingInput);
+    if (alg === 'RS256') return crypto.verify('sha256', data, key, signature);
+    if (alg === 'ES256') return crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    if (alg === 'EdDSA') return crypto.verify(null, data, key, signature);
+  } catch (e) {
+    log.debug('ID token signature check failed', { alg, error: e.message });
+  }
+  return false;
+}
+
+/**
+ * Verify an upstream ID token and return its claims
+ * @throws {AccountAuthError}
+ */
+async function verifyOidcToken(idToken) {
+  const parts = idToken.split('.');
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (e) {
+    throw new AccountAuthError('invalid_credentials', 'ID token is malformed');
+  }
+  if (!header || typeof header !== 'object' || !claims || typeof claims !== 'object') {
+    throw new AccountAuthError('invalid_credentials', 'ID token is malformed');
+  }
+
+  let keys;
+  try {
+    keys = await getOidcKeys();
+    if (!keys.some(k => k.kid === header.kid)) {
+      keys = await getOidcKeys(true);
+    }
+  } catch (e) {
+    log.error('Could not fetch OIDC signing keys', { error: e.message });
+    throw new AccountAuthError('unavailable', 'Identity provider is unavailable');
+  }
+
+  const jwk = keys.find(k => k.kid === header.kid);
+  if (!jwk || !verifyJwsSignature(header.alg, jwk, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2] || '', 'base64url'))) {
+    throw new AccountAuthError('invalid_credentials', 'ID token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== config.oidcIssuer || !audiences.includes(config.oidcClientId)) {
+    throw new AccountAuthError('invalid_credentials', 'ID token was not issued for this server');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + config.tokenClockSkew < now) {
+    throw new AccountAuthError('invalid_credentials', 'ID token has expired');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new AccountAuthError('invalid_credentials', 'ID token has no subject');
+  }
+  return claims;
+}
+
+registerProvider({
+  name: 'oidc',
+  async authenticate(credentials) {
+    const idToken = credentials.idToken || credentials.id_token;
+    if (!idToken) {
+      throw new AccountAuthError('missing_credentials', 'idToken is required');
+    }
+    if (typeof idToken !== 'string') {
+      throw new AccountAuthError('invalid_credentials', 'idToken must be a string');
+    }
+    if (!config.oidcIssuer || !config.oidcClientId) {
+      throw new AccountAuthError('unavailable', 'OIDC provider is not configured');
+    }
+
+    const claims = await verifyOidcToken(idToken);
+    return {
+      // Stable per upstream subject, so renames upstream keep the same player
+      uuid: uuidFromString(`oidc:${claims.iss}:${claims.sub}`),
+      name: [claims[config.oidcUsernameClaim], claims.name].find(n => typeof n === 'string' && n) ||
+        `Player-${claims.sub.substring(0, 8)}`
+    };
+  }
+});
+
+// ============================================================================
+// ACCOUNT MANAGEMENT (admin)
+// ============================================================================
+
+/**
+ * Create a password account
+ *
+ * The username is claimed in the username registry for the new account.
+ *
+ * @returns {Promise<Object|null>} The account (without hash), or null if the username is taken
+ */
+async function createPasswordAccount(username, password) {
+  const account = {
+    uuid: crypto.randomUUID(),
+    login: username,
+    name: username,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+
+  const { status } = await storage.claimUsername(account.uuid, username);
+  if (status !== 'ok') return null;
+
+  if (!await storage.createAccount(account)) {
+    await storage.releaseUsername(username, account.uuid);
+    return null;
+  }
+  return { uuid: account.uuid, login: account.login, name: account.name, createdAt: account.createdAt };
+}
+
+/**
+ * Set a new password on an existing account
+ * @returns {Promise<boolean>} False if the account does not exist
+ */
+async function setAccountPassword(uuid, password) {
+  const account = await storage.getAccount(uuid);
+  if (!account) return false;
+
+  account.passwordHash = await hashPassword(password);
+  return storage.saveAccount(account);
+}
+
+/**
+ * Issue a launcher key for a player; the plaintext key is only returned here
+ * @returns {Promise<string|null>} The launcher key, or null if it could not be stored
+ */
+async function issueLauncherKey(uuid, name) {
+  const launcherKey = `lk_${crypto.randomBytes(32).toString('base64url')}`;
+  const stored = await storage.storeLauncherKey(hashLauncherKey(launcherKey), {
+    uuid,
+    name,
+    createdAt: new Date().toISOString()
+  });
+  return stored ? launcherKey : null;
+}
+
+module.exports = {
+  AccountAuthError,
+  registerProvider,
+  getProvider,
+  getProviderNames,
+  isOpen,
+  authenticate,
+  hashPassword,
+  verifyPassword,
+  createPasswordAccount,
+  setAccountPassword,
+  issueLauncherKey,
+};
@@ -0,0 +1,509 @@
+/**
+ * Alerting - rules over the metrics service, with firing/resolved notifications
+ *
+ * A rule is { id, name, condition, severity, notify }:
+ *   condition - `<expression> <comparator> <number> [over <duration>] [for <duration>]`
+ *               e.g.  redis_connected == 0 for 1m
+ *                     server_connect_success / (server_connect_success + server_connect_failure) < 0.9 over 5m
+ *               Names are metrics gauges and counters (see metrics.readMetricsFromRedis),
+ *               combined with + - * / and parentheses. With `over`, counters stand for
+ *               their increase during that window. `for` is how long the condition
+ *               has to hold before the rule fires. Durations: 30s, 5m, 1h, 1d.
+ *   severity  - info, warning or critical
+ *   notify    - Notifier names (config.alertNotifiers if omitted)
+ *
+ * Rules come from config.alertRulesFile (source 'config') and from the admin
+ * API (source 'admin', stored in Redis). One process evaluates them (the
+ * cluster primary, or the single process) and keeps their states in memory,
+ * publishing them to Redis for the admin UI:
+ *   inactive -> pending (condition holds) -> firing (held for `for`) -> inactive (resolved)
+ *
+ * A notifier is { name, notify(alert) } where alert is
+ * { status: 'firing' | 'resolved', rule, value, at }. Built in: log, webhook
+ * (POST to config.alertWebhookUrl) and banner (shown on the admin pages).
+ * More can be added with registerNotifier().
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+const storage = require('./storage');
+const metrics = require('./metrics');
+const { isConnected } = require('./redis');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('alerts');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const COMPARATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+/**
+ * Parse a duration such as '30s', '5m' or '1h'
+ * @returns {number|null} Seconds, or null if it is not a duration
+ */
+function parseDuration(text) {
+  const match = /^(\d+)([smhd])$/.exec(text);
+  return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Split an expression into number, name and operator tokens
+ */
+function tokenize(text) {
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([a-z_][a-z0-9_]*)|([-+*/()]))/iy;
+  const tokens = [];
+  let pos = 0;
+  let match;
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text))) {
+    if (match[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', name: match[2] });
+    else tokens.push({ type: 'op', op: match[3] });
+    pos = pattern.lastIndex;
+  }
+  const rest = text.substring(pos).trim();
+  if (rest) {
+    throw new Error(`Unexpected "${rest.substring(0, 20)}" in expression`);
+  }
+  return tokens;
+}
+
+/**
+ * Parse an arithmetic expression into a tree
+ *
+ *   expression := term (('+' | '-') term)*
+ *   term       := factor (('*' | '/') factor)*
+ *   factor     := number | name | '(' expression ')' | '-' factor
+ */
+function parseExpression(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const isOp = (...ops) => tokens[pos] && tokens[pos].type === 'op' && ops.includes(tokens[pos].op);
+
+  function factor() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Expression ends too early');
+    if (token.type === 'num' || token.type === 'name') return token;
+    if (token.op === '-') return { type: 'neg', operand: factor() };
+    if (token.op === '(') {
+      const inner = expression();
+      if (!isOp(')')) throw new Error('Missing )');
+      pos++;
+      return inner;
+    }
+    throw new Error(`Unexpected ${token.op} in expression`);
+  }
+
+  function term() {
+    let node = factor();
+    while (isOp('*', '/')) {
+      const op = tokens[pos++].op;
+      node = { type: 'op', op, left: node, right: factor() };
+    }
+    return node;
+  }
+
+  function expression() {
+    let node = term();
+    while (isOp('+', '-')) {
+      const op = tokens[pos++].op;
+      node = { type: 'op', op, left: node, right: term() };
+    }
+    return node;
+  }
+
+  const tree = expression();
+  if (pos < tokens.length) throw new Error('Unexpected input after expression');
+  return tree;
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {Function} lookup - name => number (NaN if unknown)
+ */
+function evaluateExpression(node, lookup) {
+  switch (node.type) {
+    case 'num': return node.value;
+    case 'name': return lookup(node.name);
+    case 'neg': return -evaluateExpression(node.operand, lookup);
+    default: {
+      const left = evaluateExpression(node.left, lookup);
+      const right = evaluateExpression(node.right, lookup);
+      if (node.op === '+') return left + right;
+      if (node.op === '-') return left - right;
+      if (node.op === '*') return left * right;
+      return right === 0 ? NaN : left / right;
+    }
+  }
+}
+
+/**
+ * Parse a rule condition
+ * @returns {Object} { expression, comparator, threshold, window, for } (durations in seconds)
+ * @throws {Error} If the condition is malformed
+ */
+function parseCondition(condition) {
+  if (typeof condition !== 'string') throw new Error('condition must be a string');
+
+  const match = /^(.+?)\s*(==|!=|<=|>=|<|>)\s*(-?\d+(?:\.\d+)?)((?:\s+(?:over|for)\s+\S+)*)\s*$/i.exec(condition.trim());
+  if (!match) throw new Error('condition must look like "<expression> <comparator> <number> [over 5m] [for 1m]"');
+
+  const parsed = {
+    expression: parseExpression(match[1]),
+    comparator: match[2],
+    threshold: parseFloat(match[3]),
+    window: 0,
+    for: 0
+  };
+
+  for (const [, keyword, value] of match[4].matchAll(/(over|for)\s+(\S+)/gi)) {
+    const seconds = parseDuration(value);
+    if (seconds === null) throw new Error(`${value} is not a duration (e.g. 30s, 5m, 1h)`);
+    parsed[keyword.toLowerCase() === 'over' ? 'window' : 'for'] = seconds;
+  }
+  return parsed;
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+let configRules = null;
+let adminRules = [];
+
+/**
+ * Check a rule definition
+ * @returns {string|null} Why the rule is invalid, or null if it is fine
+ */
+function validateRule({ name, condition, severity = 'warning', notify = null }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'name must be 1-100 characters';
+  }
+  try {
+    parseCondition(condition);
+  } catch (e) {
+    return e.message;
+  }
+  if (!SEVERITIES.includes(severity)) {
+    return `severity must be one of: ${SEVERITIES.join(', ')}`;
+  }
+  if (notify !== null && (!Array.isArray(notify) || notify.some(n => !notifiers.has(n)))) {
+    return `notify must be a list of: ${getNotifiers().join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Fill in defaults for a rule definition
+ */
+function normalizeRule(def, source) {
+  return {
+    id: def.id,
+    name: def.name.trim(),
+    condition: def.condition.trim(),
+    severity: def.severity || 'warning',
+    notify: def.notify || null,
+    source
+  };
+}
+
+/**
+ * Load rule definitions from config.alertRulesFile (once)
+ */
+function getConfigRules() {
+  if (configRules) return configRules;
+  configRules = [];
+
+  try {
+    if (fs.existsSync(config.alertRulesFile)) {
+      const defs = JSON.parse(fs.readFileSync(config.alertRulesFile, 'utf8'));
+      if (!Array.isArray(defs)) throw new Error('alert rules file must contain a JSON array');
+      for (const def of defs) {
+        const invalid = def && def.id ? validateRule(def) : 'id is required';
+        if (invalid) {
+          log.error(`Skipping alert rule ${def && (def.id || def.name)}: ${invalid}`);
+          continue;
+        }
+        configRules.push(normalizeRule(def, 'config'));
+      }
+    }
+  } catch (e) {
+    log.error('Could not load alert rules file', { error: e.message });
+  }
+  return configRules;
+}
+
+/**
+ * All alert rules, config rules first
+ *
+ * Admin rules are cached so evaluation keeps using them while Redis is down.
+ */
+async function getRules() {
+  if (isConnected()) {
+    adminRules = await storage.getAlertRules();
+  }
+  return [...getConfigRules(), ...adminRules];
+}
+
+/**
+ * Create an alert rule (admin API)
+ * @returns {Promise<Object|null>} The stored rule, or null if it could not be stored
+ */
+async function createRule(def) {
+  const rule = normalizeRule({ ...def, id: crypto.randomUUID() }, 'admin');
+  rule.createdAt = new Date().toISOString();
+  if (!await storage.saveAlertRule(rule)) return null;
+  log.info(`Alert rule created: ${rule.name} (${rule.condition})`);
+  return rule;
+}
+
+/**
+ * Delete an admin-created alert rule
+ * @returns {Promise<boolean>} True if the rule existed
+ */
+async function deleteRule(id) {
+  const deleted = await storage.deleteAlertRule(id);
+  if (deleted) {
+    await storage.clearBannerAlert(id);
+    log.info(`Alert rule deleted: ${id}`);
+  }
+  return deleted;
+}
+
+/**
+ * List rules with their last published state (for the admin UI)
+ */
+async function listRules() {
+  const [rules, states] = await Promise.all([getRules(), storage.getAlertStates()]);
+  return rules.map(rule => ({ ...rule, state: states[rule.id] || { state: 'inactive' } }));
+}
+
+// ============================================================================
+// NOTIFIERS
+// ============================================================================
+
+const notifiers = new Map();
+
+/**
+ * Register a notifier
+ */
+function registerNotifier(notifier) {
+  notifiers.set(notifier.name, notifier);
+}
+
+/**
+ * POST a JSON document over HTTP(S)
+ */
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const req = (url.startsWith('https:') ? https : http).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+      timeout: 5000
+    }, (res) => {
+      res.resume();
+      if (res.statusCode >= 300) reject(new Error(`${url} returned ${res.statusCode}`));
+      else resolve();
+    });
+    req.on('error', reject);
+    req.on('timeout', () => { req.destroy(new Error(`${url} timed out`)); });
+    req.end(data);
+  });
+}
+
+function describeAlert({ status, rule, value }) {
+  return `[ALERT] ${status.toUpperCase()} ${rule.severity} ${rule.name}: ${rule.condition} (value ${value ?? 'n/a'})`;
+}
+
+registerNotifier({
+  name: 'log',
+  notify: async (alert) => {
+    if (alert.status === 'firing') log.error(describeAlert(alert));
+    else log.info(describeAlert(alert));
+  }
+});
+
+registerNotifier({
+  name: 'webhook',
+  notify: async (alert) => {
+    if (!config.alertWebhookUrl) return;
+    await postJson(config.alertWebhookUrl, { ...alert, text: describeAlert(alert) });
+  }
+});
+
+registerNotifier({
+  name: 'banner',
+  notify: async ({ status, rule, value, at }) => {
+    if (status === 'firing') {
+      await storage.setBannerAlert(rule.id, { id: rule.id, name: rule.name, severity: rule.severity, condition: rule.condition, value, firedAt: at });
+    } else {
+      await storage.clearBannerAlert(rule.id);
+    }
+  }
+});
+
+/**
+ * Names of the registered notifiers
+ */
+function getNotifiers() {
+  return [...notifiers.keys()];
+}
+
+/**
+ * Send an alert through the rule's notifiers
+ */
+async function notify(status, rule, value, now) {
+  const alert = {
+    status,
+    rule: { id: rule.id, name: rule.name, condition: rule.condition, severity: rule.severity },
+    value,
+    at: new Date(now).toISOString()
+  };
+
+  for (const name of rule.notify || config.alertNotifiers) {
+    const notifier = notifiers.get(name);
+    if (!notifier) {
+      log.error(`Unknown alert notifier: ${name}`);
+      continue;
+    }
+    try {
+      await notifier.notify(alert);
+    } catch (e) {
+      log.error(`Alert notifier ${name} failed`, { error: e.message });
+    }
+  }
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+const states = new Map();
+// Counter totals of recent evaluations, oldest first: [{ at, counters }]
+let history = [];
+
+/**
+ * Resolve metric names for one rule
+ * @param {number} window - Seconds; counters become their increase over it (0 = totals)
+ */
+function createLookup(counters, gauges, window, now) {
+  const since = now - window * 1000;
+  const baseline = history.find(sample => sample.at >= since) || history[history.length - 1];
+
+  return (name) => {
+    if (window && name in counters) {
+      // No earlier totals yet (just started): no data rather than the lifetime total
+      if (!baseline) return NaN;
+      const before = baseline.counters[name] || 0;
+      // A total lower than before means the counters were reset
+      return counters[name] >= before ? counters[name] - before : counters[name];
+    }
+    if (name in gauges) return gauges[name];
+    if (name in counters) return counters[name];
+    return NaN;
+  };
+}
+
+/**
+ * Evaluate every rule once and notify on state changes
+ */
+async function evaluateRules(now = Date.now()) {
+  const rules = await getRules();
+  const { counters, gauges } = await metrics.readMetricsFromRedis();
+  // Measured here rather than read back from Redis, which may be the thing that is down
+  gauges.redis_connected = isConnected() ? 1 : 0;
+
+  for (const rule of rules) {
+    let value;
+    let parsed;
+    try {
+      parsed = parseCondition(rule.condition);
+      value = evaluateExpression(parsed.expression, createLookup(counters, gauges, parsed.window, now));
+    } catch (e) {
+      log.error(`Alert rule ${rule.id} cannot be evaluated`, { error: e.message });
+      continue;
+    }
+
+    value = Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null;
+    const holds = value !== null && COMPARATORS[parsed.comparator](value, parsed.threshold);
+    const state = states.get(rule.id) || { state: 'inactive', since: null };
+
+    if (holds) {
+      if (state.state === 'inactive') {
+        state.state = 'pending';
+        state.since = now;
+      }
+      if (state.state === 'pending' && now - state.since >= parsed.for * 1000) {
+        state.state = 'firing';
+        state.firedAt = now;
+        await notify('firing', rule, value, now);
+      }
+    } else {
+      if (state.state === 'firing') {
+        state.resolvedAt = now;
+        await notify('resolved', rule, value, now);
+      }
+      state.state = 'inactive';
+      state.since = null;
+    }
+
+    state.value = value;
+    state.evaluatedAt = now;
+    states.set(rule.id, state);
+  }
+
+  // Forget rules that were deleted
+  const ids = new Set(rules.map(rule => rule.id));
+  for (const id of states.keys()) {
+    if (!ids.has(id)) states.delete(id);
+  }
+
+  const longestWindow = Math.max(0, ...rules.map(rule => {
+    try { return parseCondition(rule.condition).window; } catch (e) { return 0; }
+  }));
+  history.push({ at: now, counters });
+  history = history.filter(sample => sample.at >= now - longestWindow * 1000 - config.alertEvaluationInterval);
+
+  await storage.saveAlertStates(Object.fromEntries(states));
+}
+
+/**
+ * Evaluate alert rules periodically
+ *
+ * Only one process should call this (the cluster primary or the single
+ * process), so every alert is sent once.
+ */
+function scheduleAlertEvaluation() {
+  const run = () => evaluateRules().catch(e => log.error('Alert evaluation failed', { error: e.message }));
+  run();
+  setInterval(run, config.alertEvaluationInterval);
+}
+
+module.exports = {
+  SEVERITIES,
+  parseCondition,
+  validateRule,
+  getRules,
+  listRules,
+  createRule,
+  deleteRule,
+  registerNotifier,
+  getNotifiers,
+  evaluateRules,
+  scheduleAlertEvaluation,
+};
@@ -1,6 +1,9 @@
 const fs = require('fs');
 const { execSync } = require('child_process');
 const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('assets');
 
 // Cache for cosmetics loaded from Assets.zip
 let cachedCosmetics = null;
@@ -70,11 +73,11 @@ function loadCosmeticsFromAssets() {
   }
 
   if (!assetsExist()) {
-    console.log('Assets.zip not found at:', config.assetsPath);
+    log.warn('Assets.zip not found', { path: config.assetsPath });
     return null;
   }
 
-  console.log('Loading cosmetics from:', config.assetsPath);
+  log.info('Loading cosmetics', { path: config.assetsPath });
 
   const cosmetics = {};
 
@@ -94,7 +97,7 @@ function loadCosmeticsFromAssets() {
 
       if (ids.length > 0) {
         cosmetics[categoryName] = ids;
-        console.log(`  Loaded ${ids.length} ${categoryName} items`);
+        log.info(`  Loaded ${ids.length} ${categoryName} items`);
       }
     } catch (e) {
       // File might not exist or parse error - silently skip
@@ -103,11 +106,11 @@ function loadCosmeticsFromAssets() {
 
   if (Object.keys(cosmetics).length > 0) {
     cachedCosmetics = cosmetics;
-    console.log('Cosmetics loaded successfully from Assets.zip');
+    log.info('Cosmetics loaded successfully from Assets.zip');
     return cosmetics;
   }
 
-  console.log('No cosmetics loaded from Assets.zip');
+  log.info('No cosmetics loaded from Assets.zip');
   return null;
 }
 
@@ -245,11 +248,11 @@ function resolveSkinPart(category, partValue, configs, gradientSets) {
   const colorId = (parts.length > 1 && parts[1]) ? parts[1] : null;
   const variantId = (parts.length > 2 && parts[2]) ? parts[2] : null;
 
-  console.log(`[resolveSkinPart] ${category}: partValue="${partValue}" -> partId="${partId}", colorId="${colorId}", variantId="${variantId}"`);
+  log.debug(`resolveSkinPart ${category}: partValue="${partValue}" -> partId="${partId}", colorId="${colorId}", variantId="${variantId}"`);
 
   const partConfig = configs[category][partId];
   if (!partConfig) {
-    console.log(`[resolveSkinPart] ${category}: partConfig not found for "${partId}"`);
+    log.debug(`resolveSkinPart ${category}: partConfig not found for "${partId}"`);
     return null;
   }
 
@@ -264,7 +267,7 @@ function resolveSkinPart(category, partValue, configs, gradientSets) {
     // Use specified variant, or default to Neck_Piece (with shoulder/collar pieces)
     // User can select NoNeck variant to hide shoulder pieces
     const variant = variantId ? partConfig.Variants[variantId] : partConfig.Variants['Neck_Piece'] || Object.values(partConfig.Variants)[0];
-    console.log(`[resolveSkinPart] ${category}: variant found:`, variant ? 'yes' : 'no', 'has Textures:', !!variant?.Textures, 'has GreyscaleTexture:', !!variant?.GreyscaleTexture);
+    log.debug(`resolveSkinPart ${category}`, { variant: !!variant, textures: !!variant?.Textures, greyscaleTexture: !!variant?.GreyscaleTexture });
     if (variant) {
       result.model = variant.Model;
       result.greyscaleTexture = variant.GreyscaleTexture;
@@ -272,7 +275,7 @@ function resolveSkinPart(category, partValue, configs, gradientSets) {
       if (variant.Textures && colorId && variant.Textures[colorId]) {
         result.texture = variant.Textures[colorId].Texture;
         result.baseColor = variant.Textures[colorId].BaseColor;
-        console.log(`[resolveSkinPart] ${category}: using Textures[${colorId}] -> texture="${result.texture}"`);
+        log.debug(`resolveSkinPart ${category}: using Textures[${colorId}] -> texture="${result.texture}"`);
       } else if (variant.GreyscaleTexture && partConfig.GradientSet) {
         result.gradientSet = partConfig.GradientSet;
         if (colorId && gradientSets) {
@@ -342,10 +345,10 @@ function getFallbackCosmetics() {
  */
 function preloadCosmetics() {
   if (assetsExist()) {
-    console.log('Assets.zip found, loading cosmetics...');
+    log.info('Assets.zip found, loading cosmetics...');
     loadCosmeticsFromAssets();
   } else {
-    console.log('Assets.zip not found, using fallback cosmetics');
+    log.info('Assets.zip not found, using fallback cosmetics');
   }
 }
 
@@ -2,102 +2,355 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
+const storage = require('./storage');
+const metrics = require('./metrics');
+const tenants = require('./tenants');
+const { createLogger } = require('../utils/logger');
 
-let privateKey, publicKey, publicKeyJwk;
+const log = createLogger('auth');
+
+// Signing key rings by key set name, each oldest first. The last entry is the
+// active signing key; earlier entries are retired but still published until
+// their tokens expire.
+const keyRings = new Map();
+
+// Key file mtime (ms) per key set when we last read or wrote it
+const keyFileMtimes = new Map();
+
+const DEFAULT_KEY_SET = 'default';
 
 /**
- * Build the issuer URL dynamically from request host
- *
- * Supports multiple endpoints with correct issuer for each
+ * Key file path for a key set ('default' keeps the original jwt_keys.json)
+ */
+function getKeyFile(keySet = DEFAULT_KEY_SET) {
+  if (keySet === DEFAULT_KEY_SET) return config.keyFile;
+  return path.join(path.dirname(config.keyFile), `jwt_keys.${keySet}.json`);
+}
+
+/**
+ * All key sets referenced by tenants
+ */
+function getKeySets() {
+  return [...new Set([DEFAULT_KEY_SET, ...tenants.listTenants().map(t => t.keySet)])];
+}
+
+/**
+ * Build a key ring entry from exported DER key material
+ */
+function importKeyEntry(entry) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(entry.privateKey, 'base64'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.from(entry.publicKey, 'base64'),
+    format: 'der',
+    type: 'spki'
+  });
+  return {
+    kid: entry.kid,
+    privateKey,
+    publicKey,
+    publicKeyJwk: publicKey.export({ format: 'jwk' }),
+    createdAt: entry.createdAt || new Date().toISOString(),
+    retiredAt: entry.retiredAt || null
+  };
+}
+
+/**
+ * Generate a fresh Ed25519 key ring entry
+ */
+function createKeyEntry(keySet = DEFAULT_KEY_SET) {
+  const keyPair = crypto.generateKeyPairSync('ed25519');
+  const createdAt = new Date().toISOString();
+  const prefix = keySet === DEFAULT_KEY_SET ? '' : `${keySet}-`;
+  return {
+    kid: `${prefix}${createdAt.substring(0, 10)}-${crypto.randomBytes(3).toString('hex')}`,
+    privateKey: keyPair.privateKey,
+    publicKey: keyPair.publicKey,
+    publicKeyJwk: keyPair.publicKey.export({ format: 'jwk' }),
+    createdAt,
+    retiredAt: null
+  };
+}
+
+/**
+ * Read a key ring from disk
  *
- * This enables backward compatibility with different client patch versions.
+ * Older deployments stored a single key pair at the top level of the file;
+ * that key keeps its original kid (config.keyId) so cached JWKS stay valid.
  *
- * @param {string} [requestHost] - The Host header from the request
- * @returns {string} The issuer URL
- */
-function getIssuerUrl(requestHost) {
-  if (requestHost) {
-    // Remove port if present (e.g., "localhost:3000" -> "localhost")
-    const host = requestHost.split(':')[0];
-    // Check if host contains our domain (nostep.xyz)
-    if (host.includes(config.domain)) {
-      return `https://${host}`;
-    }
+ * @returns {Object[]|null} Key ring entries, or null if no key file exists
+ */
+function readKeyFile(keySet = DEFAULT_KEY_SET) {
+  const keyFile = getKeyFile(keySet);
+  if (!fs.existsSync(keyFile)) return null;
+
+  keyFileMtimes.set(keySet, fs.statSync(keyFile).mtimeMs);
+  const keyData = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  const entries = Array.isArray(keyData.keys)
+    ? keyData.keys
+    : [{
+      kid: config.keyId,
+      privateKey: keyData.privateKey,
+      publicKey: keyData.publicKey,
+      createdAt: keyData.createdAt || fs.statSync(keyFile).mtime.toISOString()
+    }];
+
+  return entries.map(importKeyEntry);
+}
+
+/**
+ * Persist a key ring to disk
+ */
+function saveKeyFile(keySet = DEFAULT_KEY_SET) {
+  const keyFile = getKeyFile(keySet);
+  const dir = path.dirname(keyFile);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const keyData = {
+    keys: getKeyRing(keySet).map(entry => ({
+      kid: entry.kid,
+      privateKey: entry.privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'),
+      publicKey: entry.publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+      createdAt: entry.createdAt,
+      retiredAt: entry.retiredAt
+    }))
+  };
+  // Write to a temp file and rename so watchers never see a partial file
+  const tmpFile = `${keyFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(keyData, null, 2));
+  fs.renameSync(tmpFile, keyFile);
+  keyFileMtimes.set(keySet, fs.statSync(keyFile).mtimeMs);
+}
+
+/**
+ * Check whether a key file changed on disk since we last read or wrote it
+ */
+function keyFileChanged(keySet = DEFAULT_KEY_SET) {
+  try {
+    return fs.statSync(getKeyFile(keySet)).mtimeMs !== keyFileMtimes.get(keySet);
+  } catch (e) {
+    return false;
   }
-  // Fallback to base domain
-  return `https://${config.domain}`;
+}
+
+/**
+ * Get the key ring for a key set
+ */
+function getKeyRing(keySet = DEFAULT_KEY_SET) {
+  return keyRings.get(keySet) || [];
 }
 
 /**
  * Load existing keys from disk or generate new ones
  */
-function loadOrGenerateKeys() {
+function loadOrGenerateKeys(keySet = DEFAULT_KEY_SET) {
   try {
-    if (fs.existsSync(config.keyFile)) {
-      const keyData = JSON.parse(fs.readFileSync(config.keyFile, 'utf8'));
-      privateKey = crypto.createPrivateKey({
-        key: Buffer.from(keyData.privateKey, 'base64'),
-        format: 'der',
-        type: 'pkcs8'
-      });
-      publicKey = crypto.createPublicKey({
-        key: Buffer.from(keyData.publicKey, 'base64'),
-        format: 'der',
-        type: 'spki'
-      });
-      publicKeyJwk = publicKey.export({ format: 'jwk' });
-      console.log('Loaded existing Ed25519 key pair from disk');
+    const entries = readKeyFile(keySet);
+    if (entries && entries.length > 0) {
+      keyRings.set(keySet, entries);
+      log.info(`Loaded ${entries.length} Ed25519 key(s) for key set '${keySet}' (active kid: ${getActiveKey(keySet).kid})`);
       return;
     }
   } catch (e) {
-    console.log('Could not load existing keys:', e.message);
+    log.warn(`Could not load existing keys for key set '${keySet}'`, { error: e.message });
   }
 
   // Generate new keys
-  const keyPair = crypto.generateKeyPairSync('ed25519');
-  privateKey = keyPair.privateKey;
-  publicKey = keyPair.publicKey;
-  publicKeyJwk = publicKey.export({ format: 'jwk' });
+  keyRings.set(keySet, [createKeyEntry(keySet)]);
 
   // Save keys to disk
   try {
-    const dir = path.dirname(config.keyFile);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    saveKeyFile(keySet);
+    log.info(`Generated and saved new Ed25519 key pair for key set '${keySet}'`);
+  } catch (e) {
+    log.warn('Could not save keys', { error: e.message });
+    log.info('Generated Ed25519 key pair (not persisted)');
+  }
+}
+
+/**
+ * Reload a key ring from disk (picks up rotations done by another worker)
+ */
+function reloadKeys(keySet = DEFAULT_KEY_SET) {
+  try {
+    const entries = readKeyFile(keySet);
+    if (entries && entries.length > 0) {
+      keyRings.set(keySet, entries);
+      log.info(`Reloaded key set '${keySet}' from disk (active kid: ${getActiveKey(keySet).kid})`);
     }
-    const keyData = {
-      privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'),
-      publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
-      createdAt: new Date().toISOString()
-    };
-    fs.writeFileSync(config.keyFile, JSON.stringify(keyData, null, 2));
-    console.log('Generated and saved new Ed25519 key pair');
   } catch (e) {
-    console.log('Could not save keys:', e.message);
-    console.log('Generated Ed25519 key pair (not persisted)');
+    log.warn('Could not reload keys', { error: e.message });
   }
 }
 
 /**
- * Get the public key in JWK format for JWKS endpoint
+ * Get the key currently used for signing in a key set
  */
-function getPublicKeyJwk() {
-  return publicKeyJwk;
+function getActiveKey(keySet = DEFAULT_KEY_SET) {
+  const keyRing = getKeyRing(keySet);
+  return keyRing[keyRing.length - 1];
+}
+
+/**
+ * Longest lifetime of any token we sign - retired keys stay published this long
+ */
+function getMaxTokenLifetime() {
+  return Math.max(...tenants.listTenants().flatMap(t => Object.values(t.tokenTtl)));
+}
+
+/**
+ * Drop retired keys whose tokens have all expired
+ * @returns {number} Number of keys removed
+ */
+function pruneRetiredKeys(keySet = DEFAULT_KEY_SET) {
+  const cutoff = Date.now() - getMaxTokenLifetime() * 1000;
+  const keyRing = getKeyRing(keySet);
+  const kept = keyRing.filter(entry => !entry.retiredAt || new Date(entry.retiredAt).getTime() > cutoff);
+  keyRings.set(keySet, kept);
+  return keyRing.length - kept.length;
+}
+
+/**
+ * Rotate the signing key of a key set
+ *
+ * Generates a new active key and retires the previous one. Retired keys keep
+ * being published in the JWKS until every token they signed has expired.
+ *
+ * @returns {Object} Summary of the new active key
+ */
+function rotateSigningKey(keySet = DEFAULT_KEY_SET) {
+  // Start from the on-disk ring so we never drop a rotation done elsewhere
+  reloadKeys(keySet);
+
+  const now = new Date().toISOString();
+  const keyRing = getKeyRing(keySet);
+  for (const entry of keyRing) {
+    if (!entry.retiredAt) entry.retiredAt = now;
+  }
+
+  const entry = createKeyEntry(keySet);
+  keyRings.set(keySet, [...keyRing, entry]);
+  const pruned = pruneRetiredKeys(keySet);
+
+  try {
+    saveKeyFile(keySet);
+  } catch (e) {
+    log.warn('Could not save rotated keys', { error: e.message });
+  }
+
+  log.info(`Rotated signing key for key set '${keySet}': new kid ${entry.kid}`, { pruned });
+  return { keySet, kid: entry.kid, createdAt: entry.createdAt };
+}
+
+/**
+ * Rotate each key set whose active key is older than the rotation interval
+ * @returns {string[]} Key sets that were rotated
+ */
+function rotateKeysIfDue() {
+  if (!config.keyRotationInterval) return [];
+
+  const rotated = [];
+  for (const keySet of getKeySets()) {
+    reloadKeys(keySet);
+    const active = getActiveKey(keySet);
+    const age = (Date.now() - new Date(active.createdAt).getTime()) / 1000;
+
+    if (age >= config.keyRotationInterval) {
+      rotateSigningKey(keySet);
+      rotated.push(keySet);
+      continue;
+    }
+
+    // Still clean up keys that have aged out since the last rotation
+    if (pruneRetiredKeys(keySet) > 0) {
+      try {
+        saveKeyFile(keySet);
+      } catch (e) {
+        log.warn('Could not save pruned keys', { error: e.message });
+      }
+    }
+  }
+  return rotated;
+}
+
+/**
+ * Check for due key rotations periodically
+ *
+ * Only one process should call this (the cluster primary or the single
+ * process); workers pick up the new key rings through watchKeyFile().
+ */
+function scheduleKeyRotation() {
+  rotateKeysIfDue();
+  setInterval(rotateKeysIfDue, config.keyRotationCheckInterval);
+}
+
+/**
+ * Reload key rings whenever their key files change on disk
+ */
+function watchKeyFile() {
+  for (const keySet of getKeySets()) {
+    fs.watchFile(getKeyFile(keySet), { interval: 5000 }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) {
+        reloadKeys(keySet);
+      }
+    });
+  }
+}
+
+/**
+ * List key ring metadata (no key material)
+ */
+function listKeys(keySet = DEFAULT_KEY_SET) {
+  const active = getActiveKey(keySet);
+  return getKeyRing(keySet).map(entry => ({
+    kid: entry.kid,
+    createdAt: entry.createdAt,
+    retiredAt: entry.retiredAt,
+    active: entry === active
+  }));
+}
+
+/**
+ * Get the active public key in JWK format
+ */
+function getPublicKeyJwk(keySet = DEFAULT_KEY_SET) {
+  return getActiveKey(keySet).publicKeyJwk;
+}
+
+/**
+ * Get all published public keys (active and retired) of a key set for its JWKS
+ */
+function getPublicKeyJwks(keySet = DEFAULT_KEY_SET) {
+  return getKeyRing(keySet).map(entry => ({
+    kty: entry.publicKeyJwk.kty,
+    crv: entry.publicKeyJwk.crv,
+    x: entry.publicKeyJwk.x,
+    kid: entry.kid,
+    use: 'sig',
+    alg: 'EdDSA'
+  })).reverse();
 }
 
 /**
  * Generate a JWT token with proper Ed25519 signing
+ * @param {Object} payload - JWT claims
+ * @param {string} [keySet] - Key set to sign with
  */
-function generateToken(payload) {
+function generateToken(payload, keySet = DEFAULT_KEY_SET) {
+  const signingKey = getActiveKey(keySet);
   const header = Buffer.from(JSON.stringify({
     alg: 'EdDSA',
-    kid: config.keyId,
+    kid: signingKey.kid,
     typ: 'JWT'
   })).toString('base64url');
   const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
   const signingInput = `${header}.${body}`;
 
-  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+  const signature = crypto.sign(null, Buffer.from(signingInput), signingKey.privateKey);
   return `${signingInput}.${signature.toString('base64url')}`;
 }
 
@@ -116,18 +369,38 @@ function normalizeScopes(scopes, defaultScope = DEFAULT_SCOPES) {
   return scopes;
 }
 
+/**
+ * Common claims and signing key set for a token issued on a request host
+ *
+ * `iat` keeps milliseconds (NumericDate allows fractions) so a revocation
+ * only covers tokens issued before it, not the rest of that second.
+ *
+ * @param {string} [requestHost] - Request host (selects the tenant)
+ * @param {string} tokenType - Key of tenant.tokenTtl setting the lifetime
+ */
+function tenantClaims(requestHost, tokenType) {
+  const tenant = tenants.resolveTenant(requestHost);
+  const iat = Date.now() / 1000;
+  return {
+    tenant,
+    iat,
+    exp: Math.floor(iat) + tenant.tokenTtl[tokenType],
+    iss: tenants.getIssuerUrl(tenant, requestHost)
+  };
+}
+
 /**
  * Generate identity token for the game client/server
  * @param {string} uuid - User UUID
  * @param {string} name - Username
  * @param {string[]|string} [scopes] - Requested scopes (defaults to 'hytale:server hytale:client')
- * @param {string[]} [entitlements] - User entitlements
+ * @param {string[]} [entitlements] - User entitlements (defaults to config.defaultEntitlements)
  * @param {string} [requestHost] - Request host for dynamic issuer
+ * @param {string} [tokenType] - Lifetime to use ('identity' or 'server')
  */
-function generateIdentityToken(uuid, name, scopes = null, entitlements = ['game.base'], requestHost = null) {
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + config.sessionTtl;
-  const scope = normalizeScopes(scopes);
+function generateIdentityToken(uuid, name, scopes = null, entitlements = config.defaultEntitlements, requestHost = null, tokenType = 'identity') {
+  const { tenant, iat, exp, iss } = tenantClaims(requestHost, tokenType);
+  const scope = normalizeScopes(scopes, tenant.defaultScopes);
 
   return generateToken({
     sub: uuid,
@@ -136,13 +409,25 @@ function generateIdentityToken(uuid, name, scopes = null, entitlements = ['game.
     profile: {
       username: name
     },
-    entitlements: entitlements,
+    entitlements: tenants.filterEntitlements(tenant, entitlements),
     scope: scope,
-    iat: now,
+    iat: iat,
     exp: exp,
-    iss: getIssuerUrl(requestHost),
+    iss: iss,
     jti: crypto.randomUUID()
-  });
+  }, tenant.keySet);
+}
+
+/**
+ * Generate an identity token for a game server (server token lifetime)
+ * @param {string} uuid - Server UUID
+ * @param {string} name - Server name
+ * @param {string[]|string} scopes - Granted scopes
+ * @param {string[]} [entitlements] - Server entitlements (defaults to config.serverEntitlements)
+ * @param {string} [requestHost] - Request host for dynamic issuer
+ */
+function generateServerToken(uuid, name, scopes, entitlements = config.serverEntitlements, requestHost = null) {
+  return generateIdentityToken(uuid, name, scopes, entitlements, requestHost, 'server');
 }
 
 /**
@@ -151,17 +436,16 @@ function generateIdentityToken(uuid, name, scopes = null, entitlements = ['game.
  * @param {string} [requestHost] - Request host for dynamic issuer
  */
 function generateSessionToken(uuid, requestHost = null) {
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + config.sessionTtl;
+  const { tenant, iat, exp, iss } = tenantClaims(requestHost, 'session');
 
   return generateToken({
     sub: uuid,
     scope: 'hytale:server',
-    iat: now,
+    iat: iat,
     exp: exp,
-    iss: getIssuerUrl(requestHost),
+    iss: iss,
     jti: crypto.randomUUID()
-  });
+  }, tenant.keySet);
 }
 
 /**
@@ -173,9 +457,8 @@ function generateSessionToken(uuid, requestHost = null) {
  * @param {string} [requestHost] - Request host for dynamic issuer
  */
 function generateAuthorizationGrant(uuid, name, audience, scopes = null, requestHost = null) {
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + config.sessionTtl;
-  const scope = normalizeScopes(scopes);
+  const { tenant, iat, exp, iss } = tenantClaims(requestHost, 'authGrant');
+  const scope = normalizeScopes(scopes, tenant.defaultScopes);
 
   return generateToken({
     sub: uuid,
@@ -183,11 +466,11 @@ function generateAuthorizationGrant(uuid, name, audience, scopes = null, request
     username: name,
     aud: audience,
     scope: scope,
-    iat: now,
+    iat: iat,
     exp: exp,
-    iss: getIssuerUrl(requestHost),
+    iss: iss,
     jti: crypto.randomUUID()
-  });
+  }, tenant.keySet);
 }
 
 /**
@@ -198,22 +481,22 @@ function generateAuthorizationGrant(uuid, name, audience, scopes = null, request
  * @param {string} [certFingerprint] - Certificate fingerprint for mTLS binding
  * @param {string[]|string} [scopes] - Requested scopes (defaults to 'hytale:server hytale:client')
  * @param {string} [requestHost] - Request host for dynamic issuer
+ * @param {string[]} [entitlements] - User entitlements (defaults to config.defaultEntitlements)
  */
-function generateAccessToken(uuid, name, audience, certFingerprint = null, scopes = null, requestHost = null) {
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + config.sessionTtl;
-  const scope = normalizeScopes(scopes);
+function generateAccessToken(uuid, name, audience, certFingerprint = null, scopes = null, requestHost = null, entitlements = config.defaultEntitlements) {
+  const { tenant, iat, exp, iss } = tenantClaims(requestHost, 'access');
+  const scope = normalizeScopes(scopes, tenant.defaultScopes);
 
   const tokenPayload = {
     sub: uuid,
     name: name,
     username: name,
     aud: audience,
-    entitlements: ['game.base'],
+    entitlements: tenants.filterEntitlements(tenant, entitlements),
     scope: scope,
-    iat: now,
+    iat: iat,
     exp: exp,
-    iss: getIssuerUrl(requestHost),
+    iss: iss,
     jti: crypto.randomUUID()
   };
 
@@ -223,23 +506,352 @@ function generateAccessToken(uuid, name, audience, certFingerprint = null, scope
     };
   }
 
-  return generateToken(tokenPayload);
+  return generateToken(tokenPayload, tenant.keySet);
+}
+
+/**
+ * Expiry to advertise for tokens we just issued, taken from their `exp`
+ *
+ * With several tokens the earliest expiry wins, so clients refresh before
+ * any of them lapses.
+ *
+ * @param {...string} tokens - Compact JWTs signed by this server
+ * @returns {{expiresIn: number, expiresAt: string}}
+ */
+function getTokenExpiry(...tokens) {
+  const exp = Math.min(...tokens.map(token => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()).exp));
+  return {
+    expiresIn: exp - Math.floor(Date.now() / 1000),
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Error raised when a token fails verification
+ *
+ * `code` is one of: malformed, unknown_key, bad_signature, expired,
+ * not_yet_valid, wrong_audience, wrong_issuer, revoked, unknown_token, reused
+ */
+class TokenVerificationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenVerificationError';
+    this.code = code;
+  }
+}
+
+/**
+ * True for a JSON object (not null, an array or a primitive)
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Find the key ring entry for a kid in a key set, reloading from disk if
+ * another worker rotated in a key we have not seen yet (only when the key
+ * file changed, so made-up kids cannot force a reload per request)
+ */
+function findKey(kid, keySet = DEFAULT_KEY_SET) {
+  let entry = getKeyRing(keySet).find(k => k.kid === kid);
+  if (!entry && keyFileChanged(keySet)) {
+    reloadKeys(keySet);
+    entry = getKeyRing(keySet).find(k => k.kid === kid);
+  }
+  return entry || null;
+}
+
+/**
+ * Verify a JWT signed by this server and return its payload
+ *
+ * Resolves the issuing tenant from `iss`, checks the EdDSA signature against
+ * that tenant's key set, `exp`/`nbf`/`iat` with clock skew, and the audience.
+ *
+ * @param {string} tokenString - Compact JWT
+ * @param {Object} [options]
+ * @param {string|string[]} [options.audience] - Accepted `aud` value(s); not checked if omitted
+ * @param {boolean} [options.allowNoAudience] - Also accept tokens without `aud` (identity
+ *   and session tokens, valid at any server) when an audience is given
+ * @param {boolean} [options.rejectAudience] - Only accept tokens without `aud`: access
+ *   tokens and auth grants are handed to one server and must not stand in for the
+ *   player's own identity or session token
+ * @param {string} [options.issuer] - Exact expected `iss`; defaults to any tenant's issuer
+ * @param {Object} [options.tenant] - Only accept tokens issued by this tenant
+ * @param {number} [options.clockSkew] - Allowed clock skew in seconds
+ * @returns {Object} Verified JWT payload
+ * @throws {TokenVerificationError}
+ */
+function verifyToken(tokenString, options = {}) {
+  const clockSkew = options.clockSkew ?? config.tokenClockSkew;
+
+  if (typeof tokenString !== 'string') {
+    throw new TokenVerificationError('malformed', 'Token is not a string');
+  }
+
+  const parts = tokenString.split('.');
+  if (parts.length !== 3) {
+    throw new TokenVerificationError('malformed', 'Token is not a compact JWT');
+  }
+
+  let header, payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (e) {
+    throw new TokenVerificationError('malformed', 'Token header or payload is not valid JSON');
+  }
+  if (!isPlainObject(header) || !isPlainObject(payload)) {
+    throw new TokenVerificationError('malformed', 'Token header or payload is not a JSON object');
+  }
+
+  if (header.alg !== 'EdDSA') {
+    throw new TokenVerificationError('bad_signature', `Unsupported algorithm: ${header.alg}`);
+  }
+
+  const tenant = tenants.resolveTenantByIssuer(payload.iss);
+  if (!tenant || (options.issuer && payload.iss !== options.issuer)) {
+    throw new TokenVerificationError('wrong_issuer', `Unexpected issuer: ${payload.iss}`);
+  }
+  if (options.tenant && tenant.id !== options.tenant.id) {
+    throw new TokenVerificationError('wrong_issuer', `Token was issued for tenant ${tenant.id}`);
+  }
+
+  const key = findKey(header.kid, tenant.keySet);
+  if (!key) {
+    throw new TokenVerificationError('unknown_key', `Unknown signing key: ${header.kid}`);
+  }
+
+  const signatureValid = crypto.verify(
+    null,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key.publicKey,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureValid) {
+    throw new TokenVerificationError('bad_signature', 'Token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + clockSkew < now) {
+    throw new TokenVerificationError('expired', 'Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - clockSkew > now) {
+    throw new TokenVerificationError('not_yet_valid', 'Token is not valid yet');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - clockSkew > now) {
+    throw new TokenVerificationError('not_yet_valid', 'Token was issued in the future');
+  }
+
+  if (options.rejectAudience && payload.aud !== undefined) {
+    throw new TokenVerificationError('wrong_audience', 'Token is bound to a server and not accepted here');
+  }
+  if (options.audience && !(options.allowNoAudience && payload.aud === undefined)) {
+    const expected = Array.isArray(options.audience) ? options.audience : [options.audience];
+    const actual = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!actual.some(aud => expected.includes(aud))) {
+      throw new TokenVerificationError('wrong_audience', `Token audience ${payload.aud} is not accepted here`);
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Verify a token (see verifyToken) and check it against the revocation list
+ * @param {string} tokenString - Compact JWT
+ * @param {Object} [options] - Same as verifyToken()
+ * @returns {Promise<Object>} Verified, unrevoked JWT payload
+ * @throws {TokenVerificationError}
+ */
+async function verifyActiveToken(tokenString, options = {}) {
+  const payload = verifyToken(tokenString, options);
+  const revocation = await storage.getTokenRevocation(payload);
+  if (revocation) {
+    throw new TokenVerificationError('revoked', `Token has been revoked (by ${revocation})`);
+  }
+  return payload;
 }
 
 /**
- * Extract UUID and name from a JWT token string
+ * Revoke a verified token until it would have expired
+ */
+async function revokeToken(payload) {
+  return storage.revokeTokenId(payload.jti, payload.exp);
+}
+
+/**
+ * Revoke all tokens issued so far for a user UUID ("sign out everywhere")
+ */
+async function revokeUserTokens(uuid) {
+  return storage.revokeTokensBefore('user', uuid, getMaxTokenLifetime());
+}
+
+/**
+ * Revoke all tokens issued so far for a server audience
+ */
+async function revokeAudienceTokens(audience) {
+  return storage.revokeTokensBefore('audience', audience, getMaxTokenLifetime());
+}
+
+/**
+ * Introspect a token (RFC 7662)
+ *
+ * Never throws: anything that fails verification is reported as inactive,
+ * with `revoked` telling revocation apart from other failures.
+ *
+ * @param {string} tokenString - Compact JWT
+ * @param {Object} [options] - Same as verifyToken() (e.g. the caller's audience)
+ * @returns {Promise<Object>} Introspection response body
+ */
+async function introspectToken(tokenString, options = {}) {
+  let payload;
+  try {
+    payload = await verifyActiveToken(tokenString, options);
+  } catch (e) {
+    if (e instanceof TokenVerificationError) {
+      return { active: false, revoked: e.code === 'revoked' };
+    }
+    throw e;
+  }
+
+  const response = {
+    active: true,
+    revoked: false,
+    token_type: 'Bearer',
+    sub: payload.sub,
+    scope: payload.scope,
+    exp: payload.exp,
+    iat: Math.floor(payload.iat),
+    iss: payload.iss,
+    jti: payload.jti
+  };
+  if (payload.aud) response.aud = payload.aud;
+  if (payload.username || payload.name) response.username = payload.username || payload.name;
+  if (payload.entitlements) response.entitlements = payload.entitlements;
+  if (payload.cnf) response.cnf = payload.cnf;
+  return response;
+}
+
+/**
+ * Hash an opaque refresh token for storage lookups
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Issue an opaque, single-use refresh token
+ * @param {Object} subject - { uuid, name, audience, scope, kind }
+ * @param {string} [familyId] - Family to continue; a new family is started if omitted
+ * @returns {Promise<{refreshToken: string|null, familyId: string}>} refreshToken is null
+ *   when it could not be stored (it could never be redeemed)
+ */
+async function issueRefreshToken(subject, familyId = null) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  familyId = familyId || crypto.randomUUID();
+
+  const stored = await storage.storeRefreshToken(hashRefreshToken(refreshToken), {
+    familyId,
+    uuid: subject.uuid,
+    name: subject.name,
+    audience: subject.audience || null,
+    scope: subject.scope || null,
+    kind: subject.kind || 'game'
+  }, config.refreshTokenTtl);
+  if (!stored) {
+    log.warn(`Refresh token for ${subject.uuid} could not be stored; issuing none`);
+    return { refreshToken: null, familyId };
+  }
+
+  return { refreshToken, familyId };
+}
+
+/**
+ * Redeem a refresh token, consuming it
+ *
+ * Presenting a token that was already redeemed means it leaked: the whole
+ * family, including access tokens issued from it, is revoked. So is a
+ * family started before its user or audience was revoked ("sign out
+ * everywhere" covers refresh tokens as well as JWTs).
+ *
+ * @param {string} refreshToken - Opaque refresh token
+ * @returns {Promise<Object>} Stored refresh data ({ familyId, uuid, name, audience, scope, kind })
+ * @throws {TokenVerificationError} unknown_token, revoked or reused
+ */
+async function redeemRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw new TokenVerificationError('unknown_token', 'Refresh token is missing');
+  }
+
+  const { status, data } = await storage.consumeRefreshToken(hashRefreshToken(refreshToken));
+
+  if (status === 'reused') {
+    log.warn(`Refresh token reuse detected for ${data.uuid} (family ${data.familyId}), revoking family`);
+    metrics.incCounter('refresh_token_reuse_total');
+    await storage.revokeTokenFamily(data.familyId);
+    throw new TokenVerificationError('reused', 'Refresh token was already used; session revoked');
+  }
+  if (status === 'family_revoked') {
+    throw new TokenVerificationError('revoked', 'Refresh token family has been revoked');
+  }
+  if (status !== 'ok') {
+    throw new TokenVerificationError('unknown_token', 'Refresh token is invalid or expired');
+  }
+
+  const revocation = await storage.getTokenRevocation({
+    sub: data.uuid,
+    aud: data.audience || undefined,
+    iat: Date.parse(data.familyCreatedAt) / 1000
+  });
+  if (revocation) {
+    await storage.revokeTokenFamily(data.familyId);
+    throw new TokenVerificationError('revoked', `Refresh token family has been revoked (by ${revocation})`);
+  }
+
+  return data;
+}
+
+/**
+ * Record tokens issued within a refresh token family (for family revocation)
+ * @param {string} familyId - Refresh token family
+ * @param {...string} tokens - Compact JWTs issued alongside the refresh token
+ */
+async function trackFamilyTokens(familyId, ...tokens) {
+  for (const token of tokens) {
+    try {
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+      await storage.addTokenToFamily(familyId, payload.jti, payload.exp);
+    } catch (e) {
+      // Not one of our JWTs - nothing to track
+    }
+  }
+}
+
+/**
+ * Map a JWT payload to the user fields routes care about
+ */
+function tokenDataFromPayload(payload) {
+  return {
+    uuid: payload.sub,
+    name: payload.username || payload.name,
+    scope: payload.scope,
+    aud: payload.aud,
+    jti: payload.jti
+  };
+}
+
+/**
+ * Extract UUID and name from a JWT token string WITHOUT verifying it
+ *
+ * Only for display/logging. Anything that trusts the result must use
+ * verifyToken() or parseVerifiedToken() instead.
  */
 function parseToken(tokenString) {
   try {
     const parts = tokenString.split('.');
     if (parts.length >= 2) {
       const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
-      return {
-        uuid: payload.sub,
-        name: payload.username || payload.name,
-        scope: payload.scope,
-        aud: payload.aud
-      };
+      return tokenDataFromPayload(payload);
     }
   } catch (e) {
     // Invalid token format
@@ -248,41 +860,76 @@ function parseToken(tokenString) {
 }
 
 /**
- * Extract server audience from bearer token in headers
+ * Verify a token, check revocation and extract UUID, name, scope, audience and jti
+ * @param {string} tokenString - Compact JWT
+ * @param {Object} [options] - Same as verifyToken()
+ * @returns {Promise<Object|null>} Token data, or null if verification failed
  */
-function extractServerAudienceFromHeaders(headers) {
-  if (!headers || !headers.authorization) return null;
-
+async function parseVerifiedToken(tokenString, options = {}) {
   try {
-    const token = headers.authorization.replace('Bearer ', '');
-    const parts = token.split('.');
-    if (parts.length >= 2) {
-      const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
-      if (payload.aud) {
-        return payload.aud;
-      }
-      if (payload.scope === 'hytale:server' && payload.sub) {
-        return payload.sub;
-      }
-    }
+    return tokenDataFromPayload(await verifyActiveToken(tokenString, options));
   } catch (e) {
-    // Silent fail - token parsing is optional
+    if (e instanceof TokenVerificationError) {
+      log.warn(`Rejected token (${e.code}): ${e.message}`);
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Extract server audience from a verified bearer token in headers
+ */
+async function extractServerAudienceFromHeaders(headers) {
+  if (!headers || !headers.authorization) return null;
+
+  const token = headers.authorization.replace('Bearer ', '');
+  const tokenData = await parseVerifiedToken(token);
+  if (!tokenData) return null;
+
+  if (tokenData.aud) {
+    return tokenData.aud;
+  }
+  if (tokenData.scope === 'hytale:server' && tokenData.uuid) {
+    return tokenData.uuid;
   }
   return null;
 }
 
 // Initialize keys on module load
-loadOrGenerateKeys();
+getKeySets().forEach(keySet => loadOrGenerateKeys(keySet));
 
 module.exports = {
   loadOrGenerateKeys,
+  getKeySets,
+  reloadKeys,
+  rotateSigningKey,
+  rotateKeysIfDue,
+  scheduleKeyRotation,
+  watchKeyFile,
+  listKeys,
   getPublicKeyJwk,
+  getPublicKeyJwks,
   generateToken,
   generateIdentityToken,
+  generateServerToken,
   generateSessionToken,
   generateAuthorizationGrant,
   generateAccessToken,
+  getTokenExpiry,
+  getMaxTokenLifetime,
+  verifyToken,
+  verifyActiveToken,
+  introspectToken,
+  issueRefreshToken,
+  redeemRefreshToken,
+  trackFamilyTokens,
+  revokeToken,
+  revokeUserTokens,
+  revokeAudienceTokens,
   parseToken,
+  parseVerifiedToken,
   extractServerAudienceFromHeaders,
+  TokenVerificationError,
   normalizeScopes,
 };
@@ -0,0 +1,139 @@
+/**
+ * Entitlements - what an account may do (play, host servers, extras)
+ *
+ * An account's entitlements are config.defaultEntitlements plus its stored,
+ * unexpired grants. Every profile of the account shares them. Game servers
+ * get config.serverEntitlements instead.
+ *
+ * A grant is { entitlement, source, reference, grantedAt, expiresAt }:
+ *   source    - 'admin' or 'promo' (defaults are reported with source 'default')
+ *   reference - Free-form origin, e.g. the promo code or an admin note
+ *   expiresAt - ISO date after which the grant no longer counts, or null
+ */
+const config = require('../config');
+const storage = require('./storage');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('entitlements');
+
+const GRANT_SOURCES = ['admin', 'promo'];
+const ENTITLEMENT_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+/**
+ * Whether a grant is still in effect
+ */
+function isActive(grant, now = Date.now()) {
+  return !grant.expiresAt || new Date(grant.expiresAt).getTime() > now;
+}
+
+/**
+ * Effective entitlements of an account (defaults plus active grants)
+ * @returns {Promise<string[]>}
+ */
+async function getEntitlements(accountId) {
+  const grants = await storage.getEntitlementGrants(accountId);
+  const granted = grants.filter(grant => isActive(grant)).map(grant => grant.entitlement);
+  return [...new Set([...config.defaultEntitlements, ...granted])];
+}
+
+/**
+ * Entitlements every account has (the default-entitlement policy)
+ */
+function getDefaultEntitlements() {
+  return config.defaultEntitlements;
+}
+
+/**
+ * Entitlements for game server tokens
+ */
+function getServerEntitlements() {
+  return config.serverEntitlements;
+}
+
+/**
+ * List an account's entitlements with where they come from (for admins)
+ * @returns {Promise<Object[]>} Default entitlements followed by stored grants, each with `active`
+ */
+async function listEntitlements(accountId) {
+  const now = Date.now();
+  const grants = await storage.getEntitlementGrants(accountId);
+  const defaults = config.defaultEntitlements.map(entitlement => ({
+    entitlement,
+    source: 'default',
+    reference: null,
+    grantedAt: null,
+    expiresAt: null,
+    active: true
+  }));
+
+  return [
+    ...defaults,
+    ...grants
+      .sort((a, b) => a.grantedAt.localeCompare(b.grantedAt))
+      .map(grant => ({ ...grant, active: isActive(grant, now) }))
+  ];
+}
+
+/**
+ * Check a grant request
+ * @returns {string|null} Why the grant is invalid, or null if it is fine
+ */
+function validateGrant(entitlement, { source = 'admin', expiresAt = null } = {}) {
+  if (typeof entitlement !== 'string' || !ENTITLEMENT_PATTERN.test(entitlement)) {
+    return 'entitlement must be 1-64 characters of letters, digits, dots, dashes and underscores';
+  }
+  if (!GRANT_SOURCES.includes(source)) {
+    return `source must be one of: ${GRANT_SOURCES.join(', ')}`;
+  }
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return 'expiresAt must be a date';
+  }
+  return null;
+}
+
+/**
+ * Grant an entitlement to an account (re-granting replaces the earlier grant)
+ * @param {string} accountId - Account UUID
+ * @param {string} entitlement - Entitlement name
+ * @param {Object} [options] - { source, reference, expiresAt }
+ * @returns {Promise<Object|null>} The stored grant, or null if it could not be stored
+ */
+async function grantEntitlement(accountId, entitlement, { source = 'admin', reference = null, expiresAt = null } = {}) {
+  const grant = {
+    entitlement,
+    source,
+    reference,
+    grantedAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+  };
+
+  if (!await storage.saveEntitlementGrant(accountId, grant)) return null;
+  log.info(`Entitlement granted: ${entitlement} -> ${accountId}`, { source, expiresAt: grant.expiresAt || null });
+  return grant;
+}
+
+/**
+ * Revoke an entitlement grant from an account
+ *
+ * Default entitlements are policy, not grants, and cannot be revoked here.
+ *
+ * @returns {Promise<boolean>} True if the account had the grant
+ */
+async function revokeEntitlement(accountId, entitlement) {
+  const revoked = await storage.deleteEntitlementGrant(accountId, entitlement);
+  if (revoked) {
+    log.info(`Entitlement revoked: ${entitlement} from ${accountId}`);
+  }
+  return revoked;
+}
+
+module.exports = {
+  GRANT_SOURCES,
+  getEntitlements,
+  getDefaultEntitlements,
+  getServerEntitlements,
+  listEntitlements,
+  validateGrant,
+  grantEntitlement,
+  revokeEntitlement,
+};
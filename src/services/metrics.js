@@ -3,11 +3,17 @@
  *
  * All metrics are stored in Redis for multi-worker aggregation.
  * Metrics are exported to Prometheus format, scraped by VictoriaMetrics.
- * Overtime charts query VictoriaMetrics for historical data.
+ * Overtime charts query VictoriaMetrics for historical data, or the embedded
+ * time-series store (see config.metricsBackend).
  */
 const http = require('http');
+const config = require('../config');
 const storage = require('./storage');
+const timeseries = require('./timeseries');
 const { redis, isConnected } = require('./redis');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('metrics');
 
 // VictoriaMetrics config
 const VM_HOST = process.env.VM_HOST || 'victoriametrics';
@@ -28,7 +34,31 @@ const REDIS_KEYS = {
   GAUGES: 'metrics:gauges',
   HISTOGRAM: 'metrics:histogram:',
   AVGSTATE: 'metrics:avgstate:',
-  LABELED: 'metrics:labeled:'
+  LABELED: 'metrics:labeled:',
+  SERVER: 'metrics:server:',
+  SERVER_AUDIENCES: 'metrics:servers',
+  SERVER_PRUNE_LOCK: 'metrics:servers:prunelock'
+};
+
+// Embedded time-series store: chart metric -> stored series (counters are charted as per-minute rates)
+const EMBEDDED_SERIES = {
+  players: { name: 'active_players' },
+  servers: { name: 'active_servers' },
+  sessions: { name: 'active_sessions' },
+  requests: { name: 'requests_total', counter: true },
+  telemetry: { name: 'telemetry_received_total', counter: true },
+  fps_avg: { name: 'fps_avg' },
+  latency_avg: { name: 'latency_avg' },
+  memory_avg: { name: 'memory_avg' },
+  session_duration_avg: { name: 'session_duration_avg' },
+  world_load_avg: { name: 'world_load_avg' },
+  connect_time_avg: { name: 'connect_time_avg' },
+  frame_time_avg: { name: 'frame_time_avg' },
+  frame_time_p99: { name: 'frame_time_p99' },
+  session_duration_p50: { name: 'session_duration_p50' },
+  session_duration_p90: { name: 'session_duration_p90' },
+  session_duration_p99: { name: 'session_duration_p99' },
+  total_playtime_hours: { name: 'total_playtime_hours' }
 };
 
 // Memory limits for labeled counters
@@ -36,6 +66,30 @@ const MAX_ENDPOINTS = 100;
 const MAX_STATUS_CODES = 20;
 const MAX_LABEL_VALUES = 50;
 
+// Labeled counter hashes with a limit other than MAX_LABEL_VALUES
+const LABEL_LIMITS = { endpoints: MAX_ENDPOINTS };
+
+// KEYS[1] labeled counter hash; ARGV max fields, label, increment
+// Labels come from clients: once the hash is full, new ones count as 'other'.
+// Returns the field that was incremented.
+const LABEL_INCR_SCRIPT = `
+local field = ARGV[2]
+if redis.call('HEXISTS', KEYS[1], field) == 0 and redis.call('HLEN', KEYS[1]) >= tonumber(ARGV[1]) then
+  field = 'other'
+end
+redis.call('HINCRBY', KEYS[1], field, ARGV[3])
+return field
+`;
+
+// Per-server metrics: servers kept in Redis (the rest are folded into 'other'
+// as soon as there are more), and disconnect reasons listed per server
+const MAX_SERVERS = 500;
+const MAX_SERVER_REASONS = 10;
+// Scorecard health thresholds (connect success rate needs a few attempts to mean anything)
+const HEALTH_MIN_ATTEMPTS = 5;
+const HEALTH_DEGRADED = { successRate: 0.95, latency: 150 };
+const HEALTH_FAILING = { successRate: 0.8, latency: 300 };
+
 /**
  * Sanitize a string for use as a Prometheus label value
  * - Escapes backslashes, double quotes, and newlines
@@ -60,7 +114,8 @@ let writeBuffer = {
   gauges: {},
   histograms: {},
   avgstates: {},
-  labeled: {}
+  labeled: {},
+  servers: {}
 };
 let flushPending = false;
 
@@ -75,7 +130,7 @@ function scheduleFlush() {
   setImmediate(async () => {
     flushPending = false;
     const buffer = writeBuffer;
-    writeBuffer = { counters: {}, gauges: {}, histograms: {}, avgstates: {}, labeled: {} };
+    writeBuffer = { counters: {}, gauges: {}, histograms: {}, avgstates: {}, labeled: {}, servers: {} };
 
     try {
       const pipeline = redis.pipeline();
@@ -103,22 +158,69 @@ function scheduleFlush() {
         if (state.count) pipeline.hincrby(`${REDIS_KEYS.AVGSTATE}${name}`, 'count', state.count);
       }
 
-      // Labeled counters
+      await pipeline.exec();
+
+      // Labeled counters, each hash capped at its label limit
+      const labeled = [];
       for (const [prefix, labels] of Object.entries(buffer.labeled)) {
         for (const [label, count] of Object.entries(labels)) {
-          pipeline.hincrby(`${REDIS_KEYS.LABELED}${prefix}`, label, count);
+          labeled.push([prefix, label, count]);
         }
       }
+      const counted = await Promise.all(labeled.map(([prefix, label, count]) =>
+        redis.eval(LABEL_INCR_SCRIPT, 1, `${REDIS_KEYS.LABELED}${prefix}`, LABEL_LIMITS[prefix] || MAX_LABEL_VALUES, label, count)));
 
-      await pipeline.exec();
+      // Disconnect reasons as counted (past the limit they became 'other'), keyed like per-server labels
+      const disconnectLabels = {};
+      labeled.forEach(([prefix, label], i) => {
+        if (prefix === 'disconnects') disconnectLabels[label.replace(/\|/g, '_')] = counted[i].replace(/\|/g, '_');
+      });
+
+      // Per-server counters (fields are "<audience>|<label>"), and the set of audiences seen.
+      // Per-server disconnect reasons are limited to those the global counter kept.
+      const serverPipeline = redis.pipeline();
+      const audiences = new Set();
+      for (const [name, fields] of Object.entries(buffer.servers)) {
+        for (const [field, value] of Object.entries(fields)) {
+          const split = field.lastIndexOf('|');
+          const audience = field.substring(0, split);
+          const label = field.substring(split + 1);
+          const kept = name === 'disconnects' && disconnectLabels[label] ? `${audience}|${disconnectLabels[label]}` : field;
+          serverPipeline.hincrbyfloat(`${REDIS_KEYS.SERVER}${name}`, kept, value);
+          audiences.add(audience);
+        }
+      }
+      if (audiences.size === 0) return;
+      serverPipeline.sadd(REDIS_KEYS.SERVER_AUDIENCES, ...audiences);
+
+      const results = await serverPipeline.exec();
+
+      // A new server may take the count over the limit: fold right away
+      if (results[results.length - 1][1] > 0 &&
+          await redis.scard(REDIS_KEYS.SERVER_AUDIENCES) > MAX_SERVERS) {
+        await pruneServerMetrics();
+      }
     } catch (e) {
       // Silently ignore errors - metrics are non-critical
     }
   });
 }
 
+/**
+ * Add to a per-server field (buffered), stored as "<audience>|<label>"
+ */
+function incServerField(name, server, label, value = 1) {
+  // The label is whatever follows the last '|'
+  const field = `${server}|${String(label).replace(/\|/g, '_')}`;
+  if (!writeBuffer.servers[name]) writeBuffer.servers[name] = {};
+  writeBuffer.servers[name][field] = (writeBuffer.servers[name][field] || 0) + value;
+}
+
 /**
  * Increment a counter (buffered, non-blocking)
+ *
+ * server_connect and server_disconnect also count per server when
+ * labels.server holds the server audience.
  */
 function incCounter(name, labels = {}) {
   if (name === 'requests_total') {
@@ -140,8 +242,27 @@ function incCounter(name, labels = {}) {
     writeBuffer.counters.auth_grants_total = (writeBuffer.counters.auth_grants_total || 0) + 1;
   } else if (name === 'sessions_created_total') {
     writeBuffer.counters.sessions_created_total = (writeBuffer.counters.sessions_created_total || 0) + 1;
+  } else if (name === 'refresh_token_reuse_total') {
+    writeBuffer.counters.refresh_token_reuse_total = (writeBuffer.counters.refresh_token_reuse_total || 0) + 1;
+  } else if (name === 'cert_binding') {
+    const key = `cert_binding_${labels.result || 'unknown'}`;
+    writeBuffer.counters[key] = (writeBuffer.counters[key] || 0) + 1;
+  } else if (name === 'auth_grant_exchange') {
+    const key = `auth_grant_exchange_${labels.result || 'unknown'}`;
+    writeBuffer.counters[key] = (writeBuffer.counters[key] || 0) + 1;
   } else if (name === 'telemetry_received_total') {
     writeBuffer.counters.telemetry_received_total = (writeBuffer.counters.telemetry_received_total || 0) + 1;
+  } else if (name === 'telemetry_duplicate') {
+    writeBuffer.counters.telemetry_duplicate_total = (writeBuffer.counters.telemetry_duplicate_total || 0) + 1;
+  } else if (name === 'telemetry_rejected') {
+    const reason = labels.reason || 'unknown';
+    if (!writeBuffer.labeled.telemetry_rejections) writeBuffer.labeled.telemetry_rejections = {};
+    writeBuffer.labeled.telemetry_rejections[reason] = (writeBuffer.labeled.telemetry_rejections[reason] || 0) + 1;
+  } else if (name === 'rate_limit') {
+    const hash = labels.result === 'limited' ? 'rate_limited' : 'rate_limit_allowed';
+    const group = labels.group || 'unknown';
+    if (!writeBuffer.labeled[hash]) writeBuffer.labeled[hash] = {};
+    writeBuffer.labeled[hash][group] = (writeBuffer.labeled[hash][group] || 0) + 1;
   } else if (name === 'language') {
     const lang = labels.language || 'unknown';
     if (!writeBuffer.labeled.languages) writeBuffer.labeled.languages = {};
@@ -157,10 +278,19 @@ function incCounter(name, labels = {}) {
   } else if (name === 'server_connect') {
     const key = labels.success === 'true' ? 'server_connect_success' : 'server_connect_failure';
     writeBuffer.counters[key] = (writeBuffer.counters[key] || 0) + 1;
+    if (labels.server) {
+      const outcome = labels.success === 'true' ? 'success' : 'failure';
+      incServerField('connects', labels.server, outcome);
+      // Reset hourly with the averages, for the scorecard success rate
+      incServerField('recent_connects', labels.server, outcome);
+    }
   } else if (name === 'server_disconnect') {
     const reason = labels.reason || 'unknown';
     if (!writeBuffer.labeled.disconnects) writeBuffer.labeled.disconnects = {};
     writeBuffer.labeled.disconnects[reason] = (writeBuffer.labeled.disconnects[reason] || 0) + 1;
+    if (labels.server) {
+      incServerField('disconnects', labels.server, reason);
+    }
   } else if (name === 'world_joined') {
     const mode = labels.game_mode || 'unknown';
     if (!writeBuffer.labeled.world_joins) writeBuffer.labeled.world_joins = {};
@@ -217,8 +347,10 @@ function calculatePercentile(buckets, distribution, percentile) {
 
 /**
  * Record a histogram observation and update running average (buffered, non-blocking)
+ *
+ * Latency is also averaged per server when labels.server holds the server audience.
  */
-function observeHistogram(name, value) {
+function observeHistogram(name, value, labels = {}) {
   const bucketMap = {
     fps: { buckets: FPS_BUCKETS, dist: 'fps', avgKey: 'fps' },
     session_avg_fps: { buckets: FPS_BUCKETS, dist: 'session_avg_fps', avgKey: null },
@@ -256,6 +388,11 @@ function observeHistogram(name, value) {
     writeBuffer.avgstates[avgKey].count += 1;
   }
 
+  if (name === 'latency' && labels.server) {
+    incServerField('latency', labels.server, 'sum', value);
+    incServerField('latency', labels.server, 'count');
+  }
+
   scheduleFlush();
 }
 
@@ -343,22 +480,27 @@ async function queryVictoriaMetricsInstant(query) {
   });
 }
 
+/**
+ * Start time and query step for a chart range ('5m' ... '7d')
+ */
+function getRangeWindow(range, now) {
+  switch (range) {
+    case '5m': return { startTime: now - 5 * 60 * 1000, step: '15s' };
+    case '15m': return { startTime: now - 15 * 60 * 1000, step: '30s' };
+    case '1h': return { startTime: now - 60 * 60 * 1000, step: '1m' };
+    case '6h': return { startTime: now - 6 * 60 * 60 * 1000, step: '5m' };
+    case '24h': return { startTime: now - 24 * 60 * 60 * 1000, step: '15m' };
+    case '7d': return { startTime: now - 7 * 24 * 60 * 60 * 1000, step: '1h' };
+    default: return { startTime: now - 60 * 60 * 1000, step: '1m' };
+  }
+}
+
 /**
  * Get metrics data from VictoriaMetrics
  */
 async function getMetricsFromVM(metric, range = '1h') {
   const now = Date.now();
-  let startTime, step;
-
-  switch (range) {
-    case '5m': startTime = now - 5 * 60 * 1000; step = '15s'; break;
-    case '15m': startTime = now - 15 * 60 * 1000; step = '30s'; break;
-    case '1h': startTime = now - 60 * 60 * 1000; step = '1m'; break;
-    case '6h': startTime = now - 6 * 60 * 60 * 1000; step = '5m'; break;
-    case '24h': startTime = now - 24 * 60 * 60 * 1000; step = '15m'; break;
-    case '7d': startTime = now - 7 * 24 * 60 * 60 * 1000; step = '1h'; break;
-    default: startTime = now - 60 * 60 * 1000; step = '1m';
-  }
+  const { startTime, step } = getRangeWindow(range, now);
 
   const queries = {
     players: 'hytale_active_players',
@@ -380,10 +522,63 @@ async function getMetricsFromVM(metric, range = '1h') {
     total_playtime_hours: 'hytale_total_playtime_hours'
   };
 
-  const query = queries[metric] || metric;
-  const points = await queryVictoriaMetrics(query, startTime, now, step);
+  const { source, points } = await queryHistory(queries[metric] || metric, EMBEDDED_SERIES[metric], startTime, now, step);
 
-  return { metric, range, startTime, endTime: now, points };
+  return { metric, range, startTime, endTime: now, source, points };
+}
+
+/**
+ * Query a series from VictoriaMetrics, or from the embedded store when
+ * config.metricsBackend allows it and VictoriaMetrics has no data
+ * @param {string} query - PromQL query
+ * @param {Object} [series] - Embedded series { name, counter }
+ */
+async function queryHistory(query, series, startTime, endTime, step) {
+  let points = [];
+  if (config.metricsBackend !== 'embedded') {
+    points = await queryVictoriaMetrics(query, startTime, endTime, step);
+  }
+
+  if (!points.length && series && config.metricsBackend !== 'victoriametrics') {
+    points = await timeseries.query(series.name, { start: startTime, end: endTime, step, counter: series.counter });
+    return { source: 'embedded', points };
+  }
+
+  return { source: 'victoriametrics', points };
+}
+
+/**
+ * Sample the current gauges and counters into the embedded time-series store
+ */
+async function sampleTimeseries() {
+  const { counters, gauges } = await readMetricsFromRedis();
+  const sampledGauges = {};
+  const sampledCounters = {};
+  for (const { name, counter } of Object.values(EMBEDDED_SERIES)) {
+    if (counter) sampledCounters[name] = counters[name] || 0;
+    else if (gauges[name] !== undefined) sampledGauges[name] = gauges[name];
+  }
+
+  // Per-server series for the servers on the scorecards (series of servers
+  // no longer on them expire after the retention)
+  const { servers, other } = await getServerScorecards();
+  for (const card of other ? [...servers, other] : servers) {
+    sampledGauges[`server_players:${card.audience}`] = card.players;
+    if (card.latencyAvg !== null) sampledGauges[`server_latency_avg:${card.audience}`] = card.latencyAvg;
+  }
+
+  await timeseries.record(sampledGauges, sampledCounters);
+}
+
+/**
+ * Sample metrics into the embedded time-series store periodically
+ *
+ * Only one process should call this. Does nothing when charts only
+ * query VictoriaMetrics.
+ */
+function scheduleTimeseriesSampling() {
+  if (config.metricsBackend === 'victoriametrics') return;
+  setInterval(sampleTimeseries, config.timeseriesResolutions[0].step * 1000);
 }
 
 /**
@@ -431,7 +626,8 @@ async function readMetricsFromRedis() {
 
     // Labeled counters
     const labeledNames = ['languages', 'exit_reasons', 'events', 'disconnects',
-                         'world_joins', 'state_transitions', 'endpoints'];
+                         'world_joins', 'state_transitions', 'endpoints', 'telemetry_rejections',
+                         'rate_limited', 'rate_limit_allowed'];
     for (const name of labeledNames) {
       pipeline.hgetall(`${REDIS_KEYS.LABELED}${name}`);
     }
@@ -462,7 +658,7 @@ async function readMetricsFromRedis() {
 
     return { counters, gauges, histograms, labeled, avgStates };
   } catch (e) {
-    console.error('Error reading metrics from Redis:', e.message);
+    log.error('Error reading metrics from Redis', { error: e.message });
     return { counters: {}, gauges: {}, histograms: {}, labeled: {} };
   }
 }
@@ -555,6 +751,235 @@ function exportHistogram(lines, name, help, buckets, distribution) {
   lines.push(`${name}{le="+Inf"} ${cumSum}`);
 }
 
+const SERVER_HASHES = ['connects', 'recent_connects', 'disconnects', 'latency'];
+
+/**
+ * Read per-server metrics from Redis
+ * @returns {Promise<Object>} audience -> { connects, recent_connects, disconnects, latency } label maps
+ */
+async function readServerMetrics() {
+  if (!isConnected()) return {};
+
+  try {
+    const pipeline = redis.pipeline();
+    for (const name of SERVER_HASHES) {
+      pipeline.hgetall(`${REDIS_KEYS.SERVER}${name}`);
+    }
+    const results = await pipeline.exec();
+
+    const servers = {};
+    SERVER_HASHES.forEach((name, i) => {
+      for (const [field, value] of Object.entries(parseRedisHash(results[i][1]))) {
+        const sep = field.lastIndexOf('|');
+        const audience = field.substring(0, sep);
+        if (!servers[audience]) servers[audience] = emptyServerMetrics();
+        servers[audience][name][field.substring(sep + 1)] = value;
+      }
+    });
+    return servers;
+  } catch (e) {
+    log.error('Error reading server metrics from Redis', { error: e.message });
+    return {};
+  }
+}
+
+function emptyServerMetrics() {
+  return { connects: {}, recent_connects: {}, disconnects: {}, latency: {} };
+}
+
+/**
+ * Sum the label maps of several servers (for the 'other' bucket)
+ */
+function mergeServerMetrics(list) {
+  const merged = emptyServerMetrics();
+  for (const metrics of list) {
+    for (const name of SERVER_HASHES) {
+      for (const [label, value] of Object.entries(metrics[name])) {
+        merged[name][label] = (merged[name][label] || 0) + value;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Health from the recent connect success rate and average latency
+ */
+function serverHealth(successRate, latencyAvg) {
+  if (successRate === null && latencyAvg === null) return 'unknown';
+  if ((successRate !== null && successRate < HEALTH_FAILING.successRate) ||
+      (latencyAvg !== null && latencyAvg > HEALTH_FAILING.latency)) return 'failing';
+  if ((successRate !== null && successRate < HEALTH_DEGRADED.successRate) ||
+      (latencyAvg !== null && latencyAvg > HEALTH_DEGRADED.latency)) return 'degraded';
+  return 'healthy';
+}
+
+/**
+ * Build the scorecard of one server (or of the 'other' bucket)
+ */
+function buildScorecard(audience, name, metrics, players) {
+  const success = metrics.connects.success || 0;
+  const failure = metrics.connects.failure || 0;
+  const recentSuccess = metrics.recent_connects.success || 0;
+  const recentAttempts = recentSuccess + (metrics.recent_connects.failure || 0);
+  const successRate = recentAttempts >= HEALTH_MIN_ATTEMPTS
+    ? Math.round(recentSuccess / recentAttempts * 1000) / 1000
+    : null;
+  const latencyAvg = metrics.latency.count > 0
+    ? Math.round(metrics.latency.sum / metrics.latency.count * 100) / 100
+    : null;
+
+  const reasons = Object.entries(metrics.disconnects).sort((a, b) => b[1] - a[1]);
+  const disconnects = reasons.slice(0, MAX_SERVER_REASONS).map(([reason, count]) => ({ reason, count }));
+  const otherReasons = reasons.slice(MAX_SERVER_REASONS).reduce((sum, [, count]) => sum + count, 0);
+  if (otherReasons > 0) disconnects.push({ reason: 'other', count: otherReasons });
+
+  return {
+    audience,
+    name,
+    players,
+    connects: { success, failure, total: success + failure },
+    recentConnects: { success: recentSuccess, total: recentAttempts },
+    successRate,
+    disconnects,
+    disconnectsTotal: reasons.reduce((sum, [, count]) => sum + count, 0),
+    latencyAvg,
+    health: serverHealth(successRate, latencyAvg)
+  };
+}
+
+/**
+ * Scorecards of the busiest servers (config.serverMetricsTopN, ranked by
+ * connect attempts and current players) plus one for all other servers
+ * @returns {Promise<{servers: Array, other: Object|null}>}
+ */
+async function getServerScorecards() {
+  const [servers, playerCounts] = await Promise.all([readServerMetrics(), storage.getServerPlayerCounts()]);
+  for (const audience of Object.keys(playerCounts)) {
+    if (!servers[audience]) servers[audience] = emptyServerMetrics();
+  }
+
+  const activity = (audience) => {
+    const { connects } = servers[audience];
+    return (connects.success || 0) + (connects.failure || 0) + (playerCounts[audience] || 0);
+  };
+  // 'other' already holds servers pruned from Redis, it is never ranked itself
+  const ranked = Object.keys(servers).filter(a => a !== 'other').sort((a, b) => activity(b) - activity(a));
+  const top = ranked.slice(0, config.serverMetricsTopN);
+  const rest = ranked.slice(config.serverMetricsTopN);
+
+  const names = await Promise.all(top.map(audience => storage.getServerName(audience)));
+  const cards = top.map((audience, i) => buildScorecard(audience, names[i], servers[audience], playerCounts[audience] || 0));
+
+  let other = null;
+  if (rest.length || servers.other) {
+    const merged = mergeServerMetrics([...rest.map(a => servers[a]), servers.other || emptyServerMetrics()]);
+    const players = rest.reduce((sum, a) => sum + (playerCounts[a] || 0), 0);
+    other = { ...buildScorecard('other', null, merged, players), serverCount: rest.length };
+  }
+
+  return { servers: cards, other };
+}
+
+/**
+ * Scorecard of a single server, null when nothing is known about it
+ */
+async function getServerScorecard(audience) {
+  const [servers, playerCounts, name] = await Promise.all([
+    readServerMetrics(),
+    storage.getServerPlayerCounts(),
+    storage.getServerName(audience)
+  ]);
+  if (!servers[audience] && playerCounts[audience] === undefined) return null;
+  return buildScorecard(audience, name, servers[audience] || emptyServerMetrics(), playerCounts[audience] || 0);
+}
+
+/**
+ * Player count and average latency history of a server
+ *
+ * Only servers in the top N are sampled into the embedded store.
+ */
+async function getServerTimeseries(audience, range = '1h') {
+  const now = Date.now();
+  const { startTime, step } = getRangeWindow(range, now);
+  const server = sanitizeLabel(audience, 128);
+
+  const [players, latency] = await Promise.all([
+    queryHistory(`hytale_server_players{server="${server}"}`, { name: `server_players:${audience}` }, startTime, now, step),
+    queryHistory(`hytale_server_latency_avg{server="${server}"}`, { name: `server_latency_avg:${audience}` }, startTime, now, step)
+  ]);
+
+  return {
+    audience,
+    range,
+    startTime,
+    endTime: now,
+    source: players.source,
+    players: players.points,
+    latency: latency.points
+  };
+}
+
+/**
+ * Fold the least active servers into 'other' so the per-server hashes stay bounded
+ *
+ * Runs whenever a flush takes the server count over MAX_SERVERS, and
+ * periodically. Folding is not idempotent, so a Redis lock keeps it to one
+ * process at a time.
+ */
+async function pruneServerMetrics() {
+  if (!isConnected()) return;
+
+  try {
+    const locked = await redis.set(REDIS_KEYS.SERVER_PRUNE_LOCK, String(process.pid), 'EX', 60, 'NX');
+    if (!locked) return;
+  } catch (e) {
+    return;
+  }
+
+  try {
+    const servers = await readServerMetrics();
+    const activity = (metrics) => Object.values(metrics.connects).reduce((sum, v) => sum + v, 0) +
+      Object.values(metrics.disconnects).reduce((sum, v) => sum + v, 0);
+    const audiences = Object.keys(servers).filter(a => a !== 'other');
+
+    // Resync the audience set with the hashes (it is rebuilt here after an upgrade or reset)
+    const pipeline = redis.pipeline();
+    pipeline.del(REDIS_KEYS.SERVER_AUDIENCES);
+    if (audiences.length > MAX_SERVERS) {
+      audiences.sort((a, b) => activity(servers[a]) - activity(servers[b]));
+      const pruned = audiences.splice(0, audiences.length - MAX_SERVERS);
+      for (const audience of pruned) {
+        for (const name of SERVER_HASHES) {
+          const key = `${REDIS_KEYS.SERVER}${name}`;
+          for (const [label, value] of Object.entries(servers[audience][name])) {
+            pipeline.hincrbyfloat(key, `other|${label}`, value);
+            pipeline.hdel(key, `${audience}|${label}`);
+          }
+        }
+      }
+      log.info(`Folding ${pruned.length} servers into 'other'`);
+    }
+    if (audiences.length > 0) {
+      pipeline.sadd(REDIS_KEYS.SERVER_AUDIENCES, ...audiences);
+    }
+    await pipeline.exec();
+  } catch (e) {
+    log.error('Failed to prune server metrics', { error: e.message });
+  } finally {
+    redis.del(REDIS_KEYS.SERVER_PRUNE_LOCK).catch(() => {});
+  }
+}
+
+/**
+ * Prune per-server metrics at startup and every hour (flushes also prune
+ * as soon as there are too many servers)
+ */
+function scheduleServerMetricsPruning() {
+  pruneServerMetrics();
+  setInterval(pruneServerMetrics, 3600000);
+}
+
 /**
  * Generate Prometheus format metrics (reads from Redis)
  */
@@ -591,19 +1016,54 @@ async function getPrometheusMetrics() {
   lines.push('# TYPE hytale_sessions_created_total counter');
   lines.push(`hytale_sessions_created_total ${counters.sessions_created_total || 0}`);
 
+  lines.push('# HELP hytale_refresh_token_reuse_total Refresh token reuse detections (family revoked)');
+  lines.push('# TYPE hytale_refresh_token_reuse_total counter');
+  lines.push(`hytale_refresh_token_reuse_total ${counters.refresh_token_reuse_total || 0}`);
+
+  lines.push('# HELP hytale_cert_binding_total Certificate-bound token checks by result');
+  lines.push('# TYPE hytale_cert_binding_total counter');
+  for (const result of ['match', 'mismatch', 'missing']) {
+    lines.push(`hytale_cert_binding_total{result="${result}"} ${counters[`cert_binding_${result}`] || 0}`);
+  }
+
+  lines.push('# HELP hytale_auth_grant_exchange_total Authorization grant exchanges by result');
+  lines.push('# TYPE hytale_auth_grant_exchange_total counter');
+  for (const result of ['ok', 'replay', 'wrong_audience', 'invalid']) {
+    lines.push(`hytale_auth_grant_exchange_total{result="${result}"} ${counters[`auth_grant_exchange_${result}`] || 0}`);
+  }
+
   lines.push('# HELP hytale_telemetry_received_total Total telemetry events received');
   lines.push('# TYPE hytale_telemetry_received_total counter');
   lines.push(`hytale_telemetry_received_total ${counters.telemetry_received_total || 0}`);
 
+  lines.push('# HELP hytale_telemetry_duplicate_total Telemetry records ignored as resends of an already received (session_id, sequence)');
+  lines.push('# TYPE hytale_telemetry_duplicate_total counter');
+  lines.push(`hytale_telemetry_duplicate_total ${counters.telemetry_duplicate_total || 0}`);
+
+  lines.push('# HELP hytale_telemetry_rejected_total Telemetry payloads rejected by schema validation, by reason');
+  lines.push('# TYPE hytale_telemetry_rejected_total counter');
+  for (const [reason, count] of Object.entries(labeled.telemetry_rejections || {})) {
+    lines.push(`hytale_telemetry_rejected_total{reason="${sanitizeLabel(reason, 32)}"} ${count}`);
+  }
+
+  lines.push('# HELP hytale_rate_limit_requests_total Requests checked by the rate limiter, by route group and result');
+  lines.push('# TYPE hytale_rate_limit_requests_total counter');
+  for (const [result, hash] of [['allowed', 'rate_limit_allowed'], ['limited', 'rate_limited']]) {
+    for (const [group, count] of Object.entries(labeled[hash] || {})) {
+      lines.push(`hytale_rate_limit_requests_total{group="${sanitizeLabel(group, 32)}",result="${result}"} ${count}`);
+    }
+  }
+
   lines.push('# HELP hytale_total_playtime_seconds Total playtime in seconds');
   lines.push('# TYPE hytale_total_playtime_seconds counter');
   lines.push(`hytale_total_playtime_seconds ${counters.total_playtime_seconds || 0}`);
 
-  // Language distribution (sanitize to prevent injection)
+  // Language distribution (sanitize to prevent injection). Labeled hashes hold
+  // up to MAX_LABEL_VALUES labels plus 'other'.
   lines.push('# HELP hytale_language_total Players by language');
   lines.push('# TYPE hytale_language_total counter');
   const languages = labeled.languages || {};
-  for (const [lang, count] of Object.entries(languages).slice(0, MAX_LABEL_VALUES)) {
+  for (const [lang, count] of Object.entries(languages).slice(0, MAX_LABEL_VALUES + 1)) {
     lines.push(`hytale_language_total{language="${sanitizeLabel(lang, 16)}"} ${count}`);
   }
 
@@ -611,7 +1071,7 @@ async function getPrometheusMetrics() {
   lines.push('# HELP hytale_exit_reason_total Session exits by reason');
   lines.push('# TYPE hytale_exit_reason_total counter');
   const exitReasons = labeled.exit_reasons || {};
-  for (const [reason, count] of Object.entries(exitReasons).slice(0, MAX_LABEL_VALUES)) {
+  for (const [reason, count] of Object.entries(exitReasons).slice(0, MAX_LABEL_VALUES + 1)) {
     lines.push(`hytale_exit_reason_total{reason="${sanitizeLabel(reason)}"} ${count}`);
   }
 
@@ -619,7 +1079,7 @@ async function getPrometheusMetrics() {
   lines.push('# HELP hytale_world_joined_total World joins by game mode');
   lines.push('# TYPE hytale_world_joined_total counter');
   const worldJoins = labeled.world_joins || {};
-  for (const [mode, count] of Object.entries(worldJoins).slice(0, MAX_LABEL_VALUES)) {
+  for (const [mode, count] of Object.entries(worldJoins).slice(0, MAX_LABEL_VALUES + 1)) {
     lines.push(`hytale_world_joined_total{game_mode="${sanitizeLabel(mode, 32)}"} ${count}`);
   }
 
@@ -633,10 +1093,53 @@ async function getPrometheusMetrics() {
   lines.push('# HELP hytale_server_disconnect_total Server disconnects by reason');
   lines.push('# TYPE hytale_server_disconnect_total counter');
   const disconnects = labeled.disconnects || {};
-  for (const [reason, count] of Object.entries(disconnects).slice(0, MAX_LABEL_VALUES)) {
+  for (const [reason, count] of Object.entries(disconnects).slice(0, MAX_LABEL_VALUES + 1)) {
     lines.push(`hytale_server_disconnect_total{reason="${sanitizeLabel(reason)}"} ${count}`);
   }
 
+  // Per-server metrics: top N servers plus server="other"
+  const { servers, other } = await getServerScorecards();
+  const scorecards = other ? [...servers, other] : servers;
+
+  lines.push('# HELP hytale_server_connect_by_server_total Server connection attempts by server');
+  lines.push('# TYPE hytale_server_connect_by_server_total counter');
+  for (const card of scorecards) {
+    const server = sanitizeLabel(card.audience, 128);
+    lines.push(`hytale_server_connect_by_server_total{server="${server}",success="true"} ${card.connects.success}`);
+    lines.push(`hytale_server_connect_by_server_total{server="${server}",success="false"} ${card.connects.failure}`);
+  }
+
+  lines.push('# HELP hytale_server_disconnect_by_server_total Server disconnects by server and reason');
+  lines.push('# TYPE hytale_server_disconnect_by_server_total counter');
+  for (const card of scorecards) {
+    const server = sanitizeLabel(card.audience, 128);
+    for (const { reason, count } of card.disconnects) {
+      lines.push(`hytale_server_disconnect_by_server_total{server="${server}",reason="${sanitizeLabel(reason)}"} ${count}`);
+    }
+  }
+
+  lines.push('# HELP hytale_server_players Current players by server');
+  lines.push('# TYPE hytale_server_players gauge');
+  for (const card of scorecards) {
+    lines.push(`hytale_server_players{server="${sanitizeLabel(card.audience, 128)}"} ${card.players}`);
+  }
+
+  lines.push('# HELP hytale_server_latency_avg Average player latency by server (ms, current hour)');
+  lines.push('# TYPE hytale_server_latency_avg gauge');
+  for (const card of scorecards) {
+    if (card.latencyAvg !== null) {
+      lines.push(`hytale_server_latency_avg{server="${sanitizeLabel(card.audience, 128)}"} ${card.latencyAvg}`);
+    }
+  }
+
+  lines.push('# HELP hytale_server_connect_success_ratio Connect success rate by server (current hour)');
+  lines.push('# TYPE hytale_server_connect_success_ratio gauge');
+  for (const card of scorecards) {
+    if (card.successRate !== null) {
+      lines.push(`hytale_server_connect_success_ratio{server="${sanitizeLabel(card.audience, 128)}"} ${card.successRate}`);
+    }
+  }
+
   // Gauges
   lines.push('# HELP hytale_active_players Current active players');
   lines.push('# TYPE hytale_active_players gauge');
@@ -805,7 +1308,23 @@ async function getMetricsSnapshot() {
       },
       auth_grants_total: counters.auth_grants_total || 0,
       sessions_created_total: counters.sessions_created_total || 0,
+      refresh_token_reuse_total: counters.refresh_token_reuse_total || 0,
+      cert_binding: {
+        match: counters.cert_binding_match || 0,
+        mismatch: counters.cert_binding_mismatch || 0,
+        missing: counters.cert_binding_missing || 0
+      },
+      auth_grant_exchange: {
+        ok: counters.auth_grant_exchange_ok || 0,
+        replay: counters.auth_grant_exchange_replay || 0,
+        wrong_audience: counters.auth_grant_exchange_wrong_audience || 0,
+        invalid: counters.auth_grant_exchange_invalid || 0
+      },
       telemetry_received_total: counters.telemetry_received_total || 0,
+      telemetry_duplicate_total: counters.telemetry_duplicate_total || 0,
+      telemetry_rejected: labeled.telemetry_rejections || {},
+      rate_limited: labeled.rate_limited || {},
+      rate_limit_allowed: labeled.rate_limit_allowed || {},
       total_playtime_seconds: counters.total_playtime_seconds || 0,
       total_playtime_hours: Math.round((counters.total_playtime_seconds || 0) / 3600 * 10) / 10
     },
@@ -866,10 +1385,10 @@ async function getHardwareStats(activeOnly = true) {
     if (activeOnly) {
       // Only currently active players
       const now = Date.now();
-      uuids = await redis.zrangebyscore('active:players', now, '+inf', 'LIMIT', 0, 5000);
+      uuids = await redis.zrangebyscore(config.redisKeys.ACTIVE_PLAYERS, now, '+inf', 'LIMIT', 0, 5000);
     } else {
       // All players who ever sent hardware telemetry
-      uuids = await redis.smembers('players:with_hardware');
+      uuids = await redis.smembers(config.redisKeys.PLAYERS_WITH_HARDWARE);
     }
 
     if (!uuids || !uuids.length) return stats;
@@ -880,7 +1399,7 @@ async function getHardwareStats(activeOnly = true) {
     const BATCH_SIZE = 500;
     for (let i = 0; i < uuids.length; i += BATCH_SIZE) {
       const batch = uuids.slice(i, i + BATCH_SIZE);
-      const keys = batch.map(uuid => `user:${uuid}`);
+      const keys = batch.map(uuid => `${config.redisKeys.USER}${uuid}`);
       const userData = await redis.mget(keys);
 
       for (let j = 0; j < userData.length; j++) {
@@ -914,7 +1433,7 @@ async function getHardwareStats(activeOnly = true) {
 
     return stats;
   } catch (e) {
-    console.error('getHardwareStats error:', e.message);
+    log.error('getHardwareStats error', { error: e.message });
     return null;
   }
 }
@@ -939,8 +1458,12 @@ setInterval(async () => {
       pipeline.del(`${REDIS_KEYS.AVGSTATE}${name}`);
     }
 
+    // Per-server latency averages and recent connect outcomes
+    pipeline.del(`${REDIS_KEYS.SERVER}latency`);
+    pipeline.del(`${REDIS_KEYS.SERVER}recent_connects`);
+
     await pipeline.exec();
-    console.log('Metrics: Reset hourly histogram and average data');
+    log.info('Reset hourly histogram and average data');
   } catch (e) {
     // Non-critical
   }
@@ -957,8 +1480,15 @@ module.exports = {
   getPrometheusMetrics,
   getMetricsFromVM,
   getMetricsSnapshot,
+  readMetricsFromRedis,
   getHardwareStats,
+  getServerScorecards,
+  getServerScorecard,
+  getServerTimeseries,
   recordCurrentStats,
+  sampleTimeseries,
+  scheduleTimeseriesSampling,
+  scheduleServerMetricsPruning,
   queryVictoriaMetrics,
   queryVictoriaMetricsInstant
 };
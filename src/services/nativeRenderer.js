@@ -7,6 +7,9 @@ const path = require('path');
 const config = require('../config');
 const assets = require('./assets');
 const storage = require('./storage');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('nativeRenderer');
 
 // Polyfill browser globals for Three.js in Node.js
 if (typeof global.requestAnimationFrame === 'undefined') {
@@ -68,12 +71,12 @@ function init() {
     createCanvas = canvas.createCanvas;
 
     rendererAvailable = true;
-    console.log('[NativeRenderer] Dependencies loaded successfully');
+    log.info('Dependencies loaded successfully');
   } catch (err) {
     initError = err;
     rendererAvailable = false;
-    console.warn('[NativeRenderer] Dependencies not available:', err.message);
-    console.warn('[NativeRenderer] Install with: npm install three gl canvas sharp');
+    log.warn('Dependencies not available', { error: err.message });
+    log.warn('Install with: npm install three gl canvas sharp');
   }
 
   return rendererAvailable;
@@ -166,7 +169,7 @@ async function loadTextureFromAsset(texturePath) {
   try {
     const buffer = assets.extractAsset(texturePath);
     if (!buffer) {
-      console.log(`[NativeRenderer] Texture not found: ${texturePath}`);
+      log.warn(`Texture not found: ${texturePath}`);
       return null;
     }
 
@@ -209,7 +212,7 @@ async function loadTextureFromAsset(texturePath) {
 
     return texture;
   } catch (err) {
-    console.error(`[NativeRenderer] Error loading texture ${texturePath}:`, err.message);
+    log.error(`Error loading texture ${texturePath}`, { error: err.message });
     return null;
   }
 }
@@ -306,7 +309,7 @@ async function createTintedTexture(greyscalePath, baseColor, gradientPath = null
 
     return texture;
   } catch (err) {
-    console.error(`[NativeRenderer] Error creating tinted texture:`, err.message);
+    log.error(`Error creating tinted texture`, { error: err.message });
     return null;
   }
 }
@@ -835,7 +838,7 @@ async function buildCharacter(modelData, character) {
       }
     }
   } catch (err) {
-    console.error('[NativeRenderer] Error loading player model:', err.message);
+    log.error('Error loading player model', { error: err.message });
   }
 
   // Cosmetics render order with zOffset (matching browser version)
@@ -915,7 +918,7 @@ async function buildCharacter(modelData, character) {
           }
         }
       } catch (err) {
-        console.error(`[NativeRenderer] Error loading cosmetic ${key}:`, err.message);
+        log.error(`Error loading cosmetic ${key}`, { error: err.message });
       }
     }
   }
@@ -0,0 +1,132 @@
+/**
+ * Game profiles - an account owns one or more profiles to play as
+ *
+ * The account is whoever the account auth provider authenticated; its UUID
+ * doubles as the UUID of its default profile, so accounts that never create
+ * a second profile need no profile records at all. Additional profiles have
+ * their own UUID, and like every player UUID their own username (username
+ * registry) and skin (user data). Entitlements belong to the account and
+ * apply to all of its profiles.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const storage = require('./storage');
+const usernames = require('./usernames');
+const entitlements = require('./entitlements');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('profiles');
+
+/**
+ * Resolve the account a profile UUID belongs to
+ *
+ * UUIDs without a profile record are accounts (or their default profile).
+ */
+async function getAccountId(uuid) {
+  const profile = await storage.getProfile(uuid);
+  return profile ? profile.accountId : uuid;
+}
+
+/**
+ * Get the entitlements of the account a profile UUID belongs to
+ */
+async function getProfileEntitlements(uuid) {
+  return entitlements.getEntitlements(await getAccountId(uuid));
+}
+
+/**
+ * Build the public view of a profile
+ */
+async function describeProfile(record, accountId, accountEntitlements, fallbackName = null) {
+  return {
+    uuid: record.uuid,
+    username: await storage.getUsername(record.uuid) || fallbackName || `Player_${record.uuid.substring(0, 8)}`,
+    entitlements: accountEntitlements,
+    isDefault: record.uuid === accountId
+  };
+}
+
+/**
+ * List an account's profiles, default profile first
+ * @param {string} accountId - Account UUID
+ * @param {string} [defaultName] - Name to show if the default profile has no stored name yet
+ * @returns {Promise<Array<{uuid, username, entitlements, isDefault}>>}
+ */
+async function listProfiles(accountId, defaultName = null) {
+  const records = await storage.getAccountProfiles(accountId);
+  const defaultRecord = records.find(r => r.uuid === accountId) || { uuid: accountId };
+  const others = records.filter(r => r.uuid !== accountId);
+  const accountEntitlements = await entitlements.getEntitlements(accountId);
+
+  return Promise.all([
+    describeProfile(defaultRecord, accountId, accountEntitlements, defaultName),
+    ...others.map(record => describeProfile(record, accountId, accountEntitlements))
+  ]);
+}
+
+/**
+ * Pick the profile a session is issued for
+ * @param {string} accountId - Account UUID
+ * @param {string} [profileUuid] - Requested profile (default profile if omitted)
+ * @param {string} [defaultName] - Name to use if the default profile has no stored name yet
+ * @returns {Promise<Object|null>} The profile, or null if the account does not own it
+ */
+async function selectProfile(accountId, profileUuid = null, defaultName = null) {
+  if (!profileUuid || profileUuid === accountId) {
+    const record = await storage.getProfile(accountId) || { uuid: accountId };
+    return describeProfile(record, accountId, await entitlements.getEntitlements(accountId), defaultName);
+  }
+
+  const record = await storage.getProfile(profileUuid);
+  if (!record || record.accountId !== accountId) return null;
+  return describeProfile(record, accountId, await entitlements.getEntitlements(accountId));
+}
+
+/**
+ * Create an additional profile for an account
+ * @returns {Promise<Object>} { profile } on success, otherwise { status, error, error_description }
+ */
+async function createProfile(accountId, username) {
+  const invalid = usernames.validateUsername(username);
+  if (invalid) {
+    return { status: 400, error: 'invalid_username', error_description: invalid };
+  }
+
+  // The default profile counts toward the limit even without a record
+  const records = await storage.getAccountProfiles(accountId);
+  const count = records.filter(r => r.uuid !== accountId).length + 1;
+  if (count >= config.maxProfilesPerAccount) {
+    return {
+      status: 403,
+      error: 'profile_limit_reached',
+      error_description: `Accounts can have at most ${config.maxProfilesPerAccount} profiles`
+    };
+  }
+
+  const record = {
+    uuid: crypto.randomUUID(),
+    accountId,
+    createdAt: new Date().toISOString()
+  };
+
+  const claimError = await usernames.claim(record.uuid, username);
+  if (claimError) {
+    return { status: 409, ...claimError };
+  }
+
+  if (!await storage.saveProfile(record)) {
+    await storage.releaseUsername(username, record.uuid);
+    return { status: 503, error: 'unavailable', error_description: 'Profile could not be stored' };
+  }
+
+  log.info(`Profile created: ${record.uuid} (${username}) for account ${accountId}`);
+  return { profile: await describeProfile(record, accountId, await entitlements.getEntitlements(accountId)) };
+}
+
+module.exports = {
+  getAccountId,
+  getProfileEntitlements,
+  listProfiles,
+  selectProfile,
+  createProfile,
+};
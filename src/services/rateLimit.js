@@ -0,0 +1,114 @@
+/**
+ * Rate limiting - token buckets in Redis, shared by all cluster workers
+ *
+ * One bucket per route group and key (config.rateLimits), stored as a hash
+ * of { tokens, ts } and updated by a Lua script so concurrent requests from
+ * different workers cannot both spend the last token. Buckets expire once
+ * they would have refilled completely.
+ *
+ * When Redis is unavailable requests are let through: the limiter protects
+ * the server, it should not take it down.
+ */
+const config = require('../config');
+const { redis, isConnected } = require('./redis');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('rateLimit');
+
+const KEYS = config.redisKeys;
+
+// KEYS[1] bucket; ARGV burst, tokens per ms, now (ms)
+// Returns { allowed (0/1), tokens left (floored), ms until the next token }
+const TAKE_SCRIPT = `
+local burst = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or burst
+local ts = tonumber(bucket[2]) or now
+if now > ts then tokens = math.min(burst, tokens + (now - ts) * rate) end
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(math.max(now, ts)))
+redis.call('PEXPIRE', KEYS[1], math.ceil((burst - tokens) / rate) + 1000)
+local wait = 0
+if allowed == 0 then wait = math.ceil((1 - tokens) / rate) end
+return { allowed, math.floor(tokens), wait }
+`;
+
+/**
+ * Parse an IPv4 address to a 32-bit number (null for anything else)
+ */
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    const octet = /^\d{1,3}$/.test(part) ? parseInt(part, 10) : 256;
+    if (octet > 255) return null;
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+/**
+ * Check an IP against config.rateLimitAllowlist (exact IPs and IPv4 CIDR ranges)
+ */
+function isAllowlisted(ip) {
+  if (!ip) return false;
+  const address = ip.replace(/^::ffff:/, '');
+
+  return config.rateLimitAllowlist.some(entry => {
+    if (!entry.includes('/')) return entry.replace(/^::ffff:/, '') === address;
+
+    const [range, bits] = entry.split('/');
+    const prefix = parseInt(bits, 10);
+    const rangeValue = ipv4ToInt(range);
+    const value = ipv4ToInt(address);
+    if (rangeValue === null || value === null || !(prefix >= 0 && prefix <= 32)) return false;
+    // 2 ** (32 - prefix) addresses per block; division keeps this in safe integers
+    const blockSize = 2 ** (32 - prefix);
+    return Math.floor(rangeValue / blockSize) === Math.floor(value / blockSize);
+  });
+}
+
+/**
+ * Take one token from a group's bucket
+ * @param {string} group - Route group in config.rateLimits
+ * @param {string} key - Bucket key within the group (e.g. 'ip:1.2.3.4')
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfter: number}>}
+ *   retryAfter in seconds, 0 when allowed
+ */
+async function take(group, key, now = Date.now()) {
+  const limit = config.rateLimits[group];
+  if (!config.rateLimitEnabled || !limit || !(limit.burst > 0) || !(limit.perMinute > 0)) {
+    return { allowed: true, limit: 0, remaining: 0, retryAfter: 0 };
+  }
+  if (!isConnected()) {
+    return { allowed: true, limit: limit.burst, remaining: limit.burst, retryAfter: 0 };
+  }
+
+  try {
+    const [allowed, remaining, wait] = await redis.eval(
+      TAKE_SCRIPT, 1, `${KEYS.RATE_LIMIT}${group}:${key}`, limit.burst, limit.perMinute / 60000, now
+    );
+    return {
+      allowed: allowed === 1,
+      limit: limit.burst,
+      remaining,
+      retryAfter: allowed === 1 ? 0 : Math.max(1, Math.ceil(wait / 1000))
+    };
+  } catch (e) {
+    log.error('Rate limit check failed', { group, error: e.message });
+    return { allowed: true, limit: limit.burst, remaining: limit.burst, retryAfter: 0 };
+  }
+}
+
+module.exports = {
+  isAllowlisted,
+  take,
+};
@@ -1,5 +1,8 @@
 const Redis = require('ioredis');
 const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('redis');
 
 // Redis client with connection handling
 const redis = new Redis(config.redisUrl, {
@@ -11,17 +14,17 @@ const redis = new Redis(config.redisUrl, {
 let redisConnected = false;
 
 redis.on('connect', () => {
-  console.log('Connected to Redis/Kvrocks');
+  log.info('Connected to Redis/Kvrocks');
   redisConnected = true;
 });
 
 redis.on('error', (err) => {
-  console.error('Redis connection error:', err.message);
+  log.error('Redis connection error', { error: err.message });
   redisConnected = false;
 });
 
 redis.on('close', () => {
-  console.log('Redis connection closed');
+  log.info('Redis connection closed');
   redisConnected = false;
 });
 
@@ -40,10 +43,10 @@ function isConnected() {
 async function connect() {
   try {
     await redis.connect();
-    console.log('Redis client connected');
+    log.info('Redis client connected');
   } catch (e) {
-    console.error('Failed to connect to Redis:', e.message);
-    console.log('Server will continue but data will not persist!');
+    log.error('Failed to connect to Redis', { error: e.message });
+    log.warn('Server will continue but data will not persist!');
   }
 }
 
@@ -1,6 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const config = require('../config');
+const { createLogger, sanitizeBody, sanitizeHeaders } = require('../utils/logger');
+
+const logger = createLogger('requestLogger');
 
 // Log file path
 const LOG_DIR = process.env.LOG_DIR || path.join(config.dataDir, 'logs');
@@ -12,13 +16,16 @@ try {
     fs.mkdirSync(LOG_DIR, { recursive: true });
   }
 } catch (err) {
-  console.error('Failed to create log directory:', err.message);
+  logger.error('Failed to create log directory', { error: err.message });
 }
 
 // Log rotation settings
 const MAX_LOG_SIZE = parseInt(process.env.MAX_LOG_SIZE || '50') * 1024 * 1024; // 50MB default
 const MAX_LOG_FILES = parseInt(process.env.MAX_LOG_FILES || '5');
 
+// Most entries a log query returns
+const MAX_QUERY_RESULTS = 1000;
+
 /**
  * Rotate log file if it exceeds max size
  */
@@ -44,9 +51,9 @@ function rotateLogIfNeeded() {
 
     // Rotate current file
     fs.renameSync(LOG_FILE, `${LOG_FILE}.1`);
-    console.log('Log file rotated');
+    logger.info('Log file rotated');
   } catch (err) {
-    console.error('Log rotation failed:', err.message);
+    logger.error('Log rotation failed', { error: err.message });
   }
 }
 
@@ -71,54 +78,11 @@ function getClientIp(req) {
   return req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown';
 }
 
-/**
- * Sanitize body for logging (remove sensitive data)
- */
-function sanitizeBody(body) {
-  if (!body || typeof body !== 'object') return body;
-
-  const sanitized = { ...body };
-
-  // Remove sensitive fields
-  const sensitiveFields = [
-    'password', 'token', 'secret', 'apiKey', 'api_key',
-    'sessionToken', 'identityToken', 'accessToken', 'refreshToken',
-    'authorization', 'auth'
-  ];
-
-  for (const field of sensitiveFields) {
-    if (sanitized[field]) {
-      sanitized[field] = '[REDACTED]';
-    }
-  }
-
-  return sanitized;
-}
-
-/**
- * Sanitize headers for logging
- */
-function sanitizeHeaders(headers) {
-  const sanitized = { ...headers };
-
-  // Redact authorization header but keep type
-  if (sanitized.authorization) {
-    const parts = sanitized.authorization.split(' ');
-    sanitized.authorization = parts[0] + ' [REDACTED]';
-  }
-
-  // Remove cookie header
-  if (sanitized.cookie) {
-    sanitized.cookie = '[REDACTED]';
-  }
-
-  return sanitized;
-}
-
 /**
  * Log a request to file
+ * @param {Object} [context] - { requestId, uuid } of the request
  */
-function logRequest(req, res, body = null, responseTime = 0) {
+function logRequest(req, res, body = null, responseTime = 0, context = {}) {
   try {
     rotateLogIfNeeded();
 
@@ -126,13 +90,16 @@ function logRequest(req, res, body = null, responseTime = 0) {
     const clientIp = getClientIp(req);
     const userAgent = req.headers['user-agent'] || 'unknown';
     const method = req.method;
-    const url = req.url;
+    // The query string may hold credentials - it is logged redacted as `query`
+    const url = req.url.split('?')[0];
     const host = req.headers.host || 'unknown';
     const statusCode = res.statusCode || 0;
     const contentLength = res.getHeader?.('content-length') || 0;
 
     const logEntry = {
       timestamp,
+      requestId: context.requestId || null,
+      uuid: context.uuid || null,
       ip: clientIp,
       method,
       url,
@@ -151,9 +118,9 @@ function logRequest(req, res, body = null, responseTime = 0) {
 
     // Query parameters
     try {
-      const urlObj = new URL(url, `http://${host}`);
+      const urlObj = new URL(req.url, `http://${host}`);
       if (urlObj.searchParams.toString()) {
-        logEntry.query = Object.fromEntries(urlObj.searchParams);
+        logEntry.query = sanitizeBody(Object.fromEntries(urlObj.searchParams));
       }
     } catch (e) {
       // Invalid URL, skip query parsing
@@ -163,11 +130,11 @@ function logRequest(req, res, body = null, responseTime = 0) {
 
     fs.appendFile(LOG_FILE, logLine, (err) => {
       if (err) {
-        console.error('Failed to write log:', err.message);
+        logger.error('Failed to write log', { error: err.message });
       }
     });
   } catch (err) {
-    console.error('Request logging failed:', err.message);
+    logger.error('Request logging failed', { error: err.message });
   }
 }
 
@@ -193,15 +160,154 @@ function createLoggingMiddleware() {
 /**
  * Simple log function to call after handling request
  */
-function log(req, res, body, startTime) {
+function log(req, res, body, startTime, context = {}) {
   const responseTime = Date.now() - startTime;
-  logRequest(req, res, body, responseTime);
+  logRequest(req, res, body, responseTime, context);
+}
+
+/**
+ * Current and rotated log files that exist, newest first
+ */
+function getLogFiles() {
+  const files = [LOG_FILE];
+  for (let i = 1; i <= MAX_LOG_FILES; i++) {
+    files.push(`${LOG_FILE}.${i}`);
+  }
+  return files.filter(file => fs.existsSync(file));
+}
+
+/**
+ * Check a log entry against query filters
+ */
+function matchesFilters(entry, line, filters) {
+  const time = Date.parse(entry.timestamp);
+  if (filters.from !== undefined && !(time >= filters.from)) return false;
+  if (filters.to !== undefined && !(time <= filters.to)) return false;
+
+  if (filters.status) {
+    // Exact code (404) or class (4xx)
+    const status = String(entry.statusCode);
+    if (/^\dxx$/i.test(filters.status) ? status[0] !== filters.status[0] : status !== filters.status) return false;
+  }
+
+  if (filters.path && !(entry.url || '').split('?')[0].startsWith(filters.path)) return false;
+  if (filters.method && entry.method !== filters.method.toUpperCase()) return false;
+  if (filters.ip && entry.ip !== filters.ip) return false;
+  if (filters.uuid && entry.uuid !== filters.uuid) return false;
+  if (filters.requestId && entry.requestId !== filters.requestId) return false;
+  if (filters.filter && !line.toLowerCase().includes(filters.filter.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Query request logs across the current and rotated files
+ *
+ * Files are scanned newest first, and older files are skipped once enough
+ * entries were found or their last write is before `from`.
+ *
+ * @param {Object} filters - from, to (ms), status ('404' or '4xx'), path (prefix),
+ *   method, ip, uuid, requestId, filter (substring of the raw line)
+ * @param {number} [limit] - Maximum entries (capped at MAX_QUERY_RESULTS)
+ * @returns {Promise<{logs: Array, filesScanned: number}>} Newest first
+ */
+async function queryLogs(filters = {}, limit = 100) {
+  limit = Math.min(Math.max(limit, 1), MAX_QUERY_RESULTS);
+  const logs = [];
+  let filesScanned = 0;
+
+  for (const file of getLogFiles()) {
+    if (logs.length >= limit) break;
+
+    let mtime;
+    try {
+      mtime = fs.statSync(file).mtimeMs;
+    } catch (e) {
+      continue; // Rotated away since listing
+    }
+    if (filters.from !== undefined && mtime < filters.from) break;
+
+    // Lines are oldest first: keep the newest matches this file can contribute
+    const wanted = limit - logs.length;
+    const matches = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          continue;
+        }
+        if (!matchesFilters(entry, line, filters)) continue;
+        matches.push(entry);
+        if (matches.length > wanted) matches.shift();
+      }
+    } catch (err) {
+      logger.error(`Failed to read log file ${file}`, { error: err.message });
+    }
+    filesScanned++;
+    logs.push(...matches.reverse());
+  }
+
+  return { logs, filesScanned };
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Size and line count of the current log file, and sizes of the rotated ones
+ */
+async function getLogStats() {
+  if (!fs.existsSync(LOG_FILE)) {
+    return { exists: false, size: 0, sizeHuman: formatBytes(0), lines: 0, files: [] };
+  }
+
+  const files = getLogFiles().map(file => {
+    try {
+      return { name: path.basename(file), size: fs.statSync(file).size };
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+
+  let lines = 0;
+  try {
+    for await (const chunk of fs.createReadStream(LOG_FILE)) {
+      for (let i = 0; i < chunk.length; i++) {
+        if (chunk[i] === 10) lines++;
+      }
+    }
+  } catch (err) {
+    logger.error('Failed to count log lines', { error: err.message });
+  }
+
+  const size = files[0]?.size || 0;
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  return {
+    exists: true,
+    size,
+    sizeHuman: formatBytes(size),
+    lines,
+    files,
+    totalSize,
+    totalSizeHuman: formatBytes(totalSize)
+  };
 }
 
 module.exports = {
   logRequest,
   log,
   createLoggingMiddleware,
+  queryLogs,
+  getLogStats,
   getClientIp,
   LOG_FILE,
   LOG_DIR,
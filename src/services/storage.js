@@ -1,5 +1,8 @@
 const config = require('../config');
 const { redis, isConnected } = require('./redis');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('storage');
 
 const KEYS = config.redisKeys;
 
@@ -12,8 +15,9 @@ const uuidUsernameCache = new Map();
 
 /**
  * Register a new game session
+ * @param {Object} [tokenTtl] - Token lifetimes of the issuing tenant (config.tokenTtl by default)
  */
-async function registerSession(sessionToken, uuid, username, serverAudience = null) {
+async function registerSession(sessionToken, uuid, username, serverAudience = null, tokenTtl = config.tokenTtl) {
   const sessionData = {
     uuid,
     username,
@@ -23,17 +27,17 @@ async function registerSession(sessionToken, uuid, username, serverAudience = nu
 
   if (isConnected()) {
     try {
-      await redis.setex(`${KEYS.SESSION}${sessionToken}`, config.sessionTtl, JSON.stringify(sessionData));
+      await redis.setex(`${KEYS.SESSION}${sessionToken}`, tokenTtl.session, JSON.stringify(sessionData));
 
       if (serverAudience) {
         const previousServer = await redis.get(`${KEYS.PLAYER_SERVER}${uuid}`);
         if (previousServer && previousServer !== serverAudience) {
           await redis.srem(`${KEYS.SERVER_PLAYERS}${previousServer}`, uuid);
-          console.log(`Player ${uuid} moved from server ${previousServer} to ${serverAudience}`);
+          log.info(`Player ${uuid} moved from server ${previousServer} to ${serverAudience}`);
         }
 
         await redis.sadd(`${KEYS.SERVER_PLAYERS}${serverAudience}`, uuid);
-        await redis.setex(`${KEYS.PLAYER_SERVER}${uuid}`, config.sessionTtl, serverAudience);
+        await redis.setex(`${KEYS.PLAYER_SERVER}${uuid}`, tokenTtl.session, serverAudience);
       }
 
       if (username && username !== 'Player') {
@@ -41,17 +45,18 @@ async function registerSession(sessionToken, uuid, username, serverAudience = nu
         uuidUsernameCache.set(uuid, username);
       }
 
-      console.log(`Session registered: ${uuid} (${username}) on server ${serverAudience || 'unknown'}`);
+      log.info(`Session registered: ${uuid} (${username}) on server ${serverAudience || 'unknown'}`);
     } catch (e) {
-      console.error('Failed to register session in Redis:', e.message);
+      log.error('Failed to register session in Redis', { error: e.message });
     }
   }
 }
 
 /**
  * Register an auth grant (player joining a server)
+ * @param {Object} [tokenTtl] - Token lifetimes of the issuing tenant (config.tokenTtl by default)
  */
-async function registerAuthGrant(authGrant, playerUuid, playerName, serverAudience) {
+async function registerAuthGrant(authGrant, playerUuid, playerName, serverAudience, tokenTtl = config.tokenTtl) {
   const grantData = {
     playerUuid,
     playerName,
@@ -61,23 +66,55 @@ async function registerAuthGrant(authGrant, playerUuid, playerName, serverAudien
 
   if (isConnected()) {
     try {
-      await redis.setex(`${KEYS.AUTH_GRANT}${authGrant}`, config.sessionTtl, JSON.stringify(grantData));
+      await redis.setex(`${KEYS.AUTH_GRANT}${authGrant}`, tokenTtl.authGrant, JSON.stringify(grantData));
 
       const previousServer = await redis.get(`${KEYS.PLAYER_SERVER}${playerUuid}`);
       if (previousServer && previousServer !== serverAudience) {
         await redis.srem(`${KEYS.SERVER_PLAYERS}${previousServer}`, playerUuid);
-        console.log(`Player ${playerUuid} moved from server ${previousServer} to ${serverAudience}`);
+        log.info(`Player ${playerUuid} moved from server ${previousServer} to ${serverAudience}`);
       }
 
       await redis.sadd(`${KEYS.SERVER_PLAYERS}${serverAudience}`, playerUuid);
-      await redis.setex(`${KEYS.PLAYER_SERVER}${playerUuid}`, config.sessionTtl, serverAudience);
+      await redis.setex(`${KEYS.PLAYER_SERVER}${playerUuid}`, tokenTtl.access, serverAudience);
 
       await persistUsername(playerUuid, playerName);
 
-      console.log(`Auth grant registered: ${playerUuid} (${playerName}) -> server ${serverAudience}`);
+      log.info(`Auth grant registered: ${playerUuid} (${playerName}) -> server ${serverAudience}`);
     } catch (e) {
-      console.error('Failed to register auth grant in Redis:', e.message);
+      log.error('Failed to register auth grant in Redis', { error: e.message });
+    }
+  }
+}
+
+/**
+ * Consume an authorization grant (one-time use)
+ *
+ * The first caller claims the grant with SET NX on a used marker, so
+ * concurrent exchanges of the same grant cannot both succeed.
+ *
+ * @param {string} authGrant - Grant JWT as registered by registerAuthGrant()
+ * @param {string} jti - The grant's `jti` claim
+ * @returns {Promise<{status: string, data?: Object}>} status is 'ok', 'reused' or 'invalid'
+ */
+async function consumeAuthGrant(authGrant, jti) {
+  if (!isConnected()) return { status: 'invalid' };
+
+  try {
+    const key = `${KEYS.AUTH_GRANT}${authGrant}`;
+    const usedKey = `${KEYS.AUTH_GRANT_USED}${jti}`;
+    const [dataJson, ttl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+    if (!dataJson || ttl <= 0) {
+      return { status: await redis.exists(usedKey) ? 'reused' : 'invalid' };
     }
+
+    const claimed = await redis.set(usedKey, new Date().toISOString(), 'EX', ttl, 'NX');
+    if (!claimed) return { status: 'reused' };
+
+    await redis.del(key);
+    return { status: 'ok', data: JSON.parse(dataJson) };
+  } catch (e) {
+    log.error('Failed to consume auth grant', { error: e.message });
+    return { status: 'invalid' };
   }
 }
 
@@ -105,10 +142,10 @@ async function removeSession(sessionToken) {
     await redis.del(`${KEYS.PLAYER_SERVER}${session.uuid}`);
     await redis.del(`${KEYS.SESSION}${sessionToken}`);
 
-    console.log(`Session removed: ${session.uuid} (${session.username})`);
+    log.info(`Session removed: ${session.uuid} (${session.username})`);
     return true;
   } catch (e) {
-    console.error('Failed to remove session:', e.message);
+    log.error('Failed to remove session', { error: e.message });
     return false;
   }
 }
@@ -143,7 +180,7 @@ async function getPlayersOnServer(serverAudience) {
     }
     return players;
   } catch (e) {
-    console.error('Failed to get players on server:', e.message);
+    log.error('Failed to get players on server', { error: e.message });
     return [];
   }
 }
@@ -224,12 +261,12 @@ async function getAllActiveSessions() {
         for (const uuid of staleUuids) {
           await redis.srem(key, uuid);
         }
-        console.log(`Cleaned ${staleUuids.length} stale players from server ${serverAudience}`);
+        log.info(`Cleaned ${staleUuids.length} stale players from server ${serverAudience}`);
       }
 
       if (activePlayers.length === 0) {
         await redis.del(key);
-        console.log(`Removed empty server: ${serverAudience}`);
+        log.info(`Removed empty server: ${serverAudience}`);
         continue;
       }
 
@@ -247,7 +284,7 @@ async function getAllActiveSessions() {
 
     return { sessions, servers };
   } catch (e) {
-    console.error('Failed to get active sessions:', e.message);
+    log.error('Failed to get active sessions', { error: e.message });
     return { sessions: [], servers: [] };
   }
 }
@@ -277,10 +314,10 @@ async function setServerName(audience, name) {
 
   try {
     await redis.set(`${KEYS.SERVER_NAME}${audience}`, name);
-    console.log(`Server name set: ${audience} -> "${name}"`);
+    log.info(`Server name set: ${audience} -> "${name}"`);
     return true;
   } catch (e) {
-    console.error('Failed to set server name:', e.message);
+    log.error('Failed to set server name', { error: e.message });
     return false;
   }
 }
@@ -291,10 +328,23 @@ async function setServerName(audience, name) {
 
 /**
  * Persist username to Redis
+ *
+ * Only names the UUID owns (or can claim) in the username registry are
+ * persisted; see claimUsername().
  */
 async function persistUsername(uuid, name) {
   if (!uuid || !name || name === 'Player') return;
 
+  if (isConnected()) {
+    // Names seen in requests never rename a player (tokens issued before a
+    // name change still carry the old one); renames go through claimUsername
+    const current = await getUsername(uuid);
+    if (current && current.toLowerCase() !== name.toLowerCase()) return;
+
+    const claim = await claimUsername(uuid, name);
+    if (claim.status !== 'ok') return;
+  }
+
   uuidUsernameCache.set(uuid, name);
 
   if (isConnected()) {
@@ -311,7 +361,7 @@ async function persistUsername(uuid, name) {
       userData.lastSeen = new Date().toISOString();
       await redis.set(userKey, JSON.stringify(userData));
     } catch (e) {
-      console.error('Failed to persist username:', e.message);
+      log.error('Failed to persist username', { error: e.message });
     }
   }
 }
@@ -326,7 +376,7 @@ async function getUserData(uuid) {
     const data = await redis.get(`${KEYS.USER}${uuid}`);
     return data ? JSON.parse(data) : {};
   } catch (e) {
-    console.error('Failed to get user data:', e.message);
+    log.error('Failed to get user data', { error: e.message });
     return {};
   }
 }
@@ -344,7 +394,7 @@ async function saveUserData(uuid, data) {
       uuidUsernameCache.set(uuid, data.username);
     }
   } catch (e) {
-    console.error('Failed to save user data:', e.message);
+    log.error('Failed to save user data', { error: e.message });
   }
 }
 
@@ -386,329 +436,1490 @@ function setCachedUsername(uuid, username) {
 }
 
 // ============================================================================
-// ADMIN STATS AND QUERIES
+// USERNAME REGISTRY
 // ============================================================================
 
 /**
- * Check if Redis is connected
+ * Claim a username for a UUID (case-insensitive, first claimant owns it)
+ *
+ * Blocklisted names cannot be claimed and reserved names only by the UUID
+ * they are reserved for. Claiming again refreshes the owner's activity;
+ * claiming a different name records it in the name history and holds the
+ * UUID's previous name for config.usernameGraceDays before releasing it.
+ *
+ * @returns {Promise<{status: string, owner?: string, previous?: string}>}
+ *   status is 'ok', 'taken', 'reserved', 'blocked' or 'unavailable' (Redis
+ *   down, nothing enforced); previous is set when the UUID changed names
  */
-function isRedisConnected() {
-  return isConnected();
-}
+async function claimUsername(uuid, name) {
+  if (!uuid || !name || !isConnected()) return { status: 'unavailable' };
 
-/**
- * Get key counts for admin stats (optimized with SCAN)
- */
-async function getKeyCounts() {
-  const counts = { sessions: 0, authGrants: 0, users: 0, servers: 0, activePlayers: 0 };
+  const nameKey = name.toLowerCase();
+  try {
+    if (await redis.sismember(KEYS.USERNAME_BLOCKED, nameKey)) {
+      return { status: 'blocked' };
+    }
 
-  if (!isConnected()) return counts;
+    const reservation = await redis.get(`${KEYS.USERNAME_RESERVED}${nameKey}`);
+    if (reservation && JSON.parse(reservation).uuid !== uuid) {
+      return { status: 'reserved' };
+    }
 
-  try {
-    // Use SCAN to count keys efficiently (non-blocking)
-    const countKeys = async (pattern) => {
-      let count = 0;
-      let cursor = '0';
-      do {
-        const [newCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
-        cursor = newCursor;
-        count += keys.length;
-      } while (cursor !== '0');
-      return count;
-    };
+    const claimed = await redis.set(`${KEYS.USERNAME_OWNER}${nameKey}`, uuid, 'NX');
+    if (!claimed) {
+      const owner = await redis.get(`${KEYS.USERNAME_OWNER}${nameKey}`);
+      if (owner !== uuid) return { status: 'taken', owner };
+    }
 
-    // Count keys in parallel
-    const [sessions, authGrants, users, serverKeys] = await Promise.all([
-      countKeys(`${KEYS.SESSION}*`),
-      countKeys(`${KEYS.AUTH_GRANT}*`),
-      countKeys(`${KEYS.USER}*`),
-      (async () => {
-        // For servers, we need to count and also get active players
-        const keys = [];
-        let cursor = '0';
-        do {
-          const [newCursor, foundKeys] = await redis.scan(cursor, 'MATCH', `${KEYS.SERVER_PLAYERS}*`, 'COUNT', 500);
-          cursor = newCursor;
-          keys.push(...foundKeys);
-        } while (cursor !== '0');
-        return keys;
-      })()
-    ]);
+    // Taking back a name still held from an earlier change keeps it
+    await redis.zrem(KEYS.USERNAME_HELD, nameKey);
+    await redis.zadd(KEYS.USERNAME_ACTIVITY, Date.now(), nameKey);
 
-    counts.sessions = sessions;
-    counts.authGrants = authGrants;
-    counts.users = users;
-    // Filter out hytale-client from server count
-    counts.servers = serverKeys.filter(k => !k.endsWith('hytale-client')).length;
+    const previous = await redis.getset(`${KEYS.USERNAME}${uuid}`, name);
+    if (previous === name) return { status: 'ok' };
 
-    // Get unique player count from server player sets (much faster than parsing sessions)
-    // Use SCARD to get set sizes in parallel
-    if (serverKeys.length > 0) {
-      const playerCounts = await Promise.all(
-        serverKeys
-          .filter(k => !k.endsWith('hytale-client'))
-          .map(key => redis.scard(key))
-      );
-      counts.activePlayers = playerCounts.reduce((sum, count) => sum + count, 0);
+    if (!previous || previous.toLowerCase() !== nameKey) {
+      await redis.rpush(`${KEYS.USERNAME_HISTORY}${uuid}`, JSON.stringify({
+        name,
+        changedAt: new Date().toISOString()
+      }));
+      log.info(`Username claimed: ${name} -> ${uuid}`);
+    }
+    if (previous && previous.toLowerCase() !== nameKey) {
+      await holdUsername(previous, uuid);
+      return { status: 'ok', previous };
     }
+    return { status: 'ok' };
   } catch (e) {
-    console.error('Error getting key counts:', e.message);
+    log.error('Failed to claim username', { error: e.message });
+    return { status: 'unavailable' };
   }
+}
 
-  return counts;
+/**
+ * Keep a name its owner just changed away from until the grace period ends
+ */
+async function holdUsername(name, uuid) {
+  if (!config.usernameGraceDays) {
+    await releaseUsername(name, uuid);
+    return;
+  }
+
+  const nameKey = name.toLowerCase();
+  const releaseAt = Date.now() + config.usernameGraceDays * 86400000;
+  await redis.zrem(KEYS.USERNAME_ACTIVITY, nameKey);
+  await redis.zadd(KEYS.USERNAME_HELD, releaseAt, nameKey);
+  log.info(`Username held until ${new Date(releaseAt).toISOString()}: ${nameKey}`);
 }
 
 /**
- * Get paginated servers with players (for admin dashboard)
+ * Get the names a UUID has used, oldest first
+ * @returns {Promise<Array<{name: string, changedAt: string|null}>>}
  */
-async function getPaginatedServers(page, limit) {
-  const offset = (page - 1) * limit;
+async function getUsernameHistory(uuid) {
+  if (!uuid || !isConnected()) return [];
 
-  if (!isConnected()) {
-    return {
-      servers: [],
-      pagination: { page, limit, totalServers: 0, totalPages: 0, hasNext: false, hasPrev: false },
-      timestamp: new Date().toISOString()
-    };
+  try {
+    const entries = await redis.lrange(`${KEYS.USERNAME_HISTORY}${uuid}`, 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  } catch (e) {
+    log.error('Failed to get username history', { error: e.message });
+    return [];
   }
+}
+
+/**
+ * Get the UUID that owns a username
+ */
+async function getUsernameOwner(name) {
+  if (!name || !isConnected()) return null;
 
   try {
-    // Get all server keys using SCAN
-    const serverKeys = [];
-    let cursor = '0';
-    do {
-      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.SERVER_PLAYERS}*`, 'COUNT', 500);
-      cursor = newCursor;
-      serverKeys.push(...keys);
-    } while (cursor !== '0');
+    return await redis.get(`${KEYS.USERNAME_OWNER}${name.toLowerCase()}`);
+  } catch (e) {
+    log.error('Failed to get username owner', { error: e.message });
+    return null;
+  }
+}
 
-    // Get player counts for all servers
-    // Filter out 'hytale-client' which contains ALL players with valid tokens
-    const serverCounts = (await Promise.all(serverKeys.map(async (key) => ({
-      key,
-      audience: key.replace(KEYS.SERVER_PLAYERS, ''),
-      count: await redis.scard(key)
-    })))).filter(s => s.audience !== 'hytale-client');
+/**
+ * Release a username so it can be claimed again
+ * @param {string} name - Username
+ * @param {string} [expectedOwner] - Only release if this UUID still owns it
+ * @returns {Promise<boolean>} True if released
+ */
+async function releaseUsername(name, expectedOwner = null) {
+  if (typeof name !== 'string' || !name || !isConnected()) return false;
 
-    // Sort by player count descending
-    serverCounts.sort((a, b) => b.count - a.count);
+  const nameKey = name.toLowerCase();
+  try {
+    const ownerKey = `${KEYS.USERNAME_OWNER}${nameKey}`;
+    if (expectedOwner && await redis.get(ownerKey) !== expectedOwner) return false;
+
+    const deleted = await redis.del(ownerKey);
+    await redis.zrem(KEYS.USERNAME_ACTIVITY, nameKey);
+    await redis.zrem(KEYS.USERNAME_HELD, nameKey);
+    if (deleted) log.info(`Username released: ${nameKey}`);
+    return deleted > 0;
+  } catch (e) {
+    log.error('Failed to release username', { error: e.message });
+    return false;
+  }
+}
 
-    const totalServers = serverCounts.length;
-    const totalPages = Math.ceil(totalServers / limit);
+/**
+ * Release every username whose owner has been inactive since before a cutoff
+ * @param {number} cutoff - Unix time in milliseconds
+ * @returns {Promise<number>} Number of names released
+ */
+async function releaseUsernamesInactiveSince(cutoff) {
+  if (!isConnected()) return 0;
 
-    // Get only the servers for this page
-    const pageServers = serverCounts.slice(offset, offset + limit);
+  try {
+    const names = await redis.zrangebyscore(KEYS.USERNAME_ACTIVITY, 0, cutoff);
+    let released = 0;
+    for (const nameKey of names) {
+      if (await releaseUsername(nameKey)) released++;
+    }
+    return released;
+  } catch (e) {
+    log.error('Failed to release inactive usernames', { error: e.message });
+    return 0;
+  }
+}
 
-    // Fetch full details for this page's servers
-    const servers = await Promise.all(pageServers.map(async ({ key, audience, count }) => {
-      const [playerUuids, serverName] = await Promise.all([
-        redis.smembers(key),
-        redis.get(`${KEYS.SERVER_NAME}${audience}`)
-      ]);
+/**
+ * Release held names whose grace period has ended
+ * @returns {Promise<number>} Number of names released
+ */
+async function releaseHeldUsernames() {
+  if (!isConnected()) return 0;
 
-      // Get usernames and TTLs for players
-      const players = await Promise.all(playerUuids.map(async (uuid) => {
-        let username = uuidUsernameCache.get(uuid);
+  try {
+    const names = await redis.zrangebyscore(KEYS.USERNAME_HELD, 0, Date.now());
+    let released = 0;
+    for (const nameKey of names) {
+      if (await releaseUsername(nameKey)) released++;
+    }
+    return released;
+  } catch (e) {
+    log.error('Failed to release held usernames', { error: e.message });
+    return 0;
+  }
+}
 
-        const [usernameFromRedis, ttl] = await Promise.all([
-          username ? Promise.resolve(null) : redis.get(`${KEYS.USERNAME}${uuid}`),
-          redis.ttl(`${KEYS.PLAYER_SERVER}${uuid}`)
-        ]);
+/**
+ * Index usernames persisted before the registry existed (runs once)
+ *
+ * Duplicates from that time cannot be ordered, so whichever UUID is seen
+ * first keeps the name.
+ *
+ * @returns {Promise<number>} Number of names indexed, or -1 if already done
+ */
+async function backfillUsernameRegistry() {
+  if (!isConnected()) return 0;
 
-        if (!username && usernameFromRedis) {
-          username = usernameFromRedis;
-          uuidUsernameCache.set(uuid, username);
+  try {
+    const started = await redis.set(KEYS.USERNAME_BACKFILLED, new Date().toISOString(), 'NX');
+    if (!started) return -1;
+
+    let indexed = 0;
+    let cursor = '0';
+    do {
+      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.USERNAME}*`, 'COUNT', 500);
+      cursor = newCursor;
+      for (const key of keys) {
+        const uuid = key.substring(KEYS.USERNAME.length);
+        const name = await redis.get(key);
+        if (!name || name === 'Player') continue;
+        if (await redis.set(`${KEYS.USERNAME_OWNER}${name.toLowerCase()}`, uuid, 'NX')) {
+          await redis.zadd(KEYS.USERNAME_ACTIVITY, Date.now(), name.toLowerCase());
+          indexed++;
         }
+      }
+    } while (cursor !== '0');
 
-        return {
-          uuid,
-          username: username || `Player_${uuid.substring(0, 8)}`,
-          ttl: ttl > 0 ? ttl : 0
-        };
-      }));
+    return indexed;
+  } catch (e) {
+    log.error('Failed to backfill username registry', { error: e.message });
+    return 0;
+  }
+}
 
-      return {
-        audience,
-        name: serverName,
-        playerCount: count,
-        players
-      };
+/**
+ * Reserve a username, optionally for a specific UUID
+ */
+async function reserveUsername(name, uuid = null, reason = null) {
+  if (!name || !isConnected()) return false;
+
+  try {
+    await redis.set(`${KEYS.USERNAME_RESERVED}${name.toLowerCase()}`, JSON.stringify({
+      name,
+      uuid,
+      reason,
+      createdAt: new Date().toISOString()
     }));
+    return true;
+  } catch (e) {
+    log.error('Failed to reserve username', { error: e.message });
+    return false;
+  }
+}
 
-    return {
-      servers,
-      pagination: {
-        page,
-        limit,
-        totalServers,
-        totalPages,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      },
-      timestamp: new Date().toISOString()
-    };
+/**
+ * Remove a username reservation
+ */
+async function unreserveUsername(name) {
+  if (!name || !isConnected()) return false;
+
+  try {
+    return await redis.del(`${KEYS.USERNAME_RESERVED}${name.toLowerCase()}`) > 0;
   } catch (e) {
-    console.error('getPaginatedServers error:', e.message);
-    return {
-      servers: [],
-      pagination: { page, limit, totalServers: 0, totalPages: 0, hasNext: false, hasPrev: false },
-      error: e.message,
-      timestamp: new Date().toISOString()
-    };
+    log.error('Failed to unreserve username', { error: e.message });
+    return false;
   }
 }
 
 /**
- * Get all player UUIDs from all servers (for prerender queue)
+ * List username reservations
  */
-async function getAllPlayerUuids() {
+async function getReservedUsernames() {
   if (!isConnected()) return [];
 
   try {
-    const serverKeys = [];
+    const reservations = [];
     let cursor = '0';
     do {
-      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.SERVER_PLAYERS}*`, 'COUNT', 500);
+      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.USERNAME_RESERVED}*`, 'COUNT', 500);
       cursor = newCursor;
-      serverKeys.push(...keys);
+      for (const key of keys) {
+        const data = await redis.get(key);
+        if (data) reservations.push(JSON.parse(data));
+      }
     } while (cursor !== '0');
-
-    const allUuids = new Set();
-    for (const key of serverKeys) {
-      const uuids = await redis.smembers(key);
-      uuids.forEach(uuid => allUuids.add(uuid));
-    }
-
-    return Array.from(allUuids);
+    return reservations;
   } catch (e) {
-    console.error('Error getting all player UUIDs:', e.message);
+    log.error('Failed to list reserved usernames', { error: e.message });
     return [];
   }
 }
 
-// ============================================================================
-// ADMIN TOKENS
-// ============================================================================
-
 /**
- * Create admin token
+ * Blocklist a username; a current owner loses it
  */
-async function createAdminToken(token) {
-  if (!isConnected()) return false;
+async function blockUsername(name) {
+  if (!name || !isConnected()) return false;
 
   try {
-    await redis.setex(`${KEYS.ADMIN_TOKEN}${token}`, config.adminTokenTtl, '1');
+    await redis.sadd(KEYS.USERNAME_BLOCKED, name.toLowerCase());
+    await releaseUsername(name);
     return true;
   } catch (e) {
-    console.error('Failed to create admin token:', e.message);
+    log.error('Failed to block username', { error: e.message });
     return false;
   }
 }
 
 /**
- * Verify admin token
+ * Remove a username from the blocklist
  */
-async function verifyAdminToken(token) {
-  if (!token || !isConnected()) return false;
+async function unblockUsername(name) {
+  if (!name || !isConnected()) return false;
 
   try {
-    const exists = await redis.exists(`${KEYS.ADMIN_TOKEN}${token}`);
-    if (exists) {
-      await redis.expire(`${KEYS.ADMIN_TOKEN}${token}`, config.adminTokenTtl);
-      return true;
-    }
-    return false;
+    return await redis.srem(KEYS.USERNAME_BLOCKED, name.toLowerCase()) > 0;
   } catch (e) {
-    console.error('Redis error checking admin token:', e.message);
+    log.error('Failed to unblock username', { error: e.message });
     return false;
   }
 }
 
 /**
- * Search players by username or UUID
- * Returns players with their server locations
+ * List blocklisted usernames
  */
-async function searchPlayers(query, limit = 50) {
-  if (!query || !isConnected()) return [];
-
-  query = query.toLowerCase().trim();
-  if (query.length < 2) return []; // Minimum 2 chars
+async function getBlockedUsernames() {
+  if (!isConnected()) return [];
 
   try {
-    // Get all server keys
+    return (await redis.smembers(KEYS.USERNAME_BLOCKED)).sort();
+  } catch (e) {
+    log.error('Failed to list blocked usernames', { error: e.message });
+    return [];
+  }
+}
+
+// ============================================================================
+// PLAYER TELEMETRY
+// ============================================================================
+
+/**
+ * Mark a player as active (heartbeat telemetry)
+ *
+ * ACTIVE_PLAYERS is scored by when the player stops counting as active.
+ */
+async function trackActivePlayer(uuid, serverAudience = null) {
+  if (!isConnected()) return;
+
+  try {
+    const now = Date.now();
+    await redis.zadd(KEYS.ACTIVE_PLAYERS, now + config.activePlayerTtl * 1000, uuid);
+    await redis.zremrangebyscore(KEYS.ACTIVE_PLAYERS, '-inf', now);
+
+    if (serverAudience) {
+      await redis.sadd(`${KEYS.SERVER_PLAYERS}${serverAudience}`, uuid);
+      await redis.setex(`${KEYS.PLAYER_SERVER}${uuid}`, config.tokenTtl.session, serverAudience);
+    }
+  } catch (e) {
+    log.error('Failed to track active player', { error: e.message });
+  }
+}
+
+/**
+ * Store a player's latest client state (expires once heartbeats stop)
+ */
+async function updatePlayerState(uuid, state) {
+  if (!isConnected()) return;
+
+  try {
+    const data = { ...state, updatedAt: new Date().toISOString() };
+    await redis.setex(`${KEYS.PLAYER_STATE}${uuid}`, config.activePlayerTtl, JSON.stringify(data));
+  } catch (e) {
+    log.error('Failed to update player state', { error: e.message });
+  }
+}
+
+/**
+ * Store a player's hardware info in their user data (session_start telemetry)
+ */
+async function updatePlayerHardware(uuid, hardware) {
+  if (!isConnected()) return;
+
+  try {
+    const userData = await getUserData(uuid);
+    userData.hardware = { ...hardware, updatedAt: new Date().toISOString() };
+    await redis.set(`${KEYS.USER}${uuid}`, JSON.stringify(userData));
+    await redis.sadd(KEYS.PLAYERS_WITH_HARDWARE, uuid);
+  } catch (e) {
+    log.error('Failed to update player hardware', { error: e.message });
+  }
+}
+
+/**
+ * Append an entry to a per-player history, applying the retention limits
+ *
+ * Histories are sorted sets scored by when the entry was recorded; entries
+ * older than config.telemetryRetentionDays and all but the newest maxEntries
+ * are dropped, and the whole history expires after the retention period.
+ */
+async function appendPlayerHistory(key, entry, maxEntries) {
+  const now = Date.now();
+  const retentionMs = config.telemetryRetentionDays * 86400000;
+  const record = { ...entry, recordedAt: new Date(now).toISOString() };
+
+  await redis.pipeline()
+    .zadd(key, now, JSON.stringify(record))
+    .zremrangebyscore(key, '-inf', now - retentionMs)
+    .zremrangebyrank(key, 0, -(maxEntries + 1))
+    .expire(key, config.telemetryRetentionDays * 86400)
+    .exec();
+}
+
+/**
+ * Record the summary of a finished client session (session_end telemetry)
+ */
+async function recordSessionEnd(uuid, summary) {
+  if (!isConnected()) return;
+
+  try {
+    await appendPlayerHistory(`${KEYS.PLAYER_SESSIONS}${uuid}`, summary, config.telemetryMaxSessions);
+  } catch (e) {
+    log.error('Failed to record session end', { error: e.message });
+  }
+}
+
+/**
+ * Record a client event (event telemetry)
+ */
+async function recordEvent(uuid, event) {
+  if (!isConnected()) return;
+
+  try {
+    await appendPlayerHistory(`${KEYS.PLAYER_EVENTS}${uuid}`, event, config.telemetryMaxEvents);
+  } catch (e) {
+    log.error('Failed to record event', { error: e.message });
+  }
+}
+
+/**
+ * Read a per-player history, newest first
+ * @param {Object} [options] - { from, to } epoch ms (inclusive), { offset, limit }
+ * @returns {Promise<{entries: Object[], total: number}>} total counts all entries in the time range
+ */
+async function readPlayerHistory(key, { from = '-inf', to = '+inf', offset = 0, limit = 50 } = {}) {
+  const [total, members] = await Promise.all([
+    redis.zcount(key, from, to),
+    redis.zrevrangebyscore(key, to, from, 'LIMIT', offset, limit)
+  ]);
+  return { total, entries: members.map(member => JSON.parse(member)) };
+}
+
+/**
+ * Get a player's finished client sessions (see recordSessionEnd)
+ */
+async function getSessionHistory(uuid, options) {
+  if (!isConnected()) return { entries: [], total: 0 };
+
+  try {
+    return await readPlayerHistory(`${KEYS.PLAYER_SESSIONS}${uuid}`, options);
+  } catch (e) {
+    log.error('Failed to get session history', { error: e.message });
+    return { entries: [], total: 0 };
+  }
+}
+
+/**
+ * Get a player's client events (see recordEvent)
+ */
+async function getEventHistory(uuid, options) {
+  if (!isConnected()) return { entries: [], total: 0 };
+
+  try {
+    return await readPlayerHistory(`${KEYS.PLAYER_EVENTS}${uuid}`, options);
+  } catch (e) {
+    log.error('Failed to get event history', { error: e.message });
+    return { entries: [], total: 0 };
+  }
+}
+
+/**
+ * Remember a player's telemetry record by (session_id, sequence)
+ *
+ * Scoped to the player so one client cannot claim another's sequence numbers.
+ *
+ * @param {string} uuid - Verified player UUID
+ * @returns {Promise<boolean>} False if the record was seen before (a resend)
+ */
+async function markTelemetrySeen(uuid, sessionId, sequence) {
+  if (!uuid || !isConnected()) return true;
+
+  try {
+    const key = `${KEYS.TELEMETRY_SEEN}${uuid}:${sessionId}:${sequence}`;
+    return await redis.set(key, '1', 'EX', config.telemetryDedupTtl, 'NX') === 'OK';
+  } catch (e) {
+    log.error('Failed to mark telemetry record', { error: e.message });
+    return true;
+  }
+}
+
+/**
+ * Get the audience of the game server a player is currently tracked on
+ * (null for 'hytale-client', which is not a server)
+ */
+async function getPlayerServer(uuid) {
+  if (!uuid || !isConnected()) return null;
+
+  try {
+    const serverAudience = await redis.get(`${KEYS.PLAYER_SERVER}${uuid}`);
+    return serverAudience === 'hytale-client' ? null : serverAudience;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remove a player from server tracking (left the server without DELETE /game-session)
+ *
+ * A player is tracked on one server at a time, the one in PLAYER_SERVER.
+ */
+async function removePlayerFromAllServers(uuid) {
+  if (!isConnected()) return;
+
+  try {
+    const serverAudience = await redis.get(`${KEYS.PLAYER_SERVER}${uuid}`);
+    if (!serverAudience) return;
+
+    const serverKey = `${KEYS.SERVER_PLAYERS}${serverAudience}`;
+    await redis.srem(serverKey, uuid);
+    if (await redis.scard(serverKey) === 0) {
+      await redis.del(serverKey);
+    }
+    await redis.del(`${KEYS.PLAYER_SERVER}${uuid}`);
+    log.info(`Player ${uuid} left server ${serverAudience}`);
+  } catch (e) {
+    log.error('Failed to remove player from servers', { error: e.message });
+  }
+}
+
+// ============================================================================
+// ADMIN STATS AND QUERIES
+// ============================================================================
+
+/**
+ * Check if Redis is connected
+ */
+function isRedisConnected() {
+  return isConnected();
+}
+
+/**
+ * Get key counts for admin stats (optimized with SCAN)
+ */
+async function getKeyCounts() {
+  const counts = { sessions: 0, authGrants: 0, users: 0, servers: 0, activePlayers: 0 };
+
+  if (!isConnected()) return counts;
+
+  try {
+    // Use SCAN to count keys efficiently (non-blocking)
+    const countKeys = async (pattern) => {
+      let count = 0;
+      let cursor = '0';
+      do {
+        const [newCursor, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+        cursor = newCursor;
+        count += keys.length;
+      } while (cursor !== '0');
+      return count;
+    };
+
+    // Count keys in parallel
+    const [sessions, authGrants, users, serverKeys] = await Promise.all([
+      countKeys(`${KEYS.SESSION}*`),
+      countKeys(`${KEYS.AUTH_GRANT}*`),
+      countKeys(`${KEYS.USER}*`),
+      (async () => {
+        // For servers, we need to count and also get active players
+        const keys = [];
+        let cursor = '0';
+        do {
+          const [newCursor, foundKeys] = await redis.scan(cursor, 'MATCH', `${KEYS.SERVER_PLAYERS}*`, 'COUNT', 500);
+          cursor = newCursor;
+          keys.push(...foundKeys);
+        } while (cursor !== '0');
+        return keys;
+      })()
+    ]);
+
+    counts.sessions = sessions;
+    counts.authGrants = authGrants;
+    counts.users = users;
+    // Filter out hytale-client from server count
+    counts.servers = serverKeys.filter(k => !k.endsWith('hytale-client')).length;
+
+    // Get unique player count from server player sets (much faster than parsing sessions)
+    // Use SCARD to get set sizes in parallel
+    if (serverKeys.length > 0) {
+      const playerCounts = await Promise.all(
+        serverKeys
+          .filter(k => !k.endsWith('hytale-client'))
+          .map(key => redis.scard(key))
+      );
+      counts.activePlayers = playerCounts.reduce((sum, count) => sum + count, 0);
+    }
+  } catch (e) {
+    log.error('Error getting key counts', { error: e.message });
+  }
+
+  return counts;
+}
+
+/**
+ * Get the current player count of every server, keyed by audience
+ */
+async function getServerPlayerCounts() {
+  if (!isConnected()) return {};
+
+  try {
+    const serverKeys = [];
+    let cursor = '0';
+    do {
+      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.SERVER_PLAYERS}*`, 'COUNT', 500);
+      cursor = newCursor;
+      serverKeys.push(...keys);
+    } while (cursor !== '0');
+
+    // 'hytale-client' contains ALL players with valid tokens, it is not a server
+    const audiences = serverKeys
+      .map(key => key.replace(KEYS.SERVER_PLAYERS, ''))
+      .filter(audience => audience !== 'hytale-client');
+    const counts = await Promise.all(audiences.map(audience => redis.scard(`${KEYS.SERVER_PLAYERS}${audience}`)));
+
+    const result = {};
+    audiences.forEach((audience, i) => { result[audience] = counts[i]; });
+    return result;
+  } catch (e) {
+    log.error('Error getting server player counts', { error: e.message });
+    return {};
+  }
+}
+
+/**
+ * Get paginated servers with players (for admin dashboard)
+ */
+async function getPaginatedServers(page, limit) {
+  const offset = (page - 1) * limit;
+
+  if (!isConnected()) {
+    return {
+      servers: [],
+      pagination: { page, limit, totalServers: 0, totalPages: 0, hasNext: false, hasPrev: false },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    // Get all server keys using SCAN
+    const serverKeys = [];
+    let cursor = '0';
+    do {
+      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.SERVER_PLAYERS}*`, 'COUNT', 500);
+      cursor = newCursor;
+      serverKeys.push(...keys);
+    } while (cursor !== '0');
+
+    // Get player counts for all servers
+    // Filter out 'hytale-client' which contains ALL players with valid tokens
+    const serverCounts = (await Promise.all(serverKeys.map(async (key) => ({
+      key,
+      audience: key.replace(KEYS.SERVER_PLAYERS, ''),
+      count: await redis.scard(key)
+    })))).filter(s => s.audience !== 'hytale-client');
+
+    // Sort by player count descending
+    serverCounts.sort((a, b) => b.count - a.count);
+
+    const totalServers = serverCounts.length;
+    const totalPages = Math.ceil(totalServers / limit);
+
+    // Get only the servers for this page
+    const pageServers = serverCounts.slice(offset, offset + limit);
+
+    // Fetch full details for this page's servers
+    const servers = await Promise.all(pageServers.map(async ({ key, audience, count }) => {
+      const [playerUuids, serverName] = await Promise.all([
+        redis.smembers(key),
+        redis.get(`${KEYS.SERVER_NAME}${audience}`)
+      ]);
+
+      // Get usernames and TTLs for players
+      const players = await Promise.all(playerUuids.map(async (uuid) => {
+        let username = uuidUsernameCache.get(uuid);
+
+        const [usernameFromRedis, ttl] = await Promise.all([
+          username ? Promise.resolve(null) : redis.get(`${KEYS.USERNAME}${uuid}`),
+          redis.ttl(`${KEYS.PLAYER_SERVER}${uuid}`)
+        ]);
+
+        if (!username && usernameFromRedis) {
+          username = usernameFromRedis;
+          uuidUsernameCache.set(uuid, username);
+        }
+
+        return {
+          uuid,
+          username: username || `Player_${uuid.substring(0, 8)}`,
+          ttl: ttl > 0 ? ttl : 0
+        };
+      }));
+
+      return {
+        audience,
+        name: serverName,
+        playerCount: count,
+        players
+      };
+    }));
+
+    return {
+      servers,
+      pagination: {
+        page,
+        limit,
+        totalServers,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (e) {
+    log.error('getPaginatedServers error', { error: e.message });
+    return {
+      servers: [],
+      pagination: { page, limit, totalServers: 0, totalPages: 0, hasNext: false, hasPrev: false },
+      error: e.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Get all player UUIDs from all servers (for prerender queue)
+ */
+async function getAllPlayerUuids() {
+  if (!isConnected()) return [];
+
+  try {
+    const serverKeys = [];
+    let cursor = '0';
+    do {
+      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.SERVER_PLAYERS}*`, 'COUNT', 500);
+      cursor = newCursor;
+      serverKeys.push(...keys);
+    } while (cursor !== '0');
+
+    const allUuids = new Set();
+    for (const key of serverKeys) {
+      const uuids = await redis.smembers(key);
+      uuids.forEach(uuid => allUuids.add(uuid));
+    }
+
+    return Array.from(allUuids);
+  } catch (e) {
+    log.error('Error getting all player UUIDs', { error: e.message });
+    return [];
+  }
+}
+
+// ============================================================================
+// ADMIN TOKENS
+// ============================================================================
+
+/**
+ * Create admin token
+ */
+async function createAdminToken(token) {
+  if (!isConnected()) return false;
+
+  try {
+    await redis.setex(`${KEYS.ADMIN_TOKEN}${token}`, config.adminTokenTtl, '1');
+    return true;
+  } catch (e) {
+    log.error('Failed to create admin token', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Verify admin token
+ */
+async function verifyAdminToken(token) {
+  if (!token || !isConnected()) return false;
+
+  try {
+    const exists = await redis.exists(`${KEYS.ADMIN_TOKEN}${token}`);
+    if (exists) {
+      await redis.expire(`${KEYS.ADMIN_TOKEN}${token}`, config.adminTokenTtl);
+      return true;
+    }
+    return false;
+  } catch (e) {
+    log.error('Redis error checking admin token', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Search players by username or UUID
+ * Returns players with their server locations
+ */
+async function searchPlayers(query, limit = 50) {
+  if (!query || !isConnected()) return [];
+
+  query = query.toLowerCase().trim();
+  if (query.length < 2) return []; // Minimum 2 chars
+
+  try {
+    // Get all server keys
     const serverKeys = await redis.keys(`${KEYS.SERVER_PLAYERS}*`);
     const results = new Map(); // uuid -> { uuid, username, servers: [] }
 
-    for (const serverKey of serverKeys) {
-      const serverAudience = serverKey.replace(KEYS.SERVER_PLAYERS, '');
-      const playerUuids = await redis.smembers(serverKey);
+    for (const serverKey of serverKeys) {
+      const serverAudience = serverKey.replace(KEYS.SERVER_PLAYERS, '');
+      const playerUuids = await redis.smembers(serverKey);
+
+      for (const uuid of playerUuids) {
+        // Check UUID match first (fast)
+        const uuidMatch = uuid.toLowerCase().includes(query);
+
+        // Get username for this player
+        let username = uuidUsernameCache.get(uuid);
+        if (!username) {
+          username = await redis.get(`${KEYS.USERNAME}${uuid}`);
+          if (username) uuidUsernameCache.set(uuid, username);
+        }
+        username = username || 'Player';
+
+        const nameMatch = username.toLowerCase().includes(query);
+
+        if (uuidMatch || nameMatch) {
+          if (results.has(uuid)) {
+            // Player already found, add this server
+            results.get(uuid).servers.push(serverAudience);
+          } else {
+            // Get TTL for player
+            const ttl = await redis.ttl(`${KEYS.PLAYER_SERVER}${uuid}`);
+
+            results.set(uuid, {
+              uuid,
+              username,
+              ttl: ttl > 0 ? ttl : 0,
+              servers: [serverAudience]
+            });
+
+            // Stop if we hit the limit
+            if (results.size >= limit) break;
+          }
+        }
+      }
+
+      if (results.size >= limit) break;
+    }
+
+    // Convert to array and fetch server names
+    const resultsArray = Array.from(results.values());
+
+    // Get server names for all unique servers
+    const allServerAudiences = new Set();
+    for (const player of resultsArray) {
+      for (const aud of player.servers) {
+        allServerAudiences.add(aud);
+      }
+    }
+
+    const serverNames = new Map();
+    for (const aud of allServerAudiences) {
+      const name = await redis.get(`${KEYS.SERVER_NAME}${aud}`);
+      serverNames.set(aud, name || aud);
+    }
+
+    // Transform servers array to include names
+    for (const player of resultsArray) {
+      player.servers = player.servers.map(aud => ({
+        audience: aud,
+        name: serverNames.get(aud) || aud
+      }));
+    }
+
+    return resultsArray;
+  } catch (e) {
+    log.error('Error searching players', { error: e.message });
+    return [];
+  }
+}
+
+// ============================================================================
+// TOKEN REVOCATION
+// ============================================================================
+
+/**
+ * Revoke a single token by its jti until the token would have expired
+ * @param {string} jti - Token ID
+ * @param {number} exp - Token expiry (unix seconds)
+ */
+async function revokeTokenId(jti, exp) {
+  if (!jti || !isConnected()) return false;
+
+  const ttl = exp - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return true; // Already expired, nothing to do
+
+  try {
+    await redis.setex(`${KEYS.REVOKED_JTI}${jti}`, ttl, String(exp));
+    await redis.zadd(`${KEYS.REVOCATION_INDEX}jti`, exp, jti);
+    log.info(`Token revoked: jti ${jti} (expires in ${ttl}s)`);
+    return true;
+  } catch (e) {
+    log.error('Failed to revoke token', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Revoke every token issued so far for a subject ("sign out everywhere")
+ * or a server audience. Tokens issued before now (to the millisecond, as
+ * `iat` is) are rejected for as long as any of them could still be valid.
+ * @param {'user'|'audience'} kind - What the value identifies
+ * @param {string} value - User UUID or server audience
+ * @param {number} maxLifetime - Longest token lifetime in seconds
+ */
+async function revokeTokensBefore(kind, value, maxLifetime) {
+  if (!value || !isConnected()) return false;
+
+  const keyPrefix = kind === 'audience' ? KEYS.REVOKED_AUDIENCE : KEYS.REVOKED_USER;
+  const revokedAt = Date.now() / 1000;
+
+  try {
+    await redis.setex(`${keyPrefix}${value}`, maxLifetime, String(revokedAt));
+    await redis.zadd(`${KEYS.REVOCATION_INDEX}${kind}`, revokedAt + maxLifetime, `${value}|${revokedAt}`);
+    log.info(`Tokens revoked for ${kind} ${value} (issued before ${revokedAt})`);
+    return true;
+  } catch (e) {
+    log.error(`Failed to revoke tokens for ${kind}`, { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Check whether a verified token payload has been revoked
+ * @param {Object} payload - Verified JWT payload (jti, sub, aud, iat)
+ * @returns {Promise<string|null>} Revocation reason ('jti', 'user', 'audience') or null
+ */
+async function getTokenRevocation(payload) {
+  if (!payload || !isConnected()) return null;
+
+  try {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : (payload.aud ? [payload.aud] : []);
+    const [jtiRevoked, userRevokedAt, ...audienceRevokedAt] = await Promise.all([
+      payload.jti ? redis.exists(`${KEYS.REVOKED_JTI}${payload.jti}`) : 0,
+      payload.sub ? redis.get(`${KEYS.REVOKED_USER}${payload.sub}`) : null,
+      ...audiences.map(aud => redis.get(`${KEYS.REVOKED_AUDIENCE}${aud}`))
+    ]);
+
+    if (jtiRevoked) return 'jti';
+
+    const iat = payload.iat || 0;
+    if (userRevokedAt && iat < parseFloat(userRevokedAt)) return 'user';
+    if (audienceRevokedAt.some(revokedAt => revokedAt && iat < parseFloat(revokedAt))) return 'audience';
+
+    return null;
+  } catch (e) {
+    log.error('Failed to check token revocation', { error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Get the current revocation list (expired entries are pruned)
+ */
+async function getRevocationList() {
+  const list = { jti: [], users: [], audiences: [] };
+  if (!isConnected()) return list;
+
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const pipeline = redis.pipeline();
+    for (const kind of ['jti', 'user', 'audience']) {
+      pipeline.zremrangebyscore(`${KEYS.REVOCATION_INDEX}${kind}`, '-inf', now);
+      pipeline.zrange(`${KEYS.REVOCATION_INDEX}${kind}`, 0, -1, 'WITHSCORES');
+    }
+    const results = await pipeline.exec();
+
+    const pairs = (flat) => {
+      const out = [];
+      for (let i = 0; i < flat.length; i += 2) out.push([flat[i], parseInt(flat[i + 1], 10)]);
+      return out;
+    };
+
+    list.jti = pairs(results[1][1]).map(([jti, exp]) => ({ jti, exp }));
+    list.users = pairs(results[3][1]).map(([member, expiresAt]) => {
+      const [uuid, revokedAt] = member.split('|');
+      return { uuid, revokedBefore: parseFloat(revokedAt), expiresAt };
+    });
+    list.audiences = pairs(results[5][1]).map(([member, expiresAt]) => {
+      const [audience, revokedAt] = member.split('|');
+      return { audience, revokedBefore: parseFloat(revokedAt), expiresAt };
+    });
+  } catch (e) {
+    log.error('Failed to read revocation list', { error: e.message });
+  }
+
+  return list;
+}
+
+// ============================================================================
+// REFRESH TOKENS
+// ============================================================================
+
+/**
+ * Store a refresh token record (keyed by token hash, never the raw token)
+ * @param {string} tokenHash - SHA-256 of the opaque refresh token
+ * @param {Object} data - { familyId, uuid, name, audience, scope, kind }
+ * @param {number} ttl - Lifetime in seconds
+ */
+async function storeRefreshToken(tokenHash, data, ttl) {
+  if (!isConnected()) return false;
+
+  try {
+    const pipeline = redis.pipeline();
+    pipeline.setex(`${KEYS.REFRESH_TOKEN}${tokenHash}`, ttl, JSON.stringify({
+      ...data,
+      createdAt: new Date().toISOString()
+    }));
+    // Family record lives as long as its newest refresh token
+    pipeline.hsetnx(`${KEYS.TOKEN_FAMILY}${data.familyId}`, 'uuid', data.uuid);
+    pipeline.hsetnx(`${KEYS.TOKEN_FAMILY}${data.familyId}`, 'createdAt', new Date().toISOString());
+    pipeline.expire(`${KEYS.TOKEN_FAMILY}${data.familyId}`, ttl);
+    pipeline.expire(`${KEYS.TOKEN_FAMILY}${data.familyId}:tokens`, ttl);
+    await pipeline.exec();
+    return true;
+  } catch (e) {
+    log.error('Failed to store refresh token', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Atomically consume a refresh token
+ *
+ * The first redemption wins (SET NX on a used-marker); any later
+ * redemption of the same token reports 'reused'.
+ *
+ * @param {string} tokenHash - SHA-256 of the opaque refresh token
+ * @returns {Promise<{status: 'ok'|'invalid'|'reused'|'family_revoked', data?: Object}>}
+ *   data includes the family's `familyCreatedAt` (ISO date)
+ */
+async function consumeRefreshToken(tokenHash) {
+  if (!isConnected()) return { status: 'invalid' };
+
+  try {
+    const key = `${KEYS.REFRESH_TOKEN}${tokenHash}`;
+    const [dataJson, ttl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+    if (!dataJson || ttl <= 0) return { status: 'invalid' };
+
+    const data = JSON.parse(dataJson);
+
+    const [familyRevoked, familyCreatedAt] = await redis.hmget(`${KEYS.TOKEN_FAMILY}${data.familyId}`, 'revoked', 'createdAt');
+    data.familyCreatedAt = familyCreatedAt || data.createdAt;
+    if (familyRevoked) return { status: 'family_revoked', data };
+
+    const claimed = await redis.set(`${KEYS.REFRESH_USED}${tokenHash}`, new Date().toISOString(), 'EX', ttl, 'NX');
+    if (!claimed) return { status: 'reused', data };
+
+    return { status: 'ok', data };
+  } catch (e) {
+    log.error('Failed to consume refresh token', { error: e.message });
+    return { status: 'invalid' };
+  }
+}
+
+/**
+ * Remember an access/session token issued within a refresh token family
+ * so it can be revoked if the family is compromised
+ *
+ * The list expires with the family, or with the token if that lives longer.
+ * The token's family is also indexed by jti (see getTokenFamily).
+ */
+async function addTokenToFamily(familyId, jti, exp) {
+  if (!familyId || !jti || !isConnected()) return;
+
+  try {
+    const key = `${KEYS.TOKEN_FAMILY}${familyId}:tokens`;
+    const familyTtl = await redis.ttl(`${KEYS.TOKEN_FAMILY}${familyId}`);
+    const tokenTtl = exp - Math.floor(Date.now() / 1000);
+    await redis.pipeline()
+      .hset(key, jti, String(exp))
+      .expire(key, Math.max(familyTtl, tokenTtl, 1))
+      .setex(`${KEYS.TOKEN_FAMILY_OF}${jti}`, Math.max(tokenTtl, 1), familyId)
+      .exec();
+  } catch (e) {
+    log.error('Failed to track family token', { error: e.message });
+  }
+}
+
+/**
+ * Refresh token family a token was issued in
+ * @param {string} jti - Token ID
+ * @returns {Promise<string|null>} Family ID, or null if the token is in none
+ */
+async function getTokenFamily(jti) {
+  if (!jti || !isConnected()) return null;
+
+  try {
+    return await redis.get(`${KEYS.TOKEN_FAMILY_OF}${jti}`);
+  } catch (e) {
+    log.error('Failed to look up token family', { error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Revoke a refresh token family and every token issued within it
+ * @returns {Promise<number>} Number of access/session tokens revoked
+ */
+async function revokeTokenFamily(familyId) {
+  if (!familyId || !isConnected()) return 0;
+
+  try {
+    await redis.hset(`${KEYS.TOKEN_FAMILY}${familyId}`, 'revoked', new Date().toISOString());
+
+    const tokens = await redis.hgetall(`${KEYS.TOKEN_FAMILY}${familyId}:tokens`);
+    let revoked = 0;
+    for (const [jti, exp] of Object.entries(tokens || {})) {
+      if (await revokeTokenId(jti, parseInt(exp, 10))) revoked++;
+    }
+
+    log.info(`Token family revoked: ${familyId} (${revoked} tokens)`);
+    return revoked;
+  } catch (e) {
+    log.error('Failed to revoke token family', { error: e.message });
+    return 0;
+  }
+}
+
+// ============================================================================
+// ACCOUNTS (password and launcher key authentication)
+// ============================================================================
+
+/**
+ * Get an account by UUID
+ */
+async function getAccount(uuid) {
+  if (!uuid || !isConnected()) return null;
+
+  try {
+    const data = await redis.get(`${KEYS.ACCOUNT}${uuid}`);
+    return data ? JSON.parse(data) : null;
+  } catch (e) {
+    log.error('Failed to get account', { error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Get an account by login name (case-insensitive)
+ */
+async function getAccountByLogin(login) {
+  if (!login || !isConnected()) return null;
+
+  try {
+    const uuid = await redis.get(`${KEYS.ACCOUNT_LOGIN}${login.toLowerCase()}`);
+    return uuid ? await getAccount(uuid) : null;
+  } catch (e) {
+    log.error('Failed to look up account login', { error: e.message });
+    return null;
+  }
+}
 
-      for (const uuid of playerUuids) {
-        // Check UUID match first (fast)
-        const uuidMatch = uuid.toLowerCase().includes(query);
+/**
+ * Create an account; fails if the login name is already taken
+ * @returns {Promise<boolean>} True if created
+ */
+async function createAccount(account) {
+  if (!isConnected()) return false;
 
-        // Get username for this player
-        let username = uuidUsernameCache.get(uuid);
-        if (!username) {
-          username = await redis.get(`${KEYS.USERNAME}${uuid}`);
-          if (username) uuidUsernameCache.set(uuid, username);
-        }
-        username = username || 'Player';
+  try {
+    const claimed = await redis.set(`${KEYS.ACCOUNT_LOGIN}${account.login.toLowerCase()}`, account.uuid, 'NX');
+    if (!claimed) return false;
 
-        const nameMatch = username.toLowerCase().includes(query);
+    await redis.set(`${KEYS.ACCOUNT}${account.uuid}`, JSON.stringify(account));
+    log.info(`Account created: ${account.login} (${account.uuid})`);
+    return true;
+  } catch (e) {
+    log.error('Failed to create account', { error: e.message });
+    return false;
+  }
+}
 
-        if (uuidMatch || nameMatch) {
-          if (results.has(uuid)) {
-            // Player already found, add this server
-            results.get(uuid).servers.push(serverAudience);
-          } else {
-            // Get TTL for player
-            const ttl = await redis.ttl(`${KEYS.PLAYER_SERVER}${uuid}`);
+/**
+ * Save changes to an existing account (login name changes are not handled here)
+ */
+async function saveAccount(account) {
+  if (!isConnected()) return false;
 
-            results.set(uuid, {
-              uuid,
-              username,
-              ttl: ttl > 0 ? ttl : 0,
-              servers: [serverAudience]
-            });
+  try {
+    await redis.set(`${KEYS.ACCOUNT}${account.uuid}`, JSON.stringify(account));
+    return true;
+  } catch (e) {
+    log.error('Failed to save account', { error: e.message });
+    return false;
+  }
+}
 
-            // Stop if we hit the limit
-            if (results.size >= limit) break;
-          }
-        }
-      }
+/**
+ * Store a launcher key (by hash) for a player
+ */
+async function storeLauncherKey(keyHash, data) {
+  if (!isConnected()) return false;
 
-      if (results.size >= limit) break;
-    }
+  try {
+    await redis.set(`${KEYS.LAUNCHER_KEY}${keyHash}`, JSON.stringify(data));
+    await redis.sadd(`${KEYS.LAUNCHER_KEY}user:${data.uuid}`, keyHash);
+    return true;
+  } catch (e) {
+    log.error('Failed to store launcher key', { error: e.message });
+    return false;
+  }
+}
 
-    // Convert to array and fetch server names
-    const resultsArray = Array.from(results.values());
+/**
+ * Look up a launcher key by hash
+ */
+async function getLauncherKey(keyHash) {
+  if (!isConnected()) return null;
 
-    // Get server names for all unique servers
-    const allServerAudiences = new Set();
-    for (const player of resultsArray) {
-      for (const aud of player.servers) {
-        allServerAudiences.add(aud);
-      }
-    }
+  try {
+    const data = await redis.get(`${KEYS.LAUNCHER_KEY}${keyHash}`);
+    return data ? JSON.parse(data) : null;
+  } catch (e) {
+    log.error('Failed to get launcher key', { error: e.message });
+    return null;
+  }
+}
 
-    const serverNames = new Map();
-    for (const aud of allServerAudiences) {
-      const name = await redis.get(`${KEYS.SERVER_NAME}${aud}`);
-      serverNames.set(aud, name || aud);
-    }
+/**
+ * Delete every launcher key issued to a player
+ * @returns {Promise<number>} Number of keys deleted
+ */
+async function revokeLauncherKeys(uuid) {
+  if (!isConnected()) return 0;
 
-    // Transform servers array to include names
-    for (const player of resultsArray) {
-      player.servers = player.servers.map(aud => ({
-        audience: aud,
-        name: serverNames.get(aud) || aud
-      }));
+  try {
+    const setKey = `${KEYS.LAUNCHER_KEY}user:${uuid}`;
+    const hashes = await redis.smembers(setKey);
+    if (hashes.length > 0) {
+      await redis.del(...hashes.map(hash => `${KEYS.LAUNCHER_KEY}${hash}`));
     }
+    await redis.del(setKey);
+    return hashes.length;
+  } catch (e) {
+    log.error('Failed to revoke launcher keys', { error: e.message });
+    return 0;
+  }
+}
 
-    return resultsArray;
+// ============================================================================
+// GAME PROFILES (several per account)
+// ============================================================================
+
+/**
+ * Get a game profile record
+ * @returns {Promise<Object|null>} { uuid, accountId, createdAt }
+ */
+async function getProfile(uuid) {
+  if (!uuid || !isConnected()) return null;
+
+  try {
+    const data = await redis.get(`${KEYS.PROFILE}${uuid}`);
+    return data ? JSON.parse(data) : null;
+  } catch (e) {
+    log.error('Failed to get profile', { error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Store a game profile record and add it to its account
+ */
+async function saveProfile(profile) {
+  if (!isConnected()) return false;
+
+  try {
+    await redis.set(`${KEYS.PROFILE}${profile.uuid}`, JSON.stringify(profile));
+    await redis.sadd(`${KEYS.ACCOUNT_PROFILES}${profile.accountId}`, profile.uuid);
+    return true;
+  } catch (e) {
+    log.error('Failed to save profile', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Get the profile records of an account, oldest first
+ */
+async function getAccountProfiles(accountId) {
+  if (!accountId || !isConnected()) return [];
+
+  try {
+    const uuids = await redis.smembers(`${KEYS.ACCOUNT_PROFILES}${accountId}`);
+    if (uuids.length === 0) return [];
+
+    const records = await redis.mget(...uuids.map(uuid => `${KEYS.PROFILE}${uuid}`));
+    return records
+      .filter(Boolean)
+      .map(record => JSON.parse(record))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (e) {
+    log.error('Failed to get account profiles', { error: e.message });
+    return [];
+  }
+}
+
+// ============================================================================
+// ENTITLEMENT GRANTS (per account)
+// ============================================================================
+
+/**
+ * Get every stored entitlement grant of an account (including expired ones)
+ * @returns {Promise<Object[]>} Grants: { entitlement, source, reference, grantedAt, expiresAt }
+ */
+async function getEntitlementGrants(accountId) {
+  if (!accountId || !isConnected()) return [];
+
+  try {
+    const grants = await redis.hgetall(`${KEYS.ENTITLEMENTS}${accountId}`);
+    return Object.values(grants || {}).map(grant => JSON.parse(grant));
+  } catch (e) {
+    log.error('Failed to get entitlement grants', { error: e.message });
+    return [];
+  }
+}
+
+/**
+ * Store an entitlement grant (replaces an earlier grant of the same entitlement)
+ */
+async function saveEntitlementGrant(accountId, grant) {
+  if (!accountId || !isConnected()) return false;
+
+  try {
+    await redis.hset(`${KEYS.ENTITLEMENTS}${accountId}`, grant.entitlement, JSON.stringify(grant));
+    return true;
+  } catch (e) {
+    log.error('Failed to save entitlement grant', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Remove an entitlement grant
+ * @returns {Promise<boolean>} True if the account had the grant
+ */
+async function deleteEntitlementGrant(accountId, entitlement) {
+  if (!accountId || !isConnected()) return false;
+
+  try {
+    return await redis.hdel(`${KEYS.ENTITLEMENTS}${accountId}`, entitlement) > 0;
+  } catch (e) {
+    log.error('Failed to delete entitlement grant', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * List the accounts that have stored entitlement grants
+ */
+async function getEntitlementAccounts() {
+  if (!isConnected()) return [];
+
+  try {
+    const accountIds = [];
+    let cursor = '0';
+    do {
+      const [newCursor, keys] = await redis.scan(cursor, 'MATCH', `${KEYS.ENTITLEMENTS}*`, 'COUNT', 500);
+      cursor = newCursor;
+      accountIds.push(...keys.map(key => key.substring(KEYS.ENTITLEMENTS.length)));
+    } while (cursor !== '0');
+    return accountIds;
+  } catch (e) {
+    log.error('Failed to list entitlement accounts', { error: e.message });
+    return [];
+  }
+}
+
+// ============================================================================
+// ALERTS (admin-created rules, rule states, admin banner)
+// ============================================================================
+
+/**
+ * Get the alert rules created through the admin API
+ */
+async function getAlertRules() {
+  if (!isConnected()) return [];
+
+  try {
+    const rules = await redis.hgetall(KEYS.ALERT_RULES);
+    return Object.values(rules || {}).map(rule => JSON.parse(rule));
+  } catch (e) {
+    log.error('Failed to get alert rules', { error: e.message });
+    return [];
+  }
+}
+
+/**
+ * Store an alert rule (replaces a rule with the same id)
+ */
+async function saveAlertRule(rule) {
+  if (!isConnected()) return false;
+
+  try {
+    await redis.hset(KEYS.ALERT_RULES, rule.id, JSON.stringify(rule));
+    return true;
+  } catch (e) {
+    log.error('Failed to save alert rule', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Remove an alert rule
+ * @returns {Promise<boolean>} True if the rule existed
+ */
+async function deleteAlertRule(id) {
+  if (!isConnected()) return false;
+
+  try {
+    return await redis.hdel(KEYS.ALERT_RULES, id) > 0;
+  } catch (e) {
+    log.error('Failed to delete alert rule', { error: e.message });
+    return false;
+  }
+}
+
+/**
+ * Publish the states of all alert rules (rule id -> state)
+ */
+async function saveAlertStates(states) {
+  if (!isConnected()) return;
+
+  try {
+    await redis.set(KEYS.ALERT_STATE, JSON.stringify(states));
+  } catch (e) {
+    log.error('Failed to save alert states', { error: e.message });
+  }
+}
+
+/**
+ * Get the last published alert rule states
+ * @returns {Promise<Object>} rule id -> state
+ */
+async function getAlertStates() {
+  if (!isConnected()) return {};
+
+  try {
+    const states = await redis.get(KEYS.ALERT_STATE);
+    return states ? JSON.parse(states) : {};
+  } catch (e) {
+    log.error('Failed to get alert states', { error: e.message });
+    return {};
+  }
+}
+
+/**
+ * Show a firing alert in the admin banner
+ */
+async function setBannerAlert(ruleId, alert) {
+  if (!isConnected()) return;
+
+  try {
+    await redis.hset(KEYS.ALERT_BANNER, ruleId, JSON.stringify(alert));
+  } catch (e) {
+    log.error('Failed to set banner alert', { error: e.message });
+  }
+}
+
+/**
+ * Remove an alert from the admin banner
+ */
+async function clearBannerAlert(ruleId) {
+  if (!isConnected()) return;
+
+  try {
+    await redis.hdel(KEYS.ALERT_BANNER, ruleId);
+  } catch (e) {
+    log.error('Failed to clear banner alert', { error: e.message });
+  }
+}
+
+/**
+ * Get the alerts shown in the admin banner
+ */
+async function getBannerAlerts() {
+  if (!isConnected()) return [];
+
+  try {
+    const alerts = await redis.hgetall(KEYS.ALERT_BANNER);
+    return Object.values(alerts || {}).map(alert => JSON.parse(alert));
   } catch (e) {
-    console.error('Error searching players:', e.message);
+    log.error('Failed to get banner alerts', { error: e.message });
     return [];
   }
 }
@@ -743,7 +1954,7 @@ function registerDeviceCode(deviceCode, userCode, clientId, scope) {
     deviceCodes.delete(userCode);
   }, 600000);
 
-  console.log(`Device code registered: ${userCode} (expires in 10 min)`);
+  log.info(`Device code registered: ${userCode} (expires in 10 min)`);
   return data;
 }
 
@@ -771,7 +1982,7 @@ function approveDeviceCode(userCode) {
   const data = deviceCodes.get(userCode);
   if (data) {
     data.approved = true;
-    console.log(`Device code approved: ${userCode}`);
+    log.info(`Device code approved: ${userCode}`);
     return true;
   }
   return false;
@@ -785,7 +1996,7 @@ function consumeDeviceCode(deviceCode) {
   if (data) {
     deviceCodes.delete(deviceCode);
     deviceCodes.delete(data.userCode);
-    console.log(`Device code consumed: ${data.userCode}`);
+    log.info(`Device code consumed: ${data.userCode}`);
     return true;
   }
   return false;
@@ -795,6 +2006,7 @@ module.exports = {
   // Sessions
   registerSession,
   registerAuthGrant,
+  consumeAuthGrant,
   removeSession,
 
   // Players/Servers
@@ -802,6 +2014,18 @@ module.exports = {
   findPlayerOnServer,
   getAllActiveSessions,
 
+  // Player telemetry
+  trackActivePlayer,
+  updatePlayerState,
+  updatePlayerHardware,
+  recordSessionEnd,
+  recordEvent,
+  getSessionHistory,
+  getEventHistory,
+  markTelemetrySeen,
+  getPlayerServer,
+  removePlayerFromAllServers,
+
   // Server names
   getServerName,
   setServerName,
@@ -814,9 +2038,25 @@ module.exports = {
   getCachedUsername,
   setCachedUsername,
 
+  // Username registry
+  claimUsername,
+  getUsernameOwner,
+  getUsernameHistory,
+  releaseUsername,
+  releaseUsernamesInactiveSince,
+  releaseHeldUsernames,
+  backfillUsernameRegistry,
+  reserveUsername,
+  unreserveUsername,
+  getReservedUsernames,
+  blockUsername,
+  unblockUsername,
+  getBlockedUsernames,
+
   // Admin stats
   isRedisConnected,
   getKeyCounts,
+  getServerPlayerCounts,
   getPaginatedServers,
   getAllPlayerUuids,
 
@@ -827,6 +2067,49 @@ module.exports = {
   createAdminToken,
   verifyAdminToken,
 
+  // Token revocation
+  revokeTokenId,
+  revokeTokensBefore,
+  getTokenRevocation,
+  getRevocationList,
+
+  // Refresh tokens
+  storeRefreshToken,
+  consumeRefreshToken,
+  addTokenToFamily,
+  getTokenFamily,
+  revokeTokenFamily,
+
+  // Accounts
+  getAccount,
+  getAccountByLogin,
+  createAccount,
+  saveAccount,
+  storeLauncherKey,
+  getLauncherKey,
+  revokeLauncherKeys,
+
+  // Game profiles
+  getProfile,
+  saveProfile,
+  getAccountProfiles,
+
+  // Entitlement grants
+  getEntitlementGrants,
+  saveEntitlementGrant,
+  deleteEntitlementGrant,
+  getEntitlementAccounts,
+
+  // Alerts
+  getAlertRules,
+  saveAlertRule,
+  deleteAlertRule,
+  saveAlertStates,
+  getAlertStates,
+  setBannerAlert,
+  clearBannerAlert,
+  getBannerAlerts,
+
   // Device codes (OAuth device flow)
   registerDeviceCode,
   getDeviceCode,
@@ -0,0 +1,264 @@
+/**
+ * Telemetry schemas - validates and normalizes client telemetry payloads
+ *
+ * Every payload has a `type` (heartbeat, session_start, session_end, event)
+ * and an optional integer `schema_version` (1 if omitted). validate() returns
+ * a copy holding only the fields the schema knows:
+ *   - numbers outside their range are clamped to it
+ *   - strings longer than their limit are truncated
+ *   - optional fields of the wrong type are dropped
+ *   - a missing or mistyped required field rejects the whole payload
+ *
+ * Versions newer than the newest schema here are accepted and validated with
+ * the newest schema, so fields added by newer clients are ignored until the
+ * server learns about them. Versions that are not a positive integer are
+ * rejected.
+ *
+ * Rejection reasons (used as the metrics label): not_an_object, missing_type,
+ * unknown_type, unsupported_version, missing_field, invalid_field.
+ */
+
+const DAY = 86400;
+
+const num = (min, max) => ({ type: 'number', min, max });
+const int = (min, max) => ({ type: 'integer', min, max });
+const str = (maxLength) => ({ type: 'string', maxLength });
+const bool = { type: 'boolean' };
+const obj = (fields, extra = null) => ({ type: 'object', fields, extra });
+const required = (spec) => ({ ...spec, required: true });
+
+// Fields every telemetry type may carry
+const COMMON_FIELDS = {
+  session_id: str(64),
+  timestamp: { type: 'scalar', maxLength: 40 },
+  sequence: int(0, 2147483647)
+};
+
+const SCHEMAS = {
+  1: {
+    heartbeat: {
+      current_state: str(32),
+      activity_state: str(32),
+      session_duration_seconds: num(0, 30 * DAY),
+      performance: obj({
+        fps_avg: num(0, 1000),
+        mean_frame_duration_ms: num(0, 10000),
+        frame_time_p99_ms: num(0, 10000),
+        draw_calls: int(0, 10000000),
+        triangles: int(0, 10000000000)
+      }),
+      network: obj({
+        latency_ms: num(0, 60000),
+        connected: bool,
+        sent_bytes_per_second: num(0, 10000000000),
+        received_bytes_per_second: num(0, 10000000000)
+      }),
+      memory: obj({
+        working_set_mb: num(0, 1048576),
+        private_memory_mb: num(0, 1048576),
+        gc_gen0_collections: int(0, 1000000000)
+      }),
+      game: obj({
+        game_mode: str(32),
+        entity_count: int(0, 10000000),
+        loaded_chunks: int(0, 1000000),
+        view_distance_effective: int(0, 1024)
+      })
+    },
+
+    session_start: {
+      platform: obj({
+        os: str(32),
+        os_version: str(64),
+        architecture: str(16)
+      }),
+      hardware: obj({
+        cpu_cores: int(1, 1024),
+        system_memory_mb: num(0, 16777216),
+        machine_id_hash: str(128),
+        gpu: obj({
+          vendor: str(64),
+          renderer: str(128),
+          vram_available_mb: num(0, 1048576),
+          is_low_end: bool
+        })
+      }),
+      display: obj({
+        resolution_width: int(1, 32768),
+        resolution_height: int(1, 32768),
+        refresh_rate_hz: num(1, 1000),
+        display_mode: str(32)
+      }),
+      client: obj({
+        version: str(32),
+        revision_id: str(64)
+      }),
+      settings: obj({
+        vsync: bool,
+        fps_limit: int(0, 1000),
+        view_distance: int(0, 1024),
+        field_of_view: num(1, 180),
+        render_scale: num(0.1, 4),
+        language: str(16)
+      })
+    },
+
+    session_end: {
+      session_summary: obj({
+        total_duration_seconds: num(0, 30 * DAY),
+        final_state: str(32),
+        exit_reason: str(64),
+        was_in_game: bool,
+        total_in_game_seconds: num(0, 30 * DAY)
+      }),
+      performance_summary: obj({
+        avg_fps: num(0, 1000),
+        min_fps: num(0, 1000),
+        max_fps: num(0, 1000),
+        total_frames: int(0, 1000000000000),
+        total_gc_collections: int(0, 1000000000)
+      }),
+      network_summary: obj({
+        total_sent_mb: num(0, 10000000),
+        total_received_mb: num(0, 10000000),
+        disconnect_count: int(0, 1000000)
+      })
+    },
+
+    event: {
+      event_name: required(str(64)),
+      // Known fields are typed; other flat values are kept with capped sizes
+      event_data: obj({
+        success: bool,
+        time_to_connect_ms: num(0, 600000),
+        reason: str(64),
+        load_time_ms: num(0, 600000),
+        game_mode: str(32),
+        is_singleplayer: bool,
+        from_state: str(32),
+        to_state: str(32)
+      }, { maxKeys: 32, maxStringLength: 256 })
+    }
+  }
+};
+
+const LATEST_VERSION = Math.max(...Object.keys(SCHEMAS).map(Number));
+
+/**
+ * Error raised inside validation to reject a payload
+ */
+class TelemetryRejection extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize one value against its spec
+ * @returns {*} The normalized value, or undefined if it has to be dropped
+ */
+function normalizeValue(spec, value, path) {
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+      const clamped = Math.min(spec.max, Math.max(spec.min, value));
+      return spec.type === 'integer' ? Math.round(clamped) : clamped;
+    }
+    case 'string':
+      return typeof value === 'string' ? value.substring(0, spec.maxLength) : undefined;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'scalar':
+      if (typeof value === 'string') return value.substring(0, spec.maxLength);
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    case 'object':
+      return isPlainObject(value) ? normalizeObject(spec.fields, value, path, spec.extra) : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Normalize an object against its field specs
+ * @param {Object} [extra] - { maxKeys, maxStringLength } to keep unknown flat values
+ * @throws {TelemetryRejection} If a required field is missing or invalid
+ */
+function normalizeObject(fields, value, path = '', extra = null) {
+  const result = {};
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined || value[key] === null) {
+      if (spec.required) throw new TelemetryRejection('missing_field', `${fieldPath} is required`);
+      continue;
+    }
+
+    const normalized = normalizeValue(spec, value[key], fieldPath);
+    if (normalized === undefined) {
+      if (spec.required) throw new TelemetryRejection('invalid_field', `${fieldPath} must be a ${spec.type}`);
+      continue;
+    }
+    result[key] = normalized;
+  }
+
+  if (extra) {
+    const extraKeys = Object.keys(value).filter(key => !(key in fields)).slice(0, extra.maxKeys);
+    for (const key of extraKeys) {
+      const normalized = normalizeValue({ type: 'scalar', maxLength: extra.maxStringLength }, value[key]);
+      if (normalized !== undefined) {
+        result[key.substring(0, 64)] = normalized;
+      } else if (typeof value[key] === 'boolean') {
+        result[key.substring(0, 64)] = value[key];
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate and normalize a telemetry payload
+ * @returns {Object} { valid: true, payload, version } or { valid: false, reason, message }
+ */
+function validate(body) {
+  try {
+    if (!isPlainObject(body)) {
+      throw new TelemetryRejection('not_an_object', 'Telemetry payload must be a JSON object');
+    }
+    if (typeof body.type !== 'string' || !body.type) {
+      throw new TelemetryRejection('missing_type', 'type is required');
+    }
+
+    const version = body.schema_version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new TelemetryRejection('unsupported_version', 'schema_version must be a positive integer');
+    }
+
+    const schemas = SCHEMAS[Math.min(version, LATEST_VERSION)];
+    const fields = Object.hasOwn(schemas, body.type) ? schemas[body.type] : null;
+    if (!fields) {
+      throw new TelemetryRejection('unknown_type', `Unknown telemetry type: ${body.type.substring(0, 32)}`);
+    }
+
+    const payload = normalizeObject({ ...COMMON_FIELDS, ...fields }, body);
+    return {
+      valid: true,
+      payload: { ...payload, type: body.type, schema_version: version },
+      version
+    };
+  } catch (e) {
+    if (!(e instanceof TelemetryRejection)) throw e;
+    return { valid: false, reason: e.reason, message: e.message };
+  }
+}
+
+module.exports = {
+  LATEST_VERSION,
+  validate,
+};
@@ -0,0 +1,180 @@
+/**
+ * Tenant service - maps request hosts to issuer, signing key set and token policy
+ *
+ * Tenants are read from config.tenantsFile (a JSON array). A built-in
+ * 'default' tenant built from DOMAIN always exists and serves any host no
+ * other tenant claims, so single-brand deployments need no tenants file.
+ *
+ * Tenant fields:
+ *   id                  - Unique tenant ID
+ *   domain              - Primary domain (used for fallback issuer and OAuth URLs)
+ *   hosts               - Host patterns: exact ('play.brand.gg') or wildcard ('*.brand.gg')
+ *   issuer              - Fixed `iss`; if omitted, `https://{host}` for matching hosts
+ *   keySet              - Signing key set name (each key set has its own JWKS)
+ *   tokenTtl            - Per-type token lifetimes in seconds, e.g. { "authGrant": 120 }
+ *                         (types: identity, session, authGrant, access, server)
+ *   defaultScopes       - Scopes used when the client requests none
+ *   allowedEntitlements - Entitlements this tenant may put in tokens (null = any)
+ */
+const fs = require('fs');
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('tenants');
+
+const DEFAULT_SCOPES = 'hytale:server hytale:client hytale:editor';
+
+let tenants = [];
+
+/**
+ * Fill in defaults for a tenant definition
+ */
+function normalizeTenant(def) {
+  const domain = def.domain || config.domain;
+  return {
+    id: def.id,
+    domain,
+    hosts: (def.hosts && def.hosts.length ? def.hosts : [domain, `*.${domain}`]).map(h => h.toLowerCase()),
+    issuer: def.issuer || null,
+    keySet: def.keySet || 'default',
+    tokenTtl: { ...config.tokenTtl, ...def.tokenTtl },
+    defaultScopes: Array.isArray(def.defaultScopes) ? def.defaultScopes.join(' ') : (def.defaultScopes || DEFAULT_SCOPES),
+    allowedEntitlements: def.allowedEntitlements || null
+  };
+}
+
+/**
+ * Load tenant definitions from disk
+ */
+function loadTenants() {
+  let defs = [];
+
+  try {
+    if (fs.existsSync(config.tenantsFile)) {
+      defs = JSON.parse(fs.readFileSync(config.tenantsFile, 'utf8'));
+      if (!Array.isArray(defs)) throw new Error('tenants file must contain a JSON array');
+    }
+  } catch (e) {
+    log.error('Could not load tenants file', { error: e.message });
+    defs = [];
+  }
+
+  const loaded = defs.filter(def => def && def.id).map(normalizeTenant);
+  if (!loaded.some(t => t.id === 'default')) {
+    loaded.push(normalizeTenant({ id: 'default' }));
+  }
+
+  tenants = loaded;
+  if (tenants.length > 1) {
+    log.info(`Loaded ${tenants.length} tenants: ${tenants.map(t => t.id).join(', ')}`);
+  }
+}
+
+/**
+ * Check a host against a host pattern ('*.example.com' matches subdomains only)
+ */
+function hostMatches(pattern, host) {
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.substring(1));
+  }
+  return host === pattern;
+}
+
+/**
+ * Strip the port and lowercase a Host header value
+ */
+function normalizeHost(requestHost) {
+  return requestHost ? requestHost.split(':')[0].toLowerCase() : '';
+}
+
+/**
+ * Find the tenant whose host patterns match a host (no fallback)
+ */
+function findTenantForHost(host) {
+  return tenants.find(t => t.hosts.some(pattern => hostMatches(pattern, host))) || null;
+}
+
+/**
+ * Resolve the tenant for a request host
+ * @param {string} [requestHost] - The Host header from the request
+ * @returns {Object} Tenant (the default tenant if no other matches)
+ */
+function resolveTenant(requestHost) {
+  return findTenantForHost(normalizeHost(requestHost)) || getTenant('default');
+}
+
+/**
+ * Get a tenant by ID
+ */
+function getTenant(id) {
+  return tenants.find(t => t.id === id) || null;
+}
+
+/**
+ * List all tenants
+ */
+function listTenants() {
+  return tenants;
+}
+
+/**
+ * Build the issuer URL for a tenant and request host
+ *
+ * Tenants without a fixed issuer use the request host when it belongs to
+ * them (keeps older client patches that pin per-subdomain issuers working),
+ * and their primary domain otherwise.
+ *
+ * @param {Object} tenant - Tenant
+ * @param {string} [requestHost] - The Host header from the request
+ * @returns {string} The issuer URL
+ */
+function getIssuerUrl(tenant, requestHost) {
+  if (tenant.issuer) return tenant.issuer;
+
+  const host = normalizeHost(requestHost);
+  if (host && tenant.hosts.some(pattern => hostMatches(pattern, host))) {
+    return `https://${host}`;
+  }
+  return `https://${tenant.domain}`;
+}
+
+/**
+ * Resolve which tenant issued a token from its `iss` claim
+ * @returns {Object|null} Tenant, or null if the issuer is not ours
+ */
+function resolveTenantByIssuer(iss) {
+  if (typeof iss !== 'string') return null;
+
+  const fixed = tenants.find(t => t.issuer === iss);
+  if (fixed) return fixed;
+
+  try {
+    const issuerUrl = new URL(iss);
+    if (issuerUrl.protocol !== 'https:' || issuerUrl.pathname !== '/') return null;
+    const tenant = findTenantForHost(issuerUrl.hostname);
+    return tenant && !tenant.issuer ? tenant : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Restrict entitlements to those a tenant allows
+ */
+function filterEntitlements(tenant, entitlements) {
+  if (!Array.isArray(entitlements) || !tenant.allowedEntitlements) return entitlements;
+  return entitlements.filter(e => tenant.allowedEntitlements.includes(e));
+}
+
+// Load tenants on module load
+loadTenants();
+
+module.exports = {
+  loadTenants,
+  resolveTenant,
+  resolveTenantByIssuer,
+  getTenant,
+  listTenants,
+  getIssuerUrl,
+  filterEntitlements,
+};
@@ -0,0 +1,152 @@
+/**
+ * Embedded time-series store - metrics history in Redis when there is no VictoriaMetrics
+ *
+ * Each series is kept at every resolution in config.timeseriesResolutions
+ * (by default 15s samples for a day and 5m samples for 30 days), one sorted
+ * set per series and resolution: score = slot start in ms, member =
+ * "<slot>:<value>". The finest resolution is written by record(); coarser
+ * ones are rolled up from it as their slot fills, averaging gauges and
+ * keeping the last value of counters. Every write renews the key's TTL to
+ * the retention, so series that are no longer sampled (such as per-server
+ * series of servers that left the top N) expire with their last sample.
+ *
+ * Counters are stored as running totals and turned into per-minute rates
+ * when queried, like rate(...[1m])*60 in PromQL.
+ */
+const config = require('../config');
+const { redis, isConnected } = require('./redis');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('timeseries');
+
+const KEYS = config.redisKeys;
+
+function seriesKey(resolution, name) {
+  return `${KEYS.TIMESERIES}${resolution.step}:${name}`;
+}
+
+function parseMember(member) {
+  return parseFloat(member.substring(member.indexOf(':') + 1));
+}
+
+/**
+ * Parse a step such as '15s', '5m' or '1h' to milliseconds
+ */
+function parseStep(step) {
+  const match = /^(\d+)([smhd])$/.exec(step);
+  if (!match) return 60000;
+  return parseInt(match[1], 10) * { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+}
+
+/**
+ * Record one sample of every series
+ * @param {Object} gauges - { name: value } sampled as they are
+ * @param {Object} counters - { name: running total }
+ * @param {number} [now] - Sample time in ms
+ */
+async function record(gauges, counters, now = Date.now()) {
+  if (!isConnected()) return;
+
+  const [finest, ...coarser] = config.timeseriesResolutions;
+  const series = [
+    ...Object.entries(gauges).map(([name, value]) => ({ name, value, counter: false })),
+    ...Object.entries(counters).map(([name, value]) => ({ name, value, counter: true }))
+  ].filter(s => Number.isFinite(s.value));
+
+  try {
+    const slot = Math.floor(now / (finest.step * 1000)) * finest.step * 1000;
+    const pipeline = redis.pipeline();
+    for (const { name, value } of series) {
+      const key = seriesKey(finest, name);
+      pipeline.zremrangebyscore(key, slot, slot);
+      pipeline.zadd(key, slot, `${slot}:${value}`);
+      pipeline.zremrangebyscore(key, '-inf', now - finest.retention * 1000);
+      pipeline.expire(key, finest.retention);
+    }
+    await pipeline.exec();
+
+    // Refresh the current slot of each coarser resolution from the finest samples
+    for (const resolution of coarser) {
+      const rollupSlot = Math.floor(now / (resolution.step * 1000)) * resolution.step * 1000;
+      const reads = redis.pipeline();
+      for (const { name } of series) {
+        reads.zrangebyscore(seriesKey(finest, name), rollupSlot, '+inf');
+      }
+      const results = await reads.exec();
+
+      const writes = redis.pipeline();
+      series.forEach(({ name, counter }, i) => {
+        const values = (results[i][1] || []).map(parseMember);
+        if (!values.length) return;
+        const value = counter
+          ? values[values.length - 1]
+          : Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100;
+        const key = seriesKey(resolution, name);
+        writes.zremrangebyscore(key, rollupSlot, rollupSlot);
+        writes.zadd(key, rollupSlot, `${rollupSlot}:${value}`);
+        writes.zremrangebyscore(key, '-inf', now - resolution.retention * 1000);
+        writes.expire(key, resolution.retention);
+      });
+      await writes.exec();
+    }
+  } catch (e) {
+    log.error('Failed to record time series', { error: e.message });
+  }
+}
+
+/**
+ * Query a series between two times
+ *
+ * Reads the finest resolution that still covers `start` and averages its
+ * samples into buckets of `step`.
+ *
+ * @param {string} name - Series name
+ * @param {Object} options - { start, end } in ms, step ('15s', '5m', ...), counter (return per-minute rate)
+ * @returns {Promise<Array<{timestamp: number, value: number}>>}
+ */
+async function query(name, { start, end = Date.now(), step = '1m', counter = false }) {
+  if (!isConnected()) return [];
+
+  const resolutions = config.timeseriesResolutions;
+  const resolution = resolutions.find(r => end - start <= r.retention * 1000) || resolutions[resolutions.length - 1];
+  const stepMs = Math.max(parseStep(step), resolution.step * 1000);
+
+  try {
+    // One extra sample before the range so counters have a rate for the first bucket
+    const members = await redis.zrangebyscore(seriesKey(resolution, name), start - resolution.step * 1000, end, 'WITHSCORES');
+    let samples = [];
+    for (let i = 0; i < members.length; i += 2) {
+      samples.push({ timestamp: parseInt(members[i + 1], 10), value: parseMember(members[i]) });
+    }
+
+    if (counter) {
+      samples = samples.slice(1).map((sample, i) => {
+        const previous = samples[i];
+        // A total lower than before means the counters were reset
+        const delta = sample.value >= previous.value ? sample.value - previous.value : sample.value;
+        return { timestamp: sample.timestamp, value: delta / (sample.timestamp - previous.timestamp) * 60000 };
+      });
+    }
+
+    const buckets = new Map();
+    for (const sample of samples) {
+      if (sample.timestamp < start) continue;
+      const bucket = Math.floor(sample.timestamp / stepMs) * stepMs;
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(sample.value);
+    }
+
+    return [...buckets].map(([timestamp, values]) => ({
+      timestamp,
+      value: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100
+    }));
+  } catch (e) {
+    log.error('Failed to query time series', { error: e.message });
+    return [];
+  }
+}
+
+module.exports = {
+  record,
+  query,
+};
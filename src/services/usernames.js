@@ -0,0 +1,213 @@
+/**
+ * Username registry policy - who may use a name, and when names are freed
+ *
+ * Ownership itself lives in Redis (see the USERNAME REGISTRY section of
+ * storage.js); this module turns claim results into user-facing errors,
+ * validates name changes and runs the periodic release of inactive and
+ * held names.
+ */
+const fs = require('fs');
+const config = require('../config');
+const storage = require('./storage');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('usernames');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+
+// Matched as substrings after folding case and common digit substitutions;
+// extend with one word per line in config.profanityFile
+const DEFAULT_PROFANITY = ['fuck', 'shit', 'cunt', 'bitch', 'whore', 'nigger', 'faggot', 'hitler'];
+const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b' };
+
+let profanity = DEFAULT_PROFANITY;
+
+const CLAIM_ERRORS = {
+  taken: 'is already taken',
+  reserved: 'is reserved',
+  blocked: 'is not allowed'
+};
+
+/**
+ * Claim a name for a UUID
+ * @returns {Promise<Object|null>} null if the claim succeeded (or could not be
+ *   enforced), otherwise an OAuth-style { error, error_description }
+ */
+async function claim(uuid, name) {
+  if (!name || name === 'Player') return null;
+
+  const { status } = await storage.claimUsername(uuid, name);
+  return claimRejection(uuid, name, status);
+}
+
+/**
+ * Turn a rejected claim status into an OAuth-style error (null if not rejected)
+ */
+function claimRejection(uuid, name, status) {
+  if (!CLAIM_ERRORS[status]) return null;
+
+  log.info(`Username claim rejected (${status}): ${name} for ${uuid}`);
+  return {
+    error: `username_${status}`,
+    error_description: `Username ${name} ${CLAIM_ERRORS[status]}`
+  };
+}
+
+/**
+ * Load extra profanity words from config.profanityFile
+ */
+function loadProfanityList() {
+  profanity = DEFAULT_PROFANITY;
+  try {
+    if (fs.existsSync(config.profanityFile)) {
+      const words = fs.readFileSync(config.profanityFile, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'));
+      profanity = [...new Set([...DEFAULT_PROFANITY, ...words])];
+      log.info(`Loaded ${words.length} word(s) from profanity list`);
+    }
+  } catch (e) {
+    log.error('Could not load profanity list', { error: e.message });
+  }
+}
+
+/**
+ * Check a requested name against the naming rules
+ * @returns {string|null} Why the name is invalid, or null if it is fine
+ */
+function validateUsername(name) {
+  if (typeof name !== 'string' || !USERNAME_PATTERN.test(name)) {
+    return 'Usernames are 3-16 characters of letters, digits and underscores';
+  }
+
+  const folded = name.toLowerCase().replace(/[0-9]/g, d => LEET_MAP[d] || d).replace(/_/g, '');
+  if (profanity.some(word => folded.includes(word))) {
+    return 'Username contains a disallowed word';
+  }
+  return null;
+}
+
+/**
+ * When a UUID may change its name next
+ * @param {Object} userData - The player's user data (nameChangedAt is set by changeUsername)
+ * @returns {Date}
+ */
+function getNextNameChangeAt(userData) {
+  const changedAt = userData && userData.nameChangedAt ? new Date(userData.nameChangedAt).getTime() : 0;
+  return new Date(Math.max(Date.now(), changedAt + config.usernameChangeCooldownDays * 86400000));
+}
+
+/**
+ * Change a player's name, enforcing the naming rules and the change cooldown
+ *
+ * The old name stays held for the player for config.usernameGraceDays (see
+ * storage.claimUsername) so they can change back.
+ *
+ * @returns {Promise<Object>} { username, previousUsername, nextNameChangeAt } on
+ *   success, otherwise { status, error, error_description }
+ */
+async function changeUsername(uuid, newName) {
+  const invalid = validateUsername(newName);
+  if (invalid) {
+    return { status: 400, error: 'invalid_username', error_description: invalid };
+  }
+
+  const userData = await storage.getUserData(uuid);
+  const currentName = await storage.getUsername(uuid);
+  if (currentName === newName) {
+    return { status: 400, error: 'invalid_username', error_description: 'That is already your username' };
+  }
+
+  const nextNameChangeAt = getNextNameChangeAt(userData);
+  if (nextNameChangeAt.getTime() > Date.now()) {
+    return {
+      status: 403,
+      error: 'name_change_cooldown',
+      error_description: `Username can be changed again at ${nextNameChangeAt.toISOString()}`,
+      nextNameChangeAt: nextNameChangeAt.toISOString()
+    };
+  }
+
+  // Unlike sign-in claims, a name change must not go ahead unrecorded
+  const { status } = await storage.claimUsername(uuid, newName);
+  if (status === 'unavailable') {
+    return { status: 503, error: 'temporarily_unavailable', error_description: 'The username registry is unavailable, try again later' };
+  }
+  const claimError = claimRejection(uuid, newName, status);
+  if (claimError) {
+    return { status: 409, ...claimError };
+  }
+
+  const changedAt = new Date();
+  await storage.saveUserData(uuid, { ...userData, username: newName, nameChangedAt: changedAt.toISOString() });
+  log.info(`Username changed: ${uuid} ${currentName} -> ${newName}`);
+
+  return {
+    username: newName,
+    previousUsername: currentName,
+    nextNameChangeAt: getNextNameChangeAt({ nameChangedAt: changedAt }).toISOString()
+  };
+}
+
+/**
+ * Release names whose owners have been inactive for config.usernameReleaseDays
+ * @returns {Promise<number>} Number of names released
+ */
+async function releaseInactiveUsernames() {
+  if (!config.usernameReleaseDays) return 0;
+
+  const cutoff = Date.now() - config.usernameReleaseDays * 86400000;
+  const released = await storage.releaseUsernamesInactiveSince(cutoff);
+  if (released > 0) {
+    log.info(`Released ${released} username(s) inactive for ${config.usernameReleaseDays}+ days`);
+  }
+  return released;
+}
+
+/**
+ * Release names held after a change whose grace period has ended
+ * @returns {Promise<number>} Number of names released
+ */
+async function releaseHeldUsernames() {
+  const released = await storage.releaseHeldUsernames();
+  if (released > 0) {
+    log.info(`Released ${released} username(s) after their grace period`);
+  }
+  return released;
+}
+
+/**
+ * Release inactive and held names
+ */
+async function releaseUsernames() {
+  await releaseInactiveUsernames();
+  await releaseHeldUsernames();
+}
+
+/**
+ * Index pre-registry usernames once, then release names periodically
+ */
+async function scheduleUsernameRelease() {
+  const indexed = await storage.backfillUsernameRegistry();
+  if (indexed > 0) {
+    log.info(`Username registry: indexed ${indexed} existing username(s)`);
+  }
+
+  await releaseUsernames();
+  setInterval(releaseUsernames, config.usernameReleaseCheckInterval);
+}
+
+// Load the profanity list on module load
+loadProfanityList();
+
+module.exports = {
+  claim,
+  loadProfanityList,
+  validateUsername,
+  getNextNameChangeAt,
+  changeUsername,
+  releaseInactiveUsernames,
+  releaseHeldUsernames,
+  scheduleUsernameRelease,
+};
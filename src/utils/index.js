@@ -1,3 +1,5 @@
 module.exports = {
+  logger: require('./logger'),
   response: require('./response'),
+  router: require('./router'),
 };
@@ -0,0 +1,123 @@
+/**
+ * Logger - leveled, per-module, as text or JSON lines
+ *
+ *   const log = require('../utils/logger').createLogger('storage');
+ *   log.info('Player left server', { uuid, server });
+ *   log.error('Failed to save user data', { error: e.message });
+ *
+ * config.logLevel is the default level, config.logLevels overrides it per
+ * module and config.logFormat 'json' writes one object per line. Fields are
+ * redacted (passwords, tokens, fingerprints, credentials in headers) and JWTs
+ * are masked in messages. Lines written while handling a request carry its
+ * request ID (see withRequestId).
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged (compared lowercase without '_' and '-')
+const SENSITIVE_KEY = /(password|token|secret|fingerprint|apikey|authorization|grant|cookie)$|^(auth|cnf|code|devicecode|x5ts256)$/;
+
+// JWTs in free text
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+const requestContext = new AsyncLocalStorage();
+
+function isSensitiveKey(key) {
+  return SENSITIVE_KEY.test(key.toLowerCase().replace(/[_-]/g, ''));
+}
+
+/**
+ * Sanitize body for logging (remove sensitive data, nested objects included)
+ */
+function sanitizeBody(body, depth = 0) {
+  if (!body || typeof body !== 'object') return body;
+  if (depth > 5) return '[Object]';
+  if (Array.isArray(body)) return body.map(item => sanitizeBody(item, depth + 1));
+
+  const sanitized = {};
+  for (const [key, value] of Object.entries(body)) {
+    sanitized[key] = value && isSensitiveKey(key) ? REDACTED : sanitizeBody(value, depth + 1);
+  }
+  return sanitized;
+}
+
+/**
+ * Sanitize headers for logging
+ */
+function sanitizeHeaders(headers) {
+  const sanitized = { ...headers };
+
+  for (const key of Object.keys(sanitized)) {
+    if (key === 'authorization') {
+      // Redact authorization header but keep type
+      const parts = String(sanitized.authorization).split(' ');
+      sanitized.authorization = parts.length > 1 ? parts[0] + ' ' + REDACTED : REDACTED;
+    } else if (isSensitiveKey(key)) {
+      sanitized[key] = REDACTED;
+    }
+  }
+
+  return sanitized;
+}
+
+/**
+ * Run fn with a request ID attached to every line it logs
+ */
+function withRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+function levelOf(module) {
+  return LEVELS[config.logLevels[module]] || LEVELS[config.logLevel] || LEVELS.info;
+}
+
+function write(level, module, message, fields) {
+  const msg = String(message).replace(JWT_PATTERN, REDACTED);
+  const data = fields ? sanitizeBody(fields) : null;
+  const requestId = getRequestId();
+  const out = LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+
+  if (config.logFormat === 'json') {
+    out(JSON.stringify({ time: new Date().toISOString(), level, module, msg, ...(requestId && { requestId }), ...data }));
+    return;
+  }
+
+  let line = `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}`;
+  if (data && Object.keys(data).length) line += ` ${JSON.stringify(data)}`;
+  if (requestId) line += ` (request ${requestId})`;
+  out(line);
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Name shown on each line and used for per-module levels
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, isEnabled: Function}}
+ *   Each log function takes (message, fields?)
+ */
+function createLogger(module) {
+  const log = {
+    isEnabled: (level) => LEVELS[level] >= levelOf(module)
+  };
+  for (const level of Object.keys(LEVELS)) {
+    log[level] = (message, fields) => {
+      if (log.isEnabled(level)) write(level, module, message, fields);
+    };
+  }
+  return log;
+}
+
+module.exports = {
+  createLogger,
+  withRequestId,
+  getRequestId,
+  sanitizeBody,
+  sanitizeHeaders,
+};
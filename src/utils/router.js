@@ -0,0 +1,130 @@
+/**
+ * Declarative router - method + path pattern -> handler
+ *
+ * Patterns are matched against the whole path:
+ *   /game-session/new          - exact path
+ *   /profile/uuid/:uuid        - `:name` captures one segment into params.name
+ *   /avatar/*                  - trailing `*` captures the rest into params.rest
+ *
+ * Routes are tried in the order they were added. A route is
+ * { methods, pattern, handler, options } where options may hold:
+ *   raw        - Do not parse the body (the handler reads the stream itself)
+ *   middleware - Functions run before the handler, each `async (ctx) => boolean`;
+ *                returning false means it already responded
+ *   banner     - Label under which the pattern is listed in the startup banner
+ */
+
+/**
+ * Compile a path pattern to a regular expression and its parameter names
+ */
+function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map((segment, i, segments) => {
+      if (segment === '*' && i === segments.length - 1) {
+        keys.push('rest');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+/**
+ * Decode a captured path segment, leaving malformed escapes as they are
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Create a router
+ */
+function createRouter() {
+  const routes = [];
+
+  /**
+   * Add a route
+   * @param {string|string[]} methods - HTTP method(s), or '*' for any method
+   * @param {string|string[]} patterns - Path pattern(s) served by the handler
+   * @param {Function} handler - async (ctx) => void
+   * @param {Object} [options] - { raw, middleware, banner }
+   */
+  function add(methods, patterns, handler, options = {}) {
+    const methodList = [].concat(methods).map(m => m.toUpperCase());
+    for (const pattern of [].concat(patterns)) {
+      routes.push({
+        methods: methodList.includes('*') ? null : methodList,
+        pattern,
+        ...compilePattern(pattern),
+        handler,
+        options
+      });
+    }
+  }
+
+  /**
+   * Find the route for a request
+   * @returns {Object} { route, params } on a match; otherwise { route: null, allowed }
+   *   where `allowed` lists the methods the path does support (empty if none)
+   */
+  function match(method, path) {
+    // HEAD is answered like GET
+    const requestMethod = method === 'HEAD' ? 'GET' : method;
+    const allowed = new Set();
+
+    for (const route of routes) {
+      const m = route.regex.exec(path);
+      if (!m) continue;
+
+      if (route.methods && !route.methods.includes(requestMethod)) {
+        route.methods.forEach(allowedMethod => allowed.add(allowedMethod));
+        continue;
+      }
+
+      const params = {};
+      route.keys.forEach((key, i) => { params[key] = decodeParam(m[i + 1]); });
+      return { route, params };
+    }
+
+    return { route: null, allowed: [...allowed] };
+  }
+
+  /**
+   * Patterns to list at startup, grouped by banner label in route order
+   * @returns {Array<{label: string, patterns: string[]}>}
+   */
+  function describe() {
+    const groups = new Map();
+    for (const route of routes) {
+      const label = route.options.banner;
+      if (!label) continue;
+      if (!groups.has(label)) groups.set(label, []);
+      if (!groups.get(label).includes(route.pattern)) groups.get(label).push(route.pattern);
+    }
+    return [...groups].map(([label, patterns]) => ({ label, patterns }));
+  }
+
+  return {
+    routes,
+    add,
+    get: (patterns, handler, options) => add('GET', patterns, handler, options),
+    post: (patterns, handler, options) => add('POST', patterns, handler, options),
+    delete: (patterns, handler, options) => add('DELETE', patterns, handler, options),
+    any: (patterns, handler, options) => add('*', patterns, handler, options),
+    match,
+    describe
+  };
+}
+
+module.exports = { createRouter };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/services/redis', () => ({ redis: {}, isConnected: () => false }));
+jest.mock('../../src/services/storage', () => ({ getTokenRevocation: async () => null }));
+jest.mock('../../src/services/accounts', () => ({ isOpen: () => true }));
+jest.mock('../../src/services/metrics', () => ({ incCounter: jest.fn() }));
+
+const config = require('../../src/config');
+
+// Keys are generated and saved when auth loads: keep them out of the real data dir
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cert-binding-test-'));
+config.keyFile = path.join(dataDir, 'jwt_keys.json');
+config.tenantsFile = path.join(dataDir, 'tenants.json');
+
+const auth = require('../../src/services/auth');
+const metrics = require('../../src/services/metrics');
+const { normalizeCertFingerprint, getClientCertFingerprint, enforceCertBinding } = require('../../src/middleware');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const CERT = Buffer.from('client certificate DER');
+const FINGERPRINT = crypto.createHash('sha256').update(CERT).digest('base64url');
+
+function mockRes() {
+  return {
+    status: null,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    writeHead(status) { this.status = status; },
+    end(body) { this.body = JSON.parse(body); }
+  };
+}
+
+// A request over our own TLS socket, optionally presenting a client certificate
+function tlsRequest(token, cert = null) {
+  return {
+    url: '/server-join/auth-token',
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    socket: { remoteAddress: '203.0.113.7', getPeerCertificate: () => (cert ? { raw: cert } : {}) }
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('normalizeCertFingerprint', () => {
+  const hex = crypto.createHash('sha256').update(CERT).digest('hex');
+
+  test('accepts hex with or without colons, base64 and base64url', () => {
+    expect(normalizeCertFingerprint(hex)).toBe(FINGERPRINT);
+    expect(normalizeCertFingerprint(hex.toUpperCase().match(/../g).join(':'))).toBe(FINGERPRINT);
+    expect(normalizeCertFingerprint(Buffer.from(hex, 'hex').toString('base64'))).toBe(FINGERPRINT);
+    expect(normalizeCertFingerprint(FINGERPRINT)).toBe(FINGERPRINT);
+  });
+
+  test('rejects values that are not a SHA-256 digest', () => {
+    expect(normalizeCertFingerprint('abcd')).toBeNull();
+    expect(normalizeCertFingerprint(null)).toBeNull();
+    expect(normalizeCertFingerprint(42)).toBeNull();
+  });
+});
+
+describe('getClientCertFingerprint', () => {
+  afterEach(() => {
+    config.trustedProxies = [];
+  });
+
+  test('hashes the TLS peer certificate', () => {
+    expect(getClientCertFingerprint(tlsRequest(null, CERT))).toBe(FINGERPRINT);
+  });
+
+  test('only believes the fingerprint header from a trusted proxy', () => {
+    const req = {
+      headers: { [config.clientCertHeader]: FINGERPRINT },
+      socket: { remoteAddress: '::ffff:10.0.0.2' }
+    };
+    expect(getClientCertFingerprint(req)).toBeNull();
+
+    config.trustedProxies = ['10.0.0.2'];
+    expect(getClientCertFingerprint(req)).toBe(FINGERPRINT);
+  });
+});
+
+describe('enforceCertBinding', () => {
+  const bound = () => auth.generateAccessToken(UUID, 'Steve', 'server-a', FINGERPRINT);
+
+  beforeEach(() => {
+    config.certBindingMode = 'enforce';
+    metrics.incCounter.mockClear();
+  });
+
+  afterAll(() => {
+    config.certBindingMode = 'off';
+  });
+
+  test('binds access tokens to the certificate fingerprint', () => {
+    const payload = JSON.parse(Buffer.from(bound().split('.')[1], 'base64url').toString());
+    expect(payload.cnf).toEqual({ 'x5t#S256': FINGERPRINT });
+  });
+
+  test('accepts a bound token with the matching certificate', () => {
+    const res = mockRes();
+    expect(enforceCertBinding(tlsRequest(bound(), CERT), res)).toBe(true);
+    expect(res.status).toBeNull();
+    expect(metrics.incCounter).toHaveBeenCalledWith('cert_binding', { result: 'match' });
+  });
+
+  test('rejects a bound token presented with another certificate', () => {
+    const res = mockRes();
+    expect(enforceCertBinding(tlsRequest(bound(), Buffer.from('another certificate')), res)).toBe(false);
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('invalid_token');
+    expect(res.headers['WWW-Authenticate']).toContain('invalid_token');
+    expect(metrics.incCounter).toHaveBeenCalledWith('cert_binding', { result: 'mismatch' });
+  });
+
+  test('rejects a bound token presented without a certificate', () => {
+    const res = mockRes();
+    expect(enforceCertBinding(tlsRequest(bound()), res)).toBe(false);
+    expect(res.status).toBe(401);
+    expect(metrics.incCounter).toHaveBeenCalledWith('cert_binding', { result: 'missing' });
+  });
+
+  test('lets unbound and unverifiable tokens through to the routes', () => {
+    expect(enforceCertBinding(tlsRequest(auth.generateAccessToken(UUID, 'Steve', 'server-a')), mockRes())).toBe(true);
+    expect(enforceCertBinding(tlsRequest('not-a-token'), mockRes())).toBe(true);
+    expect(enforceCertBinding(tlsRequest(null), mockRes())).toBe(true);
+  });
+
+  test('does nothing unless the mode is enforce', () => {
+    config.certBindingMode = 'off';
+    expect(enforceCertBinding(tlsRequest(bound()), mockRes())).toBe(true);
+  });
+});
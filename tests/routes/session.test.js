@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Grants registered by handleAuthorizationGrant, and the jtis already exchanged
+const mockGrants = new Map();
+const mockUsedGrants = new Set();
+
+const mockStorage = {
+  getTokenRevocation: jest.fn(async () => null),
+  registerAuthGrant: jest.fn(async (authGrant, playerUuid, playerName, serverAudience) => {
+    mockGrants.set(authGrant, { playerUuid, playerName, serverAudience });
+  }),
+  consumeAuthGrant: jest.fn(async (authGrant, jti) => {
+    if (mockUsedGrants.has(jti)) return { status: 'reused' };
+    if (!mockGrants.has(authGrant)) return { status: 'invalid' };
+    mockUsedGrants.add(jti);
+    return { status: 'ok', data: mockGrants.get(authGrant) };
+  }),
+  storeRefreshToken: jest.fn(async () => true),
+  addTokenToFamily: jest.fn(async () => {}),
+  registerSession: jest.fn(async () => {}),
+};
+
+jest.mock('../../src/services/redis', () => ({ redis: {}, isConnected: () => false }));
+jest.mock('../../src/services/storage', () => mockStorage);
+jest.mock('../../src/services/metrics', () => ({ incCounter: jest.fn() }));
+jest.mock('../../src/services/accounts', () => ({ isOpen: () => false }));
+jest.mock('../../src/services/usernames', () => ({}));
+jest.mock('../../src/services/profiles', () => ({ getProfileEntitlements: async () => ['game.base'] }));
+
+const config = require('../../src/config');
+
+// Keys are generated and saved when auth loads: keep them out of the real data dir
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-test-'));
+config.keyFile = path.join(dataDir, 'jwt_keys.json');
+config.tenantsFile = path.join(dataDir, 'tenants.json');
+
+const auth = require('../../src/services/auth');
+const metrics = require('../../src/services/metrics');
+const { handleAuthorizationGrant, handleTokenExchange } = require('../../src/routes/session');
+
+const PLAYER = '11111111-1111-4111-8111-111111111111';
+const SERVER_A = '22222222-2222-4222-8222-222222222222';
+const SERVER_B = '33333333-3333-4333-8333-333333333333';
+
+function mockRes() {
+  return {
+    status: null,
+    body: null,
+    setHeader() {},
+    writeHead(status) { this.status = status; },
+    end(body) { this.body = JSON.parse(body); }
+  };
+}
+
+function decode(token) {
+  return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+}
+
+// A player asks for a grant to join a server
+async function requestGrant(audience, identityToken = auth.generateIdentityToken(PLAYER, 'Steve')) {
+  const req = { headers: {} };
+  const res = mockRes();
+  await handleAuthorizationGrant(req, res, { identityToken, aud: audience }, PLAYER, 'Steve', req.headers);
+  return res;
+}
+
+// A server exchanges a grant, authenticated by its own session token
+async function exchange(authorizationGrant, server) {
+  const headers = server ? { authorization: `Bearer ${auth.generateSessionToken(server)}` } : {};
+  const res = mockRes();
+  await handleTokenExchange({ headers }, res, { authorizationGrant }, 'ignored', 'ignored', headers);
+  return res;
+}
+
+beforeEach(() => {
+  mockGrants.clear();
+  mockUsedGrants.clear();
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('authorization grants', () => {
+  test('are issued for the player of the identity token and the requested server', async () => {
+    const res = await requestGrant(SERVER_A);
+    expect(res.status).toBe(200);
+    expect(decode(res.body.authorizationGrant)).toMatchObject({ sub: PLAYER, name: 'Steve', aud: SERVER_A });
+    expect(mockStorage.registerAuthGrant).toHaveBeenCalledWith(res.body.authorizationGrant, PLAYER, 'Steve', SERVER_A, expect.any(Object));
+  });
+
+  test('are not issued for an access token standing in for the identity token', async () => {
+    const res = await requestGrant(SERVER_A, auth.generateAccessToken(PLAYER, 'Steve', SERVER_B));
+    expect(res.status).toBe(401);
+    expect(mockStorage.registerAuthGrant).not.toHaveBeenCalled();
+  });
+
+  test('exchange once for an access token bound to the same server', async () => {
+    const { authorizationGrant } = (await requestGrant(SERVER_A)).body;
+    const res = await exchange(authorizationGrant, SERVER_A);
+
+    expect(res.status).toBe(200);
+    expect(decode(res.body.accessToken)).toMatchObject({ sub: PLAYER, aud: SERVER_A, entitlements: ['game.base'] });
+    expect(metrics.incCounter).toHaveBeenCalledWith('auth_grant_exchange', { result: 'ok' });
+  });
+
+  test('are rejected when replayed', async () => {
+    const { authorizationGrant } = (await requestGrant(SERVER_A)).body;
+    expect((await exchange(authorizationGrant, SERVER_A)).status).toBe(200);
+
+    const replay = await exchange(authorizationGrant, SERVER_A);
+    expect(replay.status).toBe(400);
+    expect(replay.body).toEqual({ error: 'invalid_grant', error_description: 'Authorization grant has already been used' });
+    expect(metrics.incCounter).toHaveBeenCalledWith('auth_grant_exchange', { result: 'replay' });
+  });
+
+  test('cannot be exchanged, or burnt, by another server', async () => {
+    const { authorizationGrant } = (await requestGrant(SERVER_A)).body;
+
+    const wrongServer = await exchange(authorizationGrant, SERVER_B);
+    expect(wrongServer.status).toBe(400);
+    expect(metrics.incCounter).toHaveBeenCalledWith('auth_grant_exchange', { result: 'wrong_audience' });
+    expect(mockStorage.consumeAuthGrant).not.toHaveBeenCalled();
+
+    expect((await exchange(authorizationGrant, SERVER_A)).status).toBe(200);
+  });
+
+  test('need a server token to be exchanged', async () => {
+    const { authorizationGrant } = (await requestGrant(SERVER_A)).body;
+    const res = await exchange(authorizationGrant, null);
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('invalid_client');
+  });
+
+  test('must have been registered by this server', async () => {
+    const grant = auth.generateAuthorizationGrant(PLAYER, 'Steve', SERVER_A);
+    const res = await exchange(grant, SERVER_A);
+    expect(res.status).toBe(400);
+    expect(metrics.incCounter).toHaveBeenCalledWith('auth_grant_exchange', { result: 'invalid' });
+  });
+});
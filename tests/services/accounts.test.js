@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+const mockStorage = {
+  getAccountByLogin: jest.fn(async () => null),
+  getLauncherKey: jest.fn(async () => null),
+  storeLauncherKey: jest.fn(async () => true),
+  claimUsername: jest.fn(async () => ({ status: 'ok' })),
+  createAccount: jest.fn(async () => true),
+  releaseUsername: jest.fn(async () => true),
+};
+
+jest.mock('../../src/services/redis', () => ({ redis: {}, isConnected: () => false }));
+jest.mock('../../src/services/storage', () => mockStorage);
+
+const IDP = 'https://idp.example';
+const CLIENT_ID = 'hytale-auth';
+
+let config;
+let accounts;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  // Fresh module state (the OIDC key cache) for every test
+  jest.isolateModules(() => {
+    config = require('../../src/config');
+    accounts = require('../../src/services/accounts');
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('accounts provider registry', () => {
+  test('registers the built-in providers', () => {
+    expect(accounts.getProviderNames()).toEqual(expect.arrayContaining(['open', 'password', 'launcher-key', 'oidc']));
+  });
+
+  test('the open provider keeps the identity from the request', async () => {
+    expect(accounts.isOpen()).toBe(true);
+    await expect(accounts.authenticate({}, { uuid: 'u-1', name: 'Steve' })).resolves.toEqual({ uuid: 'u-1', name: 'Steve' });
+  });
+
+  test('an unknown provider is an error', () => {
+    config.accountAuthProvider = 'pasword';
+    expect(() => accounts.getProvider()).toThrow(/Unknown account auth provider/);
+  });
+
+  test('provider failures other than AccountAuthError count as invalid credentials', async () => {
+    accounts.registerProvider({ name: 'broken', authenticate: async () => { throw new Error('boom'); } });
+    config.accountAuthProvider = 'broken';
+    await expect(accounts.authenticate({}, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+  });
+});
+
+describe('password provider', () => {
+  beforeEach(() => {
+    config.accountAuthProvider = 'password';
+  });
+
+  test('hashes passwords with scrypt and verifies them', async () => {
+    const hash = await accounts.hashPassword('correct horse');
+    expect(hash).toMatch(/^scrypt\$16384\$8\$1\$/);
+    expect(await accounts.verifyPassword('correct horse', hash)).toBe(true);
+    expect(await accounts.verifyPassword('wrong horse', hash)).toBe(false);
+    expect(await accounts.verifyPassword('correct horse', 'md5$abc')).toBe(false);
+  });
+
+  test('authenticates the account with the matching password', async () => {
+    const account = { uuid: 'u-1', name: 'Steve', passwordHash: await accounts.hashPassword('secret') };
+    mockStorage.getAccountByLogin.mockImplementation(async login => (login === 'steve' ? account : null));
+
+    await expect(accounts.authenticate({ username: 'steve', password: 'secret' }, {})).resolves.toEqual({ uuid: 'u-1', name: 'Steve' });
+    await expect(accounts.authenticate({ username: 'steve', password: 'nope' }, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+    expect(mockStorage.getAccountByLogin).toHaveBeenCalledWith('steve');
+  });
+
+  test('rejects unknown logins and missing or non-string credentials', async () => {
+    await expect(accounts.authenticate({ username: 'ghost', password: 'secret' }, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+    await expect(accounts.authenticate({ username: 'steve' }, {})).rejects.toMatchObject({ code: 'missing_credentials' });
+    await expect(accounts.authenticate({ username: ['steve'], password: 'secret' }, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+  });
+
+  test('creates accounts under a claimed username', async () => {
+    const account = await accounts.createPasswordAccount('Steve', 'secret');
+    expect(account).toEqual({ uuid: expect.any(String), login: 'Steve', name: 'Steve', createdAt: expect.any(String) });
+    expect(mockStorage.claimUsername).toHaveBeenCalledWith(account.uuid, 'Steve');
+    expect(mockStorage.createAccount).toHaveBeenCalledWith(expect.objectContaining({ uuid: account.uuid, passwordHash: expect.stringMatching(/^scrypt\$/) }));
+  });
+
+  test('does not create an account when the username is taken, and frees it if saving fails', async () => {
+    mockStorage.claimUsername.mockResolvedValueOnce({ status: 'taken' });
+    expect(await accounts.createPasswordAccount('Steve', 'secret')).toBeNull();
+    expect(mockStorage.createAccount).not.toHaveBeenCalled();
+
+    mockStorage.createAccount.mockResolvedValueOnce(false);
+    expect(await accounts.createPasswordAccount('Steve', 'secret')).toBeNull();
+    expect(mockStorage.releaseUsername).toHaveBeenCalledWith('Steve', expect.any(String));
+  });
+});
+
+describe('launcher-key provider', () => {
+  beforeEach(() => {
+    config.accountAuthProvider = 'launcher-key';
+  });
+
+  test('authenticates the player a key was issued to, storing only its hash', async () => {
+    const launcherKey = await accounts.issueLauncherKey('u-1', 'Steve');
+    const [[keyHash, data]] = mockStorage.storeLauncherKey.mock.calls;
+    expect(keyHash).not.toContain(launcherKey);
+    expect(data).toMatchObject({ uuid: 'u-1', name: 'Steve' });
+
+    mockStorage.getLauncherKey.mockImplementation(async hash => (hash === keyHash ? data : null));
+    await expect(accounts.authenticate({ launcherKey }, {})).resolves.toEqual({ uuid: 'u-1', name: 'Steve' });
+    await expect(accounts.authenticate({ launcherKey: 'lk_other' }, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+    await expect(accounts.authenticate({}, {})).rejects.toMatchObject({ code: 'missing_credentials' });
+  });
+});
+
+describe('oidc provider', () => {
+  const idpKeys = { k1: crypto.generateKeyPairSync('ed25519'), k2: crypto.generateKeyPairSync('ed25519') };
+  let published;
+  let fetches;
+
+  const jwk = (kid) => ({ ...idpKeys[kid].publicKey.export({ format: 'jwk' }), kid });
+
+  function idToken(claims = {}, kid = 'k1', signingKey = idpKeys[kid].privateKey) {
+    const now = Math.floor(Date.now() / 1000);
+    const head = Buffer.from(JSON.stringify({ alg: 'EdDSA', kid })).toString('base64url');
+    const body = Buffer.from(JSON.stringify({ iss: IDP, aud: CLIENT_ID, sub: 'upstream-42', preferred_username: 'Steve', exp: now + 300, ...claims })).toString('base64url');
+    return `${head}.${body}.${crypto.sign(null, Buffer.from(`${head}.${body}`), signingKey).toString('base64url')}`;
+  }
+
+  // Serve OIDC discovery and the JWKS of the currently published kids
+  function mockIdp() {
+    jest.spyOn(https, 'get').mockImplementation((url, options, callback) => {
+      fetches.push(url);
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      const body = url.endsWith('/.well-known/openid-configuration')
+        ? { issuer: IDP, jwks_uri: `${IDP}/jwks` }
+        : { keys: published.map(jwk) };
+      process.nextTick(() => {
+        callback(res);
+        res.emit('data', JSON.stringify(body));
+        res.emit('end');
+      });
+      const req = new EventEmitter();
+      req.destroy = () => {};
+      return req;
+    });
+  }
+
+  beforeEach(() => {
+    config.accountAuthProvider = 'oidc';
+    config.oidcIssuer = IDP;
+    config.oidcClientId = CLIENT_ID;
+    published = ['k1'];
+    fetches = [];
+    mockIdp();
+  });
+
+  test('maps a valid ID token to a stable player uuid and its username claim', async () => {
+    const first = await accounts.authenticate({ idToken: idToken() }, {});
+    const second = await accounts.authenticate({ id_token: idToken({ preferred_username: 'Alex' }) }, {});
+    expect(first.name).toBe('Steve');
+    expect(second.name).toBe('Alex');
+    expect(first.uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-a[0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(second.uuid).toBe(first.uuid);
+  });
+
+  test('rejects ID tokens with a bad signature, issuer, audience, expiry or subject', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    for (const token of [
+      idToken({}, 'k1', idpKeys.k2.privateKey),
+      idToken({ iss: 'https://other-idp.example' }),
+      idToken({ aud: 'someone-else' }),
+      idToken({ exp: now - config.tokenClockSkew - 1 }),
+      idToken({ sub: '' }),
+      'not.a.token'
+    ]) {
+      await expect(accounts.authenticate({ idToken: token }, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+    }
+  });
+
+  test('is unavailable until configured', async () => {
+    config.oidcClientId = null;
+    await expect(accounts.authenticate({ idToken: idToken() }, {})).rejects.toMatchObject({ code: 'unavailable' });
+  });
+
+  test('caches the IdP keys', async () => {
+    await accounts.authenticate({ idToken: idToken() }, {});
+    await accounts.authenticate({ idToken: idToken() }, {});
+    expect(fetches).toEqual([`${IDP}/.well-known/openid-configuration`, `${IDP}/jwks`]);
+  });
+
+  test('refetches the keys for an unknown kid at most once a minute', async () => {
+    await accounts.authenticate({ idToken: idToken() }, {});
+    expect(fetches).toHaveLength(2);
+
+    // Made-up kids right after a fetch do not reach the IdP
+    for (let i = 0; i < 5; i++) {
+      await expect(accounts.authenticate({ idToken: idToken({}, 'k2') }, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+    }
+    expect(fetches).toHaveLength(2);
+
+    // A minute later the IdP has rotated to k2: one refetch picks it up
+    published = ['k1', 'k2'];
+    const later = Date.now() + 61000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    await expect(accounts.authenticate({ idToken: idToken({}, 'k2') }, {})).resolves.toMatchObject({ name: 'Steve' });
+    expect(fetches).toHaveLength(4);
+
+    await expect(accounts.authenticate({ idToken: idToken({}, 'k3', idpKeys.k1.privateKey) }, {})).rejects.toMatchObject({ code: 'invalid_credentials' });
+    expect(fetches).toHaveLength(4);
+  });
+
+  test('reports the IdP as unavailable when its keys cannot be fetched', async () => {
+    https.get.mockImplementation((url, options, callback) => {
+      const res = new EventEmitter();
+      res.statusCode = 503;
+      process.nextTick(() => {
+        callback(res);
+        res.emit('end');
+      });
+      const req = new EventEmitter();
+      req.destroy = () => {};
+      return req;
+    });
+    await expect(accounts.authenticate({ idToken: idToken() }, {})).rejects.toMatchObject({ code: 'unavailable' });
+  });
+});
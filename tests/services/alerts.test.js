@@ -0,0 +1,188 @@
+// Keep the Redis-backed services out of the test
+const mockStorage = {
+  getAlertRules: jest.fn(async () => []),
+  saveAlertStates: jest.fn(async () => true),
+  setBannerAlert: jest.fn(async () => true),
+  clearBannerAlert: jest.fn(async () => true)
+};
+const mockMetrics = { readMetricsFromRedis: jest.fn() };
+jest.mock('../../src/services/storage', () => mockStorage);
+jest.mock('../../src/services/metrics', () => mockMetrics);
+jest.mock('../../src/services/redis', () => ({ redis: {}, isConnected: () => true }));
+
+const path = require('path');
+const config = require('../../src/config');
+const { parseCondition, validateRule, getNotifiers } = require('../../src/services/alerts');
+
+config.alertRulesFile = path.join(__dirname, 'no-such-alert-rules.json');
+
+const name = (n) => ({ type: 'name', name: n });
+const num = (value) => ({ type: 'num', value });
+const op = (o, left, right) => ({ type: 'op', op: o, left, right });
+
+describe('alerts.parseCondition', () => {
+  describe('expressions', () => {
+    test('* and / bind tighter than + and -', () => {
+      expect(parseCondition('a + b * c > 1').expression).toEqual(op('+', name('a'), op('*', name('b'), name('c'))));
+      expect(parseCondition('a / b - c > 1').expression).toEqual(op('-', op('/', name('a'), name('b')), name('c')));
+    });
+
+    test('operators of equal precedence associate to the left', () => {
+      expect(parseCondition('a - b - c > 0').expression).toEqual(op('-', op('-', name('a'), name('b')), name('c')));
+      expect(parseCondition('a / b / c > 0').expression).toEqual(op('/', op('/', name('a'), name('b')), name('c')));
+    });
+
+    test('parentheses override precedence', () => {
+      expect(parseCondition('(a + b) * c > 1').expression).toEqual(op('*', op('+', name('a'), name('b')), name('c')));
+    });
+
+    test('unary minus applies to one factor', () => {
+      expect(parseCondition('-a * 2 < 0').expression).toEqual(op('*', { type: 'neg', operand: name('a') }, num(2)));
+    });
+
+    test('parses a ratio of counters', () => {
+      const parsed = parseCondition('server_connect_success / (server_connect_success + server_connect_failure) < 0.9');
+      expect(parsed.expression).toEqual(op('/',
+        name('server_connect_success'),
+        op('+', name('server_connect_success'), name('server_connect_failure'))));
+      expect(parsed).toMatchObject({ comparator: '<', threshold: 0.9 });
+    });
+
+    test.each([
+      ['an unbalanced parenthesis', '(a + b > 1'],
+      ['a dangling operator', 'a + > 1'],
+      ['an unknown character', 'a % b > 1'],
+      ['two operands in a row', 'a b > 1']
+    ])('rejects %s', (_, condition) => {
+      expect(() => parseCondition(condition)).toThrow();
+    });
+  });
+
+  describe('comparators and thresholds', () => {
+    test.each(['==', '!=', '<', '<=', '>', '>='])('accepts %s', (comparator) => {
+      expect(parseCondition(`redis_connected ${comparator} 0`).comparator).toBe(comparator);
+    });
+
+    test('accepts negative and decimal thresholds', () => {
+      expect(parseCondition('a > -1.5').threshold).toBe(-1.5);
+    });
+
+    test('rejects a condition without a comparator or numeric threshold', () => {
+      expect(() => parseCondition('redis_connected')).toThrow(/condition must look like/);
+      expect(() => parseCondition('a > b')).toThrow(/condition must look like/);
+      expect(() => parseCondition(42)).toThrow('condition must be a string');
+    });
+  });
+
+  describe('durations', () => {
+    test('defaults window and for to 0', () => {
+      expect(parseCondition('redis_connected == 0')).toMatchObject({ window: 0, for: 0 });
+    });
+
+    test.each([
+      ['30s', 30],
+      ['5m', 300],
+      ['2h', 7200],
+      ['1d', 86400]
+    ])('converts %s to %i seconds', (duration, seconds) => {
+      expect(parseCondition(`redis_connected == 0 for ${duration}`).for).toBe(seconds);
+      expect(parseCondition(`requests_total > 10 over ${duration}`).window).toBe(seconds);
+    });
+
+    test('reads over and for in either order', () => {
+      expect(parseCondition('a > 1 over 5m for 1m')).toMatchObject({ window: 300, for: 60 });
+      expect(parseCondition('a > 1 FOR 1m OVER 5m')).toMatchObject({ window: 300, for: 60 });
+    });
+
+    test.each(['5', '5w', '1.5m', 'm'])('rejects the duration %s', (duration) => {
+      expect(() => parseCondition(`a > 1 for ${duration}`)).toThrow(/is not a duration/);
+    });
+  });
+});
+
+describe('alerts.validateRule', () => {
+  const rule = (overrides) => ({ name: 'Errors', condition: 'errors > 5', ...overrides });
+
+  test('accepts a valid rule', () => {
+    expect(validateRule(rule())).toBe(null);
+    expect(validateRule(rule({ severity: 'critical', notify: getNotifiers() }))).toBe(null);
+  });
+
+  test('rejects missing or overlong names', () => {
+    expect(validateRule(rule({ name: '  ' }))).toMatch(/^name must be/);
+    expect(validateRule(rule({ name: 42 }))).toMatch(/^name must be/);
+    expect(validateRule(rule({ name: 'x'.repeat(101) }))).toMatch(/^name must be/);
+  });
+
+  test('reports why a condition does not parse', () => {
+    expect(validateRule(rule({ condition: 'errors >' }))).toEqual(expect.any(String));
+  });
+
+  test('rejects unknown severities and notifiers', () => {
+    expect(validateRule(rule({ severity: 'fatal' }))).toMatch(/^severity must be one of/);
+    expect(validateRule(rule({ notify: ['pager'] }))).toMatch(/^notify must be a list of/);
+    expect(validateRule(rule({ notify: 'log' }))).toMatch(/^notify must be a list of/);
+  });
+});
+
+describe('alerts.evaluateRules', () => {
+  let evaluateRules;
+  const rule = (id, condition) => ({ id, name: id, condition, severity: 'warning', notify: ['banner'] });
+  const evaluate = async (rules, counters, gauges, now) => {
+    mockStorage.getAlertRules.mockResolvedValue(rules);
+    mockMetrics.readMetricsFromRedis.mockResolvedValue({ counters, gauges });
+    await evaluateRules(now);
+    return mockStorage.saveAlertStates.mock.calls.at(-1)[0];
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Rule states and counter history live in the module: start each test afresh
+    jest.isolateModules(() => {
+      ({ evaluateRules } = require('../../src/services/alerts'));
+    });
+  });
+
+  test('goes pending, fires after the for-duration and resolves', async () => {
+    const rules = [rule('players-low', 'players < 5 for 1m')];
+    const t0 = 1_000_000;
+
+    let states = await evaluate(rules, {}, { players: 2 }, t0);
+    expect(states['players-low']).toMatchObject({ state: 'pending', value: 2 });
+    expect(mockStorage.setBannerAlert).not.toHaveBeenCalled();
+
+    states = await evaluate(rules, {}, { players: 3 }, t0 + 60_000);
+    expect(states['players-low']).toMatchObject({ state: 'firing', value: 3 });
+    expect(mockStorage.setBannerAlert).toHaveBeenCalledWith('players-low', expect.objectContaining({ value: 3 }));
+
+    states = await evaluate(rules, {}, { players: 9 }, t0 + 75_000);
+    expect(states['players-low']).toMatchObject({ state: 'inactive', value: 9 });
+    expect(mockStorage.clearBannerAlert).toHaveBeenCalledWith('players-low');
+  });
+
+  test('uses counter increases over the window once there is a baseline', async () => {
+    const rules = [rule('error-burst', 'errors > 10 over 1m')];
+    const t0 = 5_000_000;
+
+    let states = await evaluate(rules, { errors: 100 }, {}, t0);
+    expect(states['error-burst']).toMatchObject({ state: 'inactive', value: null });
+
+    states = await evaluate(rules, { errors: 120 }, {}, t0 + 15_000);
+    expect(states['error-burst']).toMatchObject({ state: 'firing', value: 20 });
+
+    // Counters reset: the new total is the increase
+    states = await evaluate(rules, { errors: 4 }, {}, t0 + 30_000);
+    expect(states['error-burst']).toMatchObject({ state: 'inactive', value: 4 });
+  });
+
+  test('skips rules that cannot be evaluated and forgets deleted ones', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    let states = await evaluate([rule('ratio', 'errors / requests > 0.5')], { errors: 1, requests: 0 }, {}, 9_000_000);
+    expect(states.ratio).toMatchObject({ state: 'inactive', value: null });
+
+    states = await evaluate([rule('broken', 'errors >')], {}, {}, 9_015_000);
+    expect(states).toEqual({});
+    expect(error).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockStorage = {
+  getTokenRevocation: jest.fn(async () => null),
+  revokeTokenId: jest.fn(async () => true),
+  revokeTokensBefore: jest.fn(async () => true),
+  storeRefreshToken: jest.fn(async () => true),
+  consumeRefreshToken: jest.fn(async () => ({ status: 'invalid' })),
+  revokeTokenFamily: jest.fn(async () => 0),
+  addTokenToFamily: jest.fn(async () => {}),
+};
+
+jest.mock('../../src/services/redis', () => ({ redis: {}, isConnected: () => false }));
+jest.mock('../../src/services/storage', () => mockStorage);
+jest.mock('../../src/services/metrics', () => ({ incCounter: jest.fn() }));
+
+const config = require('../../src/config');
+
+// Keys are generated and saved when auth loads: keep them out of the real data dir
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+config.keyFile = path.join(dataDir, 'jwt_keys.json');
+config.tenantsFile = path.join(dataDir, 'tenants.json');
+
+const auth = require('../../src/services/auth');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const ISSUER = `https://${config.domain}`;
+
+function decode(token) {
+  return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+}
+
+function header(token) {
+  return JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+}
+
+// Sign arbitrary claims with the active key, as if we had issued them
+function sign(claims) {
+  const now = Math.floor(Date.now() / 1000);
+  return auth.generateToken({ sub: UUID, iss: ISSUER, iat: now, exp: now + 600, jti: crypto.randomUUID(), ...claims });
+}
+
+function verifyError(token, options) {
+  try {
+    auth.verifyToken(token, options);
+  } catch (e) {
+    return e.code;
+  }
+  return null;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('auth signing key rotation', () => {
+  test('signs with the active key and publishes it in the JWKS', () => {
+    const token = auth.generateIdentityToken(UUID, 'Steve');
+    const [active] = auth.listKeys().filter(k => k.active);
+    expect(header(token)).toMatchObject({ alg: 'EdDSA', kid: active.kid });
+    expect(auth.getPublicKeyJwks().map(k => k.kid)).toContain(active.kid);
+  });
+
+  test('keeps verifying tokens signed by a retired key', () => {
+    const before = auth.generateIdentityToken(UUID, 'Steve');
+    const { kid } = auth.rotateSigningKey();
+    const after = auth.generateIdentityToken(UUID, 'Steve');
+
+    expect(header(after).kid).toBe(kid);
+    expect(header(before).kid).not.toBe(kid);
+    expect(auth.verifyToken(before).sub).toBe(UUID);
+    expect(auth.verifyToken(after).sub).toBe(UUID);
+  });
+
+  test('publishes the newest key first with retired keys after it', () => {
+    const { kid } = auth.rotateSigningKey();
+    const keys = auth.listKeys();
+    const jwks = auth.getPublicKeyJwks();
+
+    expect(jwks[0]).toMatchObject({ kid, kty: 'OKP', crv: 'Ed25519', use: 'sig', alg: 'EdDSA' });
+    expect(jwks).toHaveLength(keys.length);
+    expect(keys.filter(k => k.active)).toEqual([expect.objectContaining({ kid, retiredAt: null })]);
+    expect(keys.filter(k => !k.active).every(k => k.retiredAt)).toBe(true);
+    expect(auth.getPublicKeyJwk()).toEqual(expect.objectContaining({ x: jwks[0].x }));
+  });
+
+  test('persists the key ring so another process loads the same keys', () => {
+    const { kid } = auth.rotateSigningKey();
+    const saved = JSON.parse(fs.readFileSync(config.keyFile, 'utf8'));
+    expect(saved.keys[saved.keys.length - 1].kid).toBe(kid);
+
+    auth.reloadKeys();
+    expect(auth.listKeys().find(k => k.active).kid).toBe(kid);
+  });
+
+  test('drops retired keys once every token they signed has expired', () => {
+    auth.rotateSigningKey();
+    const retired = auth.listKeys().filter(k => !k.active).map(k => k.kid);
+
+    const later = Date.now() + (auth.getMaxTokenLifetime() + 60) * 1000;
+    const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      const { kid } = auth.rotateSigningKey();
+      const kids = auth.listKeys().map(k => k.kid);
+      expect(kids).not.toEqual(expect.arrayContaining(retired));
+      expect(kids).toContain(kid);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('rotates only when the active key is older than the rotation interval', () => {
+    const interval = config.keyRotationInterval;
+    try {
+      config.keyRotationInterval = 3600;
+      expect(auth.rotateKeysIfDue()).toEqual([]);
+
+      const active = auth.listKeys().find(k => k.active).kid;
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 7200 * 1000);
+      try {
+        expect(auth.rotateKeysIfDue()).toEqual(['default']);
+      } finally {
+        now.mockRestore();
+      }
+      expect(auth.listKeys().find(k => k.active).kid).not.toBe(active);
+
+      config.keyRotationInterval = 0;
+      expect(auth.rotateKeysIfDue()).toEqual([]);
+    } finally {
+      config.keyRotationInterval = interval;
+    }
+  });
+});
+
+describe('auth.verifyToken', () => {
+  test('accepts a token we issued and returns its claims', () => {
+    const payload = auth.verifyToken(auth.generateIdentityToken(UUID, 'Steve'));
+    expect(payload).toMatchObject({ sub: UUID, name: 'Steve', iss: ISSUER });
+  });
+
+  test('rejects a token whose payload was changed after signing', () => {
+    const [head, , signature] = auth.generateIdentityToken(UUID, 'Steve').split('.');
+    const forged = Buffer.from(JSON.stringify({ ...decode(sign({})), sub: 'someone-else' })).toString('base64url');
+    expect(verifyError(`${head}.${forged}.${signature}`)).toBe('bad_signature');
+  });
+
+  test('rejects a token signed by another key under our kid', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const [head, body] = sign({}).split('.');
+    const signature = crypto.sign(null, Buffer.from(`${head}.${body}`), privateKey).toString('base64url');
+    expect(verifyError(`${head}.${body}.${signature}`)).toBe('bad_signature');
+  });
+
+  test('rejects algorithms other than EdDSA', () => {
+    const [, body, signature] = sign({}).split('.');
+    const head = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+    expect(verifyError(`${head}.${body}.${signature}`)).toBe('bad_signature');
+  });
+
+  test('rejects an unknown kid', () => {
+    const [, body, signature] = sign({}).split('.');
+    const head = Buffer.from(JSON.stringify({ alg: 'EdDSA', kid: 'not-a-key', typ: 'JWT' })).toString('base64url');
+    expect(verifyError(`${head}.${body}.${signature}`)).toBe('unknown_key');
+  });
+
+  test.each([
+    ['not a string', 42],
+    ['not three parts', 'abc.def'],
+    ['not JSON', 'a.b.c'],
+  ])('rejects malformed tokens (%s)', (_, token) => {
+    expect(verifyError(token)).toBe('malformed');
+  });
+
+  test('rejects issuers that are not ours', () => {
+    expect(verifyError(sign({ iss: 'https://evil.example' }))).toBe('wrong_issuer');
+    expect(verifyError(sign({ iss: undefined }))).toBe('wrong_issuer');
+    expect(verifyError(sign({}), { issuer: 'https://other.example' })).toBe('wrong_issuer');
+  });
+
+  test('rejects expired tokens once past the clock skew', () => {
+    const now = Math.floor(Date.now() / 1000);
+    expect(verifyError(sign({ exp: now - config.tokenClockSkew - 1 }))).toBe('expired');
+    expect(verifyError(sign({ exp: now - 1 }))).toBeNull();
+    expect(verifyError(sign({ exp: undefined }))).toBe('expired');
+  });
+
+  test('rejects tokens that are not valid yet', () => {
+    const now = Math.floor(Date.now() / 1000);
+    expect(verifyError(sign({ nbf: now + config.tokenClockSkew + 30 }))).toBe('not_yet_valid');
+    expect(verifyError(sign({ iat: now + config.tokenClockSkew + 30 }))).toBe('not_yet_valid');
+  });
+
+  test('checks the audience when one is expected', () => {
+    const access = auth.generateAccessToken(UUID, 'Steve', 'server-a');
+    expect(verifyError(access, { audience: 'server-a' })).toBeNull();
+    expect(verifyError(access, { audience: ['server-b', 'server-a'] })).toBeNull();
+    expect(verifyError(access, { audience: 'server-b' })).toBe('wrong_audience');
+  });
+
+  test('accepts tokens without an audience only when allowed', () => {
+    const identity = auth.generateIdentityToken(UUID, 'Steve');
+    expect(verifyError(identity, { audience: 'server-a' })).toBe('wrong_audience');
+    expect(verifyError(identity, { audience: 'server-a', allowNoAudience: true })).toBeNull();
+  });
+
+  test('rejectAudience only accepts the player\'s own identity and session tokens', () => {
+    expect(verifyError(auth.generateIdentityToken(UUID, 'Steve'), { rejectAudience: true })).toBeNull();
+    expect(verifyError(auth.generateSessionToken(UUID), { rejectAudience: true })).toBeNull();
+    expect(verifyError(auth.generateAccessToken(UUID, 'Steve', 'server-a'), { rejectAudience: true })).toBe('wrong_audience');
+    expect(verifyError(auth.generateAuthorizationGrant(UUID, 'Steve', 'server-a'), { rejectAudience: true })).toBe('wrong_audience');
+  });
+});
+
+describe('auth.parseVerifiedToken', () => {
+  test('returns the token data of a valid token', async () => {
+    const data = await auth.parseVerifiedToken(auth.generateIdentityToken(UUID, 'Steve'));
+    expect(data).toMatchObject({ uuid: UUID, name: 'Steve' });
+  });
+
+  test('returns null instead of throwing for a forged token', async () => {
+    const [head, body] = auth.generateIdentityToken(UUID, 'Steve').split('.');
+    expect(await auth.parseVerifiedToken(`${head}.${body}.AAAA`)).toBeNull();
+  });
+
+  test('parseToken reads claims without verifying them', () => {
+    const [head, body] = auth.generateIdentityToken(UUID, 'Steve').split('.');
+    expect(auth.parseToken(`${head}.${body}.AAAA`)).toMatchObject({ uuid: UUID, name: 'Steve' });
+    expect(auth.parseToken('garbage')).toBeNull();
+  });
+});
+
+describe('auth token revocation', () => {
+  test('verifyActiveToken rejects tokens the revocation list covers', async () => {
+    const token = auth.generateAccessToken(UUID, 'Steve', 'server-a');
+    await expect(auth.verifyActiveToken(token)).resolves.toMatchObject({ sub: UUID });
+
+    for (const reason of ['jti', 'user', 'audience']) {
+      mockStorage.getTokenRevocation.mockResolvedValueOnce(reason);
+      await expect(auth.verifyActiveToken(token)).rejects.toMatchObject({ code: 'revoked' });
+    }
+    expect(mockStorage.getTokenRevocation).toHaveBeenLastCalledWith(expect.objectContaining({
+      jti: decode(token).jti, sub: UUID, aud: 'server-a'
+    }));
+  });
+
+  test('revokeToken revokes the jti until the token expires', async () => {
+    const payload = decode(auth.generateIdentityToken(UUID, 'Steve'));
+    await auth.revokeToken(payload);
+    expect(mockStorage.revokeTokenId).toHaveBeenCalledWith(payload.jti, payload.exp);
+  });
+
+  test('user and audience revocation last as long as any token could', async () => {
+    await auth.revokeUserTokens(UUID);
+    await auth.revokeAudienceTokens('server-a');
+    expect(mockStorage.revokeTokensBefore).toHaveBeenCalledWith('user', UUID, auth.getMaxTokenLifetime());
+    expect(mockStorage.revokeTokensBefore).toHaveBeenCalledWith('audience', 'server-a', auth.getMaxTokenLifetime());
+  });
+
+  test('iat keeps milliseconds so a revocation does not cover the rest of its second', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000250);
+    try {
+      for (const token of [
+        auth.generateIdentityToken(UUID, 'Steve'),
+        auth.generateSessionToken(UUID),
+        auth.generateAuthorizationGrant(UUID, 'Steve', 'server-a'),
+        auth.generateAccessToken(UUID, 'Steve', 'server-a')
+      ]) {
+        const { iat, exp } = decode(token);
+        expect(iat).toBe(1700000000.25);
+        expect(Number.isInteger(exp)).toBe(true);
+      }
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('introspection reports revoked tokens as inactive and revoked', async () => {
+    const token = auth.generateAccessToken(UUID, 'Steve', 'server-a');
+    const active = await auth.introspectToken(token);
+    expect(active).toMatchObject({ active: true, revoked: false, sub: UUID, aud: 'server-a', username: 'Steve' });
+    expect(Number.isInteger(active.iat)).toBe(true);
+
+    mockStorage.getTokenRevocation.mockResolvedValueOnce('user');
+    expect(await auth.introspectToken(token)).toEqual({ active: false, revoked: true });
+    expect(await auth.introspectToken('garbage')).toEqual({ active: false, revoked: false });
+  });
+});
+
+describe('auth refresh tokens', () => {
+  const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+  const refreshData = (data = {}) => ({
+    familyId: 'family-1', uuid: UUID, name: 'Steve', audience: null, scope: 'hytale:client', kind: 'game',
+    familyCreatedAt: new Date(Date.now() - 60000).toISOString(), ...data
+  });
+
+  test('stores only a hash of the refresh token and starts a family', async () => {
+    const { refreshToken, familyId } = await auth.issueRefreshToken({ uuid: UUID, name: 'Steve' });
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(familyId).toEqual(expect.any(String));
+    expect(mockStorage.storeRefreshToken).toHaveBeenCalledWith(sha256(refreshToken), expect.objectContaining({
+      familyId, uuid: UUID, name: 'Steve', kind: 'game'
+    }), config.refreshTokenTtl);
+  });
+
+  test('continues a given family', async () => {
+    const { familyId } = await auth.issueRefreshToken({ uuid: UUID, name: 'Steve' }, 'family-1');
+    expect(familyId).toBe('family-1');
+  });
+
+  test('issues no refresh token when it could not be stored', async () => {
+    mockStorage.storeRefreshToken.mockResolvedValueOnce(false);
+    expect(await auth.issueRefreshToken({ uuid: UUID, name: 'Steve' })).toEqual({ refreshToken: null, familyId: expect.any(String) });
+  });
+
+  test('redeems a valid refresh token by its hash', async () => {
+    const data = refreshData();
+    mockStorage.consumeRefreshToken.mockResolvedValueOnce({ status: 'ok', data });
+    await expect(auth.redeemRefreshToken('opaque-token')).resolves.toBe(data);
+    expect(mockStorage.consumeRefreshToken).toHaveBeenCalledWith(sha256('opaque-token'));
+    expect(mockStorage.revokeTokenFamily).not.toHaveBeenCalled();
+  });
+
+  test('revokes the whole family when a redeemed token is presented again', async () => {
+    mockStorage.consumeRefreshToken.mockResolvedValueOnce({ status: 'reused', data: refreshData() });
+    await expect(auth.redeemRefreshToken('opaque-token')).rejects.toMatchObject({ code: 'reused' });
+    expect(mockStorage.revokeTokenFamily).toHaveBeenCalledWith('family-1');
+  });
+
+  test('rejects tokens of a revoked family and unknown tokens', async () => {
+    mockStorage.consumeRefreshToken.mockResolvedValueOnce({ status: 'family_revoked', data: refreshData() });
+    await expect(auth.redeemRefreshToken('opaque-token')).rejects.toMatchObject({ code: 'revoked' });
+    await expect(auth.redeemRefreshToken('opaque-token')).rejects.toMatchObject({ code: 'unknown_token' });
+    await expect(auth.redeemRefreshToken('')).rejects.toMatchObject({ code: 'unknown_token' });
+  });
+
+  test('rejects and revokes a family started before its user was signed out everywhere', async () => {
+    const data = refreshData({ audience: 'server-a' });
+    mockStorage.consumeRefreshToken.mockResolvedValueOnce({ status: 'ok', data });
+    mockStorage.getTokenRevocation.mockResolvedValueOnce('user');
+
+    await expect(auth.redeemRefreshToken('opaque-token')).rejects.toMatchObject({ code: 'revoked' });
+    expect(mockStorage.getTokenRevocation).toHaveBeenCalledWith({
+      sub: UUID, aud: 'server-a', iat: Date.parse(data.familyCreatedAt) / 1000
+    });
+    expect(mockStorage.revokeTokenFamily).toHaveBeenCalledWith('family-1');
+  });
+
+  test('tracks the tokens issued in a family by jti', async () => {
+    const access = auth.generateAccessToken(UUID, 'Steve', 'server-a');
+    await auth.trackFamilyTokens('family-1', access, 'not-a-jwt');
+    const { jti, exp } = decode(access);
+    expect(mockStorage.addTokenToFamily).toHaveBeenCalledTimes(1);
+    expect(mockStorage.addTokenToFamily).toHaveBeenCalledWith('family-1', jti, exp);
+  });
+});
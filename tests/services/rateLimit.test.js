@@ -0,0 +1,105 @@
+jest.mock('../../src/services/redis', () => ({ redis: {}, isConnected: () => false }));
+
+const config = require('../../src/config');
+const rateLimit = require('../../src/services/rateLimit');
+
+describe('rateLimit.isAllowlisted', () => {
+  const allowlist = (...entries) => { config.rateLimitAllowlist = entries; };
+
+  afterEach(() => {
+    config.rateLimitAllowlist = [];
+  });
+
+  test('matches exact addresses', () => {
+    allowlist('203.0.113.7', '2001:db8::1');
+    expect(rateLimit.isAllowlisted('203.0.113.7')).toBe(true);
+    expect(rateLimit.isAllowlisted('203.0.113.8')).toBe(false);
+    expect(rateLimit.isAllowlisted('2001:db8::1')).toBe(true);
+  });
+
+  test('matches IPv4-mapped IPv6 addresses as IPv4', () => {
+    allowlist('203.0.113.7', '10.0.0.0/8');
+    expect(rateLimit.isAllowlisted('::ffff:203.0.113.7')).toBe(true);
+    expect(rateLimit.isAllowlisted('::ffff:10.9.8.7')).toBe(true);
+  });
+
+  test('matches addresses inside a CIDR range', () => {
+    allowlist('10.1.0.0/16');
+    expect(rateLimit.isAllowlisted('10.1.0.0')).toBe(true);
+    expect(rateLimit.isAllowlisted('10.1.255.255')).toBe(true);
+    expect(rateLimit.isAllowlisted('10.2.0.0')).toBe(false);
+    expect(rateLimit.isAllowlisted('10.0.255.255')).toBe(false);
+  });
+
+  test('ignores host bits set in the range', () => {
+    allowlist('192.168.1.77/24');
+    expect(rateLimit.isAllowlisted('192.168.1.1')).toBe(true);
+    expect(rateLimit.isAllowlisted('192.168.2.1')).toBe(false);
+  });
+
+  test('/0 matches every IPv4 address', () => {
+    allowlist('0.0.0.0/0');
+    expect(rateLimit.isAllowlisted('0.0.0.0')).toBe(true);
+    expect(rateLimit.isAllowlisted('255.255.255.255')).toBe(true);
+    expect(rateLimit.isAllowlisted('8.8.8.8')).toBe(true);
+  });
+
+  test('/32 matches exactly one address', () => {
+    allowlist('255.255.255.255/32');
+    expect(rateLimit.isAllowlisted('255.255.255.255')).toBe(true);
+    expect(rateLimit.isAllowlisted('255.255.255.254')).toBe(false);
+  });
+
+  test('/31 splits on the last bit', () => {
+    allowlist('10.0.0.2/31');
+    expect(rateLimit.isAllowlisted('10.0.0.2')).toBe(true);
+    expect(rateLimit.isAllowlisted('10.0.0.3')).toBe(true);
+    expect(rateLimit.isAllowlisted('10.0.0.4')).toBe(false);
+  });
+
+  test.each([
+    ['an IPv6 address', '2001:db8::1'],
+    ['a hostname', 'example.com'],
+    ['an octet over 255', '10.0.0.256'],
+    ['too few octets', '10.0.0'],
+    ['a signed octet', '10.0.0.-1'],
+    ['an empty string', ''],
+    ['unknown', 'unknown']
+  ])('does not match %s against a CIDR range', (_, ip) => {
+    allowlist('0.0.0.0/0');
+    expect(rateLimit.isAllowlisted(ip)).toBe(false);
+  });
+
+  test.each([
+    ['a prefix over 32', '10.0.0.0/33'],
+    ['a negative prefix', '10.0.0.0/-1'],
+    ['a non-numeric prefix', '10.0.0.0/abc'],
+    ['an IPv6 range', '2001:db8::/32'],
+    ['a malformed range', '10.0.0/8']
+  ])('ignores %s', (_, entry) => {
+    allowlist(entry);
+    expect(rateLimit.isAllowlisted('10.0.0.1')).toBe(false);
+  });
+
+  test('matches nothing with an empty allowlist', () => {
+    expect(rateLimit.isAllowlisted('127.0.0.1')).toBe(false);
+    expect(rateLimit.isAllowlisted(null)).toBe(false);
+  });
+});
+
+describe('rateLimit.take', () => {
+  test('lets requests through while Redis is unavailable', async () => {
+    await expect(rateLimit.take('adminLogin', 'ip:1.2.3.4')).resolves.toMatchObject({ allowed: true, retryAfter: 0 });
+  });
+
+  test('lets requests through for unknown or disabled groups', async () => {
+    const saved = config.rateLimits.assets;
+    config.rateLimits.assets = { ...saved, burst: 0 };
+    try {
+      await expect(rateLimit.take('assets', 'ip:1.2.3.4')).resolves.toMatchObject({ allowed: true, limit: 0 });
+      await expect(rateLimit.take('nope', 'ip:1.2.3.4')).resolves.toMatchObject({ allowed: true, limit: 0 });
+    } finally {
+      config.rateLimits.assets = saved;
+    }
+  });
+});
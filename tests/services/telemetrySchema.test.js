@@ -0,0 +1,96 @@
+const { validate, LATEST_VERSION } = require('../../src/services/telemetrySchema');
+
+describe('telemetrySchema.validate', () => {
+  describe('rejections', () => {
+    test.each([
+      ['null', null, 'not_an_object'],
+      ['an array', [], 'not_an_object'],
+      ['a missing type', {}, 'missing_type'],
+      ['a non-string type', { type: 5 }, 'missing_type'],
+      ['an unknown type', { type: 'nope' }, 'unknown_type'],
+      ['an inherited property as type', { type: 'constructor' }, 'unknown_type'],
+      ['__proto__ as type', { type: '__proto__' }, 'unknown_type'],
+      ['a zero schema_version', { type: 'heartbeat', schema_version: 0 }, 'unsupported_version'],
+      ['a fractional schema_version', { type: 'heartbeat', schema_version: 1.5 }, 'unsupported_version'],
+      ['a missing required field', { type: 'event' }, 'missing_field'],
+      ['a mistyped required field', { type: 'event', event_name: 42 }, 'invalid_field']
+    ])('rejects %s', (_, body, reason) => {
+      const result = validate(body);
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe(reason);
+    });
+  });
+
+  describe('numbers', () => {
+    test('clamps values above the maximum', () => {
+      const { payload } = validate({ type: 'heartbeat', performance: { fps_avg: 5000 } });
+      expect(payload.performance.fps_avg).toBe(1000);
+    });
+
+    test('clamps values below the minimum', () => {
+      const { payload } = validate({ type: 'heartbeat', network: { latency_ms: -20 } });
+      expect(payload.network.latency_ms).toBe(0);
+    });
+
+    test('clamps to a non-zero minimum', () => {
+      const { payload } = validate({ type: 'session_start', hardware: { cpu_cores: 0 } });
+      expect(payload.hardware.cpu_cores).toBe(1);
+    });
+
+    test('keeps values inside the range', () => {
+      const { payload } = validate({ type: 'heartbeat', performance: { fps_avg: 59.5 } });
+      expect(payload.performance.fps_avg).toBe(59.5);
+    });
+
+    test('rounds integers after clamping', () => {
+      const { payload } = validate({ type: 'session_start', display: { resolution_width: 1919.6, resolution_height: 99999 } });
+      expect(payload.display).toEqual({ resolution_width: 1920, resolution_height: 32768 });
+    });
+
+    test.each([
+      ['a string', '60'],
+      ['NaN', NaN],
+      ['Infinity', Infinity]
+    ])('drops %s in an optional number field', (_, value) => {
+      const { valid, payload } = validate({ type: 'heartbeat', performance: { fps_avg: value } });
+      expect(valid).toBe(true);
+      expect(payload.performance).toEqual({});
+    });
+  });
+
+  describe('normalization', () => {
+    test('truncates long strings', () => {
+      const { payload } = validate({ type: 'heartbeat', current_state: 'x'.repeat(100) });
+      expect(payload.current_state).toHaveLength(32);
+    });
+
+    test('drops unknown fields and mistyped objects', () => {
+      const { payload } = validate({ type: 'heartbeat', unknown: 1, performance: 'fast' });
+      expect(payload).not.toHaveProperty('unknown');
+      expect(payload).not.toHaveProperty('performance');
+    });
+
+    test('keeps capped extra values in event_data', () => {
+      const { payload } = validate({
+        type: 'event',
+        event_name: 'world_join',
+        event_data: { custom: 'y'.repeat(300), nested: { a: 1 }, flag: true }
+      });
+      expect(payload.event_data.custom).toHaveLength(256);
+      expect(payload.event_data.flag).toBe(true);
+      expect(payload.event_data).not.toHaveProperty('nested');
+    });
+  });
+
+  describe('versions', () => {
+    test('defaults to schema version 1', () => {
+      expect(validate({ type: 'heartbeat' })).toMatchObject({ valid: true, version: 1 });
+    });
+
+    test('validates newer versions with the newest schema', () => {
+      const result = validate({ type: 'heartbeat', schema_version: LATEST_VERSION + 5, performance: { fps_avg: 2000 } });
+      expect(result.valid).toBe(true);
+      expect(result.payload.performance.fps_avg).toBe(1000);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockStorage = {
+  claimUsername: jest.fn(async () => ({ status: 'ok' })),
+  releaseUsernamesInactiveSince: jest.fn(async () => 0),
+  releaseHeldUsernames: jest.fn(async () => 0),
+  backfillUsernameRegistry: jest.fn(async () => -1),
+};
+
+jest.mock('../../src/services/redis', () => ({ redis: {}, isConnected: () => false }));
+jest.mock('../../src/services/storage', () => mockStorage);
+
+const config = require('../../src/config');
+const usernames = require('../../src/services/usernames');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('usernames.claim', () => {
+  test('succeeds when the registry grants the name', async () => {
+    expect(await usernames.claim(UUID, 'Steve')).toBeNull();
+    expect(mockStorage.claimUsername).toHaveBeenCalledWith(UUID, 'Steve');
+  });
+
+  test.each([
+    ['taken', 'username_taken', 'Username Steve is already taken'],
+    ['reserved', 'username_reserved', 'Username Steve is reserved'],
+    ['blocked', 'username_blocked', 'Username Steve is not allowed'],
+  ])('turns a %s name into an OAuth-style error', async (status, error, description) => {
+    mockStorage.claimUsername.mockResolvedValueOnce({ status });
+    expect(await usernames.claim(UUID, 'Steve')).toEqual({ error, error_description: description });
+  });
+
+  test('lets sign-in go ahead when the registry is unavailable', async () => {
+    mockStorage.claimUsername.mockResolvedValueOnce({ status: 'unavailable' });
+    expect(await usernames.claim(UUID, 'Steve')).toBeNull();
+  });
+
+  test('does not claim the placeholder name', async () => {
+    expect(await usernames.claim(UUID, 'Player')).toBeNull();
+    expect(await usernames.claim(UUID, null)).toBeNull();
+    expect(mockStorage.claimUsername).not.toHaveBeenCalled();
+  });
+});
+
+describe('usernames.validateUsername', () => {
+  test.each(['Steve', 'a_b', 'Player_123', 'x'.repeat(16)])('accepts %s', (name) => {
+    expect(usernames.validateUsername(name)).toBeNull();
+  });
+
+  test.each(['ab', 'x'.repeat(17), 'has space', 'dash-name', 'ünïcode', '', null, 42])('rejects %p', (name) => {
+    expect(usernames.validateUsername(name)).toMatch(/3-16 characters/);
+  });
+
+  test('rejects disallowed words through case, digit substitutions and underscores', () => {
+    expect(usernames.validateUsername('ShitLord')).toMatch(/disallowed/);
+    expect(usernames.validateUsername('sh1t_lord')).toMatch(/disallowed/);
+    expect(usernames.validateUsername('s_h_i_t')).toMatch(/disallowed/);
+  });
+
+  test('extends the word list from the profanity file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usernames-test-'));
+    const profanityFile = config.profanityFile;
+    try {
+      config.profanityFile = path.join(dir, 'profanity.txt');
+      fs.writeFileSync(config.profanityFile, '# extra words\ncreeper\n\n');
+      usernames.loadProfanityList();
+      expect(usernames.validateUsername('Cr33perFan')).toMatch(/disallowed/);
+      expect(usernames.validateUsername('ShitLord')).toMatch(/disallowed/);
+    } finally {
+      config.profanityFile = profanityFile;
+      usernames.loadProfanityList();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    expect(usernames.validateUsername('Cr33perFan')).toBeNull();
+  });
+});
+
+describe('username release', () => {
+  test('releases names inactive for the configured number of days', async () => {
+    mockStorage.releaseUsernamesInactiveSince.mockResolvedValueOnce(3);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      expect(await usernames.releaseInactiveUsernames()).toBe(3);
+    } finally {
+      Date.now.mockRestore();
+    }
+    expect(mockStorage.releaseUsernamesInactiveSince).toHaveBeenCalledWith(now - config.usernameReleaseDays * 86400000);
+  });
+
+  test('never releases inactive names when the release period is 0', async () => {
+    const releaseDays = config.usernameReleaseDays;
+    try {
+      config.usernameReleaseDays = 0;
+      expect(await usernames.releaseInactiveUsernames()).toBe(0);
+    } finally {
+      config.usernameReleaseDays = releaseDays;
+    }
+    expect(mockStorage.releaseUsernamesInactiveSince).not.toHaveBeenCalled();
+  });
+
+  test('releases held names whose grace period has ended', async () => {
+    mockStorage.releaseHeldUsernames.mockResolvedValueOnce(2);
+    expect(await usernames.releaseHeldUsernames()).toBe(2);
+  });
+
+  test('indexes existing names before the first release and then releases periodically', async () => {
+    jest.useFakeTimers();
+    try {
+      mockStorage.backfillUsernameRegistry.mockResolvedValueOnce(5);
+      await usernames.scheduleUsernameRelease();
+      expect(mockStorage.backfillUsernameRegistry).toHaveBeenCalledTimes(1);
+      expect(mockStorage.releaseUsernamesInactiveSince).toHaveBeenCalledTimes(1);
+      expect(mockStorage.releaseHeldUsernames).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(config.usernameReleaseCheckInterval);
+      expect(mockStorage.releaseUsernamesInactiveSince).toHaveBeenCalledTimes(2);
+      expect(mockStorage.releaseHeldUsernames).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,2 @@
+// Keep test output to failures: services log through utils/logger
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
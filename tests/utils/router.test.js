@@ -0,0 +1,121 @@
+const { createRouter } = require('../../src/utils/router');
+
+describe('router', () => {
+  const handler = () => {};
+  let router;
+
+  beforeEach(() => {
+    router = createRouter();
+  });
+
+  describe('pattern matching', () => {
+    test('matches exact paths only as a whole', () => {
+      router.get('/game-session/new', handler);
+
+      expect(router.match('GET', '/game-session/new').route).not.toBeNull();
+      expect(router.match('GET', '/game-session/new/extra').route).toBeNull();
+      expect(router.match('GET', '/game-session').route).toBeNull();
+    });
+
+    test('escapes regex characters in literal segments', () => {
+      router.get('/.well-known/jwks.json', handler);
+
+      expect(router.match('GET', '/.well-known/jwks.json').route).not.toBeNull();
+      expect(router.match('GET', '/.well-known/jwksxjson').route).toBeNull();
+    });
+
+    test('captures :name segments into params', () => {
+      router.get('/profile/uuid/:uuid/names', handler);
+
+      const { route, params } = router.match('GET', '/profile/uuid/abc-123/names');
+      expect(route).not.toBeNull();
+      expect(params).toEqual({ uuid: 'abc-123' });
+    });
+
+    test('a :name parameter does not span segments', () => {
+      router.get('/profile/uuid/:uuid', handler);
+
+      expect(router.match('GET', '/profile/uuid/a/b').route).toBeNull();
+    });
+
+    test('decodes parameters and leaves malformed escapes as they are', () => {
+      router.get('/profile/username/:username', handler);
+
+      expect(router.match('GET', '/profile/username/a%20b').params.username).toBe('a b');
+      expect(router.match('GET', '/profile/username/%E0%A4%A').params.username).toBe('%E0%A4%A');
+    });
+
+    test('captures the rest of the path with a trailing *', () => {
+      router.get('/asset/*', handler);
+
+      expect(router.match('GET', '/asset/Common/Icons/x.png').params).toEqual({ rest: 'Common/Icons/x.png' });
+      expect(router.match('GET', '/asset/').params).toEqual({ rest: '' });
+    });
+
+    test('tries routes in the order they were added', () => {
+      const first = () => {};
+      router.get('/avatar/:uuid/head-cache', first);
+      router.get('/avatar/*', handler);
+
+      expect(router.match('GET', '/avatar/u1/head-cache').route.handler).toBe(first);
+      expect(router.match('GET', '/avatar/u1/head').route.handler).toBe(handler);
+    });
+
+    test('registers every pattern of a route', () => {
+      router.get(['/health', '/'], handler);
+
+      expect(router.match('GET', '/health').route).not.toBeNull();
+      expect(router.match('GET', '/').route).not.toBeNull();
+    });
+  });
+
+  describe('methods', () => {
+    test('any() accepts every method', () => {
+      router.any('/oauth2/token', handler);
+
+      for (const method of ['GET', 'POST', 'PUT', 'DELETE']) {
+        expect(router.match(method, '/oauth2/token').route).not.toBeNull();
+      }
+    });
+
+    test('HEAD is answered by GET routes', () => {
+      router.get('/health', handler);
+
+      expect(router.match('HEAD', '/health').route).not.toBeNull();
+    });
+
+    test('a path served for other methods reports them (405)', () => {
+      router.post('/admin/login', handler);
+      router.add(['POST', 'DELETE'], '/admin/usernames/reserve', handler);
+
+      expect(router.match('GET', '/admin/login')).toEqual({ route: null, allowed: ['POST'] });
+      expect(router.match('GET', '/admin/usernames/reserve').allowed).toEqual(['POST', 'DELETE']);
+    });
+
+    test('an unknown path reports no allowed methods (404)', () => {
+      router.post('/admin/login', handler);
+
+      expect(router.match('GET', '/nope')).toEqual({ route: null, allowed: [] });
+    });
+
+    test('a later route for the method wins over an earlier one for another method', () => {
+      router.post('/admin/api/alerts', handler);
+      const getHandler = () => {};
+      router.get('/admin/api/alerts', getHandler);
+
+      expect(router.match('GET', '/admin/api/alerts').route.handler).toBe(getHandler);
+    });
+  });
+
+  test('describe() groups banner patterns by label in route order', () => {
+    router.get('/a', handler, { banner: 'Group A' });
+    router.get('/b', handler);
+    router.post(['/a', '/c'], handler, { banner: 'Group A' });
+    router.get('/d', handler, { banner: 'Group D' });
+
+    expect(router.describe()).toEqual([
+      { label: 'Group A', patterns: ['/a', '/c'] },
+      { label: 'Group D', patterns: ['/d'] }
+    ]);
+  });
+});